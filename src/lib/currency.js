@@ -0,0 +1,61 @@
+// Quote currencies supported by the worker's `vs` parameter (/price, /history, /ohlc)
+export const CURRENCIES = {
+    usd: { code: 'USD', label: 'US Dollar', symbol: '$', decimals: 2 },
+    eur: { code: 'EUR', label: 'Euro', symbol: '€', decimals: 2 },
+    gbp: { code: 'GBP', label: 'British Pound', symbol: '£', decimals: 2 },
+    jpy: { code: 'JPY', label: 'Japanese Yen', symbol: '¥', decimals: 0 },
+    btc: { code: 'BTC', label: 'Bitcoin', symbol: '₿', decimals: 8 }
+};
+
+export const DEFAULT_CURRENCY = 'usd';
+
+const STORAGE_KEY = 'currency';
+
+export const isSupportedCurrency = (currency) => Boolean(CURRENCIES[currency]);
+
+// Persisted choice from localStorage (falls back to USD outside the browser)
+export function loadSavedCurrency() {
+    try {
+        const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        return isSupportedCurrency(saved) ? saved : DEFAULT_CURRENCY;
+    } catch (e) {
+        return DEFAULT_CURRENCY;
+    }
+}
+
+export function saveCurrency(currency) {
+    try {
+        localStorage.setItem(STORAGE_KEY, currency);
+    } catch (e) {
+        console.warn('Failed to persist currency preference:', e.message);
+    }
+}
+
+// Format an amount in the given quote currency, e.g. "€2,000.00", "¥312,450" or "₿0.05000000"
+// `decimals` overrides the currency default (used for compact axis ticks)
+export function formatCurrency(value, currency = DEFAULT_CURRENCY, decimals) {
+    const info = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+    const digits = decimals ?? info.decimals;
+    if (typeof value !== 'number' || isNaN(value)) value = 0;
+
+    // BTC is not an ISO 4217 code, so Intl would render "BTC 0.05"
+    if (currency === 'btc') {
+        return `${info.symbol}${value.toLocaleString('en-US', {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        })}`;
+    }
+    return value.toLocaleString('en-US', {
+        style: 'currency',
+        currency: info.code,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    });
+}
+
+// Axis tick label: keep full precision for BTC quotes, whole units otherwise
+export function formatAxisValue(value, currency = DEFAULT_CURRENCY) {
+    const info = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+    if (currency === 'btc') return formatCurrency(value, currency);
+    return `${info.symbol}${value.toLocaleString('en-US')}`;
+}
@@ -1,26 +1,36 @@
-import { writable, readable } from 'svelte/store';
+import { writable, readable, get } from 'svelte/store';
 import { WORKER_URL } from './config.js';
+import { isSupportedCurrency, loadSavedCurrency, saveCurrency } from './currency.js';
+import { openPriceStream } from './stream.js';
 
 // Initial state
 const initialState = {
     coins: [],
     selectedCoin: 'bitcoin',
+    currency: loadSavedCurrency(), // quote currency for prices, history and charts (persisted)
     priceData: null,
     historyData: null,
     newsData: null,
+    moodIndex: null, // /api/mood-index payload (composite index and its component breakdown)
     loading: true,
     error: null,
-    largePatch: null // { diffAbs, diffPct, priceSource } when patch is large
+    largePatch: null, // { diffAbs, diffPct, priceSource } when patch is large
+    live: { status: 'off', lastTickMs: null } // /stream subscription state (see startLiveUpdates)
 };
 
 // Create the store
 const { subscribe, set, update } = writable(initialState);
 
 // Per-coin cached results (live in-memory). Keeps last successful payload so throttle can return it.
-const _lastPriceFetch = new Map();    // coinId -> { ts, data }
-const _lastHistoryFetch = new Map();  // coinId_days -> { ts, data }
+const _lastPriceFetch = new Map();    // coinId_currency -> { ts, data }
+const _lastHistoryFetch = new Map();  // coinId_days_currency -> { ts, data }
 const THROTTLE_MS = 8000; // 8s
 
+// Active quote currency; every price/history/OHLC request carries it as `vs`
+let _currency = initialState.currency;
+const priceCacheKey = (coinId) => `${coinId}_${_currency}`;
+const historyCacheKey = (coinId, days) => `${coinId}_${days}_${_currency}`;
+
 // Price patching thresholds for quiet logging
 const PRICE_PATCH_ABS_THRESHOLD = 1.00;   // only log patches > $1.00
 const PRICE_PATCH_PCT_THRESHOLD = 0.5;    // or > 0.5% difference
@@ -80,10 +90,16 @@ async function fetchWithTimeout(url, opts = {}, timeoutMs = 8000) {
     }
 }
 
+// Top-N coins by market cap shown in selectors (the worker always appends the featured coins)
+const COINS_LIST_LIMIT = 100;
+
 // Helper functions to fetch data
-const fetchCoins = async () => {
+// Pass `search` to query the worker's full coin universe by symbol, name or id
+export const fetchCoins = async ({ limit = COINS_LIST_LIMIT, search = '' } = {}) => {
     try {
-        const res = await fetchWithTimeout(`${WORKER_URL}/coins`, { method: 'GET' });
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (search) params.set('search', search);
+        const res = await fetchWithTimeout(`${WORKER_URL}/coins?${params}`, { method: 'GET' });
         const coins = res.json ?? JSON.parse(res.text || '[]');
         if (!validateCoins(coins)) {
             throw new Error('Invalid coins data');
@@ -163,7 +179,7 @@ function computeChangePercent(currentPrice, prevClose) {
 }
 
 const fetchPrice = async (coinId) => {
-    const url = `${WORKER_URL}/price?coin=${encodeURIComponent(coinId)}&_=${Date.now()}`;
+    const url = `${WORKER_URL}/price?coin=${encodeURIComponent(coinId)}&vs=${_currency}&_=${Date.now()}`;
     try {
         console.log(`🔍 Fetching canonical price for ${coinId}`);
         const res = await fetchWithTimeout(url, { method: 'GET', credentials: 'omit' }, 15000); // 15s timeout for safety
@@ -183,7 +199,7 @@ const fetchPrice = async (coinId) => {
             console.log(`✅ Fetched canonical price: $${normalized.priceFmt} (source: ${normalized.source}, timestampMs: ${normalized.timestampMs})`);
 
             // Update cache with normalized data
-            _lastPriceFetch.set(coinId, { ts: Date.now(), data: normalized });
+            _lastPriceFetch.set(priceCacheKey(coinId), { ts: Date.now(), data: normalized });
             return normalized;
         } catch (normErr) {
             console.error(`❌ Invalid price data: reason=${normErr.message}, details:`, data);
@@ -202,7 +218,7 @@ const fetchPrice = async (coinId) => {
 // Throttled wrapper for fetchPrice (returns cached data instead of throwing)
 const fetchPriceThrottled = async (coinId, force = false) => {
     const now = Date.now();
-    const last = _lastPriceFetch.get(coinId);
+    const last = _lastPriceFetch.get(priceCacheKey(coinId));
     const MAX_CACHE_AGE_MS = 5 * 60 * 1000; // 5 minutes - never return data older than this
 
     if (!force && last && (now - last.ts) < THROTTLE_MS) {
@@ -243,7 +259,7 @@ const fetchPriceThrottled = async (coinId, force = false) => {
 };
 
 const fetchHistory = async (coinId, days = 7) => {
-    const url = `${WORKER_URL}/history?coin=${encodeURIComponent(coinId)}&days=${days}&_=${Date.now()}`;
+    const url = `${WORKER_URL}/history?coin=${encodeURIComponent(coinId)}&days=${days}&vs=${_currency}&_=${Date.now()}`;
     try {
         console.log(`🔍 Fetching history for ${coinId}`);
         const res = await fetchWithTimeout(url, { method: 'GET', credentials: 'omit' }, 20000); // 20s timeout for safety
@@ -273,7 +289,7 @@ const fetchHistory = async (coinId, days = 7) => {
         }
 
         // Update cache
-        _lastHistoryFetch.set(`${coinId}_${days}`, { ts: Date.now(), data: historyData });
+        _lastHistoryFetch.set(historyCacheKey(coinId, days), { ts: Date.now(), data: historyData });
         return historyData;
     } catch (err) {
         if (err.name === 'AbortError') {
@@ -287,7 +303,7 @@ const fetchHistory = async (coinId, days = 7) => {
 
 // Throttled wrapper for fetchHistory (returns cached data instead of throwing)
 const fetchHistoryThrottled = async (coinId, days = 7, force = false) => {
-    const key = `${coinId}_${days}`;
+    const key = historyCacheKey(coinId, days);
     const now = Date.now();
     const last = _lastHistoryFetch.get(key);
     const MAX_CACHE_AGE_MS = 5 * 60 * 1000; // 5 minutes - never return data older than this
@@ -345,7 +361,7 @@ const fetchHistoryThrottled = async (coinId, days = 7, force = false) => {
 
 // Fetch OHLC data from worker (includes canonical lastClosePrice)
 const fetchOHLC = async (coinId, days = 7) => {
-    const url = `${WORKER_URL}/ohlc?coin=${encodeURIComponent(coinId)}&days=${days}&_=${Date.now()}`;
+    const url = `${WORKER_URL}/ohlc?coin=${encodeURIComponent(coinId)}&days=${days}&vs=${_currency}&_=${Date.now()}`;
     try {
         console.log(`🔍 Fetching OHLC data for ${coinId} (${days} days)`);
         const res = await fetchWithTimeout(url, { method: 'GET', credentials: 'omit' }, 15000);
@@ -433,6 +449,43 @@ const fetchSentimentThrottled = async (coinId, force = false) => {
     return fetchSentimentSummary(coinId, force);
 };
 
+// Map a sentiment summary (from /api/sentiment-summary or a stream event) to the newsData shape
+const toNewsData = (sentimentData) => ({
+    headlines: sentimentData.headlines || [],
+    sentiment: {
+        score: sentimentData.score,
+        category: sentimentData.label.toLowerCase(),
+        label: sentimentData.label,
+        source: sentimentData.source,
+        count: sentimentData.count,
+        timestamp: sentimentData.timestamp,
+        summary: sentimentData.summary || []
+    }
+});
+
+// Fetch the composite mood index (non-critical: null on failure)
+const fetchMoodIndex = async (coinId) => {
+    const url = `${WORKER_URL}/api/mood-index?coin=${encodeURIComponent(coinId)}`;
+    try {
+        const res = await fetchWithTimeout(url, { method: 'GET', credentials: 'omit' }, 10000);
+        const data = res.json ?? JSON.parse(res.text || '{}');
+        if (!data || !data.components || (data.index !== null && typeof data.index !== 'number')) {
+            throw new Error('Invalid mood index data');
+        }
+        return data;
+    } catch (error) {
+        console.warn(`Mood index fetch failed for ${coinId} (non-critical):`, error.message);
+        return null;
+    }
+};
+
+// Load the mood index into state unless the user has moved on to another coin
+const loadMoodIndex = (coinId) => {
+    fetchMoodIndex(coinId).then(moodIndex => {
+        update(state => state.selectedCoin === coinId ? { ...state, moodIndex } : state);
+    });
+};
+
 // Legacy fetchSentiment for backward compatibility (maps to new endpoint)
 const fetchSentiment = async (headlines) => {
     // This is deprecated - use fetchSentimentSummary instead
@@ -504,7 +557,7 @@ export const initStore = async () => {
                 // Replace last point close with canonical price (keep timestamp)
                 historyData[historyData.length - 1] = { x: lastPoint.x, y: canonicalPrice };
                 // Update cache with modified history so throttling returns consistent data
-                _lastHistoryFetch.set(`${selectedCoin}_7`, { ts: Date.now(), data: historyData });
+                _lastHistoryFetch.set(historyCacheKey(selectedCoin, 7), { ts: Date.now(), data: historyData });
 
                 // Log confirmation only for material diffs
                 if (diffAbs > PRICE_PATCH_ABS_THRESHOLD || diffPct > PRICE_PATCH_PCT_THRESHOLD) {
@@ -613,27 +666,14 @@ export const initStore = async () => {
                     if (sentimentData) {
                         // Update state with sentiment data
                         // Note: sentimentData includes headlines, so we can use it for newsData too
-                        update(state => ({
-                            ...state,
-                            newsData: {
-                                headlines: sentimentData.headlines || [],
-                                sentiment: {
-                                    score: sentimentData.score,
-                                    category: sentimentData.label.toLowerCase(),
-                                    label: sentimentData.label,
-                                    source: sentimentData.source,
-                                    count: sentimentData.count,
-                                    timestamp: sentimentData.timestamp,
-                                    summary: sentimentData.summary || []
-                                }
-                            }
-                        }));
+                        update(state => ({ ...state, newsData: toNewsData(sentimentData) }));
                     }
                 })
                 .catch(sentimentErr => {
                     console.warn('Sentiment fetch failed (non-critical):', sentimentErr.message);
                     // Don't update state - sentiment is optional
                 });
+            loadMoodIndex(selectedCoin);
         }, 500); // Defer by 500ms to let critical data render first
 
     } catch (error) {
@@ -651,6 +691,11 @@ export const initStore = async () => {
 
 // Function to update the selected coin
 export const setCoin = async (coinId) => {
+    // Move the live subscription (if any) to the new coin and currency
+    if (_closeLiveStream) {
+        subscribeLive(coinId);
+    }
+
     // Clear old data immediately to prevent showing stale data
     update(state => ({
         ...state,
@@ -659,7 +704,8 @@ export const setCoin = async (coinId) => {
         selectedCoin: coinId,
         priceData: null,
         historyData: null,
-        newsData: null
+        newsData: null,
+        moodIndex: null
     }));
 
     try {
@@ -714,7 +760,7 @@ export const setCoin = async (coinId) => {
                 // Replace last point close with canonical price (keep timestamp)
                 historyData[historyData.length - 1] = { x: lastPoint.x, y: canonicalPrice };
                 // Update cache with modified history so throttling returns consistent data
-                _lastHistoryFetch.set(`${coinId}_7`, { ts: Date.now(), data: historyData });
+                _lastHistoryFetch.set(historyCacheKey(coinId, 7), { ts: Date.now(), data: historyData });
 
                 // Log confirmation only for material diffs
                 if (diffAbs > PRICE_PATCH_ABS_THRESHOLD || diffPct > PRICE_PATCH_PCT_THRESHOLD) {
@@ -837,27 +883,14 @@ export const setCoin = async (coinId) => {
                     if (sentimentData) {
                         // Update state with sentiment data
                         // Note: sentimentData includes headlines, so we can use it for newsData too
-                        update(state => ({
-                            ...state,
-                            newsData: {
-                                headlines: sentimentData.headlines || [],
-                                sentiment: {
-                                    score: sentimentData.score,
-                                    category: sentimentData.label.toLowerCase(),
-                                    label: sentimentData.label,
-                                    source: sentimentData.source,
-                                    count: sentimentData.count,
-                                    timestamp: sentimentData.timestamp,
-                                    summary: sentimentData.summary || []
-                                }
-                            }
-                        }));
+                        update(state => ({ ...state, newsData: toNewsData(sentimentData) }));
                     }
                 })
                 .catch(sentimentErr => {
                     console.warn('Sentiment fetch failed (non-critical):', sentimentErr.message);
                     // Don't update state - sentiment is optional
                 });
+            loadMoodIndex(coinId);
         }, 500); // Defer by 500ms to let critical data render first
     } catch (error) {
         console.error(`❌ Error in setCoin for ${coinId}:`, error);
@@ -899,8 +932,110 @@ const validateSentiment = (data) => {
     return data && typeof data.score === 'number' && typeof data.category === 'string';
 };
 
+// Switch the quote currency (persisted) and reload the selected coin in it
+export const setCurrency = async (currency) => {
+    if (!isSupportedCurrency(currency) || currency === _currency) return;
+    _currency = currency;
+    saveCurrency(currency);
+
+    let current = null;
+    update(state => {
+        current = state;
+        return { ...state, currency };
+    });
+    // Dashboard data only exists once initStore has loaded the coin list
+    if (current.coins.length > 0) {
+        await setCoin(current.selectedCoin);
+    }
+};
+
+// Live updates: ticks from the worker's /stream are appended to historyData (no history re-download).
+// Ticks in the same LIVE_POINT_SPACING_MS bucket replace the previous live point to bound chart growth.
+const LIVE_POINT_SPACING_MS = 5 * 60 * 1000;
+let _closeLiveStream = null;
+
+const setLiveStatus = (status) => {
+    update(state => ({ ...state, live: { ...state.live, status } }));
+};
+
+function applyLiveTick(tick) {
+    let priceData;
+    try {
+        priceData = normalizePriceResponse(tick);
+    } catch (err) {
+        console.warn('[live] Ignoring invalid tick:', err.message);
+        return;
+    }
+
+    update(state => {
+        if (tick.coin !== state.selectedCoin || state.loading) return state;
+
+        let historyData = state.historyData;
+        if (Array.isArray(historyData) && historyData.length > 0) {
+            const last = historyData[historyData.length - 1];
+            const x = new Date(priceData.timestampMs);
+            if (x > last.x) {
+                const point = { x, y: priceData.priceNumeric, live: true };
+                const sameBucket = last.live &&
+                    Math.floor(x.getTime() / LIVE_POINT_SPACING_MS) === Math.floor(last.x.getTime() / LIVE_POINT_SPACING_MS);
+                historyData = sameBucket ? [...historyData.slice(0, -1), point] : [...historyData, point];
+                _lastHistoryFetch.set(historyCacheKey(state.selectedCoin, 7), { ts: Date.now(), data: historyData });
+            }
+        }
+        _lastPriceFetch.set(priceCacheKey(state.selectedCoin), { ts: Date.now(), data: priceData });
+
+        return {
+            ...state,
+            priceData,
+            historyData,
+            largePatch: null,
+            live: { ...state.live, lastTickMs: priceData.timestampMs }
+        };
+    });
+}
+
+function subscribeLive(coinId) {
+    if (_closeLiveStream) _closeLiveStream();
+    _closeLiveStream = openPriceStream({
+        coins: coinId,
+        vs: _currency,
+        onPrice: applyLiveTick,
+        onSentiment: (data) => {
+            if (data.coin !== get({ subscribe }).selectedCoin || !data.label) return;
+            _lastSentimentFetch.set(data.coin, { ts: Date.now(), data });
+            update(state => ({ ...state, newsData: toNewsData(data) }));
+        },
+        onResync: async () => {
+            // The worker couldn't replay missed ticks; reload the window instead
+            console.log(`[live] Resync requested for ${coinId}, refetching history`);
+            try {
+                const historyData = await fetchHistoryThrottled(coinId, 7, true);
+                update(state => state.selectedCoin === coinId ? { ...state, historyData } : state);
+            } catch (err) {
+                console.warn('[live] History resync failed:', err.message);
+            }
+        },
+        onStatus: setLiveStatus
+    });
+}
+
+export const startLiveUpdates = () => {
+    subscribeLive(get({ subscribe }).selectedCoin);
+};
+
+export const stopLiveUpdates = () => {
+    if (_closeLiveStream) {
+        _closeLiveStream();
+        _closeLiveStream = null;
+    }
+    update(state => ({ ...state, live: { status: 'off', lastTickMs: null } }));
+};
+
 export const cryptoStore = {
     subscribe,
     initStore,
-    setCoin
+    setCoin,
+    setCurrency,
+    startLiveUpdates,
+    stopLiveUpdates
 };
@@ -0,0 +1,126 @@
+import { WORKER_URL } from './config.js';
+
+// Subscribe to the worker's /stream (Server-Sent Events) for live price ticks and sentiment updates.
+// EventSource reconnects on its own and resends Last-Event-ID, so the worker replays missed ticks;
+// `onResync` fires when it can't and the caller should refetch history instead.
+// Returns a function that closes the stream.
+export function openPriceStream({
+    coins,
+    vs = 'usd',
+    sentiment = true,
+    onPrice,
+    onSentiment,
+    onResync,
+    onStatus
+} = {}) {
+    if (typeof EventSource === 'undefined') {
+        onStatus?.('unsupported');
+        return () => {};
+    }
+
+    const params = new URLSearchParams({
+        coins: [].concat(coins).join(','),
+        vs,
+        sentiment: String(sentiment)
+    });
+    const source = new EventSource(`${WORKER_URL}/stream?${params}`);
+    const parse = (event) => {
+        try {
+            return JSON.parse(event.data);
+        } catch (e) {
+            console.warn('[stream] Ignoring malformed event:', event.type, e.message);
+            return null;
+        }
+    };
+
+    onStatus?.('connecting');
+    source.onopen = () => onStatus?.('open');
+    // Fired on every disconnect; readyState tells a pending reconnect from a closed stream
+    source.onerror = () => onStatus?.(source.readyState === EventSource.CLOSED ? 'closed' : 'reconnecting');
+
+    source.addEventListener('price', (event) => {
+        const tick = parse(event);
+        if (tick) onPrice?.(tick);
+    });
+    source.addEventListener('sentiment', (event) => {
+        const data = parse(event);
+        if (data) onSentiment?.(data);
+    });
+    source.addEventListener('resync', (event) => {
+        const data = parse(event);
+        if (data) onResync?.(data);
+    });
+    source.addEventListener('price-error', (event) => {
+        const data = parse(event);
+        if (data) console.warn(`[stream] No price for ${data.coin}: ${data.error} (${data.code})`);
+    });
+
+    return () => {
+        source.close();
+        onStatus?.('closed');
+    };
+}
+
+const SOCKET_RETRY_MIN_MS = 1000;
+const SOCKET_RETRY_MAX_MS = 30000;
+
+// Subscribe to the worker's shared live price hub (/ws, a Durable Object fanning out one poll loop
+// to every client). Prices only; reconnects with exponential backoff, and the hub sends a snapshot
+// on every (re)subscribe so no history refetch is needed. Returns a function that closes the socket.
+export function openPriceSocket({ coins, vs = 'usd', onPrice, onStatus } = {}) {
+    if (typeof WebSocket === 'undefined') {
+        onStatus?.('unsupported');
+        return () => {};
+    }
+
+    const params = new URLSearchParams({ coins: [].concat(coins).join(','), vs });
+    const url = `${WORKER_URL.replace(/^http/, 'ws')}/ws?${params}`;
+    let socket = null;
+    let closed = false;
+    let retryMs = SOCKET_RETRY_MIN_MS;
+    let retryTimer = null;
+
+    const connect = () => {
+        onStatus?.('connecting');
+        socket = new WebSocket(url);
+        socket.onopen = () => {
+            retryMs = SOCKET_RETRY_MIN_MS;
+            onStatus?.('open');
+        };
+        socket.onmessage = (event) => {
+            let msg;
+            try {
+                msg = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('[socket] Ignoring malformed message:', e.message);
+                return;
+            }
+            switch (msg.type) {
+                case 'snapshot':
+                    Object.values(msg.prices || {}).forEach(tick => onPrice?.(tick));
+                    break;
+                case 'price':
+                    onPrice?.(msg.data);
+                    break;
+                case 'price-error':
+                case 'error':
+                    console.warn(`[socket] ${msg.error} (${msg.code})`);
+                    break;
+            }
+        };
+        socket.onclose = () => {
+            if (closed) return;
+            onStatus?.('reconnecting');
+            retryTimer = setTimeout(connect, retryMs);
+            retryMs = Math.min(retryMs * 2, SOCKET_RETRY_MAX_MS);
+        };
+    };
+
+    connect();
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        socket?.close(1000, 'client closed');
+        onStatus?.('closed');
+    };
+}
@@ -0,0 +1,365 @@
+// =============================================================================
+// CLIENT ACCESS (allowed origins and CORS, API keys, per-client quotas and usage metering)
+// =============================================================================
+//
+// Clients identify with an API key, sent as the X-API-Key header or the api_key query
+// parameter. A key looks like `cmd_{id}_{secret}`: KV holds `apikey_{id}` with a hash of
+// the secret, and the key itself is only shown once, when an admin creates it. Requests
+// without a key are accepted from the allowed browser origins (ALLOWED_ORIGINS) under a
+// stricter per-IP quota; anything else gets a 401. Each client has a ClientQuota Durable
+// Object with its per-minute token bucket, daily quota and per-route usage counts.
+// Without the CLIENT_QUOTA binding, keys are still checked but quotas fail open.
+
+import { DAY_MS } from './config.js';
+import { CORS_HEADERS, errorResponse, jsonResponse } from './http.js';
+import { currentRequestId, log, runWithLogContext } from './log.js';
+import { UPSTREAM_LIMITS, callUpstreamGuard, utcDay } from './upstream.js';
+
+const CLIENT_LIMITS = {
+  anonymous: { perMinute: 60, perDay: 5000 },
+  key: { perMinute: 300, perDay: 100000 }
+};
+const CLIENT_USAGE_DAYS = 7; // per-route usage kept per client
+const API_KEY_PATTERN = /^cmd_([0-9a-f]{8})_([0-9a-f]{48})$/;
+const API_KEY_ID_ATTEMPTS = 5; // a fresh id collides about once in 4 billion draws
+const DEFAULT_ALLOWED_ORIGINS = ['https://hesam.me', 'http://localhost:*', 'http://127.0.0.1:*'];
+
+function getAllowedOrigins(env) {
+  const configured = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_ORIGINS;
+}
+
+// Exact origins, or patterns where `*` stands for any subdomain (https://*.github.io) or port
+// (http://localhost:*). A lone `*` allows every origin.
+export function isAllowedOrigin(origin, env) {
+  if (!origin) return false;
+  return getAllowedOrigins(env).some(pattern => {
+    if (pattern === '*') return true;
+    const regex = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/:]+')}$`);
+    return regex.test(origin);
+  });
+}
+
+// Browsers send Origin on cross-origin requests; Referer covers the rest
+function requestOrigin(request) {
+  const origin = request.headers.get('Origin');
+  if (origin) return origin;
+  try {
+    return new URL(request.headers.get('Referer')).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+// CORS is only exposed to allowed origins, and never on admin routes
+export function isCorsAllowed(request, env) {
+  const origin = request.headers.get('Origin');
+  return Boolean(origin) && !new URL(request.url).pathname.startsWith('/admin/') && isAllowedOrigin(origin, env);
+}
+
+// Reflect an allowed Origin with the CORS headers; other origins get none
+export function withCors(response, request, env) {
+  if (response.status === 101) return response; // WebSocket upgrades are not subject to CORS
+  const headers = new Headers(response.headers);
+  headers.set('Vary', [headers.get('Vary'), 'Origin'].filter(Boolean).join(', '));
+  if (isCorsAllowed(request, env)) {
+    headers.set('Access-Control-Allow-Origin', request.headers.get('Origin'));
+    for (const [name, value] of Object.entries(CORS_HEADERS)) {
+      headers.set(name, value);
+    }
+  }
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// An 8-hex-digit id with no key stored under it yet, so a new key never overwrites an existing one
+async function allocateApiKeyId(env) {
+  for (let attempt = 0; attempt < API_KEY_ID_ATTEMPTS; attempt++) {
+    const id = randomHex(4);
+    if (await env.RATE_LIMIT_KV.get(`apikey_${id}`) === null) return id;
+    log.warn(`[Admin] API key id ${id} is already taken, drawing another`);
+  }
+  throw new Error(`No unused API key id after ${API_KEY_ID_ATTEMPTS} attempts`);
+}
+
+// The stored record for a presented key, or null when it is malformed, unknown or revoked
+async function lookupApiKey(rawKey, env) {
+  const match = API_KEY_PATTERN.exec(rawKey);
+  if (!match) return null;
+  const raw = await env.RATE_LIMIT_KV.get(`apikey_${match[1]}`);
+  if (!raw) return null;
+  const record = JSON.parse(raw);
+  if (record.revokedAt || !timingSafeEqual(record.hash, await sha256Hex(match[2]))) return null;
+  return record;
+}
+
+// Call the quota object for `clientId`; null when the binding is missing or unreachable (fail open)
+async function callClientQuota(env, clientId, action, payload) {
+  if (!env.CLIENT_QUOTA) return null;
+  try {
+    const stub = env.CLIENT_QUOTA.get(env.CLIENT_QUOTA.idFromName(clientId));
+    const resp = await stub.fetch(`https://client-quota/${action}`, {
+      method: payload ? 'POST' : 'GET',
+      headers: { 'X-Request-Id': currentRequestId() || '' },
+      body: payload ? JSON.stringify(payload) : undefined
+    });
+    return await resp.json();
+  } catch (e) {
+    log.warn(`[ClientQuota] ${action} failed for ${clientId}, failing open:`, e.message);
+    return null;
+  }
+}
+
+// Identify the client and take one request from its quota.
+// Returns { client, quota } to proceed, or { response } with the 401/429 to send instead.
+export async function authorizeClient(request, env, route) {
+  const url = new URL(request.url);
+  const rawKey = request.headers.get('X-API-Key') || url.searchParams.get('api_key');
+  let client;
+  if (rawKey) {
+    const record = await lookupApiKey(rawKey.trim(), env);
+    if (!record) {
+      return { response: jsonResponse({ error: 'Invalid or revoked API key', code: 'invalid_api_key' }, 401) };
+    }
+    client = { id: `key:${record.id}`, name: record.name, limits: { ...CLIENT_LIMITS.key, ...record.limits } };
+  } else if (isAllowedOrigin(requestOrigin(request), env)) {
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    client = { id: `anon:${ip}`, name: 'anonymous', limits: CLIENT_LIMITS.anonymous };
+  } else {
+    return {
+      response: jsonResponse({
+        error: 'API key required (send X-API-Key or api_key)',
+        code: 'api_key_required'
+      }, 401)
+    };
+  }
+  
+  const quota = await callClientQuota(env, client.id, 'consume', { route: route.path, limits: client.limits });
+  if (quota && !quota.allowed) {
+    const retryAfter = Math.ceil(quota.retryAfterMs / 1000);
+    log.warn(`[ClientQuota] ${client.id} ${quota.reason} on ${route.path}, retry in ${retryAfter}s`);
+    return {
+      response: withClientHeaders(jsonResponse({
+        error: quota.reason === 'quota_exceeded' ? 'Daily quota exceeded' : 'Rate limit exceeded',
+        code: quota.reason,
+        retryAfterMs: quota.retryAfterMs
+      }, 429, { 'Retry-After': String(retryAfter) }), { client, quota })
+    };
+  }
+  return { client, quota };
+}
+
+// Rate limit headers on the way out (WebSocket upgrades are passed through untouched)
+export function withClientHeaders(response, { client, quota }) {
+  if (!quota || response.status === 101) return response;
+  const headers = new Headers(response.headers);
+  headers.set('X-RateLimit-Limit', String(client.limits.perMinute));
+  headers.set('X-RateLimit-Remaining', String(quota.remaining?.minute ?? 0));
+  headers.set('X-Quota-Limit', String(client.limits.perDay));
+  headers.set('X-Quota-Remaining', String(quota.remaining?.day ?? 0));
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+export class ClientQuota {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.quota = null; // { tokens, refilledAt, day, usedToday, usage: { [day]: { routes, rejected } } }
+  }
+  
+  async fetch(request) {
+    return runWithLogContext({ requestId: request.headers.get('X-Request-Id'), env: this.env }, () => this.handle(request));
+  }
+  
+  async handle(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const q = await this.load();
+    const now = Date.now();
+    const today = utcDay(now);
+    if (q.day !== today) {
+      q.day = today;
+      q.usedToday = 0;
+    }
+    
+    if (action === 'consume') {
+      const { route, limits } = await request.json();
+      const result = this.consume(q, route, limits, now);
+      await this.state.storage.put('quota', q);
+      return jsonResponse(result);
+    }
+    if (action === 'usage') {
+      return jsonResponse({ day: q.day, usedToday: q.usedToday, usage: q.usage });
+    }
+    return errorResponse(`Unknown action: ${action}`, 404);
+  }
+  
+  async load() {
+    if (!this.quota) {
+      this.quota = await this.state.storage.get('quota') || {
+        tokens: null, // filled to the client's capacity on first use
+        refilledAt: Date.now(),
+        day: null,
+        usedToday: 0,
+        usage: {}
+      };
+    }
+    return this.quota;
+  }
+  
+  consume(q, route, limits, now) {
+    // Token bucket of perMinute tokens refilled continuously; limits may change between calls
+    q.tokens = Math.min(limits.perMinute, (q.tokens ?? limits.perMinute) + ((now - q.refilledAt) / 60000) * limits.perMinute);
+    q.refilledAt = now;
+    const day = q.usage[q.day] ||= { routes: {}, rejected: 0 };
+    
+    let denied = null;
+    if (q.usedToday >= limits.perDay) {
+      denied = { reason: 'quota_exceeded', retryAfterMs: (Math.floor(now / DAY_MS) + 1) * DAY_MS - now };
+    } else if (q.tokens < 1) {
+      denied = { reason: 'rate_limited', retryAfterMs: Math.ceil(((1 - q.tokens) / limits.perMinute) * 60000) };
+    }
+    
+    if (denied) {
+      day.rejected += 1;
+    } else {
+      q.tokens -= 1;
+      q.usedToday += 1;
+      day.routes[route] = (day.routes[route] || 0) + 1;
+    }
+    for (const d of Object.keys(q.usage).sort().slice(0, -CLIENT_USAGE_DAYS)) {
+      delete q.usage[d];
+    }
+    
+    return {
+      allowed: !denied,
+      ...denied,
+      remaining: { minute: Math.floor(q.tokens), day: Math.max(0, limits.perDay - q.usedToday) }
+    };
+  }
+}
+
+// Admin endpoints authenticate with `Authorization: Bearer <ADMIN_TOKEN>` (ADMIN_PURGE_TOKEN if unset)
+export function isAdminRequest(request, env) {
+  const token = env.ADMIN_TOKEN || env.ADMIN_PURGE_TOKEN;
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+  return Boolean(token && match && timingSafeEqual(match[1].trim(), token));
+}
+
+function describeApiKey(record) {
+  const { hash, ...rest } = record;
+  return { ...rest, limits: { ...CLIENT_LIMITS.key, ...record.limits } };
+}
+
+async function listApiKeys(env) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.RATE_LIMIT_KV.list({ prefix: 'apikey_', cursor });
+    const records = await Promise.all(page.keys.map(k => env.RATE_LIMIT_KV.get(k.name)));
+    keys.push(...records.filter(Boolean).map(raw => describeApiKey(JSON.parse(raw))));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Optional { perMinute, perDay } overrides from an admin request body
+function parseKeyLimits(body) {
+  const limits = {};
+  for (const name of ['perMinute', 'perDay']) {
+    if (body[name] === undefined) continue;
+    if (!Number.isInteger(body[name]) || body[name] < 1) {
+      return { error: `${name} must be a positive integer` };
+    }
+    limits[name] = body[name];
+  }
+  return { limits };
+}
+
+// /admin/keys (GET list, POST create), /admin/keys/{id} (GET with usage, DELETE revokes) and /admin/usage
+export async function handleAdminKeys(request, env, path) {
+  if (path === '/admin/usage') {
+    if (request.method !== 'GET') {
+      return jsonResponse({ error: 'Method not allowed', code: 'method_not_allowed' }, 405, { 'Allow': 'GET' });
+    }
+    const keys = await listApiKeys(env);
+    const clients = await Promise.all(keys.map(async key => ({
+      id: key.id,
+      name: key.name,
+      revokedAt: key.revokedAt || null,
+      ...(await callClientQuota(env, `key:${key.id}`, 'usage') || { usage: null })
+    })));
+    const upstreams = env.UPSTREAM_GUARD
+      ? Object.fromEntries(await Promise.all(Object.keys(UPSTREAM_LIMITS).map(async name => {
+        const status = await callUpstreamGuard(env, name, 'status');
+        return [name, status ? { today: status.today, usage: status.usage } : null];
+      })))
+      : null;
+    return jsonResponse({ clients, upstreams, timestamp: new Date().toISOString() });
+  }
+  
+  if (path === '/admin/keys') {
+    if (request.method === 'GET') {
+      return jsonResponse({ keys: await listApiKeys(env) });
+    }
+    if (request.method === 'POST') {
+      const body = await request.json().catch(() => null);
+      if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+        return jsonResponse({ error: 'name is required', code: 'invalid_request' }, 400);
+      }
+      const { limits, error } = parseKeyLimits(body);
+      if (error) {
+        return jsonResponse({ error, code: 'invalid_request' }, 400);
+      }
+      
+      const id = await allocateApiKeyId(env);
+      const secret = randomHex(24);
+      const record = {
+        id,
+        name: body.name.trim().substring(0, 100),
+        hash: await sha256Hex(secret),
+        limits,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+      await env.RATE_LIMIT_KV.put(`apikey_${id}`, JSON.stringify(record));
+      log.info(`[Admin] Created API key ${id} (${record.name})`);
+      return jsonResponse({ ...describeApiKey(record), key: `cmd_${id}_${secret}` }, 201);
+    }
+    return jsonResponse({ error: 'Method not allowed', code: 'method_not_allowed' }, 405, { 'Allow': 'GET, POST' });
+  }
+  
+  const id = path.slice('/admin/keys/'.length);
+  const raw = /^[0-9a-f]{8}$/.test(id) ? await env.RATE_LIMIT_KV.get(`apikey_${id}`) : null;
+  if (!raw) {
+    return jsonResponse({ error: `No API key ${id}`, code: 'not_found' }, 404);
+  }
+  const record = JSON.parse(raw);
+  
+  if (request.method === 'GET') {
+    return jsonResponse({ ...describeApiKey(record), usage: await callClientQuota(env, `key:${id}`, 'usage') });
+  }
+  if (request.method === 'DELETE') {
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await env.RATE_LIMIT_KV.put(`apikey_${id}`, JSON.stringify(record));
+      log.info(`[Admin] Revoked API key ${id} (${record.name})`);
+    }
+    return jsonResponse(describeApiKey(record));
+  }
+  return jsonResponse({ error: 'Method not allowed', code: 'method_not_allowed' }, 405, { 'Allow': 'GET, DELETE' });
+}
@@ -0,0 +1,396 @@
+// =============================================================================
+// ADMIN (routing, cache management and audit log)
+// =============================================================================
+//
+// Every /admin route goes through routeAdminRequest: bearer authentication
+// (isAdminRequest), then the route's handler, then an audit log entry in KV with who
+// called what, the parameters, the status and (for changes) the result. Metrics scrapes
+// are the one route not audited. Refused requests are only logged: /admin runs before
+// the client quota, so writing them to KV would let anyone spend the namespace's
+// write allowance. The cache routes work on RATE_LIMIT_KV entries except the API key
+// records and the audit log, which have their own routes.
+
+import { errorResponse, jsonResponse } from './http.js';
+import { currentRequestId, log, logContext, recordRoute, redact } from './log.js';
+import { SUPPORTED_COINS, resolveCoin } from './coins.js';
+import { fetchFreshHistoryData, historyCacheKey, toHistoryWindow } from './history.js';
+import { getCanonicalPrices } from './prices.js';
+import { buildSentimentSummary } from './sentiment.js';
+import { getMoodComponentSeries } from './mood.js';
+import { handleAdminKeys, isAdminRequest, randomHex, timingSafeEqual } from './access.js';
+import { handleAdminMetrics } from './metrics.js';
+
+const ADMIN_AUDIT_PREFIX = 'audit_';
+const ADMIN_AUDIT_TTL_SECONDS = 90 * 24 * 60 * 60;
+const ADMIN_AUDIT_KEY_MAX = 1e13; // audit keys count down from this, so KV lists them newest first
+const ADMIN_PROTECTED_PREFIXES = ['apikey_', ADMIN_AUDIT_PREFIX];
+const ADMIN_LIST_LIMIT = 100;
+const ADMIN_PURGE_SCAN_LIMIT = 1000; // keys examined per purge call; the response has a cursor to continue
+const ADMIN_REFRESH_HISTORY_DAYS = [1, 7, 30];
+const ADMIN_REFRESH_PARTS = ['price', 'history', 'sentiment', 'mood'];
+
+function isProtectedKey(key) {
+  return ADMIN_PROTECTED_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+// Cache keys name the coin as one `_` segment (price_bitcoin, history_bitcoin_7, sentiment_series_bitcoin_...)
+function keyMatchesCoin(key, coin) {
+  return key.split('_').includes(coin);
+}
+
+// Age and source of a KV entry; most are { data, timestamp }, the rest are described as far as possible
+function describeCacheEntry(key, raw, now = Date.now()) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    // plain values (backoff timestamps)
+  }
+  const stamp = parsed?.timestamp ?? parsed?.data?.timestamp ?? parsed?.data?.updatedAt ?? null;
+  const timestampMs = typeof stamp === 'number' ? stamp : (stamp ? Date.parse(stamp) : NaN);
+  return {
+    key,
+    bytes: raw.length,
+    timestamp: Number.isFinite(timestampMs) ? new Date(timestampMs).toISOString() : null,
+    ageSeconds: Number.isFinite(timestampMs) ? Math.max(0, Math.floor((now - timestampMs) / 1000)) : null,
+    source: parsed?.data?.source ?? parsed?.source ?? parsed?.data?.provider ?? null
+  };
+}
+
+function adminMethodNotAllowed(allow) {
+  return jsonResponse({ error: 'Method not allowed', code: 'method_not_allowed' }, 405, { 'Allow': allow });
+}
+
+// GET /admin/cache?prefix=&coin=&limit=&cursor=
+async function handleAdminCacheList(request, env) {
+  if (request.method !== 'GET') return adminMethodNotAllowed('GET');
+  const url = new URL(request.url);
+  const prefix = url.searchParams.get('prefix') || '';
+  const coin = url.searchParams.get('coin');
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), ADMIN_LIST_LIMIT);
+  
+  // Keep listing until `limit` keys pass the filters (or ADMIN_PURGE_SCAN_LIMIT keys were examined)
+  const names = [];
+  const expirations = new Map();
+  let scanned = 0;
+  let cursor = url.searchParams.get('cursor') || undefined;
+  do {
+    const page = await env.RATE_LIMIT_KV.list({ prefix, limit: limit - names.length, cursor });
+    scanned += page.keys.length;
+    for (const k of page.keys) {
+      if (isProtectedKey(k.name) || (coin && !keyMatchesCoin(k.name, coin))) continue;
+      names.push(k.name);
+      expirations.set(k.name, k.expiration);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && names.length < limit && scanned < ADMIN_PURGE_SCAN_LIMIT);
+  
+  const values = await Promise.all(names.map(name => env.RATE_LIMIT_KV.get(name)));
+  const now = Date.now();
+  const entries = names
+    .map((name, i) => values[i] == null ? null : {
+      ...describeCacheEntry(name, values[i], now),
+      expiresAt: expirations.get(name) ? new Date(expirations.get(name) * 1000).toISOString() : null
+    })
+    .filter(Boolean);
+  
+  return jsonResponse({ prefix, coin, entries, cursor });
+}
+
+// GET /admin/cache/entry?key=
+async function handleAdminCacheEntry(request, env) {
+  if (request.method !== 'GET') return adminMethodNotAllowed('GET');
+  const key = new URL(request.url).searchParams.get('key');
+  if (!key) {
+    return jsonResponse({ error: 'key is required', code: 'invalid_request' }, 400);
+  }
+  if (isProtectedKey(key)) {
+    return jsonResponse({ error: `${key} is managed by its own admin route`, code: 'protected_key' }, 403);
+  }
+  const raw = await env.RATE_LIMIT_KV.get(key);
+  if (raw == null) {
+    return jsonResponse({ error: `No cache entry ${key}`, code: 'not_found' }, 404);
+  }
+  let value = raw;
+  try {
+    value = JSON.parse(raw);
+  } catch (e) {
+    // returned as stored
+  }
+  return jsonResponse({ ...describeCacheEntry(key, raw), value });
+}
+
+// POST /admin/cache/purge { prefix?, coin?, source?, dryRun?, cursor? }
+async function handleAdminCachePurge(request, env) {
+  if (request.method !== 'POST') return adminMethodNotAllowed('POST');
+  const body = await request.json().catch(() => null);
+  const { prefix = '', coin, source, dryRun = false, cursor } = body || {};
+  if (!prefix && !coin && !source) {
+    return jsonResponse({ error: 'At least one of prefix, coin or source is required', code: 'invalid_request' }, 400);
+  }
+  
+  const matched = [];
+  let scanned = 0;
+  let next = cursor;
+  do {
+    const page = await env.RATE_LIMIT_KV.list({ prefix, cursor: next, limit: Math.min(ADMIN_LIST_LIMIT * 10, ADMIN_PURGE_SCAN_LIMIT - scanned) });
+    scanned += page.keys.length;
+    const names = page.keys.map(k => k.name).filter(name => !isProtectedKey(name) && (!coin || keyMatchesCoin(name, coin)));
+    if (source) {
+      const values = await Promise.all(names.map(name => env.RATE_LIMIT_KV.get(name)));
+      names.forEach((name, i) => {
+        if (values[i] != null && describeCacheEntry(name, values[i]).source === source) matched.push(name);
+      });
+    } else {
+      matched.push(...names);
+    }
+    next = page.list_complete ? null : page.cursor;
+  } while (next && scanned < ADMIN_PURGE_SCAN_LIMIT);
+  
+  if (!dryRun) {
+    await Promise.all(matched.map(name => env.RATE_LIMIT_KV.delete(name)));
+    log.info(`[Admin] Purged ${matched.length} cache entries (prefix=${prefix || '-'}, coin=${coin || '-'}, source=${source || '-'})`);
+  }
+  return jsonResponse({
+    dryRun: Boolean(dryRun),
+    scanned,
+    deleted: dryRun ? 0 : matched.length,
+    keys: matched,
+    cursor: next // more keys to examine: call again with this cursor
+  });
+}
+
+// POST /admin/cache/refresh { coin, parts? } - refetch from the upstreams, bypassing the caches
+async function handleAdminCacheRefresh(request, env) {
+  if (request.method !== 'POST') return adminMethodNotAllowed('POST');
+  const body = await request.json().catch(() => null);
+  const coinInfo = await resolveCoin(body?.coin, env);
+  if (!coinInfo) {
+    return jsonResponse({ error: `Unsupported coin: ${body?.coin}`, code: 'unsupported_coin' }, 400);
+  }
+  const parts = body.parts || ADMIN_REFRESH_PARTS;
+  const unknown = [].concat(parts).filter(part => !ADMIN_REFRESH_PARTS.includes(part));
+  if (unknown.length > 0) {
+    return jsonResponse({ error: `Unknown parts: ${unknown.join(', ')} (expected ${ADMIN_REFRESH_PARTS.join(', ')})`, code: 'invalid_request' }, 400);
+  }
+  
+  const coinId = coinInfo.id;
+  const refreshed = [];
+  const failed = {};
+  if (parts.includes('price')) {
+    const { cacheStatus, errors } = await getCanonicalPrices([coinId], env, { force: true });
+    if (cacheStatus[coinId] === 'miss') refreshed.push(`price_${coinId}`);
+    else failed[`price_${coinId}`] = errors[coinId]?.code || cacheStatus[coinId] || 'unknown';
+  }
+  if (parts.includes('history')) {
+    for (const days of ADMIN_REFRESH_HISTORY_DAYS) {
+      const window = toHistoryWindow({ days });
+      const key = historyCacheKey(coinId, window);
+      try {
+        await fetchFreshHistoryData(coinId, window, env);
+        refreshed.push(key);
+      } catch (err) {
+        failed[key] = err.code || err.message;
+      }
+    }
+  }
+  if (parts.includes('sentiment')) {
+    try {
+      const { result } = await buildSentimentSummary(coinId, env, { force: true });
+      if (result.count > 0) refreshed.push(`sentiment_${coinId}`);
+      else failed[`sentiment_${coinId}`] = 'no_headlines';
+    } catch (err) {
+      failed[`sentiment_${coinId}`] = err.code || err.message;
+    }
+  }
+  if (parts.includes('mood')) {
+    try {
+      await env.RATE_LIMIT_KV.delete(`mood_index_${coinId}`);
+      await getMoodComponentSeries(coinId, env);
+      refreshed.push(`mood_index_${coinId}`);
+    } catch (err) {
+      failed[`mood_index_${coinId}`] = err.code || err.message;
+    }
+  }
+  
+  log.info(`[Admin] Refreshed ${coinId}: ${refreshed.length} entries, ${Object.keys(failed).length} failed`);
+  return jsonResponse({ coin: coinId, refreshed, failed, timestamp: new Date().toISOString() });
+}
+
+// GET /admin/audit?limit=&cursor= (newest first)
+async function handleAdminAudit(request, env) {
+  if (request.method !== 'GET') return adminMethodNotAllowed('GET');
+  const url = new URL(request.url);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), ADMIN_LIST_LIMIT);
+  const page = await env.RATE_LIMIT_KV.list({ prefix: ADMIN_AUDIT_PREFIX, limit, cursor: url.searchParams.get('cursor') || undefined });
+  const values = await Promise.all(page.keys.map(k => env.RATE_LIMIT_KV.get(k.name)));
+  return jsonResponse({
+    entries: values.filter(Boolean).map(raw => JSON.parse(raw)),
+    cursor: page.list_complete ? null : page.cursor
+  });
+}
+
+// Redacted, with long arrays cut down, so audit entries stay small
+function auditValue(value, secrets) {
+  const trim = (v) => {
+    if (Array.isArray(v)) return v.length > 20 ? [...v.slice(0, 20).map(trim), `... ${v.length - 20} more`] : v.map(trim);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, item]) => [k, trim(item)]));
+    return v;
+  };
+  return trim(redact(value, secrets));
+}
+
+async function writeAuditEntry(env, entry) {
+  const now = Date.now();
+  const key = `${ADMIN_AUDIT_PREFIX}${String(ADMIN_AUDIT_KEY_MAX - now).padStart(13, '0')}_${randomHex(3)}`;
+  log.info(`[Admin] ${entry.action} -> ${entry.status}`, { audit: entry });
+  try {
+    await env.RATE_LIMIT_KV.put(key, JSON.stringify(entry), { expirationTtl: ADMIN_AUDIT_TTL_SECONDS });
+  } catch (e) {
+    log.error('[Admin] Failed to write audit entry:', e.message);
+  }
+}
+
+// `bodyToken` routes also accept the legacy { token } body (ADMIN_PURGE_TOKEN)
+const ADMIN_ROUTES = [
+  { path: '/admin/keys', handler: handleAdminKeys },
+  { path: '/admin/keys/{id}', prefix: '/admin/keys/', handler: handleAdminKeys },
+  { path: '/admin/usage', handler: handleAdminKeys },
+  { path: '/admin/metrics', handler: handleAdminMetrics, audit: false }, // scraped every few seconds
+  { path: '/admin/cache', handler: handleAdminCacheList },
+  { path: '/admin/cache/entry', handler: handleAdminCacheEntry },
+  { path: '/admin/cache/purge', handler: handleAdminCachePurge },
+  { path: '/admin/cache/refresh', handler: handleAdminCacheRefresh },
+  { path: '/admin/audit', handler: handleAdminAudit },
+  { path: '/admin/purge-legacy-cache', handler: handlePurgeLegacyCache, bodyToken: true }
+];
+
+// Authenticate, dispatch and audit an /admin request. Returns null for other paths.
+export async function routeAdminRequest(request, env) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+  if (path !== '/admin' && !path.startsWith('/admin/')) return null;
+  
+  const route = ADMIN_ROUTES.find(r => r.path === path || (r.prefix && path.startsWith(r.prefix)));
+  recordRoute(route ? route.path : 'unmatched');
+  if (!route) {
+    return jsonResponse({ error: `No admin route for ${path}`, code: 'not_found' }, 404);
+  }
+  
+  const body = request.method === 'POST' ? await request.clone().json().catch(() => null) : null;
+  const legacyToken = route.bodyToken && env.ADMIN_PURGE_TOKEN && timingSafeEqual(body?.token, env.ADMIN_PURGE_TOKEN);
+  const authorized = isAdminRequest(request, env) || legacyToken;
+  let response;
+  if (authorized) {
+    response = await route.handler(request, env, path);
+  } else {
+    log.warn(`[Admin] Unauthorized ${request.method} ${path}`, { ip: request.headers.get('CF-Connecting-IP') || null });
+    response = jsonResponse({ error: 'Forbidden - invalid or missing admin token', code: 'forbidden' }, 403);
+  }
+  
+  if (authorized && route.audit !== false) {
+    const secrets = logContext.getStore()?.secrets || [];
+    const { token, ...params } = body || {};
+    const result = request.method !== 'GET'
+      ? await response.clone().json().catch(() => null)
+      : null;
+    await writeAuditEntry(env, {
+      time: new Date().toISOString(),
+      requestId: currentRequestId(),
+      action: `${request.method} ${route.path}`,
+      path,
+      query: auditValue(Object.fromEntries(url.searchParams), secrets),
+      body: body ? auditValue(params, secrets) : null,
+      ip: request.headers.get('CF-Connecting-IP') || null,
+      status: response.status,
+      result: result ? auditValue(result, secrets) : null
+    });
+  }
+  return response;
+}
+
+// POST /admin/purge-legacy-cache: delete price/history entries still holding CoinGecko data
+async function handlePurgeLegacyCache(request, env) {
+  if (request.method !== 'POST') return adminMethodNotAllowed('POST');
+  try {
+    log.info('[Admin] Starting legacy cache purge...');
+    log.debug('[Admin] This deletes OLD CoinGecko cache and forces fresh CoinCap data');
+    const deleted = [];
+    const errors = [];
+    
+    // Purge price cache for all supported coins
+    // NOTE: This scans for OLD cache entries with source="coingecko" and DELETES them
+    // After deletion, normal requests will fetch FRESH data from CoinCap API
+    for (const coin of Object.keys(SUPPORTED_COINS)) {
+      const priceKey = `price_${coin}`;
+      try {
+        const raw = await env.RATE_LIMIT_KV.get(priceKey);
+        if (raw) {
+          try {
+            const parsed = JSON.parse(raw);
+            const source = parsed?.data?.source || parsed?.source;
+            // Check if this is OLD CoinGecko data → DELETE it
+            if (source === 'coingecko') {
+              await env.RATE_LIMIT_KV.delete(priceKey);
+              deleted.push(priceKey);
+              log.debug(`[Admin] Deleted legacy CoinGecko price cache: ${priceKey}`);
+            }
+          } catch (parseErr) {
+            // Corrupt entry - delete it anyway
+            await env.RATE_LIMIT_KV.delete(priceKey);
+            deleted.push(`${priceKey} (corrupt)`);
+            log.debug(`[Admin] Deleted corrupt cache: ${priceKey}`);
+          }
+        }
+      } catch (err) {
+        errors.push({ key: priceKey, error: err.message });
+        log.error(`[Admin] Error processing ${priceKey}:`, err.message);
+      }
+      
+      // Purge history cache for common day values
+      // NOTE: Same logic - check for OLD CoinGecko data and DELETE it
+      for (const days of [1, 7, 30]) {
+        const historyKey = `history_${coin}_${days}`;
+        try {
+          const raw = await env.RATE_LIMIT_KV.get(historyKey);
+          if (raw) {
+            try {
+              const parsed = JSON.parse(raw);
+              const source = parsed?.data?.source || parsed?.source;
+              // Check if this is OLD CoinGecko data → DELETE it
+              if (source === 'coingecko') {
+                await env.RATE_LIMIT_KV.delete(historyKey);
+                deleted.push(historyKey);
+                log.debug(`[Admin] Deleted legacy CoinGecko history cache: ${historyKey}`);
+              }
+            } catch (parseErr) {
+              // Corrupt entry - delete it anyway
+              await env.RATE_LIMIT_KV.delete(historyKey);
+              deleted.push(`${historyKey} (corrupt)`);
+              log.debug(`[Admin] Deleted corrupt cache: ${historyKey}`);
+            }
+          }
+        } catch (err) {
+          errors.push({ key: historyKey, error: err.message });
+          log.error(`[Admin] Error processing ${historyKey}:`, err.message);
+        }
+      }
+    }
+    
+    const result = {
+      status: 'completed',
+      deleted: deleted.length,
+      keys: deleted,
+      errors: errors.length > 0 ? errors : undefined,
+      timestamp: new Date().toISOString()
+    };
+    
+    log.info(`[Admin] Purge completed: ${deleted.length} keys deleted, ${errors.length} errors`);
+    
+    return jsonResponse(result);
+    
+  } catch (err) {
+    log.error('[Admin] Purge endpoint error:', err);
+    return errorResponse(`Admin operation failed: ${err.message}`, 500);
+  }
+}
@@ -0,0 +1,1428 @@
+// =============================================================================
+// AI-POWERED TECHNICAL ANALYSIS HANDLERS
+// =============================================================================
+
+import { AI_MODEL_TIMEOUT_MS, AI_REPAIR_TIMEOUT_MS, AI_TOTAL_TIMEOUT_MS, COHERE_API_BASE } from './config.js';
+import { errorResponse, jsonResponse } from './http.js';
+import { log } from './log.js';
+import { guardedFetch } from './upstream.js';
+import { getCanonicalOHLC } from './ohlc.js';
+import { canonicalFormatNumber, getCanonicalPrice } from './prices.js';
+
+/**
+ * AI Market Mood Classification
+ * Uses Cohere v2/classify to analyze technical signals and determine market sentiment
+ */
+export async function handleAIAnalysis(request, env) {
+  try {
+    if (request.method !== 'POST') {
+      return errorResponse('Method not allowed', 405);
+    }
+    
+    const body = await request.json();
+    const { rsi, smaSignal, bbSignal, priceData, coin } = body;
+    
+    if (!rsi || !smaSignal || !bbSignal || !priceData) {
+      return errorResponse('Missing required technical analysis data');
+    }
+    
+    // Try Cohere AI classification first, with fallback to rule-based analysis
+    try {
+      return await classifyMarketMoodWithCohere(rsi, smaSignal, bbSignal, priceData, coin, env);
+    } catch (error) {
+      log.debug('Cohere AI classification failed, using fallback:', error.message);
+      return classifyMarketMoodFallback(rsi, smaSignal, bbSignal, priceData, coin);
+    }
+    
+  } catch (error) {
+    log.error('AI Analysis error:', error);
+    return errorResponse(`Failed to perform AI analysis: ${error.message}`);
+  }
+}
+
+/**
+ * Enhanced AI Market Mood Classification with Candlestick Patterns
+ * Uses Cohere v2/classify to analyze technical signals AND candlestick patterns
+ */
+export async function handleAIAnalysisEnhanced(request, env) {
+  try {
+    if (request.method !== 'POST') {
+      return errorResponse('Method not allowed', 405);
+    }
+    
+    const body = await request.json();
+    const { rsi, smaSignal, bbSignal, priceData, candlePatterns, coin } = body;
+    
+    if (!rsi || !smaSignal || !bbSignal || !priceData) {
+      return errorResponse('Missing required technical analysis data');
+    }
+    
+    // Try enhanced Cohere AI classification with patterns
+    try {
+      return await classifyMarketMoodWithCohereEnhanced(rsi, smaSignal, bbSignal, priceData, candlePatterns || [], coin, env);
+    } catch (error) {
+      log.debug('Enhanced Cohere AI classification failed, using enhanced fallback:', error.message);
+      return classifyMarketMoodEnhancedFallback(rsi, smaSignal, bbSignal, priceData, candlePatterns || [], coin);
+    }
+    
+  } catch (error) {
+    log.error('Enhanced AI Analysis error:', error);
+    return errorResponse(`Failed to perform enhanced AI analysis: ${error.message}`);
+  }
+}
+
+// Compute indicators from OHLC data (server-side, canonical)
+export function computeIndicatorsFromOHLC(ohlc, smaPeriod = 4, rsiPeriod = 14, bbPeriod = 20) {
+  if (!ohlc || ohlc.length === 0) {
+    return { rsi: 50, sma: 0, bb: { lower: 0, upper: 0 }, smaPeriod };
+  }
+  
+  // Extract prices from OHLC (use close prices)
+  const prices = ohlc.map(c => c.close);
+  
+  // Compute SMA
+  let sma = 0;
+  if (prices.length >= smaPeriod) {
+    const sum = prices.slice(-smaPeriod).reduce((a, b) => a + b, 0);
+    sma = sum / smaPeriod;
+  } else {
+    sma = prices.length > 0 ? prices[prices.length - 1] : 0;
+  }
+  
+  // Compute RSI
+  let rsi = 50;
+  if (prices.length >= rsiPeriod + 1) {
+    const changes = [];
+    for (let i = 1; i < prices.length; i++) {
+      changes.push(prices[i] - prices[i - 1]);
+    }
+    
+    let avgGain = 0, avgLoss = 0;
+    for (let i = 0; i < rsiPeriod && i < changes.length; i++) {
+      if (changes[i] > 0) avgGain += changes[i];
+      else avgLoss += Math.abs(changes[i]);
+    }
+    avgGain /= rsiPeriod;
+    avgLoss /= rsiPeriod;
+    
+    // Wilder's smoothing for subsequent values
+    for (let i = rsiPeriod; i < changes.length; i++) {
+      if (changes[i] > 0) {
+        avgGain = (avgGain * (rsiPeriod - 1) + changes[i]) / rsiPeriod;
+        avgLoss = (avgLoss * (rsiPeriod - 1)) / rsiPeriod;
+      } else {
+        avgGain = (avgGain * (rsiPeriod - 1)) / rsiPeriod;
+        avgLoss = (avgLoss * (rsiPeriod - 1) + Math.abs(changes[i])) / rsiPeriod;
+      }
+    }
+    
+    if (avgLoss === 0) {
+      rsi = 100;
+    } else {
+      const rs = avgGain / avgLoss;
+      rsi = 100 - (100 / (1 + rs));
+    }
+    rsi = Math.max(0, Math.min(100, rsi));
+  }
+  
+  // Compute Bollinger Bands
+  let bbLower = 0, bbUpper = 0;
+  if (prices.length >= bbPeriod) {
+    const bbPrices = prices.slice(-bbPeriod);
+    const bbMean = bbPrices.reduce((a, b) => a + b, 0) / bbPeriod;
+    const variance = bbPrices.reduce((sum, p) => sum + Math.pow(p - bbMean, 2), 0) / (bbPeriod - 1);
+    const stdDev = Math.sqrt(variance);
+    bbLower = bbMean - (2 * stdDev);
+    bbUpper = bbMean + (2 * stdDev);
+  } else {
+    const lastPrice = prices[prices.length - 1] || 0;
+    bbLower = lastPrice * 0.95;
+    bbUpper = lastPrice * 1.05;
+  }
+  
+  return {
+    rsi: Math.round(rsi * 100) / 100,
+    sma: Math.round(sma * 100) / 100,
+    bb: {
+      lower: Math.round(bbLower * 100) / 100,
+      upper: Math.round(bbUpper * 100) / 100
+    },
+    smaPeriod
+  };
+}
+
+// Build canonical technical context for AI (server-authoritative)
+export function buildTechnicalContextForAI({ price, rsi, sma, smaPeriod, bb }, timeframe) {
+  // Round/format identically to chart
+  const P = canonicalFormatNumber(price, 2);
+  const R = canonicalFormatNumber(rsi, 2);
+  const S = canonicalFormatNumber(sma, 2);
+  const L = canonicalFormatNumber(bb.lower, 2);
+  const U = canonicalFormatNumber(bb.upper, 2);
+  const PERIOD = String(smaPeriod);
+  const TF = String(timeframe);
+  
+  // Derived metrics (also canonical); a zero base (no candles yet) reads as 0% rather than NaN
+  const pctOf = (delta, base) => (Number(base) ? (delta / Number(base)) * 100 : 0);
+  const priceVsSmaPct = pctOf(Number(P) - Number(S), S);
+  const distToLowerPct = pctOf(Number(P) - Number(L), L);
+  const distToUpperPct = pctOf(Number(U) - Number(P), P);
+  const bandWidthPct = pctOf(Number(U) - Number(L), S);
+  
+  const PV = canonicalFormatNumber(priceVsSmaPct, 2);
+  const DL = canonicalFormatNumber(distToLowerPct, 2);
+  const DU = canonicalFormatNumber(distToUpperPct, 2);
+  const BW = canonicalFormatNumber(bandWidthPct, 2);
+  
+  // Build allowed numbers set (exact strings)
+  const allowedNumbers = [
+    P, R, S, L, U, PERIOD, TF,
+    PV, DL, DU, BW,
+    "30", "40", "60", "70" // Common RSI thresholds
+  ];
+  
+  return {
+    P, R, S, L, U, PERIOD, TF,
+    PV, DL, DU, BW,
+    allowedNumbers,
+    technicalContext: {
+      currentPrice: Number(P),
+      currentRSI: Number(R),
+      currentSMA: Number(S),
+      smaPeriod: Number(PERIOD),
+      bb: { lower: Number(L), upper: Number(U) },
+      timeframe: Number(TF)
+    }
+  };
+}
+
+/**
+ * AI Pattern Explanation 
+ * Uses Cohere v2/chat to provide natural language explanations of technical patterns
+ */
+export async function handleAIExplain(request, env) {
+  const startTime = Date.now();
+  const requestId = `ai-explain-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  log.debug(`[AI] ai-explain-request-start: requestId=${requestId}, ts=${startTime}`);
+  
+  try {
+    if (request.method !== 'POST') {
+      log.debug(`[AI] ai-explain-request-end: method-not-allowed, latency=${Date.now() - startTime}ms`);
+      return errorResponse('Method not allowed', 405);
+    }
+    
+    const parseStart = Date.now();
+    const body = await request.json();
+    const parseLatency = Date.now() - parseStart;
+    const { rsi, sma, bb, signals, coin, timeframe, currentPrice, currentRSI, currentSMA, currentBBUpper, currentBBLower, priceData } = body;
+    log.debug(`[AI] ai-explain: parsed request body in ${parseLatency}ms`);
+    
+    if (!coin || !timeframe) {
+      log.debug(`[AI] ai-explain-request-end: missing-required-data, latency=${Date.now() - startTime}ms`);
+      return errorResponse('Missing required data: coin and timeframe');
+    }
+    
+    // SERVER-AUTHORITATIVE: Get canonical live price (KV → CoinCap → history)
+    let canonicalPriceObj;
+    const priceFetchStart = Date.now();
+    try {
+      canonicalPriceObj = await getCanonicalPrice(coin, env);
+      const priceFetchLatency = Date.now() - priceFetchStart;
+      log.debug(`[AI] ai-get-canonical-price-complete: price=${canonicalPriceObj.price}, source=${canonicalPriceObj.source}, priceSource=${canonicalPriceObj.priceSource || canonicalPriceObj.source}, latency=${priceFetchLatency}ms`);
+    } catch (priceErr) {
+      const priceFetchLatency = Date.now() - priceFetchStart;
+      log.warn(`[AI] ai-get-canonical-price-failed: error=${priceErr.code || priceErr.message}, latency=${priceFetchLatency}ms`);
+      
+      if (currentPrice) {
+        canonicalPriceObj = { price: Number(currentPrice), timestamp: new Date().toISOString(), source: 'client-fallback', priceSource: 'client-fallback' };
+        log.debug(`[AI] Using client-provided price as fallback: ${canonicalPriceObj.price}`);
+      } else {
+        // Build minimal context for fallback
+        log.debug(`[AI] ai-build-technical-context: building minimal context (no price available)`);
+        const minimalCtx = buildTechnicalContextForAI({
+          price: 0,
+          rsi: 50,
+          sma: 0,
+          smaPeriod: 4,
+          bb: { lower: 0, upper: 0 }
+        }, timeframe);
+        const fallback = buildRuleBasedExplanationStrict({
+          coin,
+          P: '0.00',
+          R: '50.00',
+          S: '0.00',
+          L: '0.00',
+          U: '0.00',
+          PERIOD: '4',
+          TF: String(timeframe),
+          PV: '0.00',
+          DL: '0.00',
+          DU: '0.00',
+          BW: '0.00'
+        });
+        log.debug(`[AI] ai-explain-request-end: status=fallback, reason=price-fetch-failed, latency=${Date.now() - startTime}ms`);
+        return jsonResponse({
+          ok: true,
+          method: 'rule-based-fallback',
+          model: null,
+          explanation: fallback.explanation,
+          technicalContext: fallback.technicalContext,
+          timestamp: new Date().toISOString(),
+          fallbackReason: 'Unable to determine canonical price'
+        }, 200, {
+          'X-AI-Status': 'fallback',
+          'X-AI-Reason': 'price-fetch-failed',
+          'X-Latency-ms': String(Date.now() - startTime)
+        });
+      }
+    }
+    
+    const priceValue = canonicalPriceObj.price;
+    
+    // SERVER-AUTHORITATIVE: Get canonical OHLC and compute indicators server-side
+    let serverIndicators;
+    const ohlcFetchStart = Date.now();
+    try {
+      log.debug(`[AI] ai-get-canonical-ohlc-start: coin=${coin}, timeframe=${timeframe}, ts=${ohlcFetchStart}`);
+      const canonicalOHLC = await getCanonicalOHLC(coin, timeframe, env);
+      const ohlcFetchLatency = Date.now() - ohlcFetchStart;
+      log.debug(`[AI] ai-get-canonical-ohlc-complete: candles=${canonicalOHLC.length}, latency=${ohlcFetchLatency}ms`);
+      
+      // Compute indicators from server OHLC (canonical)
+      const smaPeriod = 4; // Default SMA period
+      const rsiPeriod = 14; // RSI period
+      const bbPeriod = 20; // Bollinger Bands period
+      serverIndicators = computeIndicatorsFromOHLC(canonicalOHLC, smaPeriod, rsiPeriod, bbPeriod);
+      log.debug(`[AI] ai-compute-indicators: RSI=${serverIndicators.rsi}, SMA=${serverIndicators.sma}, BB=[${serverIndicators.bb.lower}-${serverIndicators.bb.upper}], smaPeriod=${smaPeriod}`);
+    } catch (ohlcErr) {
+      const ohlcFetchLatency = Date.now() - ohlcFetchStart;
+      log.warn(`[AI] ai-get-canonical-ohlc-failed: error=${ohlcErr.message}, latency=${ohlcFetchLatency}ms, using fallback indicators`);
+      
+      // Fallback to client-provided indicators if server OHLC fails
+      serverIndicators = {
+        rsi: (rsi && Array.isArray(rsi) && rsi.length > 0) ? rsi[rsi.length - 1].y : (currentRSI || 50),
+        sma: (sma && Array.isArray(sma) && sma.length > 0) ? sma[sma.length - 1].y : (currentSMA || priceValue),
+        bb: {
+          upper: (bb && bb.upper && Array.isArray(bb.upper) && bb.upper.length > 0) ? bb.upper[bb.upper.length - 1].y : (currentBBUpper || priceValue * 1.05),
+          lower: (bb && bb.lower && Array.isArray(bb.lower) && bb.lower.length > 0) ? bb.lower[bb.lower.length - 1].y : (currentBBLower || priceValue * 0.95)
+        },
+        smaPeriod: (signals && Array.isArray(signals)) ? (signals.find(s => s.type === 'SMA')?.period || 4) : 4
+      };
+    }
+    
+    const rsiValue = serverIndicators.rsi;
+    const smaValue = serverIndicators.sma;
+    const bbUpper = serverIndicators.bb.upper;
+    const bbLower = serverIndicators.bb.lower;
+    const smaPeriod = serverIndicators.smaPeriod;
+    
+    const contextBuildStart = Date.now();
+    log.debug(`[AI] ai-build-technical-context-start: P=${priceValue} (canonical, source=${canonicalPriceObj.priceSource || canonicalPriceObj.source}), RSI=${rsiValue}, SMA=${smaValue}, SMA(${smaPeriod}), BB=[${bbLower}-${bbUpper}], timeframe=${timeframe}, ts=${contextBuildStart}`);
+    
+    if (currentPrice && Math.abs(currentPrice - priceValue) > 0.01) {
+      log.debug(`[AI] Price mismatch detected: client=${currentPrice}, canonical=${priceValue} (using canonical)`);
+    }
+    
+    // Build canonical technical context using server-computed indicators
+    const ctx = buildTechnicalContextForAI({
+      price: priceValue,
+      rsi: rsiValue,
+      sma: smaValue,
+      smaPeriod: smaPeriod,
+      bb: { lower: bbLower, upper: bbUpper }
+    }, timeframe);
+    
+    // Include priceSource in technicalContext
+    if (canonicalPriceObj.priceSource) {
+      ctx.technicalContext.priceSource = canonicalPriceObj.priceSource;
+    }
+    
+    const contextBuildLatency = Date.now() - contextBuildStart;
+    log.debug(`[AI] ai-build-technical-context-complete: AllowedNumbers=[${ctx.allowedNumbers.slice(0, 5).join(', ')}...], priceSource=${ctx.technicalContext.priceSource || 'unknown'}, latency=${contextBuildLatency}ms`);
+    
+    // Execute explain flow with overall timeout
+    const doExplain = async () => {
+      const explainStart = Date.now();
+      try {
+        log.debug(`[AI] ai-do-explain-start: entering Cohere flow, timeout=${AI_TOTAL_TIMEOUT_MS}ms, ts=${explainStart}`);
+        const cohereResult = await explainPatternWithCohereStrict(coin, ctx, env);
+        const explainLatency = Date.now() - explainStart;
+        
+        // Price mismatch guard: verify response price matches canonical
+        if (cohereResult.explanation && cohereResult.technicalContext) {
+          const responsePrice = String(cohereResult.technicalContext.currentPrice?.toFixed(2) || ctx.P);
+          if (responsePrice !== ctx.P) {
+            log.debug(`[AI] ai-validate-price-mismatch: response=${responsePrice}, canonical=${ctx.P}`);
+            
+            // Try to patch the explanation (best-effort)
+            try {
+              const patchedExplanation = cohereResult.explanation.replace(
+                new RegExp(responsePrice.replace('.', '\\.'), 'g'),
+                ctx.P
+              );
+              cohereResult.explanation = patchedExplanation;
+              cohereResult.technicalContext.currentPrice = Number(ctx.P);
+              log.debug(`[AI] ai-patch-price: patched explanation to use canonical price ${ctx.P}`);
+              
+              // Re-validate after patch
+              const patchedPrice = String(cohereResult.technicalContext.currentPrice?.toFixed(2) || ctx.P);
+              if (patchedPrice !== ctx.P) {
+                throw Object.assign(new Error('price-mismatch-after-patch'), { code: 'price-mismatch' });
+              }
+            } catch (patchErr) {
+              log.debug(`[AI] ai-patch-price-failed: ${patchErr.message}, returning fallback`);
+              throw Object.assign(new Error('price-mismatch'), { code: 'price-mismatch' });
+            }
+          }
+        }
+        
+        log.debug(`[AI] ai-do-explain-success: status=${cohereResult.repaired ? 'repaired' : 'ok'}, latency=${explainLatency}ms`);
+        return {
+          result: {
+            ok: true,
+            method: 'cohere-chat-api',
+            model: 'command-a-03-2025',
+            explanation: cohereResult.explanation,
+            technicalContext: ctx.technicalContext,
+            timestamp: new Date().toISOString()
+          },
+          status: cohereResult.repaired ? 'repaired' : 'ok',
+          reason: cohereResult.violationReason || null
+        };
+      } catch (error) {
+        const explainLatency = Date.now() - explainStart;
+        log.debug(`[AI] ai-do-explain-failed: error=${error.code || error.message}, latency=${explainLatency}ms, will use fallback`);
+        throw error;
+      }
+    };
+    
+    // Race against total timeout
+    let explainResult;
+    const raceStart = Date.now();
+    try {
+      log.debug(`[AI] ai-explain-race-start: totalTimeout=${AI_TOTAL_TIMEOUT_MS}ms, remainingBudget=${AI_TOTAL_TIMEOUT_MS - (Date.now() - startTime)}ms`);
+      explainResult = await Promise.race([
+        doExplain(),
+        new Promise((_, reject) => 
+          setTimeout(() => {
+            const elapsed = Date.now() - startTime;
+            log.debug(`[AI] ai-total-timeout-triggered: elapsed=${elapsed}ms, timeout=${AI_TOTAL_TIMEOUT_MS}ms`);
+            reject(Object.assign(new Error('ai-total-timeout'), { code: 'ai-total-timeout' }));
+          }, AI_TOTAL_TIMEOUT_MS)
+        )
+      ]);
+      const raceLatency = Date.now() - raceStart;
+      log.debug(`[AI] ai-explain-race-complete: success, raceLatency=${raceLatency}ms`);
+      
+      // Success path
+      const headers = {
+        'X-AI-Status': explainResult.status,
+        'X-Latency-ms': String(Date.now() - startTime)
+      };
+      
+      if (explainResult.reason) {
+        headers['X-AI-Reason'] = explainResult.reason;
+      }
+      
+      log.debug(`[AI] ai-explain-request-end: status=${explainResult.status}, reason=${explainResult.reason || 'none'}, totalLatency=${Date.now() - startTime}ms`);
+      return jsonResponse(explainResult.result, 200, headers);
+      
+    } catch (error) {
+      const raceLatency = Date.now() - raceStart;
+      log.debug(`[AI] ai-fallback-returned: error=${error.code || error.message}, raceLatency=${raceLatency}ms, building fallback`);
+      
+      const fallbackStart = Date.now();
+      log.debug(`[AI] ai-fallback-building: building rule-based fallback explanation`);
+      const fallbackResult = buildRuleBasedExplanationStrict({
+        coin,
+        P: ctx.P,
+        R: ctx.R,
+        S: ctx.S,
+        L: ctx.L,
+        U: ctx.U,
+        PERIOD: ctx.PERIOD,
+        TF: ctx.TF,
+        PV: ctx.PV,
+        DL: ctx.DL,
+        DU: ctx.DU,
+        BW: ctx.BW
+      });
+      const fallbackLatency = Date.now() - fallbackStart;
+      
+      // Ensure technicalContext includes priceSource from ctx
+      const fallbackTechnicalContext = {
+        ...fallbackResult.technicalContext,
+        ...ctx.technicalContext
+      };
+      
+      const reason = error.code || error.message || 'unknown';
+      const headers = {
+        'X-AI-Status': 'fallback',
+        'X-AI-Reason': String(reason),
+        'X-Latency-ms': String(Date.now() - startTime)
+      };
+      
+      log.debug(`[AI] ai-explain-request-end: status=fallback, reason=${reason}, fallbackLatency=${fallbackLatency}ms, totalLatency=${Date.now() - startTime}ms`);
+      return jsonResponse({
+        ok: true,
+        method: 'rule-based-fallback',
+        model: null,
+        explanation: fallbackResult.explanation,
+        technicalContext: fallbackTechnicalContext,
+        timestamp: new Date().toISOString(),
+        fallbackReason: String(reason)
+      }, 200, headers);
+    }
+    
+  } catch (error) {
+    log.error(`[AI] ai-explain-error: requestId=${requestId}, error=${error.message}, stack=${error.stack?.substring(0, 200)}, latency=${Date.now() - startTime}ms`);
+    
+    // Final safety net - always return something
+    const safetyNetStart = Date.now();
+    log.debug(`[AI] ai-explain-safety-net: building minimal fallback`);
+    
+    const minimalCtx = buildTechnicalContextForAI({
+      price: 0,
+      rsi: 50,
+      sma: 0,
+      smaPeriod: 4,
+      bb: { lower: 0, upper: 0 }
+    }, 7);
+    const fallback = buildRuleBasedExplanationStrict({
+      coin: 'bitcoin',
+      P: '0.00',
+      R: '50.00',
+      S: '0.00',
+      L: '0.00',
+      U: '0.00',
+      PERIOD: '4',
+      TF: '7',
+      PV: '0.00',
+      DL: '0.00',
+      DU: '0.00',
+      BW: '0.00'
+    });
+    const safetyNetLatency = Date.now() - safetyNetStart;
+    
+    log.debug(`[AI] ai-explain-request-end: status=fallback, reason=handler-error, safetyNetLatency=${safetyNetLatency}ms, totalLatency=${Date.now() - startTime}ms`);
+    return jsonResponse({
+      ok: true,
+      method: 'rule-based-fallback',
+      model: null,
+      explanation: fallback.explanation,
+      technicalContext: fallback.technicalContext,
+      timestamp: new Date().toISOString(),
+      fallbackReason: error.message || 'unknown-error'
+    }, 200, {
+      'X-AI-Status': 'fallback',
+      'X-AI-Reason': 'handler-error',
+      'X-Latency-ms': String(Date.now() - startTime)
+    });
+  }
+}
+
+/**
+ * Classify market mood using Cohere's v2/classify endpoint
+ */
+async function classifyMarketMoodWithCohere(rsi, smaSignal, bbSignal, priceData, coin, env) {
+  // Calculate price trend from recent data
+  const recentPrices = priceData.slice(-5);
+  const oldPrice = recentPrices[0]?.y || 0;
+  const newPrice = recentPrices[recentPrices.length - 1]?.y || 0;
+  const priceChange = ((newPrice - oldPrice) / oldPrice) * 100;
+  
+  let priceTrend = 'sideways movement';
+  if (priceChange > 2) priceTrend = 'rising strongly';
+  else if (priceChange > 0.5) priceTrend = 'rising gradually';
+  else if (priceChange < -2) priceTrend = 'declining sharply';
+  else if (priceChange < -0.5) priceTrend = 'declining gradually';
+  
+  // Create input text for classification
+  const inputText = `RSI: ${rsi.toFixed(0)}, SMA: ${smaSignal}, BB: ${bbSignal}, Price trend: ${priceTrend}`;
+  
+  log.debug('Classifying market mood for:', inputText);
+  
+  // Calculate dynamic confidence based on signal strength
+  let baseConfidence = 60;
+  
+  // RSI confidence factors
+  if (rsi >= 70 || rsi <= 30) baseConfidence += 20; // Strong RSI signals
+  else if (rsi >= 60 || rsi <= 40) baseConfidence += 10; // Moderate RSI signals
+  
+  // SMA signal confidence
+  if (smaSignal === 'BUY') baseConfidence += 10;
+  else if (smaSignal === 'SELL') baseConfidence += 10;
+  
+  // Price trend confidence
+  if (priceChange > 2 || priceChange < -2) baseConfidence += 10; // Strong trends
+  else if (Math.abs(priceChange) > 0.5) baseConfidence += 5; // Moderate trends
+  
+  // Cap confidence at 90%
+  baseConfidence = Math.min(90, baseConfidence);
+  
+  // Create a comprehensive prompt for Chat API classification
+  const prompt = `You are a cryptocurrency market sentiment classifier. Based on the technical analysis indicators provided, classify the market sentiment as exactly one of: "bullish", "bearish", or "neutral".
+
+Technical Analysis Data:
+${inputText}
+
+Guidelines:
+- "bullish": Strong positive signals, RSI oversold (under 30) with buy signals, or strong upward momentum
+- "bearish": Strong negative signals, RSI overbought (over 70) with sell signals, or strong downward momentum  
+- "neutral": Mixed signals, RSI in normal range (30-70), or conflicting indicators
+
+Examples:
+- RSI: 25, SMA: BUY, BB: BUY, Price trend: rising strongly → bullish
+- RSI: 80, SMA: SELL, BB: SELL, Price trend: declining sharply → bearish
+- RSI: 50, SMA: NEUTRAL, BB: NEUTRAL, Price trend: sideways movement → neutral
+
+Respond with ONLY a JSON object in this exact format:
+{"sentiment": "bullish", "confidence": ${baseConfidence}, "reasoning": "Brief explanation"}
+
+The confidence should be a number between 50-95 based on how clear the signals are.`;
+  
+  // Make request to Cohere Chat API v2
+  const response = await guardedFetch(`${env.COHERE_API_BASE || COHERE_API_BASE}/chat`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.COHERE_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+        model: 'command-a-03-2025',
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+      max_tokens: 200
+    }),
+  }, env);
+  
+  if (!response.ok) {
+    const errorBody = await response.text();
+    log.debug('Cohere Chat API error:', errorBody);
+    throw new Error(`Cohere Chat API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  log.debug('Cohere Chat API success for classification');
+  
+  // Extract the classification result
+  const messageContent = data.message?.content?.[0]?.text || '';
+  
+  try {
+    // Extract JSON from response
+    const jsonMatch = messageContent.match(/\{.*\}/s);
+    if (jsonMatch) {
+      const result = JSON.parse(jsonMatch[0]);
+      
+      return jsonResponse({
+        mood: result.sentiment,
+        confidence: baseConfidence, // Use our calculated confidence instead of AI's
+        reasoning: result.reasoning || `Based on RSI ${rsi.toFixed(1)}, SMA: ${smaSignal}, BB: ${bbSignal}, price trend: ${priceTrend}`,
+        method: 'cohere-chat-api',
+        coin: coin,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      throw new Error('No JSON found in response');
+    }
+  } catch (parseError) {
+    log.debug('Failed to parse AI classification response:', parseError.message);
+    throw new Error('Invalid response format from Cohere Chat API');
+  }
+}
+
+/**
+ * Enhanced classification with candlestick patterns
+ */
+async function classifyMarketMoodWithCohereEnhanced(rsi, smaSignal, bbSignal, priceData, candlePatterns, coin, env) {
+  // Enhanced examples that include pattern analysis
+  const examples = [
+    {
+      text: "RSI: 85, SMA: SELL, BB: SELL, Price trend: declining sharply, Patterns: 3 bearish reversal",
+      label: "bearish"
+    },
+    {
+      text: "RSI: 25, SMA: BUY, BB: BUY, Price trend: rising from oversold, Patterns: 2 bullish hammer",
+      label: "bullish"
+    },
+    {
+      text: "RSI: 45, SMA: NEUTRAL, BB: NEUTRAL, Price trend: sideways movement, Patterns: 4 doji neutral",
+      label: "neutral"
+    },
+    {
+      text: "RSI: 75, SMA: BUY, BB: NEUTRAL, Price trend: strong upward momentum, Patterns: 3 bullish continuation",
+      label: "bullish"
+    },
+    {
+      text: "RSI: 30, SMA: SELL, BB: SELL, Price trend: continued downtrend, Patterns: 2 shooting star bearish",
+      label: "bearish"
+    },
+    {
+      text: "RSI: 55, SMA: BUY, BB: BUY, Price trend: breaking resistance, Patterns: 1 bullish engulfing",
+      label: "bullish"
+    }
+  ];
+  
+  // Calculate price trend
+  const recentPrices = priceData.slice(-5);
+  const oldPrice = recentPrices[0]?.y || 0;
+  const newPrice = recentPrices[recentPrices.length - 1]?.y || 0;
+  const priceChange = ((newPrice - oldPrice) / oldPrice) * 100;
+  
+  let priceTrend = 'sideways movement';
+  if (priceChange > 2) priceTrend = 'rising strongly';
+  else if (priceChange > 0.5) priceTrend = 'rising gradually';
+  else if (priceChange < -2) priceTrend = 'declining sharply';
+  else if (priceChange < -0.5) priceTrend = 'declining gradually';
+  
+  // Analyze patterns
+  const bullishPatterns = candlePatterns.filter(p => p.signal === 'BUY').length;
+  const bearishPatterns = candlePatterns.filter(p => p.signal === 'SELL').length;
+  const neutralPatterns = candlePatterns.filter(p => p.signal === 'NEUTRAL').length;
+  
+  let patternText = 'no clear patterns';
+  if (bullishPatterns > bearishPatterns && bullishPatterns > 0) {
+    patternText = `${bullishPatterns} bullish patterns`;
+  } else if (bearishPatterns > bullishPatterns && bearishPatterns > 0) {
+    patternText = `${bearishPatterns} bearish patterns`;
+  } else if (neutralPatterns > 2) {
+    patternText = `${neutralPatterns} neutral patterns`;
+  }
+  
+  // Create enhanced input text
+  const inputText = `RSI: ${rsi.toFixed(0)}, SMA: ${smaSignal}, BB: ${bbSignal}, Price trend: ${priceTrend}, Patterns: ${patternText}`;
+  
+  log.debug('Enhanced classification for:', inputText);
+  
+  // Make request to Cohere Classify API v2
+  const response = await guardedFetch(`${env.COHERE_API_BASE || COHERE_API_BASE}/classify`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.COHERE_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model: 'embed-english-v3.0',
+      inputs: [inputText],
+      examples: examples,
+      task_description: 'Classify cryptocurrency market sentiment based on technical analysis indicators AND candlestick patterns. Use "bullish" for positive outlook, "bearish" for negative outlook, and "neutral" for mixed or unclear signals.'
+    }),
+  }, env);
+  
+  if (!response.ok) {
+    const errorBody = await response.text();
+    log.debug('Enhanced Cohere Classify API error:', errorBody);
+    throw new Error(`Enhanced Cohere Classify API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  log.debug('Enhanced Cohere Classify API success:', data);
+  
+  // Extract classification result
+  const classification = data.classifications?.[0];
+  if (!classification) {
+    throw new Error('No enhanced classification result returned');
+  }
+  
+  const prediction = classification.prediction;
+  const confidence = classification.confidence || 0;
+  const confidencePercentage = Math.round(confidence * 100);
+  
+  return jsonResponse({
+    mood: prediction,
+    confidence: confidencePercentage,
+    reasoning: `Enhanced analysis: RSI ${rsi.toFixed(1)}, SMA: ${smaSignal}, BB: ${bbSignal}, price trend: ${priceTrend}, with ${patternText}`,
+    method: 'cohere-enhanced-api',
+    patterns: patternText,
+    coin: coin,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Explain trading patterns using Cohere Chat API v2
+ */
+// Call Cohere model with timeout
+async function callModelWithTimeout(coin, ctx, timeoutMs, env) {
+  const { P, R, S, L, U, PERIOD, TF, PV, DL, DU, BW, allowedNumbers } = ctx;
+  
+  const systemPrompt = `You are a crypto technical analysis assistant. STRICT RULES:
+1) You may only use the numeric values listed in 'AllowedNumbers'. Do NOT invent or alter any numbers.
+2) Refer to the moving average exactly as 'SMA(${PERIOD})' where PERIOD is provided. Do NOT use labels like '50-day' or '200-day' unless PERIOD equals those values.
+3) Output must be valid JSON (see schema), and any free-text explanation must not contain numeric values not in AllowedNumbers.
+4) Keep the free-text explanation concise; if you cannot comply, return an object with { "ok": false, "reason": "violation" }.`;
+
+  const userPrompt = `Context: coin=${coin.toUpperCase()}, timeframe=${TF} days. AllowedNumbers: ${P}, ${R}, ${S}, ${L}, ${U}, ${PERIOD}, ${TF}.
+
+Return a JSON object (no other top-level text) with this exact schema:
+{
+  "ok": true | false,
+  "method": "cohere-chat-api" | "rule-based-fallback",
+  "model": "<cohere-model-name>",
+  "explanation": "<Markdown string no numbers outside AllowedNumbers>",
+  "technicalContext": {
+     "currentPrice": <number>,
+     "currentRSI": <number>,
+     "currentSMA": <number>,
+     "smaPeriod": <number>,
+     "bb": { "lower": <number>, "upper": <number> },
+     "timeframe": <number>
+  },
+  "timestamp": "<ISO timestamp>"
+}
+
+If you cannot produce compliant output, set ok=false and explain short reason.`;
+
+  const modelCallStart = Date.now();
+  log.debug(`[AI] ai-model-call-start: coin=${coin}, timeout=${timeoutMs}ms, ts=${modelCallStart}`);
+  
+  const controller = new AbortController();
+  let timeoutId;
+  
+  try {
+    // Set up timeout promise
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        const elapsed = Date.now() - modelCallStart;
+        log.debug(`[AI] ai-model-call-timeout: exceeded ${timeoutMs}ms, elapsed=${elapsed}ms`);
+        reject(Object.assign(new Error('ai-model-timeout'), { code: 'ai-model-timeout' }));
+      }, timeoutMs);
+    });
+    
+    // Fetch with AbortController
+    const fetchPromise = guardedFetch(`${env.COHERE_API_BASE || COHERE_API_BASE}/chat`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.COHERE_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: 'command-a-03-2025',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        temperature: 0.3,
+        max_tokens: 1500
+      }),
+      signal: controller.signal
+    }, env);
+    
+    const response = await Promise.race([fetchPromise, timeoutPromise]);
+    
+    if (timeoutId) clearTimeout(timeoutId);
+    
+    const fetchLatency = Date.now() - modelCallStart;
+    log.debug(`[AI] ai-model-call: fetch completed in ${fetchLatency}ms, status=${response.status}`);
+    
+    if (!response.ok) {
+      const errorBody = await response.text().catch(() => '');
+      log.debug(`[AI] ai-model-call-error: HTTP ${response.status}, body=${errorBody.substring(0, 100)}`);
+      throw Object.assign(new Error(`Cohere Chat API error: ${response.status}`), { code: 'cohere-api-error' });
+    }
+    
+    const parseStart = Date.now();
+    const data = await response.json();
+    const parseLatency = Date.now() - parseStart;
+    const messageContent = data.message?.content?.[0]?.text || '';
+    log.debug(`[AI] ai-model-call: parsed response in ${parseLatency}ms, contentLength=${messageContent.length}`);
+    
+    // Parse JSON from response
+    let result;
+    try {
+      const jsonMatch = messageContent.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        result = JSON.parse(jsonMatch[0]);
+      } else {
+        throw new Error('No JSON object found in response');
+      }
+    } catch (parseError) {
+      log.debug(`[AI] ai-model-call-parse-error: ${parseError.message}`);
+      throw Object.assign(new Error('Invalid response format from Cohere'), { code: 'cohere-parse-error' });
+    }
+    
+    if (result.ok === false) {
+      log.debug(`[AI] ai-model-call-compliance-error: reason=${result.reason}`);
+      throw Object.assign(new Error(`Model compliance failure: ${result.reason || 'unknown'}`), { code: 'model-compliance-failure' });
+    }
+    
+    const totalLatency = Date.now() - modelCallStart;
+    log.debug(`[AI] ai-model-call-end: success, totalLatency=${totalLatency}ms`);
+    return {
+      explanation: result.explanation || messageContent,
+      technicalContext: result.technicalContext || ctx.technicalContext,
+      rawResponse: messageContent
+    };
+    
+  } catch (error) {
+    if (timeoutId) clearTimeout(timeoutId);
+    const totalLatency = Date.now() - modelCallStart;
+    
+    if (error.name === 'AbortError' || error.code === 'ai-model-timeout') {
+      log.debug(`[AI] ai-model-call-timeout: exceeded ${timeoutMs}ms, totalLatency=${totalLatency}ms`);
+      throw Object.assign(new Error('ai-model-timeout'), { code: 'ai-model-timeout' });
+    }
+    
+    log.debug(`[AI] ai-model-call-error: ${error.code || error.message}, totalLatency=${totalLatency}ms`);
+    throw error;
+  }
+}
+
+// Call repair with timeout (single attempt)
+async function callRepairWithTimeout(coin, ctx, modelResult, violations, timeoutMs, env) {
+  const { P, R, S, PERIOD, TF, allowedNumbers } = ctx;
+  
+  const systemPrompt = `You are a crypto technical analysis assistant. STRICT RULES:
+1) You may only use the numeric values listed in 'AllowedNumbers'. Do NOT invent or alter any numbers.
+2) Refer to the moving average exactly as 'SMA(${PERIOD})' where PERIOD is provided. Do NOT use labels like '50-day' or '200-day' unless PERIOD equals those values.
+3) Output must be valid JSON (see schema), and any free-text explanation must not contain numeric values not in AllowedNumbers.`;
+
+  const userPrompt = `Context: coin=${coin.toUpperCase()}, timeframe=${TF} days. AllowedNumbers: ${P}, ${R}, ${S}, ${ctx.L}, ${ctx.U}, ${PERIOD}, ${TF}.
+
+Return a JSON object (no other top-level text) with this exact schema:
+{
+  "ok": true | false,
+  "method": "cohere-chat-api" | "rule-based-fallback",
+  "model": "<cohere-model-name>",
+  "explanation": "<Markdown string no numbers outside AllowedNumbers>",
+  "technicalContext": {
+     "currentPrice": <number>,
+     "currentRSI": <number>,
+     "currentSMA": <number>,
+     "smaPeriod": <number>,
+     "bb": { "lower": <number>, "upper": <number> },
+     "timeframe": <number>
+  },
+  "timestamp": "<ISO timestamp>"
+}`;
+
+  const repairPrompt = `Repair: The previous explanation contained violations:
+${violations.details.join('\n')}
+
+CRITICAL CONSISTENCY RULES:
+- If price ${P} >= SMA ${S}, say "above SMA(${PERIOD})" NOT "below"
+- If price ${P} < SMA ${S}, say "below SMA(${PERIOD})" NOT "above"
+- If RSI ${R} >= 60, baseline leans bearish (potential reversal down)
+- If RSI ${R} <= 40, baseline leans bullish (potential reversal up)
+- If RSI ${R} >= 70, it is "overbought" NOT "oversold"
+- If RSI ${R} <= 30, it is "oversold" NOT "overbought"
+
+Please rewrite the "explanation" ensuring:
+1. Use ONLY AllowedNumbers: ${allowedNumbers.join(', ')}
+2. Use label SMA(${PERIOD}) exactly
+3. Be logically consistent with the canonical values
+
+Return the same JSON schema. If you cannot comply, set ok=false and reason:"cannot_comply".`;
+
+  const repairStart = Date.now();
+  log.debug(`[AI] ai-repair-start: coin=${coin}, timeout=${timeoutMs}ms, violations=${violations.details.length}, ts=${repairStart}`);
+  
+  const controller = new AbortController();
+  let timeoutId;
+  
+  try {
+    // Set up timeout promise
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        const elapsed = Date.now() - repairStart;
+        log.debug(`[AI] ai-repair-timeout: exceeded ${timeoutMs}ms, elapsed=${elapsed}ms`);
+        reject(Object.assign(new Error('ai-repair-timeout'), { code: 'ai-repair-timeout' }));
+      }, timeoutMs);
+    });
+    
+    // Fetch with AbortController
+    const fetchPromise = guardedFetch(`${env.COHERE_API_BASE || COHERE_API_BASE}/chat`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.COHERE_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: 'command-a-03-2025',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+          { role: 'assistant', content: modelResult.rawResponse || modelResult.explanation },
+          { role: 'user', content: repairPrompt }
+        ],
+        temperature: 0.2,
+        max_tokens: 1500
+      }),
+      signal: controller.signal
+    }, env);
+    
+    const response = await Promise.race([fetchPromise, timeoutPromise]);
+    
+    if (timeoutId) clearTimeout(timeoutId);
+    
+    const fetchLatency = Date.now() - repairStart;
+    log.debug(`[AI] ai-repair: fetch completed in ${fetchLatency}ms, status=${response.status}`);
+    
+    if (!response.ok) {
+      log.debug(`[AI] ai-repair-error: HTTP ${response.status}`);
+      throw Object.assign(new Error(`Repair request failed: ${response.status}`), { code: 'repair-api-error' });
+    }
+    
+    const parseStart = Date.now();
+    const data = await response.json();
+    const parseLatency = Date.now() - parseStart;
+    const repairContent = data.message?.content?.[0]?.text || '';
+    log.debug(`[AI] ai-repair: parsed response in ${parseLatency}ms, contentLength=${repairContent.length}`);
+    
+    const repairJsonMatch = repairContent.match(/\{[\s\S]*\}/);
+    if (!repairJsonMatch) {
+      log.debug(`[AI] ai-repair-parse-error: no JSON found`);
+      throw Object.assign(new Error('No JSON found in repair response'), { code: 'repair-parse-error' });
+    }
+    
+    const repairResult = JSON.parse(repairJsonMatch[0]);
+    if (repairResult.ok === false || !repairResult.explanation) {
+      log.debug(`[AI] ai-repair-compliance-error: ok=${repairResult.ok}, hasExplanation=${!!repairResult.explanation}`);
+      throw Object.assign(new Error('Repair response marked as non-compliant'), { code: 'repair-non-compliant' });
+    }
+    
+    const totalLatency = Date.now() - repairStart;
+    log.debug(`[AI] ai-repair-end: success, totalLatency=${totalLatency}ms`);
+    return {
+      explanation: repairResult.explanation,
+      technicalContext: repairResult.technicalContext || ctx.technicalContext
+    };
+    
+  } catch (error) {
+    if (timeoutId) clearTimeout(timeoutId);
+    const totalLatency = Date.now() - repairStart;
+    
+    if (error.name === 'AbortError' || error.code === 'ai-repair-timeout') {
+      log.debug(`[AI] ai-repair-timeout: exceeded ${timeoutMs}ms, totalLatency=${totalLatency}ms`);
+      throw Object.assign(new Error('ai-repair-timeout'), { code: 'ai-repair-timeout' });
+    }
+    
+    log.debug(`[AI] ai-repair-error: ${error.code || error.message}, totalLatency=${totalLatency}ms`);
+    throw error;
+  }
+}
+
+// Strict Cohere explanation with validation and repair (refactored with timeouts)
+async function explainPatternWithCohereStrict(coin, ctx, env) {
+  const { P, R, S, L, U, PERIOD, TF, allowedNumbers } = ctx;
+  const explainStart = Date.now();
+  
+  try {
+    // Step 1: Call model with timeout
+    const modelResult = await callModelWithTimeout(coin, ctx, AI_MODEL_TIMEOUT_MS, env);
+    const modelLatency = Date.now() - explainStart;
+    
+    // Step 2: Validate response
+    const validateStart = Date.now();
+    log.debug(`[AI] ai-validate-start: checking for violations, ts=${validateStart}`);
+    const violations = validateExplanation(modelResult.explanation, allowedNumbers, PERIOD, { P, R, S, L, U, PERIOD, TF });
+    const validateLatency = Date.now() - validateStart;
+    
+    if (!violations.hasViolations) {
+      log.debug(`[AI] ai-validate-end: passed, latency=${validateLatency}ms, totalLatency=${Date.now() - explainStart}ms`);
+      return {
+        explanation: modelResult.explanation,
+        repaired: false,
+        violationReason: null,
+        technicalContext: modelResult.technicalContext || ctx.technicalContext
+      };
+    }
+    
+    log.debug(`[AI] ai-validate-end: violations found (${violations.details.length}), latency=${validateLatency}ms, reason=${violations.reason || 'unknown'}: ${violations.details.slice(0, 2).join('; ')}`);
+    
+    // Step 3: Repair attempt (single shot)
+    const repairStart = Date.now();
+    log.debug(`[AI] ai-repair-start: attempting repair, timeout=${AI_REPAIR_TIMEOUT_MS}ms, ts=${repairStart}`);
+    const repairResult = await callRepairWithTimeout(coin, ctx, modelResult, violations, AI_REPAIR_TIMEOUT_MS, env);
+    const repairLatency = Date.now() - repairStart;
+    log.debug(`[AI] ai-repair-end: repair completed, latency=${repairLatency}ms`);
+    
+    // Step 4: Re-validate repaired response
+    const revalidateStart = Date.now();
+    log.debug(`[AI] ai-validate-repair-start: re-validating repaired response, ts=${revalidateStart}`);
+    const repairViolations = validateExplanation(repairResult.explanation, allowedNumbers, PERIOD, { P, R, S, L, U, PERIOD, TF });
+    const revalidateLatency = Date.now() - revalidateStart;
+    
+    if (!repairViolations.hasViolations) {
+      log.debug(`[AI] ai-validate-repair-end: passed, latency=${revalidateLatency}ms, totalLatency=${Date.now() - explainStart}ms`);
+      return {
+        explanation: repairResult.explanation,
+        repaired: true,
+        violationReason: violations.reason || 'model-violation-repaired',
+        technicalContext: repairResult.technicalContext || ctx.technicalContext
+      };
+    }
+    
+    // Repair failed validation - throw to trigger fallback
+    log.debug(`[AI] ai-repair-failed: repair still has violations (${repairViolations.details.length}), totalLatency=${Date.now() - explainStart}ms: ${repairViolations.details.slice(0, 2).join('; ')}`);
+    throw Object.assign(new Error('Repair attempt still contains violations'), { code: 'repair-failed' });
+    
+  } catch (error) {
+    const totalLatency = Date.now() - explainStart;
+    const errorCode = error.code || error.message;
+    log.debug(`[AI] explainPatternWithCohereStrict-error: error=${errorCode}, totalLatency=${totalLatency}ms`);
+    
+    // Log specific error types for diagnostics
+    if (errorCode === 'ai-model-timeout') {
+      log.debug(`[AI] ai-model-timeout: model call exceeded ${AI_MODEL_TIMEOUT_MS}ms`);
+    } else if (errorCode === 'ai-repair-timeout') {
+      log.debug(`[AI] ai-repair-timeout: repair call exceeded ${AI_REPAIR_TIMEOUT_MS}ms`);
+    } else if (errorCode === 'cohere-api-error' || errorCode === 'cohere-parse-error') {
+      log.debug(`[AI] ai-cohere-error: ${errorCode}, will trigger fallback`);
+    }
+    
+    throw error; // Re-throw to trigger fallback in handleAIExplain
+  }
+}
+
+// Validate explanation for disallowed numbers, labels, and logical consistency
+export function validateExplanation(explanation, allowedNumbers, period, ctx) {
+  const violations = {
+    hasViolations: false,
+    details: [],
+    reason: null // For X-AI-Reason header
+  };
+  
+  // Build set of allowed numeric strings (strip commas for comparison)
+  const allowedNumsSet = new Set(allowedNumbers.map(n => String(n).replace(/,/g, '')));
+  
+  // 1. Validate numeric tokens
+  const numberMatches = explanation.match(/\b\d{1,3}(?:,\d{3})*(?:\.\d+)?\b/g) || [];
+  
+  for (const match of numberMatches) {
+    const cleaned = match.replace(/,/g, '');
+    if (!allowedNumsSet.has(cleaned)) {
+      violations.hasViolations = true;
+      violations.details.push(`disallowed number: ${match}`);
+      if (!violations.reason) violations.reason = 'disallowed-numbers';
+    }
+  }
+  
+  // 2. Validate labels (e.g., "200-day SMA" when period is not 200)
+  const forbiddenLabelPattern = new RegExp(`(?:\\b|^)(?:50|100|200)(?:[-\\s]day)?\\s+SMA|\\bMA(?:50|100|200)\\b`, 'i');
+  if (forbiddenLabelPattern.test(explanation) && period !== '50' && period !== '100' && period !== '200') {
+    violations.hasViolations = true;
+    violations.details.push(`forbidden label (not SMA(${period}))`);
+    if (!violations.reason) violations.reason = 'label-violation';
+  }
+  
+  // 3. Logical consistency checks (only if ctx provided)
+  if (ctx) {
+    const price = Number(ctx.P);
+    const sma = Number(ctx.S);
+    const rsi = Number(ctx.R);
+    const lowerBand = Number(ctx.L);
+    const upperBand = Number(ctx.U);
+    
+    // 3a. Price vs SMA consistency
+    const priceAboveSMA = price >= sma;
+    const textSaysAbove = /(?:price|Price)\s+(?:is\s+)?(?:above|stays\s+above|holds\s+above|breaks\s+above)/i.test(explanation);
+    const textSaysBelow = /(?:price|Price)\s+(?:is\s+)?(?:below|falls\s+below|drops\s+below|closes\s+below)/i.test(explanation);
+    
+    if (priceAboveSMA && textSaysBelow && !textSaysAbove) {
+      violations.hasViolations = true;
+      violations.details.push(`logical contradiction: price ${ctx.P} >= SMA ${ctx.S} but text says 'below SMA'`);
+      if (!violations.reason) violations.reason = 'logical-contradiction';
+    }
+    if (!priceAboveSMA && textSaysAbove && !textSaysBelow) {
+      violations.hasViolations = true;
+      violations.details.push(`logical contradiction: price ${ctx.P} < SMA ${ctx.S} but text says 'above SMA'`);
+      if (!violations.reason) violations.reason = 'logical-contradiction';
+    }
+    
+    // 3b. RSI consistency (baseline leaning vs RSI value)
+    // RSI <= 30 = oversold (bullish signal), RSI >= 70 = overbought (bearish signal)
+    const textSaysBullishLeaning = /baseline\s+leaning:\s*bullish|leaning:\s*bullish/i.test(explanation);
+    const textSaysBearishLeaning = /baseline\s+leaning:\s*bearish|leaning:\s*bearish/i.test(explanation);
+    
+    // Determine expected leaning based on canonical rules
+    let expectedLeaning = 'neutral';
+    if (rsi >= 60) expectedLeaning = 'bearish'; // High RSI suggests potential reversal down
+    else if (rsi <= 40) expectedLeaning = 'bullish'; // Low RSI suggests potential reversal up
+    else if (priceAboveSMA) expectedLeaning = 'bullish'; // Price above SMA
+    else expectedLeaning = 'neutral';
+    
+    // Check for contradictions
+    if (expectedLeaning === 'bearish' && textSaysBullishLeaning) {
+      violations.hasViolations = true;
+      violations.details.push(`logical contradiction: RSI ${ctx.R} (>= 60) should lean bearish but text says bullish`);
+      if (!violations.reason) violations.reason = 'logical-contradiction';
+    }
+    if (expectedLeaning === 'bullish' && textSaysBearishLeaning) {
+      violations.hasViolations = true;
+      violations.details.push(`logical contradiction: RSI ${ctx.R} (<= 40) should lean bullish but text says bearish`);
+      if (!violations.reason) violations.reason = 'logical-contradiction';
+    }
+    
+    // 3c. RSI mood consistency
+    const rsiMood = rsi >= 70 ? 'overbought' : rsi <= 30 ? 'oversold' : 'neutral';
+    const textSaysOverbought = /overbought/i.test(explanation);
+    const textSaysOversold = /oversold/i.test(explanation);
+    
+    if (rsiMood === 'overbought' && textSaysOversold) {
+      violations.hasViolations = true;
+      violations.details.push(`logical contradiction: RSI ${ctx.R} is overbought but text says oversold`);
+      if (!violations.reason) violations.reason = 'logical-contradiction';
+    }
+    if (rsiMood === 'oversold' && textSaysOverbought) {
+      violations.hasViolations = true;
+      violations.details.push(`logical contradiction: RSI ${ctx.R} is oversold but text says overbought`);
+      if (!violations.reason) violations.reason = 'logical-contradiction';
+    }
+  }
+  
+  return violations;
+}
+
+/**
+ * Strict rule-based explanation that uses only provided numbers
+ */
+function buildRuleBasedExplanationStrict({ coin, P, R, S, L, U, PERIOD, TF, PV, DL, DU, BW }) {
+  const rsiNum = Number(R);
+  const mood = rsiNum >= 70 ? "overbought" : rsiNum <= 30 ? "oversold" : "neutral";
+  const lean = rsiNum >= 60 ? "bearish" : rsiNum <= 40 ? "bullish" : "neutral";
+  
+  // Dynamic confidence calculation (same as AI version)
+  let conf = 60; // Base confidence
+  
+  // RSI confidence boost
+  if (rsiNum >= 70 || rsiNum <= 30) conf += 15; // Strong RSI signals
+  else if (rsiNum >= 60 || rsiNum <= 40) conf += 10; // Moderate RSI signals
+  
+  // Price vs SMA confidence boost
+  const priceDeviation = Number(PV);
+  if (Math.abs(priceDeviation) > 5) conf += 10; // Strong price deviation
+  else if (Math.abs(priceDeviation) > 2) conf += 5; // Moderate price deviation
+  
+  // Band width confidence boost
+  const bandWidth = Number(BW);
+  if (bandWidth > 10) conf += 5; // High volatility = more uncertainty
+  else if (bandWidth < 5) conf += 5; // Low volatility = more predictable
+  
+  // Cap confidence at 90%
+  conf = Math.min(90, conf);
+  
+  const isAboveSMA = Number(P) >= Number(S);
+  const bullVerb = isAboveSMA ? "holds above" : "reclaims";
+  const bullishLine = `- If price ${bullVerb} SMA(${PERIOD}) ${S} with RSI > 60, look for follow-through toward ${U}.`;
+  const bearishLine = isAboveSMA
+    ? `- If price closes back below SMA(${PERIOD}) ${S} with RSI < 40, risk shifts toward ${L}.`
+    : `- If price loses ${L}, risk expands; distance to lower band was ${DL}% and may extend.`;
+
+  const explanation = [
+    "## Simple Summary",
+    `- Price is ${isAboveSMA ? "above" : "below"} SMA(${PERIOD}) ${S}; current price $${P}.`,
+    `- RSI ${R} indicates ${mood} conditions.`,
+    `- Watch ${L} (support) and ${U} (resistance).`,
+    "",
+    "## Decision Helper",
+    `- Consider ${isAboveSMA ? "holding" : "waiting for"} positions if price ${isAboveSMA ? "stays above" : "breaks above"} SMA(${PERIOD}) ${S}.`,
+    `- Avoid ${mood === "overbought" ? "chasing" : mood === "oversold" ? "panic selling" : "large"} positions near current levels.`,
+    `- Monitor ${L} as key support and ${U} as resistance for breakout signals.`,
+    "",
+    "## Detailed Guidance",
+    "**Guidance:**",
+    `${coin.toUpperCase()} trades near $${P}. RSI at ${R} is ${mood}. Price is between bands [${L}–${U}] and ${PV}% ${isAboveSMA ? "above" : "below"} SMA(${PERIOD}) ${S}. Band width is ${BW}% (volatility context). Baseline leaning: ${lean}.`,
+    "**Levels to Watch:**",
+    `- Support: ${L} (lower band)`,
+    `- Resistance: ${S} (SMA(${PERIOD})), ${U} (upper band)`,
+    "**Scenario Plan:**",
+    bullishLine,
+    bearishLine,
+    `**Invalidation:** ${lean === "bearish"
+        ? `A close above ${S} with RSI > 60 invalidates the bearish tilt.`
+        : lean === "bullish"
+          ? `A close below ${S} with RSI < 40 invalidates the bullish tilt.`
+          : `A decisive move outside [${L}–${U}] with RSI > 60 or < 40 resolves the neutral state.`}`,
+    `**Confidence:** ${conf}%`,
+    "",
+    "Educational guidance, not financial advice."
+  ].join("\n");
+  
+  return {
+    explanation,
+    technicalContext: {
+      currentPrice: Number(P),
+      currentRSI: Number(R),
+      currentSMA: Number(S),
+      smaPeriod: Number(PERIOD),
+      bb: { lower: Number(L), upper: Number(U) },
+      timeframe: Number(TF)
+    }
+  };
+}
+
+/**
+ * Fallback explanation when Cohere AI is not available
+ */
+function explainPatternFallback(rsi, sma, bb, signals, coin, timeframe, liveValues) {
+  const { currentPrice, currentRSI, currentSMA, currentBBUpper, currentBBLower } = liveValues;
+  
+  const rsiValue = rsi.length > 0 ? rsi[rsi.length - 1].y : currentRSI;
+  const smaValue = sma.length > 0 ? sma[sma.length - 1].y : currentSMA;
+  
+  // Use the same strict formatting as the AI version
+  function toFixedStr(n, dp = 2) { return Number(n).toFixed(dp); }
+  
+  const P = toFixedStr(currentPrice, 2);
+  const R = toFixedStr(rsiValue, 2);
+  const S = toFixedStr(smaValue, 2);
+  const L = toFixedStr(currentBBLower, 2);
+  const U = toFixedStr(currentBBUpper, 2);
+  const PERIOD = 4;
+  const TF = Number(timeframe);
+
+  // Calculate derived metrics for richer fallback
+  const priceVsSmaPct   = ((Number(P) - Number(S)) / Number(S)) * 100;
+  const distToLowerPct  = ((Number(P) - Number(L)) / Number(L)) * 100;
+  const distToUpperPct  = ((Number(U) - Number(P)) / Number(P)) * 100;
+  const bandWidthPct    = ((Number(U) - Number(L)) / Number(S)) * 100;
+
+  const PV = toFixedStr(priceVsSmaPct, 2);
+  const DL = toFixedStr(distToLowerPct, 2);
+  const DU = toFixedStr(distToUpperPct, 2);
+  const BW = toFixedStr(bandWidthPct, 2);
+  
+  // This function is no longer used directly - buildRuleBasedExplanationStrict now returns { explanation, technicalContext }
+  // Keeping for backward compatibility but it should not be called
+  throw new Error('explainPatternFallback is deprecated - use buildRuleBasedExplanationStrict directly');
+}
+
+/**
+ * Fallback analysis without pattern analysis
+ */
+function classifyMarketMoodFallback(rsi, smaSignal, bbSignal, priceData, coin) {
+  let bullishScore = 0;
+  let bearishScore = 0;
+  
+  // RSI scoring
+  if (rsi < 30) bullishScore += 2;
+  else if (rsi > 70) bearishScore += 2;
+  else if (rsi >= 45 && rsi <= 55) bullishScore += 0.5;
+  
+  // SMA scoring
+  if (smaSignal === 'BUY') bullishScore += 1.5;
+  else if (smaSignal === 'SELL') bearishScore += 1.5;
+  
+  // BB scoring
+  if (bbSignal === 'BUY') bullishScore += 1;
+  else if (bbSignal === 'SELL') bearishScore += 1;
+  
+  // Price trend analysis
+  if (priceData.length >= 3) {
+    const recentPrices = priceData.slice(-3);
+    const trend = (recentPrices[2].y - recentPrices[0].y) / recentPrices[0].y;
+    if (trend > 0.01) bullishScore += 1;
+    else if (trend < -0.01) bearishScore += 1;
+  }
+  
+  // Determine mood
+  let mood, confidence;
+  if (bullishScore > bearishScore + 1) {
+    mood = 'bullish';
+    confidence = Math.min(90, 60 + (bullishScore - bearishScore) * 8);
+  } else if (bearishScore > bullishScore + 1) {
+    mood = 'bearish';
+    confidence = Math.min(90, 60 + (bearishScore - bullishScore) * 8);
+  } else {
+    mood = 'neutral';
+    confidence = 50 + Math.abs(bullishScore - bearishScore) * 5;
+  }
+  
+  return jsonResponse({
+    mood: mood,
+    confidence: Math.round(confidence),
+    reasoning: `Fallback analysis: bullish signals ${bullishScore.toFixed(1)}, bearish signals ${bearishScore.toFixed(1)}`,
+    method: 'rule-based-fallback',
+    coin: coin,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Enhanced fallback with pattern analysis
+ */
+function classifyMarketMoodEnhancedFallback(rsi, smaSignal, bbSignal, priceData, candlePatterns, coin) {
+  let bullishScore = 0;
+  let bearishScore = 0;
+  
+  // Traditional indicators scoring
+  if (rsi < 30) bullishScore += 2;
+  else if (rsi > 70) bearishScore += 2;
+  else if (rsi >= 45 && rsi <= 55) bullishScore += 0.5;
+  
+  if (smaSignal === 'BUY') bullishScore += 1.5;
+  else if (smaSignal === 'SELL') bearishScore += 1.5;
+  
+  if (bbSignal === 'BUY') bullishScore += 1;
+  else if (bbSignal === 'SELL') bearishScore += 1;
+  
+  // Price trend analysis
+  if (priceData.length >= 3) {
+    const recentPrices = priceData.slice(-3);
+    const trend = (recentPrices[2].y - recentPrices[0].y) / recentPrices[0].y;
+    if (trend > 0.01) bullishScore += 1;
+    else if (trend < -0.01) bearishScore += 1;
+  }
+  
+  // Pattern analysis boost
+  const bullishPatterns = candlePatterns.filter(p => p.signal === 'BUY').length;
+  const bearishPatterns = candlePatterns.filter(p => p.signal === 'SELL').length;
+  bullishScore += bullishPatterns * 0.3;
+  bearishScore += bearishPatterns * 0.3;
+  
+  // Determine mood
+  let mood, confidence;
+  if (bullishScore > bearishScore + 1) {
+    mood = 'bullish';
+    confidence = Math.min(90, 60 + (bullishScore - bearishScore) * 8);
+  } else if (bearishScore > bullishScore + 1) {
+    mood = 'bearish';
+    confidence = Math.min(90, 60 + (bearishScore - bullishScore) * 8);
+  } else {
+    mood = 'neutral';
+    confidence = 50 + Math.abs(bullishScore - bearishScore) * 5;
+  }
+  
+  return jsonResponse({
+    mood: mood,
+    confidence: Math.round(confidence),
+    reasoning: `Enhanced fallback: bullish signals ${bullishScore.toFixed(1)}, bearish signals ${bearishScore.toFixed(1)}, with ${bullishPatterns} bullish and ${bearishPatterns} bearish patterns`,
+    method: 'enhanced-fallback',
+    patterns: `${bullishPatterns} bullish, ${bearishPatterns} bearish patterns`,
+    coin: coin,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Helper function for calculating overall signal (needed for AI analysis)
+export function calculateOverallSignal(signals) {
+  let buyCount = 0;
+  let sellCount = 0;
+  let totalStrength = 0;
+
+  signals.forEach(signal => {
+    const strengthValue = signal.strength === 'Strong' ? 3 : signal.strength === 'Medium' ? 2 : 1;
+    totalStrength += strengthValue;
+
+    if (signal.signal === 'BUY') buyCount += strengthValue;
+    else if (signal.signal === 'SELL') sellCount += strengthValue;
+  });
+
+  if (totalStrength === 0) return { signal: 'HOLD', confidence: '0.0' }; // no signals, no conviction
+
+  const buyPercentage = (buyCount / totalStrength) * 100;
+  const sellPercentage = (sellCount / totalStrength) * 100;
+  const confidence = Math.max(buyPercentage, sellPercentage);
+
+  if (buyPercentage > 60) return { signal: 'BUY', confidence: confidence.toFixed(1) };
+  else if (sellPercentage > 60) return { signal: 'SELL', confidence: confidence.toFixed(1) };
+  else return { signal: 'HOLD', confidence: (100 - confidence).toFixed(1) };
+}
@@ -0,0 +1,166 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  buildTechnicalContextForAI,
+  calculateOverallSignal,
+  computeIndicatorsFromOHLC,
+  validateExplanation
+} from './ai.js';
+
+const candles = (closes) => closes.map((close, i) => ({ time: i * 3600 * 1000, open: close, high: close, low: close, close }));
+
+describe('computeIndicatorsFromOHLC', () => {
+  it('should return neutral defaults for empty or missing OHLC', () => {
+    const expected = { rsi: 50, sma: 0, bb: { lower: 0, upper: 0 }, smaPeriod: 4 };
+    expect(computeIndicatorsFromOHLC([])).toEqual(expected);
+    expect(computeIndicatorsFromOHLC(null)).toEqual(expected);
+  });
+
+  it('should fall back to the last close and ±5% bands for short series', () => {
+    const result = computeIndicatorsFromOHLC(candles([100, 105, 110]));
+    expect(result.sma).toBe(110);
+    expect(result.rsi).toBe(50);
+    expect(result.bb).toEqual({ lower: 104.5, upper: 115.5 });
+  });
+
+  it('should produce zero-width bands for a flat series', () => {
+    const result = computeIndicatorsFromOHLC(candles(Array(20).fill(100)));
+    expect(result.sma).toBe(100);
+    expect(result.bb).toEqual({ lower: 100, upper: 100 });
+    // no losses at all reads as 100, like the chart's rsiWilder
+    expect(result.rsi).toBe(100);
+  });
+
+  it('should compute SMA, RSI and sample-stddev bands for an uptrend', () => {
+    const closes = Array.from({ length: 21 }, (_, i) => 100 + i); // 100..120
+    const result = computeIndicatorsFromOHLC(candles(closes));
+    expect(result.sma).toBe(118.5); // (117 + 118 + 119 + 120) / 4
+    expect(result.rsi).toBe(100);
+    // last 20 closes 101..120: mean 110.5, sample variance 35
+    expect(result.bb).toEqual({ lower: 98.67, upper: 122.33 });
+  });
+
+  it('should keep RSI between 0 and 100 and honour custom periods', () => {
+    const closes = Array.from({ length: 30 }, (_, i) => 200 - i * 2 + (i % 3 === 0 ? 3 : 0));
+    const result = computeIndicatorsFromOHLC(candles(closes), 10, 14, 20);
+    expect(result.smaPeriod).toBe(10);
+    expect(result.rsi).toBeGreaterThanOrEqual(0);
+    expect(result.rsi).toBeLessThan(50);
+  });
+});
+
+describe('buildTechnicalContextForAI', () => {
+  it('should format canonical values and derived percentages', () => {
+    const ctx = buildTechnicalContextForAI({ price: 110, rsi: 55.123, sma: 100, smaPeriod: 20, bb: { lower: 95, upper: 115 } }, 30);
+    expect(ctx).toMatchObject({ P: '110.00', R: '55.12', S: '100.00', L: '95.00', U: '115.00', PERIOD: '20', TF: '30' });
+    expect(ctx).toMatchObject({ PV: '10.00', DL: '15.79', DU: '4.55', BW: '20.00' });
+    expect(ctx.allowedNumbers).toEqual(expect.arrayContaining(['110.00', '10.00', '30', '40', '60', '70']));
+  });
+
+  it('should report 0% for zero-width bands', () => {
+    const ctx = buildTechnicalContextForAI({ price: 100, rsi: 100, sma: 100, smaPeriod: 4, bb: { lower: 100, upper: 100 } }, 7);
+    expect(ctx).toMatchObject({ PV: '0.00', DL: '0.00', DU: '0.00', BW: '0.00' });
+  });
+
+  it('should not produce NaN or Infinity from empty-OHLC defaults', () => {
+    const ctx = buildTechnicalContextForAI({ price: 100, ...computeIndicatorsFromOHLC([]) }, 7);
+    expect(ctx).toMatchObject({ PV: '0.00', DL: '0.00', DU: '-100.00', BW: '0.00' });
+    expect(ctx.allowedNumbers.join(' ')).not.toMatch(/NaN|Infinity/);
+  });
+});
+
+describe('validateExplanation', () => {
+  const allowed = ['110.00', '100.00', '55.00', '95.00', '115.00', '20', '42000.50'];
+
+  it('should accept text that only uses allowed numbers', () => {
+    const result = validateExplanation('Price 110.00 holds above SMA(20) 100.00 with RSI 55.00.', allowed, '20');
+    expect(result).toEqual({ hasViolations: false, details: [], reason: null });
+  });
+
+  it('should accept an empty explanation', () => {
+    expect(validateExplanation('', allowed, '20').hasViolations).toBe(false);
+  });
+
+  it('should flag numbers outside the allowed set, ignoring thousands separators', () => {
+    expect(validateExplanation('Target 42,000.50.', allowed, '20').hasViolations).toBe(false);
+    const result = validateExplanation('Target 120.00 next.', allowed, '20');
+    expect(result.hasViolations).toBe(true);
+    expect(result.reason).toBe('disallowed-numbers');
+    expect(result.details).toEqual(['disallowed number: 120.00']);
+  });
+
+  it('should flag SMA labels that do not match the period', () => {
+    const result = validateExplanation('Watch the MA200 crossover.', allowed, '20');
+    expect(result.reason).toBe('label-violation');
+    expect(validateExplanation('Watch the MA200 crossover.', allowed, '200').hasViolations).toBe(false);
+  });
+
+  it('should keep the first reason when several checks fail', () => {
+    const result = validateExplanation('The 200-day SMA at 1.00', allowed, '20');
+    expect(result.reason).toBe('disallowed-numbers');
+    expect(result.details).toHaveLength(3);
+  });
+
+  it('should flag price/SMA contradictions', () => {
+    const ctx = { P: '90.00', S: '100.00', R: '50.00', L: '85.00', U: '115.00' };
+    const result = validateExplanation('Price is above the SMA.', [], '20', ctx);
+    expect(result.reason).toBe('logical-contradiction');
+    expect(validateExplanation('Price is below the SMA.', [], '20', ctx).hasViolations).toBe(false);
+  });
+
+  it('should flag leanings and RSI moods that contradict RSI', () => {
+    const hot = { P: '110.00', S: '100.00', R: '75.00', L: '95.00', U: '115.00' };
+    expect(validateExplanation('Baseline leaning: bullish.', [], '20', hot).reason).toBe('logical-contradiction');
+    expect(validateExplanation('Momentum looks oversold.', [], '20', hot).reason).toBe('logical-contradiction');
+    expect(validateExplanation('Momentum looks overbought. Baseline leaning: bearish.', [], '20', hot).hasViolations).toBe(false);
+
+    const cold = { ...hot, P: '90.00', R: '25.00' };
+    expect(validateExplanation('Baseline leaning: bearish.', [], '20', cold).reason).toBe('logical-contradiction');
+    expect(validateExplanation('Momentum looks overbought.', [], '20', cold).reason).toBe('logical-contradiction');
+  });
+
+  it('should accept a zero-width band context', () => {
+    const flat = { P: '100.00', S: '100.00', R: '50.00', L: '100.00', U: '100.00' };
+    expect(validateExplanation('Price holds above SMA(20) 100.00.', ['100.00', '20'], '20', flat).hasViolations).toBe(false);
+  });
+});
+
+describe('calculateOverallSignal', () => {
+  it('should HOLD with no conviction when there are no signals', () => {
+    expect(calculateOverallSignal([])).toEqual({ signal: 'HOLD', confidence: '0.0' });
+  });
+
+  it('should weight signals by strength', () => {
+    const signals = [
+      { signal: 'BUY', strength: 'Strong' },
+      { signal: 'SELL', strength: 'Weak' }
+    ];
+    expect(calculateOverallSignal(signals)).toEqual({ signal: 'BUY', confidence: '75.0' });
+  });
+
+  it('should SELL above 60% of the weighted strength', () => {
+    const signals = [
+      { signal: 'SELL', strength: 'Strong' },
+      { signal: 'SELL', strength: 'Medium' },
+      { signal: 'BUY', strength: 'Medium' }
+    ];
+    expect(calculateOverallSignal(signals)).toEqual({ signal: 'SELL', confidence: '71.4' });
+  });
+
+  it('should HOLD at exactly 60% and report the remainder as confidence', () => {
+    const signals = [
+      { signal: 'SELL', strength: 'Strong' },
+      { signal: 'BUY', strength: 'Medium' }
+    ];
+    expect(calculateOverallSignal(signals)).toEqual({ signal: 'HOLD', confidence: '40.0' });
+  });
+
+  it('should treat unknown strengths as weak and neutral signals as HOLD weight', () => {
+    const signals = [
+      { signal: 'HOLD', strength: 'Strong' },
+      { signal: 'BUY' }
+    ];
+    // buy 1 of 4 -> 25%, HOLD confidence 75%
+    expect(calculateOverallSignal(signals)).toEqual({ signal: 'HOLD', confidence: '75.0' });
+  });
+});
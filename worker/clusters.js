@@ -0,0 +1,100 @@
+// =============================================================================
+// HEADLINE CLUSTERS (near-duplicate stories)
+// =============================================================================
+//
+// Syndicated and rewritten copies of one story ("... - Yahoo Finance", re-cased or
+// lightly reworded titles) are grouped so /news lists each story once and the
+// sentiment summary counts it once. Titles are normalized to sets of content words
+// and compared pairwise: two headlines are the same story when the sets are mostly
+// shared (Jaccard) or one short title is almost contained in a longer one. Each list is
+// one provider response, clustered before it is cut to NEWS_POOL_MAX: up to 100 NewsAPI
+// articles or 50 items per RSS feed (150 for the default feeds), about 11,000 pairs at
+// most, so exact comparison is cheap and needs no MinHash.
+
+export const CLUSTER_SIMILARITY = 0.6; // Jaccard of the title word sets
+const CLUSTER_CONTAINMENT = 0.8; // share of the shorter title found in the longer one
+const CLUSTER_CONTAINMENT_MIN_WORDS = 5; // below this, containment is too easy
+
+const TITLE_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'as', 'at', 'by', 'with',
+  'from', 'is', 'are', 'was', 'be', 'its', 'it', 'this', 'that', 'after', 'amid', 'over', 'into'
+]);
+
+// Content words of a title: lowercase, without a trailing " - Outlet" / " | Outlet" tag,
+// punctuation, stopwords or a plural "s"
+export function normalizeTitleWords(title) {
+  const words = String(title || '')
+    .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9$%.]+/g, ' ')
+    .split(' ')
+    .map(w => w.replace(/^\.+|\.+$/g, ''))
+    .filter(w => w && !TITLE_STOPWORDS.has(w))
+    .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+  return new Set(words);
+}
+
+// 0..1 similarity of two normalized titles; the larger of Jaccard and (for long enough
+// titles) containment scaled onto the Jaccard threshold
+export function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const jaccard = shared / (a.size + b.size - shared);
+  const smaller = Math.min(a.size, b.size);
+  const contained = smaller >= CLUSTER_CONTAINMENT_MIN_WORDS && shared / smaller >= CLUSTER_CONTAINMENT;
+  return contained ? Math.max(jaccard, CLUSTER_SIMILARITY) : jaccard;
+}
+
+// Which member speaks for a cluster: the most relevant, then one with a description,
+// then the earliest (the original report rather than a syndicated copy)
+function isBetterRepresentative(a, b) {
+  const byRelevance = (a.relevance ?? 0) - (b.relevance ?? 0);
+  if (byRelevance !== 0) return byRelevance > 0;
+  if (Boolean(a.description) !== Boolean(b.description)) return Boolean(a.description);
+  return (Date.parse(a.publishedAt) || Infinity) < (Date.parse(b.publishedAt) || Infinity);
+}
+
+/**
+ * Group near-duplicate headlines. Returns one headline per story, in the input order of
+ * the stories' representatives, each with
+ * `cluster: { size, members: [{ title, url, source, publishedAt }] }` listing the other copies.
+ * @param {Array<{ title: string, description?: string, relevance?: number, publishedAt?: string }>} headlines
+ */
+export function clusterHeadlines(headlines) {
+  const words = headlines.map(h => normalizeTitleWords(h.title));
+  const parent = headlines.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  // Single linkage: a copy of a copy is the same story
+  for (let i = 0; i < headlines.length; i++) {
+    for (let j = i + 1; j < headlines.length; j++) {
+      if (find(i) !== find(j) && titleSimilarity(words[i], words[j]) >= CLUSTER_SIMILARITY) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  headlines.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.values()]
+    .map(indexes => indexes.reduce((best, i) => (best === null || isBetterRepresentative(headlines[i], headlines[best]) ? i : best), null))
+    .sort((a, b) => a - b)
+    .map(rep => {
+      const members = groups.get(find(rep)).filter(i => i !== rep).map(i => headlines[i]);
+      return {
+        ...headlines[rep],
+        cluster: {
+          size: members.length + 1,
+          members: members.map(m => ({ title: m.title, url: m.url, source: m.source, publishedAt: m.publishedAt }))
+        }
+      };
+    });
+}
@@ -0,0 +1,75 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { clusterHeadlines, normalizeTitleWords, titleSimilarity } from './clusters.js';
+
+const similarity = (a, b) => titleSimilarity(normalizeTitleWords(a), normalizeTitleWords(b));
+
+describe('normalizeTitleWords', () => {
+  it('should drop the outlet tag, case, punctuation, stopwords and plurals', () => {
+    expect([...normalizeTitleWords('Spot Bitcoin ETFs Log Net Inflows - Yahoo Finance')])
+      .toEqual(['spot', 'bitcoin', 'etf', 'log', 'net', 'inflow']);
+    expect([...normalizeTitleWords('BTC tops $70K; traders eye 5.5% move')])
+      .toEqual(['btc', 'top', '$70k', 'trader', 'eye', '5.5%', 'move']);
+  });
+});
+
+describe('titleSimilarity', () => {
+  it('should treat syndicated copies as identical', () => {
+    expect(similarity(
+      'Bitcoin rally extends as institutional inflows surge to record high',
+      'Bitcoin Rally Extends as Institutional Inflows Surge to Record High | Nasdaq'
+    )).toBe(1);
+  });
+
+  it('should match light rewrites and keep different stories apart', () => {
+    expect(similarity('Spot bitcoin ETFs log fifth straight day of net inflows', 'Bitcoin ETFs see fifth straight day of inflows')).toBeGreaterThanOrEqual(0.6);
+    expect(similarity('Bitcoin price rises', 'Bitcoin price falls')).toBeLessThan(0.6);
+    expect(similarity('Ethereum developers schedule next network upgrade', 'Ethereum developers set mainnet date for the Fusaka upgrade')).toBeLessThan(0.6);
+  });
+
+  it('should count a long title almost contained in another as the same story', () => {
+    expect(similarity('Solana DEX volumes hit monthly high', 'Solana DeFi volumes hit monthly high; BTC dominance eases')).toBe(0.6);
+    // too short for containment to mean much
+    expect(similarity('Bitcoin hits high', 'Bitcoin hits high as gold slips and stocks rally')).toBeLessThan(0.6);
+  });
+
+  it('should be zero for empty titles', () => {
+    expect(similarity('', 'Bitcoin hits high')).toBe(0);
+  });
+});
+
+describe('clusterHeadlines', () => {
+  const original = { title: 'Bitcoin rally extends as inflows surge to record high', url: 'https://a.example/1', source: 'CoinDesk', description: 'Inflows topped expectations.', publishedAt: '2025-10-09T08:30:00Z', relevance: 0.6 };
+  const copy = { title: 'Bitcoin Rally Extends as Inflows Surge to Record High - Yahoo Finance', url: 'https://b.example/1', source: 'Yahoo Finance', description: 'Inflows topped expectations.', publishedAt: '2025-10-09T08:50:00Z', relevance: 0.6 };
+  const other = { title: 'Ethereum developers schedule next network upgrade', url: 'https://a.example/2', source: 'Decrypt', publishedAt: '2025-10-09T08:40:00Z', relevance: 0 };
+
+  it('should fold copies into the earliest, most relevant report', () => {
+    const stories = clusterHeadlines([copy, other, original]);
+    expect(stories.map(s => s.url)).toEqual(['https://a.example/2', 'https://a.example/1']);
+    expect(stories[1].cluster).toEqual({
+      size: 2,
+      members: [{ title: copy.title, url: copy.url, source: 'Yahoo Finance', publishedAt: copy.publishedAt }]
+    });
+    expect(stories[0].cluster).toEqual({ size: 1, members: [] });
+  });
+
+  it('should prefer a more relevant copy as the representative', () => {
+    const stories = clusterHeadlines([original, { ...copy, relevance: 0.85 }]);
+    expect(stories).toHaveLength(1);
+    expect(stories[0].url).toBe(copy.url);
+  });
+
+  it('should chain copies of copies into one story', () => {
+    const stories = clusterHeadlines([
+      { title: 'Spot bitcoin ETFs log fifth straight day of net inflows', url: '1' },
+      { title: 'Bitcoin ETFs log fifth straight day of inflows', url: '2' },
+      { title: 'Bitcoin ETFs see fifth straight day of inflows', url: '3' }
+    ]);
+    expect(stories).toHaveLength(1);
+    expect(stories[0].cluster.size).toBe(3);
+  });
+
+  it('should return an empty list for no headlines', () => {
+    expect(clusterHeadlines([])).toEqual([]);
+  });
+});
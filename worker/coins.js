@@ -0,0 +1,209 @@
+// =============================================================================
+// COIN UNIVERSE (dynamic asset list behind /coins)
+// =============================================================================
+//
+// The universe is the provider's top assets by market cap, cached in KV and
+// refreshed in the background. SUPPORTED_COINS stay the featured set: they are
+// always present, keep their ids (e.g. `ripple`, whose CoinCap id is `xrp`) and
+// are served without touching KV. Other assets use the provider id as our id.
+
+import { errorResponse, isForceRefresh, jsonResponse } from './http.js';
+import { log } from './log.js';
+import { withProviderFailover } from './providers.js';
+
+// Featured cryptocurrencies (CoinCap IDs); always part of the coin universe, see getCoinUniverse
+export const SUPPORTED_COINS = {
+  'bitcoin': { id: 'bitcoin', name: 'Bitcoin', symbol: 'BTC', coincap_id: 'bitcoin' },
+  'ethereum': { id: 'ethereum', name: 'Ethereum', symbol: 'ETH', coincap_id: 'ethereum' },
+  'litecoin': { id: 'litecoin', name: 'Litecoin', symbol: 'LTC', coincap_id: 'litecoin' },
+  'bitcoin-cash': { id: 'bitcoin-cash', name: 'Bitcoin Cash', symbol: 'BCH', coincap_id: 'bitcoin-cash' },
+  'cardano': { id: 'cardano', name: 'Cardano', symbol: 'ADA', coincap_id: 'cardano' },
+  'ripple': { id: 'ripple', name: 'Ripple', symbol: 'XRP', coincap_id: 'xrp' },
+  'dogecoin': { id: 'dogecoin', name: 'Dogecoin', symbol: 'DOGE', coincap_id: 'dogecoin' },
+  'polkadot': { id: 'polkadot', name: 'Polkadot', symbol: 'DOT', coincap_id: 'polkadot' },
+  'chainlink': { id: 'chainlink', name: 'Chainlink', symbol: 'LINK', coincap_id: 'chainlink' },
+  'stellar': { id: 'stellar', name: 'Stellar', symbol: 'XLM', coincap_id: 'stellar' },
+  'monero': { id: 'monero', name: 'Monero', symbol: 'XMR', coincap_id: 'monero' },
+  'tezos': { id: 'tezos', name: 'Tezos', symbol: 'XTZ', coincap_id: 'tezos' },
+  'eos': { id: 'eos', name: 'EOS', symbol: 'EOS', coincap_id: 'eos' },
+  'zcash': { id: 'zcash', name: 'Zcash', symbol: 'ZEC', coincap_id: 'zcash' },
+  'dash': { id: 'dash', name: 'Dash', symbol: 'DASH', coincap_id: 'dash' },
+  'solana': { id: 'solana', name: 'Solana', symbol: 'SOL', coincap_id: 'solana' },
+};
+
+const COIN_UNIVERSE_KEY = 'coin_universe';
+export const COIN_UNIVERSE_SIZE = 500; // assets requested from the provider
+const COIN_UNIVERSE_TTL_MS = 6 * 60 * 60 * 1000; // refresh the list every 6 hours
+const COIN_UNIVERSE_MEMO_MS = 5 * 60 * 1000; // per-isolate memo before re-reading KV
+const COIN_UNIVERSE_RETRY_MS = 60 * 1000; // retry sooner when only the featured list is available
+export const COINS_DEFAULT_LIMIT = 100;
+
+let COIN_UNIVERSE = null; // { coins, byId, aliases, bySymbol, source, updatedAt, expiresAt }
+
+// Featured coins keyed by their provider id, so `xrp` resolves to `ripple`
+const FEATURED_BY_COINCAP_ID = Object.fromEntries(
+  Object.values(SUPPORTED_COINS).map(c => [c.coincap_id, c])
+);
+
+// Merge a provider asset list with the featured coins and index it for lookups
+function buildCoinUniverse(assets, source, updatedAt) {
+  const coins = [];
+  const seen = new Set();
+  
+  for (const asset of assets) {
+    const featured = FEATURED_BY_COINCAP_ID[asset.coincap_id];
+    const id = featured ? featured.id : asset.coincap_id;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    coins.push({
+      id,
+      name: featured ? featured.name : asset.name,
+      symbol: featured ? featured.symbol : asset.symbol,
+      coincap_id: asset.coincap_id,
+      rank: asset.rank ?? null,
+      market_cap: asset.market_cap ?? null,
+      featured: Boolean(featured)
+    });
+  }
+  for (const coin of Object.values(SUPPORTED_COINS)) {
+    if (!seen.has(coin.id)) {
+      coins.push({ ...coin, rank: null, market_cap: null, featured: true });
+    }
+  }
+  coins.sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  
+  const byId = new Map(coins.map(c => [c.id, c]));
+  const aliases = new Map();
+  const bySymbol = new Map();
+  for (const coin of coins) {
+    if (coin.coincap_id !== coin.id) aliases.set(coin.coincap_id, coin.id);
+    // Symbols are not unique; the best-ranked asset wins
+    const symbol = coin.symbol.toLowerCase();
+    if (!bySymbol.has(symbol)) bySymbol.set(symbol, coin.id);
+  }
+  
+  return { coins, byId, aliases, bySymbol, source, updatedAt };
+}
+
+async function fetchFreshCoinUniverse(env) {
+  const { value, provider } = await withProviderFailover(env, 'asset list', p => Boolean(p.fetchAssetList), async (p) => {
+    const assets = await p.fetchAssetList(COIN_UNIVERSE_SIZE, env);
+    if (!assets || assets.length === 0) {
+      throw new Error('Empty asset list');
+    }
+    return assets;
+  });
+  
+  const data = { assets: value, provider, updatedAt: Date.now() };
+  await env.RATE_LIMIT_KV.put(COIN_UNIVERSE_KEY, JSON.stringify({ data, timestamp: data.updatedAt }));
+  log.debug(`[CoinUniverse] Stored ${value.length} assets from ${provider}`);
+  return data;
+}
+
+function refreshCoinUniverseInBackground(env) {
+  fetchFreshCoinUniverse(env)
+    .then(data => {
+      COIN_UNIVERSE = { ...buildCoinUniverse(data.assets, data.provider, data.updatedAt), expiresAt: Date.now() + COIN_UNIVERSE_MEMO_MS };
+    })
+    .catch(err => log.warn(`[CoinUniverse] Background refresh failed: ${err.code || err.message}`));
+}
+
+// Load the universe (isolate memo → KV → provider), serving stale lists while refreshing
+export async function getCoinUniverse(env, options = { force: false }) {
+  const now = Date.now();
+  if (!options.force && COIN_UNIVERSE && COIN_UNIVERSE.expiresAt > now) {
+    return COIN_UNIVERSE;
+  }
+  
+  let cached = null;
+  try {
+    const raw = await env.RATE_LIMIT_KV.get(COIN_UNIVERSE_KEY);
+    cached = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    log.warn('[CoinUniverse] Failed to read KV:', e.message);
+  }
+  
+  const fresh = cached?.data?.assets && now - cached.timestamp < COIN_UNIVERSE_TTL_MS;
+  if (cached?.data?.assets && !options.force) {
+    if (!fresh) {
+      log.debug(`[CoinUniverse] Cached list is ${Math.floor((now - cached.timestamp) / 60000)}min old, refreshing in background`);
+      refreshCoinUniverseInBackground(env);
+    }
+    COIN_UNIVERSE = { ...buildCoinUniverse(cached.data.assets, cached.data.provider, cached.data.updatedAt), expiresAt: now + COIN_UNIVERSE_MEMO_MS };
+    return COIN_UNIVERSE;
+  }
+  
+  try {
+    const data = await fetchFreshCoinUniverse(env);
+    COIN_UNIVERSE = { ...buildCoinUniverse(data.assets, data.provider, data.updatedAt), expiresAt: now + COIN_UNIVERSE_MEMO_MS };
+  } catch (err) {
+    log.error(`[CoinUniverse] Failed to load asset list: ${err.code || err.message}`);
+    COIN_UNIVERSE = cached?.data?.assets
+      ? { ...buildCoinUniverse(cached.data.assets, cached.data.provider, cached.data.updatedAt), expiresAt: now + COIN_UNIVERSE_RETRY_MS }
+      : { ...buildCoinUniverse([], 'static', null), expiresAt: now + COIN_UNIVERSE_RETRY_MS };
+  }
+  return COIN_UNIVERSE;
+}
+
+// Synchronous lookup for code paths that already hold a resolved coin id
+export function getCoinInfo(coinId) {
+  return SUPPORTED_COINS[coinId] || COIN_UNIVERSE?.byId.get(coinId) || null;
+}
+
+// Resolve a client-supplied coin (our id, provider id alias or ticker symbol) to a universe entry
+// Returns null for unknown coins
+export async function resolveCoin(value, env) {
+  const key = String(value || '').trim().toLowerCase();
+  if (!key) return null;
+  if (SUPPORTED_COINS[key]) return SUPPORTED_COINS[key];
+  if (FEATURED_BY_COINCAP_ID[key]) return FEATURED_BY_COINCAP_ID[key];
+  
+  const universe = await getCoinUniverse(env);
+  const id = universe.byId.has(key) ? key : (universe.aliases.get(key) || universe.bySymbol.get(key));
+  return id ? universe.byId.get(id) : null;
+}
+
+export async function handleCoins(request, env) {
+  try {
+    const url = new URL(request.url);
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || COINS_DEFAULT_LIMIT, 1), COIN_UNIVERSE_SIZE);
+    const search = (url.searchParams.get('search') || '').trim().toLowerCase();
+    
+    const universe = await getCoinUniverse(env, { force: isForceRefresh(request.url) });
+    
+    let coinsList;
+    if (search) {
+      // Exact symbol/id matches first, then prefix matches, then substring matches (rank order within each)
+      const score = c => {
+        const symbol = c.symbol.toLowerCase();
+        const name = c.name.toLowerCase();
+        if (symbol === search || c.id === search || c.coincap_id === search) return 0;
+        if (symbol.startsWith(search) || name.startsWith(search)) return 1;
+        if (name.includes(search) || c.id.includes(search)) return 2;
+        return -1;
+      };
+      coinsList = universe.coins
+        .map(c => ({ coin: c, score: score(c) }))
+        .filter(m => m.score >= 0)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, limit)
+        .map(m => m.coin);
+    } else {
+      // Top-N by market cap; featured coins stay selectable even when they rank lower
+      coinsList = universe.coins.slice(0, limit);
+      const included = new Set(coinsList.map(c => c.id));
+      coinsList.push(...universe.coins.filter(c => c.featured && !included.has(c.id)));
+    }
+    
+    const ageSeconds = universe.updatedAt ? Math.floor((Date.now() - universe.updatedAt) / 1000) : null;
+    return jsonResponse(coinsList, 200, {
+      'Cache-Control': 'public, s-maxage=300, max-age=300',
+      'X-Cache-Status': universe.source === 'static' ? 'miss' : (ageSeconds * 1000 < COIN_UNIVERSE_TTL_MS ? 'fresh' : 'stale'),
+      'X-DO-Age': String(ageSeconds ?? 0),
+      'X-Data-Provider': universe.source
+    });
+  } catch (error) {
+    log.error('Error fetching coins:', error);
+    return errorResponse('Failed to fetch supported coins');
+  }
+}
@@ -0,0 +1,23 @@
+// =============================================================================
+// SHARED CONFIGURATION (timeouts, freshness windows, upstream endpoints)
+// =============================================================================
+//
+// Constants used by more than one module; section-specific limits live next to their code.
+
+// AI Explain timeout constants
+export const AI_TOTAL_TIMEOUT_MS = 22000; // 22s total server budget
+export const AI_MODEL_TIMEOUT_MS = 12000; // 12s per model call
+export const AI_REPAIR_TIMEOUT_MS = 6000; // 6s repair
+export const AI_PRICE_FETCH_TIMEOUT_MS = 3000; // 3s for live price fetch
+
+// Canonical price and news freshness constants
+export const PRICE_KV_FRESH_MS = 60 * 1000; // 60s - KV price cache is fresh if age <= this
+export const NEWS_TTL_MS = 10 * 60 * 1000; // 10m - News headlines are fresh if age <= this
+export const STALE_MAX_MS = 24 * 60 * 60 * 1000; // 24h - oldest headlines/sentiment served when a refresh fails
+
+// NewsAPI, NewsData.io and Cohere endpoints; env vars of the same name override them (local upstream simulator)
+export const NEWSAPI_API_BASE = 'https://newsapi.org/v2';
+export const NEWSDATA_API_BASE = 'https://newsdata.io/api/1';
+export const COHERE_API_BASE = 'https://api.cohere.com/v2';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
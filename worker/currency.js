@@ -0,0 +1,198 @@
+// =============================================================================
+// QUOTE CURRENCIES (?vs= conversion)
+// =============================================================================
+//
+// Market data is fetched and cached in USD only; responses are converted on the
+// way out. Fiat quotes use CoinCap's /rates table (latest rate applied to every
+// point). Crypto quotes (BTC) divide by the quote coin's own USD series, so a
+// BTC-denominated chart reflects BTC's price at each point in time.
+
+import { errorResponse } from './http.js';
+import { log } from './log.js';
+import { rateLimitedFetch } from './upstream.js';
+import { coinCapAuthHeaders, coinCapBase } from './providers.js';
+import { getCachedHistoryData } from './history.js';
+import { getCachedOHLCData } from './ohlc.js';
+import { canonicalFormatNumber, getCanonicalPrice } from './prices.js';
+
+export const QUOTE_CURRENCIES = {
+  usd: { code: 'USD', decimals: 2 },
+  eur: { code: 'EUR', decimals: 2, rateId: 'euro' },
+  gbp: { code: 'GBP', decimals: 2, rateId: 'british-pound-sterling' },
+  jpy: { code: 'JPY', decimals: 2, rateId: 'japanese-yen' },
+  btc: { code: 'BTC', decimals: 8, coinId: 'bitcoin' }
+};
+const FX_RATES_KEY = 'fx_rates';
+const FX_RATES_TTL_MS = 10 * 60 * 1000; // fiat rates move slowly; refresh every 10 minutes
+
+// Parse ?vs= (default USD); returns the quote key or null when unsupported
+export function getQuoteCurrency(url) {
+  const vs = (url.searchParams.get('vs') || 'usd').trim().toLowerCase();
+  return QUOTE_CURRENCIES[vs] ? vs : null;
+}
+
+export function unsupportedQuoteResponse(url) {
+  return errorResponse(`Unsupported vs currency: ${url.searchParams.get('vs')} (use one of ${Object.keys(QUOTE_CURRENCIES).join(', ')})`);
+}
+
+// Fetch USD rates for the fiat quotes from CoinCap /rates -> { EUR: usdPerUnit, ... }
+async function fetchFxRates(env) {
+  const url = `${coinCapBase(env)}/rates`;
+  log.debug(`[fetchFxRates] URL: ${url}`);
+  const raw = await rateLimitedFetch(url, { method: 'GET', headers: coinCapAuthHeaders(env) }, env, 'fx_rates');
+  
+  if (!raw || !raw.ok) {
+    const body = raw?.text || JSON.stringify(raw?.json || {});
+    throw new Error(`CoinCap rates API error: ${raw?.status || 'no-response'} - ${body.substring(0, 200)}`);
+  }
+  
+  const data = raw.json || (raw.text ? JSON.parse(raw.text) : null);
+  const byId = new Map(((data && data.data) || []).map(r => [r.id, Number(r.rateUsd)]));
+  const rates = {};
+  for (const quote of Object.values(QUOTE_CURRENCIES)) {
+    if (!quote.rateId) continue;
+    const rateUsd = byId.get(quote.rateId);
+    if (!Number.isFinite(rateUsd) || rateUsd <= 0) {
+      throw new Error(`CoinCap rates missing ${quote.code}`);
+    }
+    rates[quote.code] = rateUsd;
+  }
+  return rates;
+}
+
+async function fetchFreshFxRates(env) {
+  const data = { rates: await fetchFxRates(env), source: 'coincap', updatedAt: Date.now() };
+  await env.RATE_LIMIT_KV.put(FX_RATES_KEY, JSON.stringify({ data, timestamp: data.updatedAt }));
+  log.debug(`[FX] Cached rates: ${JSON.stringify(data.rates)}`);
+  return data;
+}
+
+// KV-cached fiat rates, served stale while refreshing (stale-if-error when the refresh fails)
+async function getFxRates(env) {
+  let cached = null;
+  try {
+    const raw = await env.RATE_LIMIT_KV.get(FX_RATES_KEY);
+    cached = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    log.warn('[FX] Failed to read KV:', e.message);
+  }
+  
+  if (cached?.data?.rates) {
+    if (Date.now() - cached.timestamp >= FX_RATES_TTL_MS) {
+      fetchFreshFxRates(env).catch(err => log.warn(`[FX] Background refresh failed: ${err.code || err.message}`));
+    }
+    return cached.data;
+  }
+  return await fetchFreshFxRates(env);
+}
+
+// Spot quote for a currency: { vs, rateUsd (USD per 1 unit), source, timestamp, method }
+export async function getSpotQuote(vs, env) {
+  const quote = QUOTE_CURRENCIES[vs];
+  if (quote.coinId) {
+    const canonical = await getCanonicalPrice(quote.coinId, env);
+    return {
+      vs: quote.code,
+      rateUsd: Number(canonical.price),
+      change24h: canonical.change24h ?? null,
+      source: canonical.priceSource || canonical.source,
+      timestamp: canonical.timestamp,
+      method: 'spot'
+    };
+  }
+  const fx = await getFxRates(env);
+  return { vs: quote.code, rateUsd: fx.rates[quote.code], source: fx.source, timestamp: new Date(fx.updatedAt).toISOString(), method: 'spot' };
+}
+
+// Nearest-point lookup over a USD series of the quote coin: [{ time, rateUsd }] sorted by time
+function buildRateLookup(points) {
+  return (time) => {
+    let lo = 0;
+    let hi = points.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].time < time) lo = mid + 1; else hi = mid;
+    }
+    const prev = points[Math.max(lo - 1, 0)];
+    return Math.abs(prev.time - time) < Math.abs(points[lo].time - time) ? prev.rateUsd : points[lo].rateUsd;
+  };
+}
+
+// Rate per point for a series: crypto quotes follow the quote coin's history, fiat uses the spot rate.
+// `loadSeries(coinId)` returns the quote coin's [{ time, rateUsd }] for the same window.
+async function getSeriesQuote(vs, env, loadSeries) {
+  const quote = QUOTE_CURRENCIES[vs];
+  if (quote.coinId) {
+    const points = (await loadSeries(quote.coinId)).filter(p => Number.isFinite(p.time) && p.rateUsd > 0);
+    if (points.length > 0) {
+      return { vs: quote.code, rateAt: buildRateLookup(points), source: 'history', method: 'historical' };
+    }
+  }
+  const spot = await getSpotQuote(vs, env);
+  return { ...spot, rateAt: () => spot.rateUsd };
+}
+
+// Convert a USD amount, keeping 8 significant digits (quotes can be far below 1, e.g. in BTC)
+function convertFromUsd(value, rateUsd) {
+  if (value == null || !Number.isFinite(Number(value)) || !rateUsd) return value;
+  return Number((Number(value) / rateUsd).toPrecision(8));
+}
+
+// Convert a /price payload. For crypto quotes the 24h change is relative to the quote coin;
+// fiat quotes keep the USD-based change (FX moves are not folded in)
+export function convertPriceData(priceData, quote) {
+  const decimals = QUOTE_CURRENCIES[quote.vs.toLowerCase()].decimals;
+  const price = convertFromUsd(priceData.price, quote.rateUsd);
+  let change24h = priceData.change24h;
+  if (change24h != null && quote.change24h != null) {
+    change24h = Math.round(((1 + change24h / 100) / (1 + quote.change24h / 100) - 1) * 10000) / 100;
+  }
+  return {
+    ...priceData,
+    price,
+    priceFmt: canonicalFormatNumber(price, decimals),
+    priceUsd: priceData.price,
+    change24h,
+    changeFmt: change24h == null ? null : canonicalFormatNumber(change24h, 2),
+    vs: quote.vs,
+    fx: quote
+  };
+}
+
+// Convert a /history payload (prices are [{ timestamp, price }]); `window` matches the priced series
+export async function convertHistoryData(data, vs, window, env) {
+  const quote = await getSeriesQuote(vs, env, async (coinId) => {
+    const { data: quoteData } = await getCachedHistoryData(coinId, window, env);
+    return quoteData.prices.map(p => ({ time: new Date(p.timestamp).getTime(), rateUsd: p.price }));
+  });
+  return {
+    ...data,
+    prices: data.prices.map(p => ({ ...p, price: convertFromUsd(p.price, quote.rateAt(new Date(p.timestamp).getTime())) })),
+    vs: quote.vs,
+    fx: describeQuote(quote)
+  };
+}
+
+// Convert OHLC candles; each candle uses the quote rate at its own timestamp (the quote coin's close)
+export async function convertOHLCCandles(ohlc, vs, days, interval, env) {
+  const quote = await getSeriesQuote(vs, env, async (coinId) => {
+    const { data } = await getCachedOHLCData(coinId, days, interval, env);
+    return data.ohlc.map(c => ({ time: new Date(c.timestamp).getTime(), rateUsd: c.close }));
+  });
+  const candles = ohlc.map(c => {
+    const rate = quote.rateAt(new Date(c.timestamp).getTime());
+    return {
+      ...c,
+      open: convertFromUsd(c.open, rate),
+      high: convertFromUsd(c.high, rate),
+      low: convertFromUsd(c.low, rate),
+      close: convertFromUsd(c.close, rate)
+    };
+  });
+  return { ohlc: candles, fx: describeQuote(quote) };
+}
+
+// Public description of a quote for response bodies (drops the lookup function)
+function describeQuote({ rateAt, ...quote }) {
+  return quote;
+}
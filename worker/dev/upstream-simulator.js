@@ -0,0 +1,412 @@
+// =============================================================================
+// Upstream simulator - offline stand-in for CoinCap, Binance, the news APIs and Cohere
+// =============================================================================
+//
+// Replays the recorded responses in ./fixtures (history, klines and news timestamps are
+// rebased to the requested window / the current time) and injects faults on demand:
+// 429 with Retry-After, 5xx (530 by default), timeouts and malformed JSON. Point the
+// worker at it with COINCAP_API_BASE, BINANCE_API_BASE, NEWSAPI_API_BASE,
+// NEWSDATA_API_BASE and COHERE_API_BASE set to `<simulator>/coincap`, `/binance`,
+// `/newsapi`, `/newsdata` and `/cohere`; `/feeds/<name>` serves fixtures/feed-<name>.xml
+// for NEWS_RSS_FEEDS, as do the default outlet feed URLs. Feeds carry an ETag and
+// Last-Modified and answer conditional requests with 304.
+//
+// In tests, pass `simulator.fetch` to Miniflare as `outboundService`. From the command
+// line (`node worker/dev/upstream-simulator.js --port 8788`) it serves the same routes
+// over HTTP for `wrangler dev`, with faults managed through /__simulator/faults.
+
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+// Real hostnames, so un-overridden bases are served as well
+const UPSTREAM_HOSTS = {
+  'rest.coincap.io': 'coincap',
+  'api.binance.com': 'binance',
+  'newsapi.org': 'newsapi',
+  'newsdata.io': 'newsdata',
+  'api.cohere.com': 'cohere'
+};
+// Default news feeds (feeds.js DEFAULT_FEED_URLS) by hostname, served as /feeds/<name>
+const FEED_HOSTS = {
+  'www.coindesk.com': 'coindesk',
+  'www.theblock.co': 'theblock',
+  'cointelegraph.com': 'cointelegraph'
+};
+const UPSTREAMS = ['coincap', 'binance', 'newsapi', 'newsdata', 'cohere', 'feeds'];
+
+const INTERVAL_MS = {
+  m1: 60 * 1000, m5: 5 * 60 * 1000, m15: 15 * 60 * 1000, m30: 30 * 60 * 1000,
+  h1: 60 * 60 * 1000, h2: 2 * 60 * 60 * 1000, h4: 4 * 60 * 60 * 1000, h6: 6 * 60 * 60 * 1000,
+  h12: 12 * 60 * 60 * 1000, d1: 24 * 60 * 60 * 1000
+};
+const BINANCE_INTERVALS = {
+  '1m': 'm1', '5m': 'm5', '15m': 'm15', '30m': 'm30',
+  '1h': 'h1', '2h': 'h2', '4h': 'h4', '6h': 'h6', '12h': 'h12', '1d': 'd1'
+};
+const MAX_SERIES_POINTS = 2500; // CoinCap's cap on one history response
+const DEFAULT_TIMEOUT_DELAY_MS = 30 * 1000;
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(name, FIXTURES_DIR), 'utf8'));
+}
+
+function loadFixtureText(name) {
+  try {
+    return readFileSync(new URL(name, FIXTURES_DIR), 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function loadFixtures() {
+  return {
+    assets: loadFixture('coincap-assets.json').data,
+    history: loadFixture('coincap-history-bitcoin-h1.json').data,
+    rates: loadFixture('coincap-rates.json').data,
+    tickers: loadFixture('binance-ticker-24hr.json'),
+    news: loadFixture('newsapi-everything.json'),
+    newsdata: loadFixture('newsdata-latest.json'),
+    chat: loadFixture('cohere-chat.json'),
+    classify: loadFixture('cohere-classify.json')
+  };
+}
+
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+// { upstream, path } for a simulator URL (`/coincap/assets`) or a real upstream URL
+function resolveUpstream(url) {
+  if (FEED_HOSTS[url.hostname]) {
+    return { upstream: 'feeds', path: `/${FEED_HOSTS[url.hostname]}` };
+  }
+  const host = UPSTREAM_HOSTS[url.hostname];
+  if (host) {
+    // Drop the version prefix the real bases carry (/v3 on CoinCap, /v2 on NewsAPI and Cohere, /api/1 on NewsData)
+    return { upstream: host, path: url.pathname.replace(/^\/(?:v\d+|api\/\d+)(?=\/)/, '') };
+  }
+  const [, first, ...rest] = url.pathname.split('/');
+  if (UPSTREAMS.includes(first)) {
+    return { upstream: first, path: `/${rest.join('/')}` };
+  }
+  return { upstream: null, path: url.pathname };
+}
+
+// Recorded series replayed across [start, end] at `intervalMs`, scaled to `priceUsd`
+function rebaseSeries(recorded, priceUsd, start, end, intervalMs) {
+  const lastRecorded = Number(recorded[recorded.length - 1].priceUsd);
+  const scale = priceUsd / lastRecorded;
+  const count = Math.min(Math.floor((end - start) / intervalMs) + 1, MAX_SERIES_POINTS);
+  const first = end - (count - 1) * intervalMs;
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    // Align the newest point with the newest recording so the series ends at the spot price
+    const sample = recorded[(recorded.length - count % recorded.length + i) % recorded.length];
+    points.push({ time: first + i * intervalMs, price: Number(sample.priceUsd) * scale });
+  }
+  return points;
+}
+
+function assetPrice(fixtures, id) {
+  const asset = fixtures.assets.find(a => a.id === id);
+  return asset ? Number(asset.priceUsd) : null;
+}
+
+function handleCoinCap(fixtures, path, url) {
+  if (path === '/assets') {
+    const ids = url.searchParams.get('ids');
+    if (ids) {
+      const wanted = ids.split(',');
+      return json({ data: fixtures.assets.filter(a => wanted.includes(a.id)), timestamp: Date.now() });
+    }
+    const limit = Number(url.searchParams.get('limit')) || 100;
+    return json({ data: fixtures.assets.slice(0, limit), timestamp: Date.now() });
+  }
+  const history = path.match(/^\/assets\/([^/]+)\/history$/);
+  if (history) {
+    const price = assetPrice(fixtures, decodeURIComponent(history[1]));
+    const intervalMs = INTERVAL_MS[url.searchParams.get('interval')];
+    if (price === null || !intervalMs) {
+      return json({ error: `${history[1]} not found` }, 404);
+    }
+    const end = Number(url.searchParams.get('end')) || Date.now();
+    const start = Number(url.searchParams.get('start')) || end - 24 * INTERVAL_MS.h1;
+    const data = rebaseSeries(fixtures.history, price, start, end, intervalMs).map(p => ({
+      priceUsd: p.price.toFixed(8),
+      time: p.time,
+      date: new Date(p.time).toISOString()
+    }));
+    return json({ data, timestamp: Date.now() });
+  }
+  if (path === '/rates') {
+    return json({ data: fixtures.rates, timestamp: Date.now() });
+  }
+  return json({ error: `Unknown CoinCap path ${path}` }, 404);
+}
+
+function handleBinance(fixtures, path, url) {
+  if (path === '/api/v3/ticker/24hr') {
+    const symbols = JSON.parse(url.searchParams.get('symbols') || '[]');
+    return json(fixtures.tickers.filter(t => symbols.includes(t.symbol)));
+  }
+  if (path === '/api/v3/klines') {
+    const ticker = fixtures.tickers.find(t => t.symbol === url.searchParams.get('symbol'));
+    const intervalMs = INTERVAL_MS[BINANCE_INTERVALS[url.searchParams.get('interval')]];
+    if (!ticker || !intervalMs) {
+      return json({ code: -1121, msg: 'Invalid symbol.' }, 400);
+    }
+    const end = Number(url.searchParams.get('endTime')) || Date.now();
+    const start = Number(url.searchParams.get('startTime')) || end - 500 * intervalMs;
+    const limit = Number(url.searchParams.get('limit')) || 500;
+    const points = rebaseSeries(fixtures.history, Number(ticker.lastPrice), start, end, intervalMs).slice(0, limit);
+    return json(points.map((p, i) => {
+      const open = i > 0 ? points[i - 1].price : p.price;
+      return [
+        p.time, open.toFixed(8), (Math.max(open, p.price) * 1.001).toFixed(8),
+        (Math.min(open, p.price) * 0.999).toFixed(8), p.price.toFixed(8), '100.0',
+        p.time + intervalMs - 1, (p.price * 100).toFixed(2), 1000, '50.0', (p.price * 50).toFixed(2), '0'
+      ];
+    }));
+  }
+  return json({ code: -1, msg: `Unknown Binance path ${path}` }, 404);
+}
+
+// Shift recorded timestamps so the newest one is now, keeping their spacing
+function shiftToNow(times) {
+  const shift = Date.now() - Math.max(...times);
+  return times.map(t => t + shift);
+}
+
+function handleNewsApi(fixtures, path, url) {
+  if (path !== '/everything') {
+    return json({ status: 'error', code: 'notFound', message: `Unknown NewsAPI path ${path}` }, 404);
+  }
+  if (!url.searchParams.get('apiKey')) {
+    return json({ status: 'error', code: 'apiKeyMissing', message: 'Your API key is missing.' }, 401);
+  }
+  const shifted = shiftToNow(fixtures.news.articles.map(a => Date.parse(a.publishedAt)));
+  const articles = fixtures.news.articles.map((a, i) => ({
+    ...a,
+    publishedAt: new Date(shifted[i]).toISOString().replace(/\.\d{3}Z$/, 'Z')
+  }));
+  return json({ ...fixtures.news, articles });
+}
+
+function handleNewsData(fixtures, path, url) {
+  if (path !== '/latest') {
+    return json({ status: 'error', results: { message: `Unknown NewsData path ${path}`, code: 'NotFound' } }, 404);
+  }
+  if (!url.searchParams.get('apikey')) {
+    return json({ status: 'error', results: { message: 'API key missing', code: 'Unauthorized' } }, 401);
+  }
+  // pubDate is UTC without a zone ("2025-10-09 08:30:00")
+  const shifted = shiftToNow(fixtures.newsdata.results.map(a => Date.parse(`${a.pubDate.replace(' ', 'T')}Z`)));
+  const results = fixtures.newsdata.results.map((a, i) => ({
+    ...a,
+    pubDate: new Date(shifted[i]).toISOString().slice(0, 19).replace('T', ' ')
+  }));
+  return json({ ...fixtures.newsdata, results });
+}
+
+// RSS/Atom feeds from fixtures/feed-<name>.xml, with item dates shifted to now. The
+// validators stay the same for the simulator's lifetime, so revalidation always gets a 304.
+function handleFeed(path, request, lastModified) {
+  const name = path.replace(/^\//, '');
+  const xml = /^[\w-]+$/.test(name) ? loadFixtureText(`feed-${name}.xml`) : null;
+  if (!xml) {
+    return new Response('Not found', { status: 404 });
+  }
+  const validators = { 'ETag': `"${name}-${xml.length}"`, 'Last-Modified': lastModified };
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  if (ifNoneMatch ? ifNoneMatch === validators.ETag : ifModifiedSince >= Date.parse(lastModified)) {
+    return new Response(null, { status: 304, headers: validators });
+  }
+  const datePattern = /<(pubDate|published|updated)>([^<]+)<\/\1>/g;
+  const recorded = [...xml.matchAll(datePattern)].map(m => Date.parse(m[2]));
+  const shifted = shiftToNow(recorded);
+  let i = 0;
+  const body = xml.replace(datePattern, (match, tag) => {
+    const date = new Date(shifted[i++]);
+    return `<${tag}>${tag === 'pubDate' ? date.toUTCString() : date.toISOString()}</${tag}>`;
+  });
+  const contentType = /<feed[\s>]/.test(xml) ? 'application/atom+xml' : 'application/rss+xml';
+  return new Response(body, { status: 200, headers: { 'Content-Type': `${contentType}; charset=utf-8`, ...validators } });
+}
+
+// Cohere chat replies are picked by the prompt the worker sent
+function chatReply(fixtures, prompt) {
+  if (prompt.includes('AllowedNumbers')) {
+    return JSON.stringify({ ...fixtures.chat.explain, timestamp: new Date().toISOString() });
+  }
+  if (prompt.includes('"summary"')) {
+    return JSON.stringify(fixtures.chat.summary);
+  }
+  if (prompt.includes('JSON array')) {
+    const headlines = [...prompt.matchAll(/^\d+\. (.+)$/gm)].map(m => m[1]);
+    const sentiments = fixtures.chat.headlines;
+    return JSON.stringify(headlines.map((text, i) => ({
+      text,
+      sentiment: sentiments[i % sentiments.length],
+      confidence: 0.8
+    })));
+  }
+  return JSON.stringify(fixtures.chat.analysis);
+}
+
+async function handleCohere(fixtures, path, request) {
+  if (!request.headers.get('Authorization')) {
+    return json({ message: 'no api key supplied' }, 401);
+  }
+  if (path === '/classify') {
+    return json(fixtures.classify);
+  }
+  if (path === '/chat') {
+    const body = await request.json().catch(() => ({}));
+    const prompt = (body.messages || []).map(m => (typeof m.content === 'string' ? m.content : '')).join('\n');
+    return json({
+      id: 'sim-chat',
+      finish_reason: 'COMPLETE',
+      message: { role: 'assistant', content: [{ type: 'text', text: chatReply(fixtures, prompt) }] },
+      usage: { billed_units: { input_tokens: 0, output_tokens: 0 } }
+    });
+  }
+  return json({ message: `Unknown Cohere path ${path}` }, 404);
+}
+
+function faultMatches(fault, upstream, path) {
+  return (!fault.upstream || fault.upstream === upstream) && (!fault.path || path.startsWith(fault.path));
+}
+
+async function faultResponse(fault) {
+  switch (fault.type) {
+    case 'rate-limit':
+      return json({ error: 'Too many requests' }, 429, { 'Retry-After': String(fault.retryAfter ?? 1) });
+    case 'server-error':
+      return new Response(`error code: ${fault.status ?? 530}`, { status: fault.status ?? 530 });
+    case 'timeout':
+      await new Promise(r => setTimeout(r, fault.delayMs ?? DEFAULT_TIMEOUT_DELAY_MS));
+      return json({ error: 'Gateway timeout' }, 504);
+    case 'malformed-json':
+      return new Response('{"data": [{"id": "bitcoin", "priceUsd": ', {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    case 'json-body':
+      return json(fault.body, fault.status ?? 200);
+    default:
+      throw new Error(`Unknown fault type: ${fault.type}`);
+  }
+}
+
+/**
+ * Create a simulator instance.
+ * `inject({ type, upstream?, path?, times?, retryAfter?, status?, delayMs?, body? })` queues a fault:
+ * type is 'rate-limit', 'server-error', 'timeout', 'malformed-json' or 'json-body' (answers
+ * `body`, e.g. well-formed but unusable data); it applies to the next
+ * `times` (default 1, Infinity for every) matching requests. `calls` records every request served.
+ */
+export function createUpstreamSimulator() {
+  const fixtures = loadFixtures();
+  const feedsLastModified = new Date().toUTCString();
+  const faults = [];
+  const calls = [];
+
+  async function fetch(input, init) {
+    // Miniflare hands over its own Request class, so duck-type rather than instanceof
+    const request = typeof input?.url === 'string' ? input : new Request(input, init);
+    const url = new URL(request.url);
+    const { upstream, path } = resolveUpstream(url);
+    const call = { upstream, method: request.method, path, query: Object.fromEntries(url.searchParams), fault: null, status: null };
+    calls.push(call);
+
+    let response;
+    const fault = faults.find(f => f.remaining > 0 && faultMatches(f, upstream, path));
+    if (fault) {
+      fault.remaining--;
+      call.fault = fault.type;
+      response = await faultResponse(fault);
+    } else if (upstream === 'coincap') {
+      response = handleCoinCap(fixtures, path, url);
+    } else if (upstream === 'binance') {
+      response = handleBinance(fixtures, path, url);
+    } else if (upstream === 'newsapi') {
+      response = handleNewsApi(fixtures, path, url);
+    } else if (upstream === 'newsdata') {
+      response = handleNewsData(fixtures, path, url);
+    } else if (upstream === 'feeds') {
+      response = handleFeed(path, request, feedsLastModified);
+    } else if (upstream === 'cohere') {
+      response = await handleCohere(fixtures, path, request);
+    } else {
+      response = json({ error: `No simulated upstream for ${url.href}` }, 502);
+    }
+    call.status = response.status;
+    return response;
+  }
+
+  return {
+    fetch,
+    calls,
+    inject(fault) {
+      faults.push({ ...fault, remaining: fault.times ?? 1 });
+    },
+    reset() {
+      faults.length = 0;
+      calls.length = 0;
+    },
+    // Requests served for `upstream` (and path prefix), e.g. to assert retries or cache hits
+    callsTo(upstream, path = '') {
+      return calls.filter(c => c.upstream === upstream && c.path.startsWith(path));
+    }
+  };
+}
+
+// HTTP front end for `wrangler dev`; faults are managed over /__simulator/*
+export function startSimulatorServer({ port = 8788, host = '127.0.0.1' } = {}) {
+  const simulator = createUpstreamSimulator();
+  const server = createServer(async (req, res) => {
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+      const url = new URL(req.url, `http://${req.headers.host || `${host}:${port}`}`);
+
+      let response;
+      if (url.pathname === '/__simulator/faults' && req.method === 'POST') {
+        const fault = JSON.parse(body ? body.toString('utf8') : '{}');
+        simulator.inject({ ...fault, times: fault.times === 'always' ? Infinity : fault.times });
+        response = json({ ok: true, fault });
+      } else if (url.pathname === '/__simulator/faults' && req.method === 'DELETE') {
+        simulator.reset();
+        response = json({ ok: true });
+      } else if (url.pathname === '/__simulator/calls') {
+        response = json({ calls: simulator.calls });
+      } else {
+        response = await simulator.fetch(new Request(url, { method: req.method, headers: req.headers, body }));
+      }
+
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  });
+  server.listen(port, host);
+  return { server, simulator };
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const portArg = process.argv.indexOf('--port');
+  const port = portArg > -1 ? Number(process.argv[portArg + 1]) : 8788;
+  startSimulatorServer({ port });
+  console.log(`Upstream simulator listening on http://127.0.0.1:${port} (coincap, binance, newsapi, newsdata, cohere, feeds)`);
+}
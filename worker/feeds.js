@@ -0,0 +1,264 @@
+// =============================================================================
+// NEWS FEEDS (RSS 2.0 and Atom ingestion)
+// =============================================================================
+//
+// The crypto outlets' own feeds (CoinDesk, The Block and Cointelegraph unless
+// NEWS_RSS_FEEDS says otherwise) back the rss news provider, so /news and the
+// sentiment summary work without a paid API key. Each feed is cached in KV as
+// `feed_<host><path>` with the items, their coin tags and the response validators;
+// once FEED_FRESH_MS has passed it is re-fetched with If-None-Match /
+// If-Modified-Since, so an unchanged feed costs a 304. A feed that fails keeps
+// serving its cached items. The cron prewarm ingests every feed on each run.
+
+import { log } from './log.js';
+import { guardedFetch } from './upstream.js';
+import { getCoinUniverse } from './coins.js';
+
+export const DEFAULT_FEED_URLS = [
+  'https://www.coindesk.com/arc/outboundfeeds/rss/',
+  'https://www.theblock.co/rss.xml',
+  'https://cointelegraph.com/rss'
+];
+const FEED_FETCH_TIMEOUT_MS = 5000;
+const FEED_FRESH_MS = 10 * 60 * 1000; // revalidate a cached feed at most this often
+const FEED_CACHE_PREFIX = 'feed_';
+const FEED_MAX_ITEMS = 50; // newest items kept per feed
+const FEED_DESCRIPTION_MAX = 500;
+const TAG_SYMBOL_MIN_LENGTH = 3; // two-letter tickers (OP, AR) match too many ordinary words
+const TAG_NAME_MAX_WORDS = 3;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Configured feed URLs (NEWS_RSS_FEEDS, comma-separated), de-duplicated; invalid URLs
+// are dropped. Unset means DEFAULT_FEED_URLS, "none" disables the feeds.
+export function getFeedUrls(env) {
+  const configured = String(env.NEWS_RSS_FEEDS || '').trim();
+  if (!configured) return DEFAULT_FEED_URLS;
+  if (configured.toLowerCase() === 'none') return [];
+  const urls = configured
+    .split(',')
+    .map(u => u.trim())
+    .filter(u => {
+      try {
+        return /^https?:$/.test(new URL(u).protocol);
+      } catch (e) {
+        return false;
+      }
+    });
+  return [...new Set(urls)];
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, ' ') // markup inside descriptions
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+      }
+      return XML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/<\/?[a-z][^>]*>/gi, ' ') // escaped HTML (Atom type="html", most RSS descriptions)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Text of the first <tag> in `xml` (namespace prefixes allowed, e.g. dc:creator), or ''
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : '';
+}
+
+// Atom links are attributes (<link rel="alternate" href="..."/>); RSS links are text
+function entryLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map(m => m[1]);
+  const alternate = links.find(attrs => !/\brel=/.test(attrs) || /\brel=["']alternate["']/.test(attrs));
+  const href = alternate?.match(/\bhref=["']([^"']+)["']/);
+  if (href) return decodeXmlText(href[1]);
+  return tagText(xml, 'link') || tagText(xml, 'guid');
+}
+
+function isoDate(text) {
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document.
+ * @returns {{ title: string, items: Array<{ title, description, url, author, publishedAt }> }}
+ */
+export function parseFeed(xml) {
+  const text = String(xml || '');
+  const isAtom = /<feed[\s>]/i.test(text) && !/<rss[\s>]/i.test(text);
+  const blockTag = isAtom ? 'entry' : 'item';
+  const blocks = [...text.matchAll(new RegExp(`<${blockTag}(?:\\s[^>]*)?>([\\s\\S]*?)</${blockTag}>`, 'gi'))].map(m => m[1]);
+  const header = text.split(new RegExp(`<${blockTag}[\\s>]`, 'i'))[0];
+
+  const items = blocks.map(block => ({
+    title: tagText(block, 'title'),
+    description: isAtom
+      ? tagText(block, 'summary') || tagText(block, 'content')
+      : tagText(block, 'description'),
+    url: entryLink(block),
+    author: (isAtom ? tagText(block, 'name') : tagText(block, 'dc:creator') || tagText(block, 'author')) || null,
+    publishedAt: isoDate(isAtom
+      ? tagText(block, 'published') || tagText(block, 'updated')
+      : tagText(block, 'pubDate') || tagText(block, 'dc:date'))
+  })).filter(item => item.title && item.url);
+
+  return { title: tagText(header, 'title'), items };
+}
+
+export function feedCacheKey(url) {
+  const { host, pathname, search } = new URL(url);
+  return `${FEED_CACHE_PREFIX}${host}${pathname}${search}`;
+}
+
+// Lookup tables for tagCoins: lowercase names (up to TAG_NAME_MAX_WORDS words) and tickers
+export function buildCoinTagIndex(coins) {
+  const names = new Map();
+  const symbols = new Map();
+  for (const coin of coins) {
+    const name = String(coin.name || '').toLowerCase().trim();
+    if (name && name.split(/\s+/).length <= TAG_NAME_MAX_WORDS && !names.has(name)) {
+      names.set(name, coin.id);
+    }
+    const symbol = String(coin.symbol || '').toUpperCase();
+    if (symbol.length >= TAG_SYMBOL_MIN_LENGTH && !symbols.has(symbol)) {
+      symbols.set(symbol, coin.id);
+    }
+  }
+  return { names, symbols };
+}
+
+/**
+ * Ids of the coins a text mentions: by name in any case ("bitcoin cash") or by ticker
+ * in capitals, optionally as a cashtag ("BTC", "$SOL").
+ * @param {string} text
+ * @param {{ names: Map<string, string>, symbols: Map<string, string> }} index - from buildCoinTagIndex
+ * @returns {string[]}
+ */
+export function tagCoins(text, index) {
+  const found = new Set();
+  const words = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[.'-][a-z0-9]+)*/g) || [];
+  for (let i = 0; i < words.length; i++) {
+    for (let n = 1; n <= TAG_NAME_MAX_WORDS && i + n <= words.length; n++) {
+      const id = index.names.get(words.slice(i, i + n).join(' '));
+      if (id) found.add(id);
+    }
+  }
+  for (const [symbol] of String(text || '').matchAll(/\b[A-Z][A-Z0-9]{1,9}\b/g)) {
+    const id = index.symbols.get(symbol);
+    if (id) found.add(id);
+  }
+  return [...found];
+}
+
+/**
+ * Fetch and parse one feed. With the validators of a cached copy the request is
+ * conditional and a 304 comes back as `{ notModified: true }`.
+ * Throws on other HTTP errors and timeouts.
+ * @returns {Promise<{ notModified: boolean, title?, items?, etag?, lastModified? }>}
+ */
+export async function fetchFeed(url, env, validators = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FEED_FETCH_TIMEOUT_MS);
+  try {
+    const response = await guardedFetch(url, {
+      headers: {
+        'User-Agent': 'Crypto-Mood-Dashboard/1.0',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8',
+        ...(validators.etag && { 'If-None-Match': validators.etag }),
+        ...(validators.lastModified && { 'If-Modified-Since': validators.lastModified })
+      },
+      signal: controller.signal
+    }, env);
+    if (response.status === 304) {
+      log.debug(`[Feeds] ${url}: not modified`);
+      return { notModified: true };
+    }
+    if (!response.ok) {
+      throw new Error(`Feed error: ${response.status} for ${url}`);
+    }
+    const feed = parseFeed(await response.text());
+    log.debug(`[Feeds] ${url}: ${feed.items.length} items`);
+    return {
+      notModified: false,
+      ...feed,
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified')
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function readCachedFeed(key, env) {
+  try {
+    const raw = await env.RATE_LIMIT_KV.get(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    log.warn(`[Feeds] Failed to read ${key}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * One feed through its KV cache: served as is while fresh, revalidated after FEED_FRESH_MS,
+ * re-parsed and re-tagged when it changed, and served stale when the refresh fails.
+ * Throws only when the feed fails and nothing is cached.
+ * @returns {Promise<{ url, title, items: Array<{ title, description, url, author, publishedAt, coins }>, fetchedAt, cacheStatus: 'hit'|'revalidated'|'miss'|'stale' }>}
+ */
+export async function ingestFeed(url, env, options = { force: false }) {
+  const key = feedCacheKey(url);
+  const cached = await readCachedFeed(key, env);
+  const now = Date.now();
+  if (cached?.data && !options.force && now - cached.timestamp < FEED_FRESH_MS) {
+    return { ...cached.data, fetchedAt: cached.timestamp, cacheStatus: 'hit' };
+  }
+  
+  let data;
+  let cacheStatus;
+  try {
+    const result = await fetchFeed(url, env, cached?.data || {});
+    if (result.notModified && cached?.data) {
+      data = cached.data;
+      cacheStatus = 'revalidated';
+    } else {
+      const index = buildCoinTagIndex((await getCoinUniverse(env)).coins);
+      const items = (result.items || [])
+        .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+        .slice(0, FEED_MAX_ITEMS)
+        .map(item => ({
+          ...item,
+          description: item.description.substring(0, FEED_DESCRIPTION_MAX),
+          coins: tagCoins(`${item.title} ${item.description}`, index)
+        }));
+      data = { url, title: result.title || new URL(url).hostname, items, etag: result.etag, lastModified: result.lastModified };
+      cacheStatus = 'miss';
+    }
+  } catch (err) {
+    if (cached?.data) {
+      log.warn(`[Feeds] ${url} failed, serving cached items: ${err.message}`);
+      return { ...cached.data, fetchedAt: cached.timestamp, cacheStatus: 'stale' };
+    }
+    throw err;
+  }
+  
+  try {
+    await env.RATE_LIMIT_KV.put(key, JSON.stringify({ data, timestamp: now }));
+  } catch (e) {
+    log.warn(`[Feeds] Failed to cache ${key}:`, e.message);
+  }
+  return { ...data, fetchedAt: now, cacheStatus };
+}
+
+// Every configured feed through ingestFeed; failures come back as { url, error }
+export async function ingestFeeds(env, options) {
+  const urls = getFeedUrls(env);
+  const results = await Promise.allSettled(urls.map(url => ingestFeed(url, env, options)));
+  return results.map((result, i) => (result.status === 'fulfilled'
+    ? result.value
+    : { url: urls[i], error: result.reason?.message || 'unknown error' }));
+}
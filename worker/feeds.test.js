@@ -0,0 +1,102 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FEED_URLS, buildCoinTagIndex, feedCacheKey, getFeedUrls, parseFeed, tagCoins } from './feeds.js';
+
+describe('getFeedUrls', () => {
+  it('should default to the outlet feeds and allow turning them off', () => {
+    expect(getFeedUrls({})).toEqual(DEFAULT_FEED_URLS);
+    expect(getFeedUrls({ NEWS_RSS_FEEDS: ' ' })).toEqual(DEFAULT_FEED_URLS);
+    expect(getFeedUrls({ NEWS_RSS_FEEDS: 'none' })).toEqual([]);
+  });
+
+  it('should de-duplicate configured feeds and drop invalid URLs', () => {
+    const env = { NEWS_RSS_FEEDS: 'https://a.example/rss, ftp://b.example/feed,not a url,https://a.example/rss' };
+    expect(getFeedUrls(env)).toEqual(['https://a.example/rss']);
+  });
+});
+
+describe('feedCacheKey', () => {
+  it('should key feeds by host, path and query', () => {
+    expect(feedCacheKey('https://www.theblock.co/rss.xml')).toBe('feed_www.theblock.co/rss.xml');
+    expect(feedCacheKey('https://example.com/feed?tag=btc')).toBe('feed_example.com/feed?tag=btc');
+  });
+});
+
+describe('parseFeed', () => {
+  it('should read RSS 2.0 items', () => {
+    const feed = parseFeed(`<?xml version="1.0"?>
+      <rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel>
+        <title>Outlet &amp; Co</title>
+        <item>
+          <title><![CDATA[Bitcoin tops $70K]]></title>
+          <link>https://outlet.example/a</link>
+          <dc:creator>Staff</dc:creator>
+          <description><![CDATA[<p>Bulls &amp; bears</p>]]></description>
+          <pubDate>Thu, 09 Oct 2025 09:15:00 +0000</pubDate>
+        </item>
+        <item><title>No link here</title></item>
+      </channel></rss>`);
+    expect(feed).toEqual({
+      title: 'Outlet & Co',
+      items: [{
+        title: 'Bitcoin tops $70K',
+        description: 'Bulls & bears',
+        url: 'https://outlet.example/a',
+        author: 'Staff',
+        publishedAt: '2025-10-09T09:15:00.000Z'
+      }]
+    });
+  });
+
+  it('should read Atom entries with attribute links and fall back to updated', () => {
+    const feed = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+      <title type="text">Atom Outlet</title>
+      <link rel="self" href="https://outlet.example/atom.xml"/>
+      <entry>
+        <title>Ether staking &#8212; queue shrinks</title>
+        <link rel="enclosure" href="https://outlet.example/img.png"/>
+        <link rel="alternate" href="https://outlet.example/b"/>
+        <author><name>Desk</name></author>
+        <summary type="html">&lt;b&gt;Validators&lt;/b&gt; exit, 3 &lt; 5</summary>
+        <updated>2025-10-09T08:40:00Z</updated>
+      </entry>
+    </feed>`);
+    expect(feed.title).toBe('Atom Outlet');
+    expect(feed.items).toEqual([{
+      title: 'Ether staking — queue shrinks',
+      description: 'Validators exit, 3 < 5',
+      url: 'https://outlet.example/b',
+      author: 'Desk',
+      publishedAt: '2025-10-09T08:40:00.000Z'
+    }]);
+  });
+
+  it('should return no items for empty or non-feed input', () => {
+    expect(parseFeed('')).toEqual({ title: '', items: [] });
+    expect(parseFeed('<html><body>Not a feed</body></html>').items).toEqual([]);
+  });
+});
+
+describe('tagCoins', () => {
+  const index = buildCoinTagIndex([
+    { id: 'bitcoin', name: 'Bitcoin', symbol: 'BTC' },
+    { id: 'bitcoin-cash', name: 'Bitcoin Cash', symbol: 'BCH' },
+    { id: 'ripple', name: 'Ripple', symbol: 'XRP' },
+    { id: 'optimism', name: 'Optimism', symbol: 'OP' }
+  ]);
+
+  it('should tag coins by name in any case, including multi-word names', () => {
+    expect(tagCoins('Spot bitcoin ETFs log inflows', index)).toEqual(['bitcoin']);
+    expect(tagCoins('Bitcoin Cash hard fork anniversary', index)).toEqual(['bitcoin', 'bitcoin-cash']);
+  });
+
+  it('should tag capitalised tickers and cashtags only', () => {
+    expect(tagCoins('$XRP jumps while BTC holds', index)).toEqual(['ripple', 'bitcoin']);
+    expect(tagCoins('the btc-denominated xrp-ledger', index)).toEqual([]);
+  });
+
+  it('should skip two-letter tickers', () => {
+    expect(tagCoins('OP ed: why we left', index)).toEqual([]);
+    expect(tagCoins('Optimism ships a fault-proof upgrade', index)).toEqual(['optimism']);
+  });
+});
@@ -0,0 +1,462 @@
+// =============================================================================
+// HISTORY WINDOWS (intervals, ranges and downsampling for /history)
+// =============================================================================
+//
+// A window is either relative (`days` back from now) or absolute (`start`/`end`,
+// aligned to the interval so nearby requests share a cache entry). The raw series
+// is cached per window; `maxPoints` downsampling (LTTB) is applied per response,
+// so one cached series serves every chart size.
+
+import { DAY_MS } from './config.js';
+import { errorResponse, isForceRefresh, jsonResponse, upstreamErrorResponse } from './http.js';
+import { log } from './log.js';
+import { fetchTicksWithFailover } from './providers.js';
+import { getCoinInfo, resolveCoin } from './coins.js';
+import { roundPrice } from './ohlc.js';
+import { convertHistoryData, getQuoteCurrency, unsupportedQuoteResponse } from './currency.js';
+
+// Delete a KV key if older than thresholdMs
+async function deleteIfVeryOld(kv, cacheKey, thresholdMs) {
+  try {
+    const raw = await kv.get(cacheKey);
+    if (!raw) return false;
+    const parsed = JSON.parse(raw);
+    const ts = parsed.timestamp || parsed.data?.timestamp || 0;
+    if (!ts) return false;
+    if (Date.now() - ts > thresholdMs) {
+      log.debug(`[Cache] Deleting very old cache ${cacheKey} (age: ${Math.floor((Date.now()-ts)/1000)}s)`);
+      await kv.delete(cacheKey);
+      return true;
+    }
+  } catch (e) {
+    log.warn(`[Cache] deleteIfVeryOld failed for ${cacheKey}:`, e.message);
+  }
+  return false;
+}
+
+const HISTORY_PROVIDER_MAX_POINTS = 2500; // CoinCap returns at most this many points per history request
+// Longest window one provider request covers at d1 (both ends included), ~6.8 years
+export const HISTORY_MAX_DAYS = HISTORY_PROVIDER_MAX_POINTS - 1;
+export const HISTORY_INTERVALS = {
+  m5: { ms: 5 * 60 * 1000, maxDays: 5 },
+  m15: { ms: 15 * 60 * 1000, maxDays: 14 },
+  h1: { ms: 60 * 60 * 1000, maxDays: 31 },
+  h6: { ms: 6 * 60 * 60 * 1000, maxDays: 366 },
+  d1: { ms: DAY_MS, maxDays: HISTORY_MAX_DAYS }
+};
+const HISTORY_DEFAULT_MAX_POINTS = 1000;
+export const HISTORY_MAX_POINTS = 5000;
+
+// Interval used when the client only sends `days` (hourly below a week, daily otherwise)
+function defaultHistoryInterval(days) {
+  return days >= 7 ? 'd1' : 'h1';
+}
+
+// Normalize a window; a bare number means "the last N days at the default interval"
+export function toHistoryWindow(window) {
+  const w = typeof window === 'number' ? { days: window } : { ...window };
+  if (w.start == null) {
+    w.start = null;
+    w.end = null;
+  }
+  w.interval = w.interval || defaultHistoryInterval(w.days ?? Math.ceil((w.end - w.start) / DAY_MS));
+  return w;
+}
+
+// Relative windows at the default interval keep the legacy `history_{coin}_{days}` key,
+// which the canonical price fallback and the legacy purge also read
+export function historyCacheKey(coinId, window) {
+  const w = toHistoryWindow(window);
+  if (w.start != null) {
+    return `history_${coinId}_${w.interval}_${w.start}_${w.end}`;
+  }
+  if (w.interval === defaultHistoryInterval(w.days)) {
+    return `history_${coinId}_${w.days}`;
+  }
+  return `history_${coinId}_${w.days}_${w.interval}`;
+}
+
+function resolveHistoryRange(window, now = Date.now()) {
+  const w = toHistoryWindow(window);
+  return w.start != null ? { start: w.start, end: w.end } : { start: now - w.days * DAY_MS, end: now };
+}
+
+// Absolute windows that ended more than one interval ago never change
+function isClosedHistoryWindow(window, now = Date.now()) {
+  const w = toHistoryWindow(window);
+  return w.end != null && w.end <= now - HISTORY_INTERVALS[w.interval].ms;
+}
+
+// Accepts epoch milliseconds, epoch seconds or an ISO date string
+export function parseHistoryTime(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(value)) {
+    const n = Number(value);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+// Parse /history query parameters into { window, maxPoints } or { error }
+function parseHistoryRequest(url, now = Date.now()) {
+  const params = url.searchParams;
+  const interval = params.get('interval') || null;
+  if (interval && !HISTORY_INTERVALS[interval]) {
+    return { error: `Unsupported interval: ${interval} (use one of ${Object.keys(HISTORY_INTERVALS).join(', ')})` };
+  }
+  
+  const days = Math.min(Math.max(parseInt(params.get('days')) || 7, 1), HISTORY_MAX_DAYS);
+  const start = parseHistoryTime(params.get('start'));
+  const end = parseHistoryTime(params.get('end'));
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return { error: 'Invalid start/end (use epoch milliseconds, epoch seconds or an ISO date)' };
+  }
+  
+  let window;
+  if (start != null || end != null) {
+    const rangeEnd = Math.min(end ?? now, now);
+    const rangeStart = start ?? rangeEnd - days * DAY_MS;
+    if (rangeStart >= rangeEnd) {
+      return { error: 'start must be before end' };
+    }
+    const rangeInterval = interval || defaultHistoryInterval(Math.ceil((rangeEnd - rangeStart) / DAY_MS));
+    const ms = HISTORY_INTERVALS[rangeInterval].ms;
+    window = {
+      start: Math.floor(rangeStart / ms) * ms,
+      end: Math.ceil(rangeEnd / ms) * ms,
+      interval: rangeInterval
+    };
+  } else {
+    window = { days, interval: interval || defaultHistoryInterval(days) };
+  }
+  
+  const rangeDays = window.start != null ? (window.end - window.start) / DAY_MS : window.days;
+  if (rangeDays > HISTORY_MAX_DAYS) {
+    return { error: `Range too large: ${Math.ceil(rangeDays)} days (max ${HISTORY_MAX_DAYS})` };
+  }
+  if (rangeDays > HISTORY_INTERVALS[window.interval].maxDays) {
+    return { error: `Range too large for ${window.interval}: ${Math.ceil(rangeDays)} days (max ${HISTORY_INTERVALS[window.interval].maxDays}); use a wider interval` };
+  }
+  
+  const maxPoints = Math.min(Math.max(parseInt(params.get('maxPoints')) || HISTORY_DEFAULT_MAX_POINTS, 3), HISTORY_MAX_POINTS);
+  return { window, maxPoints };
+}
+
+// Largest-Triangle-Three-Buckets: keeps the first and last points and, per bucket, the point
+// forming the largest triangle with its neighbours, so peaks and troughs survive downsampling
+function downsampleLTTB(points, threshold, getX, getY) {
+  const n = points.length;
+  if (threshold >= n || threshold < 3) return points;
+  
+  const xs = points.map(getX);
+  const ys = points.map(getY);
+  const sampled = [points[0]];
+  const bucketSize = (n - 2) / (threshold - 2);
+  let a = 0;
+  
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket is the third triangle vertex
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += xs[j];
+      avgY += ys[j];
+    }
+    avgX /= (nextEnd - nextStart);
+    avgY /= (nextEnd - nextStart);
+    
+    const bucketStart = Math.floor(i * bucketSize) + 1;
+    const bucketEnd = Math.floor((i + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let maxIndex = bucketStart;
+    for (let j = bucketStart; j < bucketEnd; j++) {
+      const area = Math.abs((xs[a] - avgX) * (ys[j] - ys[a]) - (xs[a] - xs[j]) * (avgY - ys[a]));
+      if (area > maxArea) {
+        maxArea = area;
+        maxIndex = j;
+      }
+    }
+    sampled.push(points[maxIndex]);
+    a = maxIndex;
+  }
+  
+  sampled.push(points[n - 1]);
+  return sampled;
+}
+
+// Fetch historical data for a single coin (provider failover: CoinCap first by default)
+// `window` is a number of days or a window object (see toHistoryWindow)
+export async function fetchAssetHistory(coinId, window, env) {
+  const w = toHistoryWindow(window);
+  const { interval } = w;
+  const { start, end } = resolveHistoryRange(w);
+  const days = w.days ?? Math.ceil((end - start) / DAY_MS);
+  
+  try {
+    log.debug(`[fetchAssetHistory] Fetching ${days}-day ${interval} history for ${coinId}`);
+    const { ticks, provider } = await fetchTicksWithFailover(coinId, interval, start, end, env);
+    const points = ticks.map(t => ({
+      timestamp: new Date(t.time).toISOString(),
+      price: roundPrice(t.price)
+    }));
+    
+    log.debug(`[fetchAssetHistory] Got ${points.length} points for ${coinId} from ${provider}`);
+    return {
+      coin: coinId,
+      prices: points,
+      days,
+      interval,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      symbol: getCoinInfo(coinId)?.symbol || coinId.toUpperCase(),
+      source: provider,
+      provider,
+      note: `Real market data from ${provider}`
+    };
+  } catch (err) {
+    log.error(`[fetchAssetHistory] Failed:`, err.message);
+    throw err;
+  }
+}
+
+// History data caching functions (with legacy CoinGecko purge)
+export async function getCachedHistoryData(coinId, window, env) {
+  const cacheKey = historyCacheKey(coinId, window);
+  const now = Date.now();
+  const CACHE_TTL = 10000; // 10 seconds fresh cache (faster updates)
+  const MAX_STALE = 60000; // 1 minute max stale (shorter stale period)
+  
+  try {
+    // Get cached data
+    const cached = await env.RATE_LIMIT_KV.get(cacheKey);
+    
+    if (cached) {
+      try {
+        const { data, timestamp } = JSON.parse(cached);
+        const age = now - timestamp;
+        
+        // 🔥 MIGRATION: Detect and purge legacy CoinGecko cache entries
+        // This checks if cached data was from OLD CoinGecko API and deletes it
+        // Then fetches FRESH data from NEW CoinCap API
+        const source = data?.source;
+        if (source === 'coingecko') {
+          log.debug(`[Migration] Found legacy CoinGecko history cache for ${cacheKey}, deleting and forcing CoinCap refresh`);
+          await env.RATE_LIMIT_KV.delete(cacheKey);
+          return await fetchFreshHistoryData(coinId, window, env); // ← This fetches from CoinCap!
+        }
+        
+        // Relaxed validation: just check if we have valid price data
+        if (!data || !data.prices || !Array.isArray(data.prices) || data.prices.length === 0) {
+          log.debug(`[History Cache] Invalid cached history for ${coinId}, fetching fresh data`);
+          await env.RATE_LIMIT_KV.delete(cacheKey);
+          return await fetchFreshHistoryData(coinId, window, env);
+        }
+        
+        // Closed absolute windows never change, so any cached copy is fresh
+        if (age < CACHE_TTL || isClosedHistoryWindow(window, now)) {
+          log.debug(`[History Cache] Serving fresh cached data for ${coinId} (${age}ms old, source: ${source})`);
+          return { data, fromCache: true, fresh: true };
+        } else if (age < MAX_STALE) {
+          log.debug(`[History Cache] Serving stale cached data for ${coinId} (${age}ms old), refreshing in background`);
+          // Trigger background refresh
+          refreshHistoryInBackground(coinId, window, env);
+          return { data, fromCache: true, fresh: false };
+        } else {
+          // Even if very stale, serve it immediately and refresh in background
+          log.debug(`[History Cache] Serving very stale cached data for ${coinId} (${age}ms old), refreshing in background`);
+          refreshHistoryInBackground(coinId, window, env);
+          return { data, fromCache: true, fresh: false };
+        }
+      } catch (parseError) {
+        // Corrupt cache entry - delete and fetch fresh
+        log.warn(`[History Cache] Failed to parse KV ${cacheKey}, deleting corrupt entry:`, parseError.message);
+        await env.RATE_LIMIT_KV.delete(cacheKey);
+        return await fetchFreshHistoryData(coinId, window, env);
+      }
+    }
+    
+    // No cache or too old, fetch fresh data
+    log.debug(`[History Cache] No valid cache for ${coinId}, fetching fresh data`);
+    return await fetchFreshHistoryData(coinId, window, env);
+    
+  } catch (error) {
+    log.debug(`[History Cache] Error getting cached data for ${coinId}: ${error.message}`);
+    return await fetchFreshHistoryData(coinId, window, env);
+  }
+}
+
+export async function fetchFreshHistoryData(coinId, window, env) {
+  try {
+    const cacheKey = historyCacheKey(coinId, window);
+    log.debug(`[Fresh History] Fetching history for ${coinId} (${cacheKey})`);
+    const historyData = await fetchAssetHistory(coinId, window, env);
+    
+    // Cache the fresh data
+    await env.RATE_LIMIT_KV.put(cacheKey, JSON.stringify({
+      data: historyData,
+      timestamp: Date.now()
+    }));
+    
+    log.debug(`[Fresh History] Cached fresh history for ${coinId}: ${historyData.prices.length} points`);
+    return { data: historyData, fromCache: false, fresh: true };
+    
+  } catch (error) {
+    log.debug(`[Fresh History] Failed to fetch history for ${coinId}:`, error.message);
+    throw error;
+  }
+}
+
+async function refreshHistoryInBackground(coinId, window, env) {
+  try {
+    log.debug(`[Background History] Refreshing history for ${coinId} (non-blocking)`);
+    // Use promise without awaiting to ensure non-blocking
+    const refreshPromise = fetchFreshHistoryData(coinId, window, env);
+    
+    // Don't await - let it run in background
+    refreshPromise.then(() => {
+      log.debug(`[Background History] Refreshed history for ${coinId}`);
+    }).catch(error => {
+      // Gracefully handle backoff errors
+      if (error.code === 'backoff' || error.code === 'retries_exhausted' || error.code === 'providers_exhausted') {
+        log.warn(`[Background History] Suppressed upstream error for ${coinId}: ${error.message}`);
+        return;
+      }
+      log.warn(`[Background History] Failed to refresh ${coinId}: ${error.message}`);
+    });
+  } catch (error) {
+    log.warn(`[Background History] Error initiating refresh for ${coinId}: ${error.message}`);
+  }
+}
+
+export async function handleHistory(request, env) {
+  const start = Date.now();
+  try {
+    const url = new URL(request.url);
+    const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+    
+    const coinInfo = await resolveCoin(requestedCoin, env);
+    if (!coinInfo) {
+      return errorResponse(`Unsupported coin: ${requestedCoin}`);
+    }
+    const coinId = coinInfo.id;
+    const vs = getQuoteCurrency(url);
+    if (!vs) {
+      return unsupportedQuoteResponse(url);
+    }
+    
+    const parsedRequest = parseHistoryRequest(url);
+    if (parsedRequest.error) {
+      return errorResponse(parsedRequest.error);
+    }
+    const { window, maxPoints } = parsedRequest;
+    const cacheKey = historyCacheKey(coinId, window);
+    const closed = isClosedHistoryWindow(window);
+    
+    // allow mutation
+    let force = isForceRefresh(request.url);
+
+    // Safety: delete KV if ultra-old (closed windows never go stale)
+    const VERY_OLD_MS = 48 * 60 * 60 * 1000;
+    if (!closed) {
+      try {
+        await deleteIfVeryOld(env.RATE_LIMIT_KV, cacheKey, VERY_OLD_MS);
+      } catch (e) {
+        log.warn('[History] deleteIfVeryOld error:', e.message);
+      }
+    }
+
+    // SHORT TTL: force refresh if cached entry older than SHORT_TTL_MS
+    const SHORT_TTL_MS = 60 * 1000; // 60s (matches POP cache TTL)
+    if (!force && !closed) {
+      try {
+        const raw = await env.RATE_LIMIT_KV.get(cacheKey);
+        if (raw) {
+          const parsed = JSON.parse(raw);
+          const cachedTs = parsed.timestamp || 0;
+          if (cachedTs && (Date.now() - cachedTs > SHORT_TTL_MS)) {
+            log.debug(`[History] Cached history too old (${Math.floor((Date.now()-cachedTs)/1000)}s), will force refresh`);
+            force = true;
+          }
+        }
+      } catch (e) {
+        log.warn('[History] error reading KV for age check:', e.message);
+      }
+    }
+    
+    // Fetch path
+    let result;
+    if (force) {
+      log.debug(`[History] Force refresh for ${coinId} (${cacheKey})`);
+      try {
+        result = await fetchFreshHistoryData(coinId, window, env);
+      } catch (upErr) {
+        log.warn(`[History] fetchFreshHistoryData failed: ${upErr.message}`);
+        try {
+          const raw = await env.RATE_LIMIT_KV.get(cacheKey);
+          if (raw) {
+            const parsed = JSON.parse(raw);
+            // 🔥 MIGRATION: Never serve CoinGecko cache, even in stale-if-error
+            const source = parsed?.data?.source || parsed?.source;
+            if (source === 'coingecko') {
+              log.warn('[History] Refusing to serve stale CoinGecko cache, throwing error instead');
+              throw upErr; // Don't serve old CoinGecko data
+            }
+            result = { data: parsed.data, fromCache: true, fresh: false, staleIfError: true };
+            log.warn('[History] Serving stale cached history after upstream failure (source: coincap)');
+          } else {
+            throw upErr;
+          }
+        } catch (serveErr) {
+          log.error('[History] No cached data to fall back to:', serveErr.message);
+          throw upErr;
+        }
+      }
+    } else {
+      const beforeKV = Date.now();
+      result = await getCachedHistoryData(coinId, window, env);
+      const afterKV = Date.now();
+      log.debug(`[History] KV read latency: ${afterKV - beforeKV}ms`);
+      if (!result || !result.data) {
+        log.debug('[History] getCachedHistoryData returned no data, fetching fresh');
+        result = await fetchFreshHistoryData(coinId, window, env);
+      }
+    }
+    
+    // Build observability headers with POP caching (use last price timestamp for age)
+    const lastPrice = result.data.prices && result.data.prices.length > 0 ? result.data.prices[result.data.prices.length-1] : null;
+    const dataTs = lastPrice?.timestamp ? new Date(lastPrice.timestamp).getTime() : null;
+    const xdoage = dataTs ? String(Math.floor((Date.now() - dataTs) / 1000)) : '';
+    const xcacheStatus = result.fromCache ? (result.fresh ? 'fresh' : (result.staleIfError ? 'stale-if-error' : 'stale')) : 'miss';
+    const headers = {
+      'Cache-Control': closed ? 'public, s-maxage=86400, max-age=3600' : 's-maxage=60, max-age=0, must-revalidate',
+      'X-Cache-Status': xcacheStatus,
+      'X-Cache-Source': result.fromCache ? 'cache' : 'api',
+      'X-DO-Age': xdoage,
+      'X-Latency-ms': String(Date.now() - start),
+      'X-Data-Provider': result.data.provider || result.data.source || 'unknown'
+    };
+    
+    // Cached history is the raw USD series; downsample to the point budget, then convert
+    const totalPoints = result.data.prices.length;
+    const sampled = {
+      ...result.data,
+      interval: result.data.interval || window.interval,
+      prices: downsampleLTTB(result.data.prices, maxPoints, p => Date.parse(p.timestamp), p => p.price),
+      totalPoints,
+      maxPoints,
+      downsampled: totalPoints > maxPoints
+    };
+    const body = vs === 'usd' ? { ...sampled, vs: 'USD' } : await convertHistoryData(sampled, vs, window, env);
+    
+    log.debug(`[History] Got history for ${coinId} (${body.prices.length}/${totalPoints} points, vs=${body.vs}, fromCache=${!!result.fromCache}, age=${xdoage}s), totalLatency=${Date.now()-start}ms`);
+    return jsonResponse(body, 200, headers);
+    
+  } catch (error) {
+    log.error('[History] Error handling history request:', error);
+    
+    return upstreamErrorResponse(error, 'Failed to fetch price history');
+  }
+}
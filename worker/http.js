@@ -0,0 +1,101 @@
+// =============================================================================
+// HTTP RESPONSES (JSON and error helpers, CORS headers)
+// =============================================================================
+//
+// Every handler answers through jsonResponse/errorResponse (no-store by default);
+// upstreamErrorResponse adds the provider attempts and diagnostics of a failed fetch.
+
+// CORS headers for allowed browser origins (ALLOWED_ORIGINS); withCors adds them, with the
+// requesting origin reflected in Access-Control-Allow-Origin, on the way out of the worker
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS, HEAD',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Requested-With, Accept, Origin, Referer, User-Agent, Cache-Control, Pragma, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'Allow, Retry-After, X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining, Content-Length, Content-Type, X-Cache-Status, X-DO-Age, X-Cache-Source, X-Latency-ms, X-AI-Status, X-AI-Reason, X-Data-Provider, X-Price-Source',
+  'Access-Control-Max-Age': '86400' // 24 hours
+};
+
+export function jsonResponse(data, status = 200, extraHeaders = {}) {
+  // Default cache headers (can be overridden by extraHeaders)
+  const defaultCacheHeaders = {
+    'Cache-Control': 'no-store, max-age=0, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+  };
+  
+  // Only add Surrogate-Control if not using s-maxage in extraHeaders
+  if (!extraHeaders['Cache-Control'] || !extraHeaders['Cache-Control'].includes('s-maxage')) {
+    defaultCacheHeaders['Surrogate-Control'] = 'no-store';
+  }
+
+  return new Response(typeof data === 'string' ? data : JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...defaultCacheHeaders,
+      ...extraHeaders // extraHeaders override defaults
+    }
+  });
+}
+
+export function errorResponse(message, status = 400) {
+  return jsonResponse({ error: message }, status);
+}
+
+// Error response for failed upstream market-data calls (502 when upstream is unreachable)
+export function upstreamErrorResponse(error, message) {
+  let status = 500;
+  if (error.code === 'retries_exhausted' || error.code === 'providers_exhausted') {
+    status = 502; // Bad Gateway - upstream unreachable
+  } else if (error.message && error.message.includes('CoinCap')) {
+    status = 502;
+  }
+  
+  // Include detailed error information
+  const errorDetails = {
+    error: message,
+    code: error.code || 'unknown',
+    details: error.details || error.message || 'unknown error',
+    timestamp: new Date().toISOString()
+  };
+  
+  // Per-provider failures when every market data provider was tried
+  if (error.attempts) {
+    errorDetails.attempts = error.attempts;
+  }
+  
+  // Add lastError details if available (for exhausted-retries)
+  if (error.lastError) {
+    errorDetails.diagnostic = {
+      type: error.lastError.type || 'unknown',
+      message: error.lastError.message,
+      status: error.lastError.status
+    };
+    
+    // Special message for 530 errors
+    if (error.lastError.status === 530) {
+      errorDetails.message = 'CoinCap API is experiencing connectivity issues (Cloudflare error 530). This is usually temporary. Please try again in a few moments.';
+      errorDetails.retry_after = 60; // Suggest retry after 60 seconds
+    }
+  }
+  
+  const headers = {
+    'X-Client-Cache': 'no-store',
+    'X-Error-Type': error.code || 'unknown'
+  };
+  if (error.lastError?.status === 530) {
+    headers['Retry-After'] = '60';
+  }
+  return jsonResponse(errorDetails, status, headers);
+}
+
+// Helper: treat `_` or force=true as cache-bust
+export function isForceRefresh(requestUrl) {
+  try {
+    const u = new URL(requestUrl);
+    if (u.searchParams.has('_')) return true;
+    const f = u.searchParams.get('force');
+    return f === '1' || f === 'true';
+  } catch (e) {
+    return false;
+  }
+}
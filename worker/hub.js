@@ -0,0 +1,231 @@
+// =============================================================================
+// LIVE PRICE HUB (Durable Object WebSocket fan-out behind /ws)
+// =============================================================================
+//
+// A single PriceHub instance owns the upstream polling for every coin anyone is
+// watching: one alarm loop polls the union of subscribed coins (one batched
+// getCanonicalPrices call) and broadcasts changed ticks to the subscribed sockets.
+// Upstream load depends on the number of watched coins, not on the number of
+// connected dashboards. Sockets use the hibernation API; each socket's
+// subscriptions live in its attachment so they survive the object being evicted.
+//
+// Client messages: { type: 'subscribe' | 'unsubscribe', coins: [...] }, { type: 'ping' }
+// Hub messages: subscribed, snapshot (latest tick per coin), price, price-error, error, pong
+
+import { errorResponse } from './http.js';
+import { currentRequestId, log, runWithLogContext } from './log.js';
+import { getCoinInfo, resolveCoin } from './coins.js';
+import { QUOTE_CURRENCIES, convertPriceData, getQuoteCurrency, getSpotQuote, unsupportedQuoteResponse } from './currency.js';
+import { getCanonicalPrices } from './prices.js';
+
+const HUB_INSTANCE = 'global';
+const HUB_POLL_MS = 10 * 1000;
+const HUB_MAX_COINS_PER_SOCKET = 20;
+
+export async function handleLiveSocket(request, env) {
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return errorResponse('Expected a WebSocket upgrade (use /stream for Server-Sent Events)', 426);
+  }
+  if (!env.PRICE_HUB) {
+    return errorResponse('Live price hub is not configured', 503);
+  }
+  const hub = env.PRICE_HUB.get(env.PRICE_HUB.idFromName(HUB_INSTANCE));
+  const forwarded = new Request(request);
+  forwarded.headers.set('X-Request-Id', currentRequestId() || '');
+  return hub.fetch(forwarded);
+}
+
+export class PriceHub {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.latest = new Map();     // coinId -> USD price payload last broadcast
+    this.lastErrors = new Map(); // coinId -> error code last broadcast (once per outage)
+  }
+  
+  async fetch(request) {
+    return runWithLogContext({ requestId: request.headers.get('X-Request-Id'), env: this.env }, () => this.handle(request));
+  }
+  
+  async handle(request) {
+    const url = new URL(request.url);
+    const vs = getQuoteCurrency(url);
+    if (!vs) {
+      return unsupportedQuoteResponse(url);
+    }
+    
+    const { 0: client, 1: server } = new WebSocketPair();
+    this.state.acceptWebSocket(server);
+    server.serializeAttachment({ vs, coins: [] });
+    
+    const initial = (url.searchParams.get('coins') || '').split(',').map(c => c.trim()).filter(Boolean);
+    if (initial.length > 0) {
+      this.state.waitUntil(this.subscribe(server, initial));
+    }
+    log.debug(`[Hub] Socket connected (vs=${vs}, coins=${initial.join(',') || 'none'}, sockets=${this.state.getWebSockets().length})`);
+    return new Response(null, { status: 101, webSocket: client });
+  }
+  
+  async webSocketMessage(ws, message) {
+    let msg;
+    try {
+      msg = JSON.parse(typeof message === 'string' ? message : new TextDecoder().decode(message));
+    } catch (e) {
+      this.send(ws, { type: 'error', error: 'Messages must be JSON', code: 'bad_message' });
+      return;
+    }
+    
+    const coins = Array.isArray(msg.coins) ? msg.coins.map(String) : [];
+    switch (msg.type) {
+      case 'subscribe':
+        await this.subscribe(ws, coins);
+        break;
+      case 'unsubscribe':
+        this.unsubscribe(ws, coins);
+        break;
+      case 'ping':
+        this.send(ws, { type: 'pong', timestamp: Date.now() });
+        break;
+      default:
+        this.send(ws, { type: 'error', error: `Unknown message type: ${msg.type}`, code: 'bad_message' });
+    }
+  }
+  
+  async webSocketClose(ws, code, reason) {
+    log.debug(`[Hub] Socket closed (code=${code}${reason ? `, reason=${reason}` : ''})`);
+    try {
+      ws.close(code, reason);
+    } catch (e) {
+      // Already closed
+    }
+  }
+  
+  async webSocketError(ws, error) {
+    log.warn('[Hub] Socket error:', error?.message || error);
+  }
+  
+  async subscribe(ws, requested) {
+    const resolved = await Promise.all(requested.map(c => resolveCoin(c, this.env)));
+    const unknown = requested.filter((c, i) => !resolved[i]);
+    if (unknown.length > 0) {
+      this.send(ws, { type: 'error', error: `Unsupported coin: ${unknown.join(', ')}`, code: 'unsupported_coin', coins: unknown });
+    }
+    
+    const attachment = ws.deserializeAttachment();
+    const coins = [...new Set([...attachment.coins, ...resolved.filter(Boolean).map(info => info.id)])];
+    if (coins.length > HUB_MAX_COINS_PER_SOCKET) {
+      this.send(ws, { type: 'error', error: `Too many coins: ${coins.length} (max ${HUB_MAX_COINS_PER_SOCKET})`, code: 'too_many_coins' });
+      return;
+    }
+    const added = coins.filter(c => !attachment.coins.includes(c));
+    ws.serializeAttachment({ ...attachment, coins });
+    this.send(ws, { type: 'subscribed', coins });
+    
+    // Snapshot-on-connect: the latest tick for each new coin (polled now if the hub hasn't seen it yet)
+    const missing = added.filter(c => !this.latest.has(c));
+    if (missing.length > 0) {
+      const { results } = await getCanonicalPrices(missing, this.env);
+      for (const [coinId, payload] of Object.entries(results)) {
+        this.latest.set(coinId, payload);
+      }
+    }
+    const snapshot = added.map(c => this.latest.get(c)).filter(Boolean);
+    if (snapshot.length > 0) {
+      const prices = await this.convert(snapshot, attachment.vs);
+      if (prices) {
+        this.send(ws, { type: 'snapshot', vs: QUOTE_CURRENCIES[attachment.vs].code, prices: Object.fromEntries(prices.map(p => [p.coin, p])) });
+      }
+    }
+    
+    if (await this.state.storage.getAlarm() == null) {
+      await this.state.storage.setAlarm(Date.now() + HUB_POLL_MS);
+    }
+  }
+  
+  unsubscribe(ws, requested) {
+    const attachment = ws.deserializeAttachment();
+    // Match ids and symbols without a lookup; ids are what subscribe stored
+    const drop = new Set(requested.map(c => c.toLowerCase()));
+    const coins = attachment.coins.filter(c => !drop.has(c) && !drop.has(getCoinInfo(c)?.symbol?.toLowerCase()));
+    ws.serializeAttachment({ ...attachment, coins });
+    this.send(ws, { type: 'subscribed', coins });
+  }
+  
+  // The poll loop: runs while at least one socket is subscribed to something
+  async alarm() {
+    const sockets = this.state.getWebSockets();
+    const watched = new Set();
+    for (const ws of sockets) {
+      for (const coinId of ws.deserializeAttachment()?.coins || []) watched.add(coinId);
+    }
+    if (watched.size === 0) {
+      log.debug(`[Hub] No subscriptions, stopping poll loop (sockets=${sockets.length})`);
+      this.latest.clear();
+      return;
+    }
+    
+    try {
+      const { results, errors } = await getCanonicalPrices([...watched], this.env);
+      const changed = new Map();
+      for (const coinId of watched) {
+        const payload = results[coinId];
+        if (payload) {
+          this.lastErrors.delete(coinId);
+          if (payload.timestampMs > (this.latest.get(coinId)?.timestampMs || 0)) {
+            this.latest.set(coinId, payload);
+            changed.set(coinId, payload);
+          }
+        } else if (errors[coinId] && this.lastErrors.get(coinId) !== errors[coinId].code) {
+          this.lastErrors.set(coinId, errors[coinId].code);
+          this.broadcast(sockets, coinId, { type: 'price-error', coin: coinId, error: errors[coinId].error, code: errors[coinId].code });
+        }
+      }
+      
+      // Convert once per quote currency, not once per socket
+      const byVs = {};
+      for (const ws of sockets) {
+        const { vs, coins } = ws.deserializeAttachment() || {};
+        const ticks = (coins || []).filter(c => changed.has(c));
+        if (ticks.length === 0) continue;
+        if (!(vs in byVs)) byVs[vs] = await this.convert([...changed.values()], vs);
+        for (const payload of byVs[vs] || []) {
+          if (ticks.includes(payload.coin)) this.send(ws, { type: 'price', coin: payload.coin, data: payload });
+        }
+      }
+      
+      if (changed.size > 0) {
+        log.debug(`[Hub] Broadcast ${changed.size} ticks (${[...changed.keys()].join(',')}) to ${sockets.length} sockets`);
+      }
+    } catch (err) {
+      log.error('[Hub] Poll failed:', err.message);
+    } finally {
+      await this.state.storage.setAlarm(Date.now() + HUB_POLL_MS);
+    }
+  }
+  
+  // USD payloads -> the socket's quote currency (null when the quote is unavailable this round)
+  async convert(payloads, vs) {
+    if (vs === 'usd') return payloads;
+    try {
+      const quote = await getSpotQuote(vs, this.env);
+      return payloads.map(p => convertPriceData(p, quote));
+    } catch (err) {
+      log.warn(`[Hub] Quote ${vs} unavailable, skipping ${payloads.length} ticks:`, err.message);
+      return null;
+    }
+  }
+  
+  broadcast(sockets, coinId, message) {
+    for (const ws of sockets) {
+      if (ws.deserializeAttachment()?.coins?.includes(coinId)) this.send(ws, message);
+    }
+  }
+  
+  send(ws, message) {
+    try {
+      ws.send(JSON.stringify(message));
+    } catch (err) {
+      // The socket closed between the poll and the send; webSocketClose cleans up
+    }
+  }
+}
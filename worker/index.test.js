@@ -0,0 +1,703 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Miniflare } from 'miniflare';
+import { createUpstreamSimulator } from './dev/upstream-simulator.js';
+
+// Every test gets a fresh worker (module state, KV and Durable Objects) wired to the simulator
+const SIMULATOR = 'http://upstream.test';
+const ORIGIN = 'http://localhost:5173'; // allowed by default, so requests run as the anonymous client
+const ADMIN_TOKEN = 'test-admin-token';
+
+let simulator;
+let mf;
+
+async function startWorker(bindings = {}, { guard = false } = {}) {
+  mf = new Miniflare({
+    modules: true,
+    modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+    scriptPath: new URL('./index.js', import.meta.url).pathname,
+    compatibilityDate: '2024-01-01',
+    compatibilityFlags: ['nodejs_als'],
+    kvNamespaces: ['RATE_LIMIT_KV'],
+    durableObjects: {
+      PRICE_HUB: 'PriceHub',
+      CLIENT_QUOTA: 'ClientQuota',
+      METRICS: 'WorkerMetrics',
+      ...(guard && { UPSTREAM_GUARD: 'UpstreamGuard' })
+    },
+    bindings: {
+      COINCAP_API_BASE: `${SIMULATOR}/coincap`,
+      BINANCE_API_BASE: `${SIMULATOR}/binance`,
+      NEWSAPI_API_BASE: `${SIMULATOR}/newsapi`,
+      NEWSDATA_API_BASE: `${SIMULATOR}/newsdata`,
+      COHERE_API_BASE: `${SIMULATOR}/cohere`,
+      COINCAP_API_KEY: 'test-coincap-key',
+      NEWSAPI_KEY: 'test-newsapi-key',
+      COHERE_API_KEY: 'test-cohere-key',
+      ADMIN_TOKEN,
+      MARKET_PROVIDERS: 'coincap',
+      LOG_LEVEL: 'silent',
+      ...bindings
+    },
+    outboundService: simulator.fetch
+  });
+  await mf.ready;
+  return mf;
+}
+
+function get(path, headers = {}) {
+  return mf.dispatchFetch(`http://worker.test${path}`, { headers: { Origin: ORIGIN, ...headers } });
+}
+
+function post(path, body) {
+  return mf.dispatchFetch(`http://worker.test${path}`, {
+    method: 'POST',
+    headers: { Origin: ORIGIN, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// Backdate a cached { data, timestamp } entry so the next request treats it as stale
+async function ageKvEntry(key, ageMs) {
+  const kv = await mf.getKVNamespace('RATE_LIMIT_KV');
+  const entry = JSON.parse(await kv.get(key));
+  entry.timestamp = Date.now() - ageMs;
+  if (entry.data?.timestamp) {
+    entry.data.timestamp = new Date(entry.timestamp).toISOString();
+  }
+  await kv.put(key, JSON.stringify(entry));
+}
+
+const SIGNALS = {
+  rsi: 72,
+  smaSignal: 'SELL',
+  bbSignal: 'SELL',
+  priceData: [{ x: Date.now() - 3600000, y: 67000 }, { x: Date.now(), y: 67234.51 }],
+  candlePatterns: [{ type: 'shooting_star', signal: 'bearish' }],
+  coin: 'bitcoin'
+};
+
+beforeEach(() => {
+  simulator = createUpstreamSimulator();
+});
+
+afterEach(async () => {
+  await mf?.dispose();
+  mf = null;
+});
+
+describe('routes', () => {
+  beforeEach(() => startWorker());
+
+  it('GET /v1/coins ranks the CoinCap universe', async () => {
+    const res = await get('/v1/coins?limit=5');
+    expect(res.status).toBe(200);
+    const coins = await res.json();
+    expect(coins.slice(0, 5).map(c => c.id)).toEqual(['bitcoin', 'ethereum', 'tether', 'binance-coin', 'solana']);
+    expect(res.headers.get('X-RateLimit-Limit')).toBe('60');
+  });
+
+  it('GET /v1/price serves live, then from KV', async () => {
+    const first = await get('/v1/price?coin=btc');
+    expect(first.status).toBe(200);
+    expect(first.headers.get('X-Cache-Status')).toBe('miss');
+    expect(await first.json()).toMatchObject({ coin: 'bitcoin', price: 67234.51, provider: 'coincap', vs: 'USD' });
+
+    const second = await get('/v1/price?coin=bitcoin');
+    expect(second.headers.get('X-Cache-Status')).toBe('fresh');
+    expect(simulator.callsTo('coincap', '/assets').filter(c => c.query.ids)).toHaveLength(1);
+  });
+
+  it('GET /v1/prices converts to the requested quote currency', async () => {
+    const res = await get('/v1/prices?coins=bitcoin,ethereum&vs=eur');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.vs).toBe('EUR');
+    expect(body.prices.bitcoin.price).toBeCloseTo(67234.51 / 1.0843, 1);
+    expect(simulator.callsTo('coincap', '/rates')).toHaveLength(1);
+  });
+
+  it('GET /v1/history returns a downsampled series for the window', async () => {
+    const res = await get('/v1/history?coin=bitcoin&days=7');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.prices.length).toBeGreaterThan(0);
+    expect(body.vs).toBe('USD');
+    expect(res.headers.get('X-Data-Provider')).toBe('coincap');
+  });
+
+  it('GET /v1/history serves the longest daily window from one provider request', async () => {
+    const res = await get('/v1/history?coin=bitcoin&days=2499&maxPoints=5000');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.totalPoints).toBeGreaterThanOrEqual(2499);
+    expect(simulator.callsTo('coincap').filter(c => c.path.endsWith('/history'))).toHaveLength(1);
+
+    expect((await get('/v1/history?coin=bitcoin&days=2500')).status).toBe(400);
+    const end = Date.now();
+    expect((await get(`/v1/history?coin=bitcoin&interval=d1&start=${end - 2600 * 86400000}&end=${end}`)).status).toBe(400);
+  });
+
+  it('GET /ohlc serves the dashboard cache-buster from KV and refreshes only on force', async () => {
+    await get('/ohlc?coin=bitcoin&days=1');
+    const busted = await get(`/ohlc?coin=bitcoin&days=1&_=${Date.now()}`);
+    expect(busted.headers.get('X-Cache-Status')).toBe('fresh');
+    const historyCalls = () => simulator.callsTo('coincap').filter(c => c.path.endsWith('/history'));
+    expect(historyCalls()).toHaveLength(1);
+
+    const forced = await get('/v1/ohlc?coin=bitcoin&days=1&force=true');
+    expect(forced.headers.get('X-Cache-Status')).toBe('miss');
+    expect(historyCalls()).toHaveLength(2);
+  });
+
+  it('GET /v1/ohlc builds candles from ticks', async () => {
+    const res = await get('/v1/ohlc?coin=bitcoin&days=1');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.ohlc.length).toBeGreaterThan(0);
+    for (const candle of body.ohlc) {
+      expect(candle.high).toBeGreaterThanOrEqual(Math.max(candle.open, candle.close));
+      expect(candle.low).toBeLessThanOrEqual(Math.min(candle.open, candle.close));
+    }
+  });
+
+  it('GET /v1/news filters removed articles', async () => {
+    const res = await get('/v1/news?coin=bitcoin');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.provider).toBe('newsapi');
+    expect(res.headers.get('X-Data-Provider')).toBe('newsapi');
+    expect(body.headlines).toHaveLength(5);
+    expect(body.headlines.some(h => h.title.includes('[Removed]'))).toBe(false);
+    expect(body.headlines[0]).toMatchObject({ provider: 'newsapi', source: 'CoinDesk', publishedAt: expect.any(String) });
+    // every headline is scored for the coin, off-topic ones included
+    expect(body.headlines.map(h => h.relevance)).toEqual([0.6, 0, 0, 0, 0.6]);
+    // the Yahoo Finance copy of the CoinDesk story is folded into it
+    expect(body.headlines[0].cluster).toEqual({
+      size: 2,
+      members: [expect.objectContaining({ source: 'Yahoo Finance', url: 'https://example.com/syndicated/bitcoin-rally-inflows' })]
+    });
+    expect(body.headlines.slice(1).every(h => h.cluster.size === 1)).toBe(true);
+  });
+
+  it('GET /v1/news pages through the cached headline pool', async () => {
+    const first = await get('/v1/news?coin=bitcoin&pageSize=2');
+    expect(first.status).toBe(200);
+    expect(first.headers.get('X-Cache-Status')).toBe('miss');
+    expect(first.headers.get('Cache-Control')).toContain('s-maxage=60');
+    expect(await first.json()).toMatchObject({ total: 5, page: 1, pageSize: 2, hasMore: true, headlines: [{}, {}] });
+
+    const last = await get('/v1/news?coin=bitcoin&pageSize=2&page=3');
+    expect(last.headers.get('X-Cache-Status')).toBe('fresh');
+    const body = await last.json();
+    expect(body).toMatchObject({ total: 5, page: 3, hasMore: false });
+    expect(body.headlines.map(h => h.source)).toEqual(['Bloomberg']);
+
+    // the sentiment summary scores the same pool
+    await get('/v1/sentiment-summary?coin=bitcoin');
+    expect(simulator.callsTo('newsapi')).toHaveLength(1);
+  });
+
+  it('GET /news ignores the dashboard cache-buster and only refreshes on force', async () => {
+    await get('/news?coin=bitcoin');
+    const busted = await get(`/news?coin=bitcoin&_=${Date.now()}`);
+    expect(busted.headers.get('X-Cache-Status')).toBe('fresh');
+    expect(simulator.callsTo('newsapi')).toHaveLength(1);
+
+    const forced = await get('/v1/news?coin=bitcoin&force=true');
+    expect(forced.headers.get('X-Cache-Status')).toBe('miss');
+    expect(simulator.callsTo('newsapi')).toHaveLength(2);
+  });
+
+  it('GET /v1/news filters by outlet, search words and publication date', async () => {
+    const bySource = await (await get('/v1/news?coin=bitcoin&sources=yahoo%20finance,Reuters')).json();
+    // a story matches through any outlet that covered it
+    expect(bySource.headlines.map(h => h.source)).toEqual(['CoinDesk']);
+    expect(bySource.sources).toContainEqual({ name: 'Yahoo Finance', count: 1 });
+    expect(bySource.sources).toHaveLength(6);
+
+    const byWords = await (await get('/v1/news?coin=bitcoin&q=MINERS%20capacity')).json();
+    expect(byWords.headlines.map(h => h.source)).toEqual(['Bloomberg']);
+
+    const from = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    const recent = await (await get(`/v1/news?coin=bitcoin&from=${from}`)).json();
+    expect(recent.headlines.map(h => h.source)).toEqual(['CoinDesk', 'The Block']);
+    expect(simulator.callsTo('newsapi')).toHaveLength(1);
+  });
+
+  it('GET /news searches free-text topics in the feeds only, without pooling them', async () => {
+    const res = await get('/news?coin=%20Staking!!%20');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ coin: 'staking', provider: 'rss' });
+    expect(body.headlines.map(h => h.title)).toContain('Ether Staking Queue Shrinks as Validators Exit');
+    expect(simulator.callsTo('newsapi')).toHaveLength(0);
+
+    const kv = await mf.getKVNamespace('RATE_LIMIT_KV');
+    expect((await kv.list({ prefix: 'news_headlines_' })).keys).toEqual([]);
+    expect((await get('/news?coin=%3F%3F%3F')).status).toBe(400);
+  });
+
+  it('GET /v1/news rejects invalid paging and dates', async () => {
+    const tooLarge = await get('/v1/news?coin=bitcoin&pageSize=500');
+    expect(tooLarge.status).toBe(400);
+    expect((await tooLarge.json()).details).toEqual([expect.objectContaining({ name: 'pageSize' })]);
+
+    expect((await get('/news?coin=bitcoin&from=soon')).status).toBe(400);
+    expect((await get('/news?coin=bitcoin&from=1760000000&to=1750000000')).status).toBe(400);
+    expect(simulator.callsTo('newsapi')).toHaveLength(0);
+  });
+
+  it('POST /v1/sentiment classifies headlines with Cohere', async () => {
+    const res = await post('/v1/sentiment', {
+      headlines: ['Bitcoin rally extends to a record high', 'Exchange hack drains hot wallet']
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.total).toBe(2);
+    expect(simulator.callsTo('cohere', '/chat')).toHaveLength(1);
+  });
+
+  it('GET /v1/sentiment-summary scores the news and records history', async () => {
+    const res = await get('/v1/sentiment-summary?coin=bitcoin');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    // generic crypto and Ethereum stories from the "Bitcoin OR BTC OR crypto" query are dropped,
+    // and the syndicated copy of the rally story counts once
+    expect(body).toMatchObject({ coin: 'bitcoin', score: 0.68, label: 'Bullish', count: 2 });
+    expect(body.headlines.map(h => h.title)).toEqual([
+      'Bitcoin rally extends as institutional inflows surge to record high',
+      'Bitcoin miners expand capacity ahead of difficulty adjustment'
+    ]);
+    expect(body.headlines.every(h => h.relevance >= 0.25)).toBe(true);
+
+    const history = await (await get('/v1/sentiment-history?coin=bitcoin')).json();
+    expect(history.points).toHaveLength(1);
+    expect(history.points[0].score).toBe(0.68);
+  });
+
+  it('GET /v1/sentiment-summary serves repeat requests from the cache', async () => {
+    const first = await get('/v1/sentiment-summary?coin=bitcoin');
+    expect(first.headers.get('X-Cache-Status')).toBe('miss');
+    const second = await get('/v1/sentiment-summary?coin=bitcoin');
+    expect(second.headers.get('X-Cache-Status')).toBe('fresh');
+    expect((await second.json()).score).toBe(0.68);
+
+    expect(simulator.callsTo('cohere', '/chat')).toHaveLength(1);
+    const history = await (await get('/v1/sentiment-history?coin=bitcoin&bucket=raw')).json();
+    expect(history.points).toHaveLength(1);
+  });
+
+  it('GET /v1/mood-index combines market and sentiment components', async () => {
+    const res = await get('/v1/mood-index?coin=bitcoin');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.index).toBeGreaterThanOrEqual(0);
+    expect(body.index).toBeLessThanOrEqual(100);
+    expect(Object.keys(body.components)).toEqual(expect.arrayContaining(['volatility', 'momentum', 'sentiment']));
+  });
+
+  it('POST /v1/ai-analysis and /v1/ai-analysis-enhanced classify technical signals', async () => {
+    const basic = await post('/v1/ai-analysis', SIGNALS);
+    expect(basic.status).toBe(200);
+    expect((await basic.json()).mood).toBe('bullish');
+
+    const enhanced = await post('/v1/ai-analysis-enhanced', SIGNALS);
+    expect(enhanced.status).toBe(200);
+    expect((await enhanced.json()).mood).toBe('bullish');
+    expect(simulator.callsTo('cohere', '/classify')).toHaveLength(1);
+  });
+
+  it('POST /v1/ai-explain explains server-side indicators', async () => {
+    const res = await post('/v1/ai-explain', { coin: 'bitcoin', timeframe: 7 });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.ok).toBe(true);
+    expect(body.technicalContext.currentPrice).toBe(67234.51);
+  });
+
+  it('GET /v1/stream sends price ticks as Server-Sent Events', async () => {
+    const res = await get('/v1/stream?coins=bitcoin&sentiment=false');
+    expect(res.headers.get('Content-Type')).toContain('text/event-stream');
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (!text.includes('event: price')) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+    await reader.cancel();
+    expect(text).toMatch(/id: \d+\nevent: price\ndata: .*"coin":"bitcoin"/);
+  });
+
+  it('GET /v1/ws upgrades to the live price hub', async () => {
+    const res = await get('/v1/ws?coins=bitcoin', { Upgrade: 'websocket' });
+    expect(res.status).toBe(101);
+    const socket = res.webSocket;
+    const snapshot = new Promise(resolve => {
+      socket.addEventListener('message', event => {
+        const msg = JSON.parse(event.data);
+        if (msg.type === 'snapshot' && msg.prices.bitcoin) resolve(msg);
+      });
+    });
+    socket.accept();
+    expect((await snapshot).prices.bitcoin.price).toBe(67234.51);
+    socket.close(1000, 'done');
+  });
+
+  it('GET /v1/upstreams reports the guard as disabled without its binding', async () => {
+    const res = await get('/v1/upstreams');
+    expect(await res.json()).toMatchObject({ enabled: false });
+  });
+
+  it('GET /v1/openapi.json is public', async () => {
+    const res = await mf.dispatchFetch('http://worker.test/v1/openapi.json');
+    expect(res.status).toBe(200);
+    expect(Object.keys((await res.json()).paths)).toContain('/price');
+  });
+
+  it('serves legacy unversioned paths', async () => {
+    const res = await get('/price?coin=ethereum');
+    expect(res.status).toBe(200);
+    expect((await res.json()).price).toBe(3456.78);
+  });
+
+  it('refuses /admin without the token and writes nothing to KV', async () => {
+    const kv = await mf.getKVNamespace('RATE_LIMIT_KV');
+    for (const path of ['/admin/cache', '/admin/audit', '/admin/cache/purge']) {
+      const init = path.endsWith('purge') ? { method: 'POST', body: JSON.stringify({ prefix: 'price_' }) } : {};
+      expect((await mf.dispatchFetch(`http://worker.test${path}`, init)).status).toBe(403);
+    }
+    expect((await kv.list()).keys).toEqual([]);
+  });
+
+  it('GET /admin/cache lists cached entries for the admin token only', async () => {
+    await get('/v1/price?coin=bitcoin');
+    expect((await mf.dispatchFetch('http://worker.test/admin/cache')).status).toBe(403);
+
+    const res = await mf.dispatchFetch('http://worker.test/admin/cache?prefix=price_', {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    expect(res.status).toBe(200);
+    expect((await res.json()).entries.map(e => e.key)).toContain('price_bitcoin');
+  });
+});
+
+describe('cron pre-warming', () => {
+  beforeEach(() => startWorker());
+
+  async function runCron(scheduledTime) {
+    const worker = await mf.getWorker();
+    await worker.scheduled({ scheduledTime: new Date(scheduledTime), cron: '*/5 * * * *' });
+    const kv = await mf.getKVNamespace('RATE_LIMIT_KV');
+    return JSON.parse(await kv.get('prewarm_report')).data;
+  }
+
+  it('refreshes sentiment only on the hourly run', async () => {
+    const hour = Math.floor(Date.now() / 3600000) * 3600000;
+    const offRun = await runCron(hour + 5 * 60 * 1000);
+    expect(offRun.prices.refreshed.length).toBeGreaterThan(0);
+    expect(offRun.sentiment).toMatchObject({ refreshed: [], skipped: 'runs every 12 runs' });
+    expect(simulator.callsTo('newsapi')).toHaveLength(0);
+    expect(simulator.callsTo('cohere')).toHaveLength(0);
+
+    const hourly = await runCron(hour);
+    expect(hourly.sentiment.refreshed).toHaveLength(1);
+    expect(simulator.callsTo('newsapi')).toHaveLength(1);
+  });
+});
+
+describe('upstream failures', { timeout: 20000 }, () => {
+  it('retries a 429 after Retry-After', async () => {
+    await startWorker();
+    simulator.inject({ type: 'rate-limit', upstream: 'coincap', path: '/assets', retryAfter: 1 });
+
+    const startedAt = Date.now();
+    const res = await get('/v1/prices?coins=bitcoin');
+    expect(res.status).toBe(200);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+    expect(simulator.callsTo('coincap', '/assets').filter(c => c.query.ids).map(c => c.status)).toEqual([429, 200]);
+  });
+
+  it('backs off after repeated 429s and serves stale prices meanwhile', async () => {
+    await startWorker();
+    await get('/v1/prices?coins=bitcoin');
+    await ageKvEntry('price_bitcoin', 5 * 60 * 1000);
+    simulator.inject({ type: 'rate-limit', upstream: 'coincap', path: '/assets', retryAfter: 2, times: 2 });
+
+    const limited = await get('/v1/prices?coins=bitcoin');
+    expect(limited.status).toBe(200);
+    expect(limited.headers.get('X-Cache-Status')).toBe('stale-if-error');
+    expect((await limited.json()).prices.bitcoin.source).toBe('kv-stale');
+
+    // The KV backoff keeps the next request away from CoinCap entirely
+    const callsBefore = simulator.callsTo('coincap').length;
+    const backedOff = await get('/v1/prices?coins=bitcoin');
+    expect(backedOff.headers.get('X-Cache-Status')).toBe('stale-if-error');
+    expect(simulator.callsTo('coincap')).toHaveLength(callsBefore);
+  });
+
+  it('fails fast on a 530 without retrying', async () => {
+    await startWorker();
+    simulator.inject({ type: 'server-error', upstream: 'coincap', path: '/assets', status: 530, times: Infinity });
+
+    const res = await get('/v1/prices?coins=bitcoin');
+    expect(res.status).toBe(502);
+    expect((await res.json()).errors.bitcoin).toBeDefined();
+    expect(simulator.callsTo('coincap', '/assets')).toHaveLength(1);
+  });
+
+  it('retries other 5xx once before giving up', async () => {
+    await startWorker();
+    simulator.inject({ type: 'server-error', upstream: 'coincap', path: '/assets/bitcoin/history', status: 503, times: 1 });
+
+    const res = await get('/v1/history?coin=bitcoin&days=7');
+    expect(res.status).toBe(200);
+    expect(simulator.callsTo('coincap', '/assets/bitcoin/history').map(c => c.status)).toEqual([503, 200]);
+  });
+
+  it('serves stale history when the refresh fails', async () => {
+    await startWorker();
+    const fresh = await (await get('/v1/history?coin=bitcoin&days=7')).json();
+    await ageKvEntry('history_bitcoin_7', 2 * 60 * 1000);
+    simulator.inject({ type: 'server-error', upstream: 'coincap', status: 530, times: Infinity });
+
+    const res = await get('/v1/history?coin=bitcoin&days=7');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Cache-Status')).toBe('stale-if-error');
+    expect((await res.json()).prices).toEqual(fresh.prices);
+  });
+
+  it('times out a hung upstream and fails over to the next provider', async () => {
+    await startWorker({ MARKET_PROVIDERS: 'coincap,binance', UPSTREAM_TIMEOUT_MS: '200' });
+    simulator.inject({ type: 'timeout', upstream: 'coincap', delayMs: 1000, times: Infinity });
+
+    const res = await get('/v1/prices?coins=bitcoin');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Data-Provider')).toBe('binance');
+    expect(simulator.callsTo('coincap', '/assets').map(c => c.fault)).toEqual(['timeout', 'timeout']);
+  });
+
+  it('keeps sub-dollar CoinCap prices precise', async () => {
+    await startWorker();
+    const body = await (await get('/v1/prices?coins=dogecoin')).json();
+    expect(body.prices.dogecoin.price).toBe(0.1567);
+  });
+
+  it('keeps sub-dollar Binance prices precise', async () => {
+    await startWorker({ MARKET_PROVIDERS: 'binance' });
+    const body = await (await get('/v1/prices?coins=dogecoin')).json();
+    expect(body.prices.dogecoin.price).toBe(0.156763);
+  });
+
+  it('treats malformed JSON as a failed refresh', async () => {
+    await startWorker();
+    await get('/v1/prices?coins=bitcoin');
+    await ageKvEntry('price_bitcoin', 5 * 60 * 1000);
+    simulator.inject({ type: 'malformed-json', upstream: 'coincap', path: '/assets' });
+
+    const res = await get('/v1/prices?coins=bitcoin');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Cache-Status')).toBe('stale-if-error');
+  });
+
+  it('fails over when a provider returns no usable candles, and answers 502 without caching when none can', async () => {
+    await startWorker({ MARKET_PROVIDERS: 'binance,coincap' });
+    const unusable = [[Date.now() - 60 * 60 * 1000, 'n/a', 'n/a', 'n/a', 'n/a', '0']];
+    simulator.inject({ type: 'json-body', upstream: 'binance', path: '/api/v3/klines', body: unusable, times: Infinity });
+
+    const res = await get('/v1/ohlc?coin=bitcoin&days=1');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Data-Provider')).toBe('coincap');
+
+    await mf.dispose();
+    await startWorker({ MARKET_PROVIDERS: 'binance' });
+    const failed = await get('/v1/ohlc?coin=bitcoin&days=1');
+    expect(failed.status).toBe(502);
+    expect((await failed.json()).error).toBeDefined();
+    const kv = await mf.getKVNamespace('RATE_LIMIT_KV');
+    expect((await kv.list({ prefix: 'ohlc_' })).keys).toEqual([]);
+  });
+
+  it('prices /v1/price from the last cached history point when live prices fail', async () => {
+    await startWorker();
+    await get('/v1/history?coin=bitcoin&days=7');
+    simulator.inject({ type: 'server-error', upstream: 'coincap', status: 530, times: Infinity });
+
+    const res = await get('/v1/price?coin=bitcoin');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Price-Source')).toBe('history_last');
+  });
+
+  it('degrades to a low-confidence neutral summary when NewsAPI is rate limited', async () => {
+    await startWorker();
+    simulator.inject({ type: 'rate-limit', upstream: 'newsapi', times: Infinity });
+    simulator.inject({ type: 'server-error', upstream: 'feeds', status: 503, times: Infinity });
+
+    const res = await get('/v1/sentiment-summary?coin=bitcoin');
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ score: 0.5, label: 'Neutral', count: 0, confidence: 'low' });
+    expect(simulator.callsTo('cohere')).toHaveLength(0);
+  });
+
+  it('falls back to NewsData.io when NewsAPI is rate limited', async () => {
+    await startWorker({ NEWSDATA_KEY: 'test-newsdata-key' });
+    simulator.inject({ type: 'rate-limit', upstream: 'newsapi', times: Infinity });
+
+    const res = await get('/v1/news?coin=bitcoin');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.provider).toBe('newsdata');
+    expect(body.attempts).toEqual([{ provider: 'newsapi', error: expect.stringContaining('429') }]);
+    // the syndicated copy is dropped
+    expect(body.headlines).toHaveLength(3);
+    expect(body.headlines[0]).toMatchObject({ provider: 'newsdata', source: 'Crypto Briefing', author: 'Markets Desk' });
+    expect(Date.parse(body.headlines[0].publishedAt)).toBeGreaterThan(Date.now() - 60 * 1000);
+  });
+
+  it('falls back to RSS feeds when no news API key is configured', async () => {
+    await startWorker({ NEWSAPI_KEY: '', NEWS_RSS_FEEDS: `${SIMULATOR}/feeds/coindesk` });
+
+    const res = await get('/v1/news?coin=bitcoin');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.provider).toBe('rss');
+    // only the items that mention Bitcoin or BTC
+    expect(body.headlines.map(h => h.title)).toEqual([
+      'Bitcoin Options Traders Bet on $80K by Year-End',
+      'Solana DeFi Volumes Hit Monthly High; BTC Dominance Eases'
+    ]);
+    expect(body.headlines[0].description).toBe('Call open interest at the $80,000 strike & December expiry hit a record.');
+    expect(simulator.callsTo('newsapi')).toHaveLength(0);
+  });
+
+  it('serves /news and sentiment from the default outlet feeds without a paid key', async () => {
+    await startWorker({ NEWSAPI_KEY: '' });
+
+    const res = await get('/v1/news?coin=bitcoin');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.provider).toBe('rss');
+    // tagged by name or ticker across CoinDesk, The Block and Cointelegraph
+    expect(body.headlines).toHaveLength(4);
+    expect([...new Set(body.headlines.map(h => h.source))].sort()).toEqual([
+      'CoinDesk: Bitcoin, Ethereum, Crypto News and Price Data',
+      'Cointelegraph.com News',
+      'The Block'
+    ]);
+    expect(simulator.callsTo('feeds')).toHaveLength(3);
+
+    // the feeds are cached in KV, so sentiment for another coin does not refetch them
+    const summary = await (await get('/v1/sentiment-summary?coin=ripple')).json();
+    expect(summary).toMatchObject({ coin: 'ripple', count: 1 });
+    expect(simulator.callsTo('feeds')).toHaveLength(3);
+  });
+
+  it('revalidates stale feeds with conditional requests and keeps their items on a 304', async () => {
+    await startWorker({ NEWSAPI_KEY: '' });
+    await get('/v1/news?coin=ethereum');
+    const kv = await mf.getKVNamespace('RATE_LIMIT_KV');
+    const { keys } = await kv.list({ prefix: 'feed_' });
+    expect(keys.map(k => k.name).sort()).toEqual([
+      'feed_cointelegraph.com/rss',
+      'feed_www.coindesk.com/arc/outboundfeeds/rss/',
+      'feed_www.theblock.co/rss.xml'
+    ]);
+    for (const { name } of keys) await ageKvEntry(name, 11 * 60 * 1000);
+    await ageKvEntry('news_headlines_ethereum', 11 * 60 * 1000);
+
+    const res = await get('/v1/news?coin=ethereum');
+    const body = await res.json();
+    expect(simulator.callsTo('feeds').map(c => c.status)).toEqual([200, 200, 200, 304, 304, 304]);
+    expect(body.headlines.map(h => h.title)).toEqual([
+      'Ether Staking Queue Shrinks as Validators Exit',
+      'Ethereum developers set mainnet date for the Fusaka upgrade'
+    ]);
+  });
+
+  it('serves cached feed items when a feed refresh fails', async () => {
+    await startWorker({ NEWSAPI_KEY: '', NEWS_RSS_FEEDS: `${SIMULATOR}/feeds/coindesk` });
+    await get('/v1/news?coin=solana');
+    await ageKvEntry('feed_upstream.test/feeds/coindesk', 11 * 60 * 1000);
+    await ageKvEntry('news_headlines_solana', 11 * 60 * 1000);
+    simulator.inject({ type: 'server-error', upstream: 'feeds', status: 503, times: Infinity });
+
+    const res = await get('/v1/news?coin=solana');
+    expect(res.status).toBe(200);
+    expect((await res.json()).headlines.map(h => h.title)).toEqual(['Solana DeFi Volumes Hit Monthly High; BTC Dominance Eases']);
+    expect(simulator.callsTo('feeds').map(c => c.status)).toEqual([200, 503]);
+  });
+
+  it('moves on when a provider has no headlines relevant to the coin', async () => {
+    await startWorker();
+
+    const res = await get('/v1/news?coin=solana');
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.provider).toBe('rss');
+    expect(body.attempts).toEqual([
+      { provider: 'newsapi', error: 'no relevant headlines' },
+      { provider: 'newsdata', error: 'not configured' }
+    ]);
+    expect(body.headlines).toEqual([
+      expect.objectContaining({ title: 'Solana DeFi Volumes Hit Monthly High; BTC Dominance Eases', relevance: 0.8 })
+    ]);
+  });
+
+  it('serves cached headlines when every news provider fails', async () => {
+    await startWorker();
+    await get('/v1/news?coin=bitcoin');
+    await ageKvEntry('news_headlines_bitcoin', 11 * 60 * 1000);
+    simulator.inject({ type: 'server-error', upstream: 'newsapi', status: 503, times: Infinity });
+    simulator.inject({ type: 'server-error', upstream: 'feeds', status: 503, times: Infinity });
+
+    const res = await get('/v1/news?coin=bitcoin');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Cache-Status')).toBe('stale-if-error');
+    expect(res.headers.get('Warning')).toContain('110');
+    expect(Number(res.headers.get('X-DO-Age'))).toBeGreaterThanOrEqual(660);
+    expect((await res.json()).headlines).toHaveLength(5);
+  });
+
+  it('answers 502 with every attempt when no news provider can serve', async () => {
+    await startWorker();
+    simulator.inject({ type: 'server-error', upstream: 'newsapi', status: 503, times: Infinity });
+    simulator.inject({ type: 'server-error', upstream: 'feeds', status: 503, times: Infinity });
+
+    const res = await get('/v1/news?coin=bitcoin');
+    expect(res.status).toBe(502);
+    const body = await res.json();
+    expect(body.code).toBe('providers_exhausted');
+    expect(body.attempts.map(a => a.provider)).toEqual(['newsapi', 'newsdata', 'rss']);
+  });
+
+  it('falls back to rule-based analysis when Cohere fails', async () => {
+    await startWorker();
+    simulator.inject({ type: 'server-error', upstream: 'cohere', status: 500, times: Infinity });
+
+    const explain = await post('/v1/ai-explain', { coin: 'bitcoin', timeframe: 7 });
+    expect(explain.status).toBe(200);
+    expect(explain.headers.get('X-AI-Status')).toBe('fallback');
+
+    const sentiment = await post('/v1/sentiment', { headlines: ['Bitcoin rally extends to a record high'] });
+    expect(sentiment.status).toBe(200);
+    expect((await sentiment.json()).method).not.toMatch(/cohere/i);
+  });
+
+  it('opens the shared circuit on a 429 so no isolate calls the upstream', async () => {
+    await startWorker({}, { guard: true });
+    await get('/v1/prices?coins=bitcoin');
+    await ageKvEntry('price_bitcoin', 5 * 60 * 1000);
+    simulator.inject({ type: 'rate-limit', upstream: 'coincap', retryAfter: 30 });
+
+    const limited = await get('/v1/prices?coins=bitcoin');
+    expect(limited.headers.get('X-Cache-Status')).toBe('stale-if-error');
+    const upstreams = await (await get('/v1/upstreams')).json();
+    expect(upstreams.upstreams.coincap.state).toBe('open');
+
+    const callsBefore = simulator.callsTo('coincap').length;
+    await get('/v1/prices?coins=bitcoin');
+    expect(simulator.callsTo('coincap')).toHaveLength(callsBefore);
+  });
+});
@@ -0,0 +1,128 @@
+// =============================================================================
+// LOGGING (levels, JSON lines, request ids and redaction)
+// =============================================================================
+//
+// `log.debug/info/warn/error(message, ...details)` writes one JSON line at or above
+// LOG_LEVEL (default info). Each request runs in a log context (AsyncLocalStorage, the
+// `nodejs_als` compatibility flag) carrying its id, so every line it causes carries the
+// same `requestId`, also inside the Durable Objects it calls (X-Request-Id is forwarded).
+// The context also collects the route and upstream call timings for the one summary line
+// per request. Configured secrets, bearer tokens, client API keys and credential-looking
+// fields are redacted before anything is written.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SECRET_ENV_KEYS = ['COINCAP_API_KEY', 'COHERE_API_KEY', 'NEWSAPI_KEY', 'NEWSDATA_KEY', 'BLOCKCHAIR_KEY', 'ADMIN_PURGE_TOKEN', 'ADMIN_TOKEN'];
+const SENSITIVE_FIELD = /authorization|api[-_]?key|token|secret|password|cookie/i;
+const SENSITIVE_PATTERNS = [
+  [/\bBearer\s+[^\s"',]+/gi, 'Bearer [REDACTED]'],
+  [/\bcmd_[0-9a-f]{8}_[0-9a-f]{48}\b/g, 'cmd_[REDACTED]'],
+  [/([?&](?:api_?key|apikey|token)=)[^&\s"']+/gi, '$1[REDACTED]']
+];
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,64}$/;
+
+export const logContext = new AsyncLocalStorage();
+
+// Run `fn` inside a log context; ids that are missing or malformed are replaced
+export function runWithLogContext({ requestId, env }, fn) {
+  const level = LOG_LEVELS[String(env?.LOG_LEVEL || '').toLowerCase()] ?? LOG_LEVELS.info;
+  const secrets = SECRET_ENV_KEYS.map(name => env?.[name]).filter(value => typeof value === 'string' && value.length >= 8);
+  const id = REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID();
+  return logContext.run({ requestId: id, level, secrets, route: null, upstreams: [] }, fn);
+}
+
+export function currentRequestId() {
+  return logContext.getStore()?.requestId || null;
+}
+
+// Upstream call timing for the request summary line
+export function recordUpstreamCall(upstream, status, ms) {
+  logContext.getStore()?.upstreams.push({ upstream, status, ms });
+}
+
+export function recordRoute(route) {
+  const context = logContext.getStore();
+  if (context) context.route = route;
+}
+
+function redactString(text, secrets) {
+  let out = text;
+  for (const secret of secrets) {
+    out = out.split(secret).join('[REDACTED]');
+  }
+  for (const [pattern, replacement] of SENSITIVE_PATTERNS) {
+    out = out.replace(pattern, replacement);
+  }
+  return out;
+}
+
+export function redact(value, secrets, depth = 0) {
+  if (typeof value === 'string') return redactString(value, secrets);
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message, secrets), code: value.code };
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 4) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, secrets, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_FIELD.test(key) ? '[REDACTED]' : redact(item, secrets, depth + 1)
+  ]));
+}
+
+// Objects in `details` become fields of the line, an Error becomes `error`, anything else
+// is appended to the message
+function writeLog(level, message, details) {
+  const context = logContext.getStore();
+  if (LOG_LEVELS[level] < (context?.level ?? LOG_LEVELS.info)) return;
+  
+  const secrets = context?.secrets || [];
+  const fields = {};
+  const extra = [];
+  for (const detail of details) {
+    if (detail instanceof Error) {
+      fields.error = redact(detail, secrets);
+    } else if (detail && typeof detail === 'object') {
+      Object.assign(fields, redact(detail, secrets));
+    } else {
+      extra.push(String(detail));
+    }
+  }
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    requestId: context?.requestId,
+    msg: redactString([message, ...extra].join(' '), secrets)
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (!(key in entry)) entry[key] = value;
+  }
+  const line = JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (message, ...details) => writeLog('debug', message, details),
+  info: (message, ...details) => writeLog('info', message, details),
+  warn: (message, ...details) => writeLog('warn', message, details),
+  error: (message, ...details) => writeLog('error', message, details)
+};
+
+// One line per request: route, status, cache status, time to response and upstream calls
+export function logRequestSummary(request, response, durationMs) {
+  const context = logContext.getStore();
+  const url = new URL(request.url);
+  const status = response.status;
+  log[status >= 500 ? 'error' : 'info']('request', {
+    method: request.method,
+    path: url.pathname,
+    route: context?.route || null,
+    status,
+    cache: response.headers.get('X-Cache-Status') || null,
+    durationMs,
+    upstreams: context?.upstreams || []
+  });
+}
@@ -0,0 +1,275 @@
+// =============================================================================
+// METRICS (request, cache outcome and upstream counters with latency histograms)
+// =============================================================================
+//
+// Each request adds to this isolate's pending metrics: a counter and latency histogram per
+// route, its cache outcome (from the X-Cache-Status / X-Price-Source / X-AI-Status /
+// X-Data-Provider headers the handlers already set) and every upstream call it made. At most
+// every METRICS_FLUSH_MS the pending metrics are merged into the WorkerMetrics Durable Object,
+// which keeps the totals for all isolates. Without the METRICS binding, /admin/metrics
+// reports this isolate only. Totals count from `since`, so the Prometheus series are counters.
+
+import { errorResponse, jsonResponse } from './http.js';
+import { currentRequestId, log, logContext, runWithLogContext } from './log.js';
+
+const METRICS_LATENCY_BUCKETS_MS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const METRICS_FLUSH_MS = 10 * 1000;
+const METRICS_INSTANCE = 'global';
+const CACHE_OUTCOMES = ['fresh', 'stale', 'miss', 'fallback', 'synthetic'];
+const ISOLATE_STARTED_AT = Date.now();
+
+let pendingMetrics = emptyMetrics();
+let metricsFlushedAt = Date.now();
+
+function emptyMetrics() {
+  return { routes: {}, upstreams: {}, cache: {} };
+}
+
+// Counts per bucket (not cumulative), the last slot being everything above the largest bucket
+function emptyHistogram() {
+  return { counts: new Array(METRICS_LATENCY_BUCKETS_MS.length + 1).fill(0), sum: 0, count: 0 };
+}
+
+function observe(histogram, ms) {
+  const index = METRICS_LATENCY_BUCKETS_MS.findIndex(bound => ms <= bound);
+  histogram.counts[index === -1 ? METRICS_LATENCY_BUCKETS_MS.length : index] += 1;
+  histogram.sum += ms;
+  histogram.count += 1;
+}
+
+function increment(counters, key, by = 1) {
+  counters[key] = (counters[key] || 0) + by;
+}
+
+function mergeHistogram(target, source) {
+  source.counts.forEach((count, i) => { target.counts[i] += count; });
+  target.sum += source.sum;
+  target.count += source.count;
+}
+
+function mergeMetrics(target, source) {
+  for (const [route, entry] of Object.entries(source.routes)) {
+    const into = target.routes[route] ||= { statuses: {}, latency: emptyHistogram() };
+    for (const [status, count] of Object.entries(entry.statuses)) increment(into.statuses, status, count);
+    mergeHistogram(into.latency, entry.latency);
+  }
+  for (const [upstream, entry] of Object.entries(source.upstreams)) {
+    const into = target.upstreams[upstream] ||= { outcomes: {}, latency: emptyHistogram() };
+    for (const [outcome, count] of Object.entries(entry.outcomes)) increment(into.outcomes, outcome, count);
+    mergeHistogram(into.latency, entry.latency);
+  }
+  for (const [route, outcomes] of Object.entries(source.cache)) {
+    const into = target.cache[route] ||= {};
+    for (const [outcome, count] of Object.entries(outcomes)) increment(into, outcome, count);
+  }
+  return target;
+}
+
+// What the client was served, from the handlers' observability headers. `fallback` is a
+// stand-in derived from other data (the last history point as the price, rule-based AI
+// analysis); `synthetic` was not derived from an upstream at all (the bundled coin list,
+// a client-supplied price). Null for responses without cache semantics.
+function cacheOutcome(response) {
+  const headers = response.headers;
+  const priceSource = headers.get('X-Price-Source');
+  if (headers.get('X-Data-Provider') === 'static' || priceSource === 'client-fallback') return 'synthetic';
+  if (priceSource === 'history-fallback' || headers.get('X-AI-Status') === 'fallback') return 'fallback';
+  const status = headers.get('X-Cache-Status');
+  if (status === 'stale' || status === 'stale-if-error') return 'stale';
+  if (status === 'fresh' || status === 'miss') return status;
+  return null;
+}
+
+function upstreamCallOutcome(status) {
+  if (typeof status !== 'number') return status; // 'error' or 'timeout'
+  if (status === 429) return 'rate_limited';
+  return `${Math.floor(status / 100)}xx`;
+}
+
+export function recordUpstreamMetrics(calls) {
+  for (const { upstream, status, ms } of calls) {
+    const entry = pendingMetrics.upstreams[upstream] ||= { outcomes: {}, latency: emptyHistogram() };
+    increment(entry.outcomes, upstreamCallOutcome(status));
+    observe(entry.latency, ms);
+  }
+}
+
+// Unmatched paths share one label so random 404s can't grow the series
+export function recordRequestMetrics(response, durationMs) {
+  const context = logContext.getStore();
+  const route = context?.route || 'unmatched';
+  const entry = pendingMetrics.routes[route] ||= { statuses: {}, latency: emptyHistogram() };
+  increment(entry.statuses, `${Math.floor(response.status / 100)}xx`);
+  observe(entry.latency, durationMs);
+  
+  const outcome = cacheOutcome(response);
+  if (outcome) {
+    increment(pendingMetrics.cache[route] ||= {}, outcome);
+  }
+  recordUpstreamMetrics(context?.upstreams || []);
+}
+
+// Merge this isolate's pending metrics into the WorkerMetrics object (at most every
+// METRICS_FLUSH_MS unless forced); they are kept for the next flush if it fails
+export async function flushMetrics(env, force = false) {
+  if (!env.METRICS || (!force && Date.now() - metricsFlushedAt < METRICS_FLUSH_MS)) return;
+  const batch = pendingMetrics;
+  pendingMetrics = emptyMetrics();
+  metricsFlushedAt = Date.now();
+  try {
+    const stub = env.METRICS.get(env.METRICS.idFromName(METRICS_INSTANCE));
+    const resp = await stub.fetch('https://metrics/merge', {
+      method: 'POST',
+      headers: { 'X-Request-Id': currentRequestId() || '' },
+      body: JSON.stringify(batch)
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  } catch (e) {
+    log.warn('[Metrics] Flush failed, keeping metrics for the next one:', e.message);
+    mergeMetrics(pendingMetrics, batch);
+  }
+}
+
+export class WorkerMetrics {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.totals = null; // { since, metrics }
+  }
+  
+  async fetch(request) {
+    return runWithLogContext({ requestId: request.headers.get('X-Request-Id'), env: this.env }, () => this.handle(request));
+  }
+  
+  async handle(request) {
+    if (!this.totals) {
+      this.totals = await this.state.storage.get('totals') || { since: new Date().toISOString(), metrics: emptyMetrics() };
+    }
+    const action = new URL(request.url).pathname.slice(1);
+    if (action === 'merge') {
+      mergeMetrics(this.totals.metrics, await request.json());
+      await this.state.storage.put('totals', this.totals);
+      return jsonResponse({ ok: true });
+    }
+    if (action === 'snapshot') {
+      return jsonResponse(this.totals);
+    }
+    return errorResponse(`Unknown action: ${action}`, 404);
+  }
+}
+
+function histogramSummary(histogram) {
+  let cumulative = 0;
+  const buckets = {};
+  METRICS_LATENCY_BUCKETS_MS.forEach((bound, i) => {
+    cumulative += histogram.counts[i];
+    buckets[bound] = cumulative;
+  });
+  buckets['+Inf'] = histogram.count;
+  return {
+    count: histogram.count,
+    avgMs: histogram.count > 0 ? Math.round(histogram.sum / histogram.count) : null,
+    buckets
+  };
+}
+
+function metricsToJson(metrics) {
+  const cacheTotals = Object.fromEntries(CACHE_OUTCOMES.map(outcome => [outcome, 0]));
+  for (const outcomes of Object.values(metrics.cache)) {
+    for (const [outcome, count] of Object.entries(outcomes)) increment(cacheTotals, outcome, count);
+  }
+  return {
+    routes: Object.fromEntries(Object.entries(metrics.routes).map(([route, entry]) => [route, {
+      statuses: entry.statuses,
+      latency: histogramSummary(entry.latency),
+      cache: metrics.cache[route] || {}
+    }])),
+    upstreams: Object.fromEntries(Object.entries(metrics.upstreams).map(([upstream, entry]) => [upstream, {
+      outcomes: entry.outcomes,
+      latency: histogramSummary(entry.latency)
+    }])),
+    cache: cacheTotals
+  };
+}
+
+function prometheusLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function prometheusHistogram(lines, name, labels, histogram) {
+  let cumulative = 0;
+  METRICS_LATENCY_BUCKETS_MS.forEach((bound, i) => {
+    cumulative += histogram.counts[i];
+    lines.push(`${name}_bucket${prometheusLabels({ ...labels, le: bound })} ${cumulative}`);
+  });
+  lines.push(`${name}_bucket${prometheusLabels({ ...labels, le: '+Inf' })} ${histogram.count}`);
+  lines.push(`${name}_sum${prometheusLabels(labels)} ${histogram.sum}`);
+  lines.push(`${name}_count${prometheusLabels(labels)} ${histogram.count}`);
+}
+
+// Prometheus text exposition format (version 0.0.4)
+function metricsToPrometheus(metrics) {
+  const lines = [];
+  const family = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  
+  family('crypto_mood_requests_total', 'counter', 'Requests handled, by route and status class');
+  for (const [route, entry] of Object.entries(metrics.routes)) {
+    for (const [status, count] of Object.entries(entry.statuses)) {
+      lines.push(`crypto_mood_requests_total${prometheusLabels({ route, status })} ${count}`);
+    }
+  }
+  family('crypto_mood_request_duration_ms', 'histogram', 'Time to response in milliseconds, by route');
+  for (const [route, entry] of Object.entries(metrics.routes)) {
+    prometheusHistogram(lines, 'crypto_mood_request_duration_ms', { route }, entry.latency);
+  }
+  family('crypto_mood_cache_outcomes_total', 'counter', 'Responses by what was served (fresh, stale, miss, fallback, synthetic), by route');
+  for (const [route, outcomes] of Object.entries(metrics.cache)) {
+    for (const [outcome, count] of Object.entries(outcomes)) {
+      lines.push(`crypto_mood_cache_outcomes_total${prometheusLabels({ route, outcome })} ${count}`);
+    }
+  }
+  family('crypto_mood_upstream_calls_total', 'counter', 'Upstream calls, by upstream and outcome');
+  for (const [upstream, entry] of Object.entries(metrics.upstreams)) {
+    for (const [outcome, count] of Object.entries(entry.outcomes)) {
+      lines.push(`crypto_mood_upstream_calls_total${prometheusLabels({ upstream, outcome })} ${count}`);
+    }
+  }
+  family('crypto_mood_upstream_duration_ms', 'histogram', 'Upstream call latency in milliseconds, by upstream');
+  for (const [upstream, entry] of Object.entries(metrics.upstreams)) {
+    prometheusHistogram(lines, 'crypto_mood_upstream_duration_ms', { upstream }, entry.latency);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// /admin/metrics: JSON, or Prometheus text with ?format=prometheus (or Accept: text/plain)
+export async function handleAdminMetrics(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ error: 'Method not allowed', code: 'method_not_allowed' }, 405, { 'Allow': 'GET' });
+  }
+  
+  let snapshot;
+  if (env.METRICS) {
+    await flushMetrics(env, true);
+    const stub = env.METRICS.get(env.METRICS.idFromName(METRICS_INSTANCE));
+    snapshot = { scope: 'global', ...(await (await stub.fetch('https://metrics/snapshot', {
+      headers: { 'X-Request-Id': currentRequestId() || '' }
+    })).json()) };
+  } else {
+    snapshot = { scope: 'isolate', since: new Date(ISOLATE_STARTED_AT).toISOString(), metrics: pendingMetrics };
+  }
+  
+  const url = new URL(request.url);
+  const format = url.searchParams.get('format') || ((request.headers.get('Accept') || '').includes('text/plain') ? 'prometheus' : 'json');
+  if (format === 'prometheus') {
+    return new Response(metricsToPrometheus(snapshot.metrics), {
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' }
+    });
+  }
+  return jsonResponse({
+    scope: snapshot.scope,
+    since: snapshot.since,
+    ...metricsToJson(snapshot.metrics),
+    timestamp: new Date().toISOString()
+  });
+}
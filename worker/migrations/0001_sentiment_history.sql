@@ -0,0 +1,14 @@
+-- Per-coin sentiment time series written by buildSentimentSummary (one row per coin per 10-minute slot)
+CREATE TABLE IF NOT EXISTS sentiment_history (
+  coin TEXT NOT NULL,
+  slot INTEGER NOT NULL,            -- floor(ts / 600000)
+  ts INTEGER NOT NULL,              -- epoch milliseconds
+  score REAL NOT NULL,              -- 0 (bearish) .. 1 (bullish)
+  label TEXT NOT NULL,              -- Bullish | Neutral | Bearish
+  source TEXT NOT NULL,             -- cohere | rule-based
+  headline_count INTEGER NOT NULL,
+  headline_ids TEXT NOT NULL,       -- JSON array of headline ids
+  PRIMARY KEY (coin, slot)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sentiment_history_coin_ts ON sentiment_history (coin, ts);
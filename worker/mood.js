@@ -0,0 +1,255 @@
+// =============================================================================
+// MOOD INDEX (composite 0-100 market mood behind /api/mood-index)
+// =============================================================================
+//
+// Six components, each normalized to 0 (fear) .. 100 (greed) with 50 as neutral, are
+// combined with configurable weights: realized volatility, momentum versus SMA, RSI,
+// volume change (daily candles), and the recorded sentiment score and its dispersion
+// (sentiment history). A component without enough data is left out and the remaining
+// weights are rescaled. The component series is cached; weights apply per request.
+
+import { DAY_MS } from './config.js';
+import { errorResponse, jsonResponse, upstreamErrorResponse } from './http.js';
+import { log } from './log.js';
+import { resolveCoin } from './coins.js';
+import { getCachedOHLCData } from './ohlc.js';
+import { getSentimentHistoryStore } from './sentiment-history.js';
+import { computeIndicatorsFromOHLC } from './ai.js';
+
+const MOOD_LOOKBACK_DAYS = 90; // daily candles pulled per coin
+const MOOD_HISTORY_DAYS = 30; // daily index points returned
+const MOOD_CACHE_TTL_MS = 5 * 60 * 1000;
+const MOOD_VOLATILITY_DAYS = 14;
+const MOOD_SMA_DAYS = 30;
+const MOOD_RSI_DAYS = 14;
+const MOOD_VOLUME_DAYS = 7; // compared with the MOOD_SMA_DAYS before it
+const MOOD_INDEX_DEFAULT_WEIGHTS = {
+  volatility: 20,
+  momentum: 20,
+  rsi: 15,
+  volume: 10,
+  sentiment: 25,
+  dispersion: 10
+};
+const MOOD_INDEX_BANDS = [
+  { max: 24, label: 'Extreme Fear' },
+  { max: 44, label: 'Fear' },
+  { max: 55, label: 'Neutral' },
+  { max: 75, label: 'Greed' },
+  { max: 100, label: 'Extreme Greed' }
+];
+
+const clampMood = (score) => Math.round(Math.min(100, Math.max(0, score)));
+const roundMood = (value) => Math.round(value * 100) / 100;
+
+function standardDeviation(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+// Parse "volatility:20,sentiment:30" over the defaults; returns { weights } or { error }
+function parseMoodWeights(spec, base = MOOD_INDEX_DEFAULT_WEIGHTS) {
+  const weights = { ...base };
+  if (!spec) return { weights };
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, raw] = part.split(':').map(s => s.trim());
+    const weight = Number(raw);
+    if (!(name in MOOD_INDEX_DEFAULT_WEIGHTS)) {
+      return { error: `Unknown mood component: ${name} (use ${Object.keys(MOOD_INDEX_DEFAULT_WEIGHTS).join(', ')})` };
+    }
+    if (raw === undefined || !Number.isFinite(weight) || weight < 0) {
+      return { error: `Invalid weight for ${name}: ${raw}` };
+    }
+    weights[name] = weight;
+  }
+  return { weights };
+}
+
+// Component scores as of the last candle, from the sentiment points recorded over the
+// 24h before it. Pure: a null component means there is not enough data for it.
+function computeMoodComponents(candles, sentimentPoints) {
+  const closes = candles.map(c => c.close);
+  const components = {};
+  
+  // Realized volatility: recent daily log-return spread against the lookback baseline (calmer = greedier)
+  const returns = closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+  if (returns.length >= MOOD_VOLATILITY_DAYS * 2) {
+    const recent = standardDeviation(returns.slice(-MOOD_VOLATILITY_DAYS));
+    const baseline = standardDeviation(returns);
+    components.volatility = baseline > 0
+      ? { value: roundMood(recent * Math.sqrt(365) * 100), unit: '% annualized', score: clampMood(100 - 50 * recent / baseline) }
+      : null;
+  } else {
+    components.volatility = null;
+  }
+  
+  // Momentum: distance from the SMA (+/-20% maps to 100/0)
+  if (closes.length >= MOOD_SMA_DAYS) {
+    const sma = closes.slice(-MOOD_SMA_DAYS).reduce((a, b) => a + b, 0) / MOOD_SMA_DAYS;
+    const pct = (closes[closes.length - 1] / sma - 1) * 100;
+    components.momentum = { value: roundMood(pct), unit: `% vs SMA${MOOD_SMA_DAYS}`, score: clampMood(50 + pct * 2.5) };
+  } else {
+    components.momentum = null;
+  }
+  
+  // RSI is already on a 0-100 scale
+  if (closes.length > MOOD_RSI_DAYS) {
+    const { rsi } = computeIndicatorsFromOHLC(candles, MOOD_SMA_DAYS, MOOD_RSI_DAYS);
+    components.rsi = { value: rsi, unit: `RSI${MOOD_RSI_DAYS}`, score: clampMood(rsi) };
+  } else {
+    components.rsi = null;
+  }
+  
+  // Volume change: recent average against the window before it (+100% maps to 100); needs exchange candles
+  const volumes = candles.slice(-(MOOD_VOLUME_DAYS + MOOD_SMA_DAYS)).map(c => c.volume);
+  if (volumes.length === MOOD_VOLUME_DAYS + MOOD_SMA_DAYS && volumes.every(v => Number.isFinite(v))) {
+    const recent = volumes.slice(-MOOD_VOLUME_DAYS).reduce((a, b) => a + b, 0) / MOOD_VOLUME_DAYS;
+    const before = volumes.slice(0, MOOD_SMA_DAYS).reduce((a, b) => a + b, 0) / MOOD_SMA_DAYS;
+    const pct = before > 0 ? (recent / before - 1) * 100 : 0;
+    components.volume = { value: roundMood(pct), unit: `% vs prior ${MOOD_SMA_DAYS}d`, score: clampMood(50 + pct * 0.5) };
+  } else {
+    components.volume = null;
+  }
+  
+  // Sentiment score (0..1) and how much the readings disagreed (a spread of 0.25 is neutral)
+  const scores = sentimentPoints.map(p => p.score);
+  if (scores.length > 0) {
+    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+    components.sentiment = { value: roundMood(mean), unit: 'score 0-1', score: clampMood(mean * 100) };
+  } else {
+    components.sentiment = null;
+  }
+  if (scores.length >= 2) {
+    const spread = standardDeviation(scores);
+    components.dispersion = { value: roundMood(spread), unit: 'std dev', score: clampMood(100 - spread * 200) };
+  } else {
+    components.dispersion = null;
+  }
+  
+  return components;
+}
+
+// Weighted average over the available components; weights are rescaled to sum to 1
+function combineMoodIndex(components, weights) {
+  const available = Object.keys(MOOD_INDEX_DEFAULT_WEIGHTS).filter(name => components[name] && weights[name] > 0);
+  const total = available.reduce((sum, name) => sum + weights[name], 0);
+  if (total === 0) return { index: null, label: null, breakdown: {} };
+  
+  const breakdown = {};
+  let index = 0;
+  for (const name of Object.keys(MOOD_INDEX_DEFAULT_WEIGHTS)) {
+    const component = components[name];
+    const weight = available.includes(name) ? weights[name] / total : 0;
+    breakdown[name] = component
+      ? { ...component, weight: roundMood(weight), contribution: roundMood(component.score * weight) }
+      : { value: null, score: null, weight: 0, contribution: 0, unavailable: true };
+    if (component) index += component.score * weight;
+  }
+  const rounded = clampMood(index);
+  return { index: rounded, label: MOOD_INDEX_BANDS.find(b => rounded <= b.max).label, breakdown };
+}
+
+// Daily component series (oldest first), cached per coin for MOOD_CACHE_TTL_MS
+export async function getMoodComponentSeries(coinId, env, now = Date.now()) {
+  const cacheKey = `mood_index_${coinId}`;
+  try {
+    const cached = await env.RATE_LIMIT_KV.get(cacheKey);
+    if (cached) {
+      const { data, timestamp } = JSON.parse(cached);
+      if (now - timestamp < MOOD_CACHE_TTL_MS) {
+        return { ...data, fromCache: true };
+      }
+    }
+  } catch (e) {
+    log.warn(`[MoodIndex] Cache read failed for ${coinId}:`, e.message);
+  }
+  
+  const [ohlcResult, sentimentResult] = await Promise.allSettled([
+    getCachedOHLCData(coinId, MOOD_LOOKBACK_DAYS, 'd1', env),
+    getSentimentHistoryStore(env).range(coinId, now - (MOOD_HISTORY_DAYS + 1) * DAY_MS, now)
+  ]);
+  const candles = ohlcResult.status === 'fulfilled' ? ohlcResult.value.data.ohlc : [];
+  const sentimentPoints = sentimentResult.status === 'fulfilled' ? sentimentResult.value : [];
+  if (ohlcResult.status === 'rejected' && sentimentPoints.length === 0) {
+    throw ohlcResult.reason;
+  }
+  if (ohlcResult.status === 'rejected') {
+    log.warn(`[MoodIndex] Candles unavailable for ${coinId}, price components left out:`, ohlcResult.reason.code || ohlcResult.reason.message);
+  }
+  if (sentimentResult.status === 'rejected') {
+    log.warn(`[MoodIndex] Sentiment history unavailable for ${coinId}:`, sentimentResult.reason.message);
+  }
+  
+  // One point per day; today's point ends now and uses the last 24h of sentiment
+  const series = [];
+  for (let d = MOOD_HISTORY_DAYS - 1; d >= 0; d--) {
+    const asOf = Math.min(Math.floor(now / DAY_MS) * DAY_MS - (d - 1) * DAY_MS - 1, now);
+    const window = candles.filter(c => Date.parse(c.timestamp) <= asOf);
+    const points = sentimentPoints.filter(p => p.ts > asOf - DAY_MS && p.ts <= asOf);
+    series.push({ timestamp: new Date(asOf).toISOString(), components: computeMoodComponents(window, points) });
+  }
+  
+  const data = {
+    series,
+    sources: {
+      candles: ohlcResult.status === 'fulfilled' ? ohlcResult.value.data.provider : null,
+      sentiment: getSentimentHistoryStore(env).kind
+    }
+  };
+  try {
+    await env.RATE_LIMIT_KV.put(cacheKey, JSON.stringify({ data, timestamp: now }));
+  } catch (e) {
+    log.warn(`[MoodIndex] Cache write failed for ${coinId}:`, e.message);
+  }
+  return { ...data, fromCache: false };
+}
+
+export async function handleMoodIndex(request, env) {
+  const url = new URL(request.url);
+  const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+  const coinInfo = await resolveCoin(requestedCoin, env);
+  if (!coinInfo) {
+    return errorResponse(`Unsupported coin: ${requestedCoin}`);
+  }
+  
+  // Deployment weights (MOOD_INDEX_WEIGHTS) first, then the request's own
+  const configured = parseMoodWeights(env.MOOD_INDEX_WEIGHTS);
+  if (configured.error) {
+    log.warn(`[MoodIndex] Ignoring MOOD_INDEX_WEIGHTS: ${configured.error}`);
+  }
+  const requested = parseMoodWeights(url.searchParams.get('weights'), configured.weights || MOOD_INDEX_DEFAULT_WEIGHTS);
+  if (requested.error) {
+    return errorResponse(requested.error);
+  }
+  
+  try {
+    const { series, sources, fromCache } = await getMoodComponentSeries(coinInfo.id, env);
+    const current = series[series.length - 1];
+    const { index, label, breakdown } = combineMoodIndex(current.components, requested.weights);
+    
+    return jsonResponse({
+      coin: coinInfo.id,
+      index,
+      label,
+      timestamp: current.timestamp,
+      weights: requested.weights,
+      components: breakdown,
+      history: series.map(point => {
+        const combined = combineMoodIndex(point.components, requested.weights);
+        return {
+          timestamp: point.timestamp,
+          index: combined.index,
+          label: combined.label,
+          components: Object.fromEntries(Object.entries(point.components).map(([name, c]) => [name, c ? c.score : null]))
+        };
+      }),
+      sources
+    }, 200, {
+      'Cache-Control': 's-maxage=60, max-age=0, must-revalidate',
+      'X-Cache-Status': fromCache ? 'fresh' : 'miss'
+    });
+  } catch (error) {
+    log.error(`[MoodIndex] Failed for ${coinInfo.id}:`, error);
+    return upstreamErrorResponse(error, 'Failed to compute mood index');
+  }
+}
@@ -0,0 +1,502 @@
+// =============================================================================
+// NEWS (headline providers with failover behind /news)
+// =============================================================================
+//
+// Headlines come from the first provider, in NEWS_PROVIDERS order (default
+// newsapi,newsdata,rss), that is configured and returns any; the others are only
+// called when it fails or comes back empty. Every provider maps its articles to one
+// headline shape:
+//
+//   { title, description, url, source, publishedAt, author, urlToImage, provider, relevance, cluster }
+//
+// relevance (0..1, see relevance.js) says how much the headline is about the requested
+// coin; a provider whose headlines are all under RELEVANCE_MIN counts as empty. Copies
+// of one story are folded into a single headline whose cluster ({ size, members }, see
+// clusters.js) lists the others, so a story is listed and scored once.
+//
+//   name                        provider id used in config and responses
+//   isConfigured(env)           whether its key (or feed list) is set
+//   fetchHeadlines(query, env)  -> { headlines, total? }, query from newsQueryFor
+//
+// The chain's answer for a coin (up to NEWS_POOL_MAX stories from the last
+// NEWS_LOOKBACK_DAYS) is cached in KV as `news_headlines_<coin>` and shared by /news
+// and the sentiment summary. It is fresh for NEWS_TTL_MS; when a refresh fails, a pool
+// up to STALE_MAX_MS old is served instead. /news pages through the pool and filters
+// it by date, outlet and search words without calling a provider again. A free-text
+// topic (a coin outside the universe) is normalized, only searched in the KV-cached
+// outlet feeds and never pooled, so made-up names cost no API calls or KV keys.
+
+import { NEWSAPI_API_BASE, NEWSDATA_API_BASE, NEWS_TTL_MS, STALE_MAX_MS } from './config.js';
+import { errorResponse, jsonResponse, upstreamErrorResponse } from './http.js';
+import { log } from './log.js';
+import { guardedFetch } from './upstream.js';
+import { resolveCoin } from './coins.js';
+import { getFeedUrls, ingestFeeds } from './feeds.js';
+import { parseHistoryTime } from './history.js';
+import { RELEVANCE_MIN, scoreHeadlineRelevance } from './relevance.js';
+import { clusterHeadlines } from './clusters.js';
+
+const DEFAULT_NEWS_PROVIDERS = 'newsapi,newsdata,rss';
+const NEWS_CACHE_PREFIX = 'news_headlines_';
+const NEWS_LOOKBACK_DAYS = 7; // NewsAPI window; NewsData /latest and the feeds cover less
+const NEWSAPI_PAGE_SIZE = 100; // NewsAPI's maximum
+const NEWS_POOL_MAX = 100; // stories kept per coin
+const NEWS_SUMMARY_HEADLINES = 15; // newest relevant stories the sentiment summary scores
+export const NEWS_DEFAULT_PAGE_SIZE = 15;
+export const NEWS_MAX_PAGE_SIZE = 50;
+const NEWS_TOPIC_MAX_LENGTH = 40;
+const NEWS_TOPIC_PROVIDERS = ['rss']; // keyless and cached per feed
+
+function validateNewsData(data) {
+  if (!data || !data.articles || !Array.isArray(data.articles)) return false;
+  return data.articles.every(article => 
+    article && 
+    typeof article === 'object' && 
+    typeof article.title === 'string' && 
+    article.title.length > 0
+  );
+}
+
+// Search terms for a coin (or a free-text topic when the coin is unknown)
+function newsQueryFor(coinId, coinInfo) {
+  const name = coinInfo ? coinInfo.name : coinId;
+  const symbol = coinInfo ? coinInfo.symbol : coinId.toUpperCase();
+  const terms = [name, symbol, 'cryptocurrency', 'crypto'];
+  return { coin: coinInfo ? coinInfo.id : coinId, name, symbol, terms, text: terms.join(' OR '), topic: !coinInfo };
+}
+
+// A free-text topic as lowercase words (letters, digits, "." and "-"), cut to
+// NEWS_TOPIC_MAX_LENGTH characters; '' when nothing is left
+export function normalizeNewsTopic(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.\s-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, NEWS_TOPIC_MAX_LENGTH)
+    .trim();
+}
+
+// `${label} error: <status> - <message>` from a failed JSON API response
+async function newsApiError(label, response) {
+  let errorDetails = '';
+  try {
+    const errorBody = await response.json();
+    const message = errorBody.message || errorBody.results?.message;
+    errorDetails = message ? ` - ${message}` : '';
+  } catch (e) {
+    errorDetails = ` - HTTP ${response.status}`;
+  }
+  return new Error(`${label} error: ${response.status}${errorDetails}`);
+}
+
+const newsApiProvider = {
+  name: 'newsapi',
+  isConfigured: (env) => Boolean(env.NEWSAPI_KEY),
+  async fetchHeadlines(query, env) {
+    const response = await guardedFetch(
+      `${env.NEWSAPI_API_BASE || NEWSAPI_API_BASE}/everything?q=${encodeURIComponent(query.text)}&language=en&sortBy=publishedAt&pageSize=${NEWSAPI_PAGE_SIZE}&from=${getDateDaysAgo(NEWS_LOOKBACK_DAYS)}&apiKey=${env.NEWSAPI_KEY}`,
+      {
+        headers: {
+          'User-Agent': 'Crypto-Mood-Dashboard/1.0',
+          'Accept': 'application/json'
+        }
+      },
+      env
+    );
+    if (!response.ok) {
+      throw await newsApiError('NewsAPI', response);
+    }
+    
+    const data = await response.json();
+    if (data.status === 'error') {
+      throw new Error(`NewsAPI error: ${data.message}`);
+    }
+    if (!validateNewsData(data)) {
+      throw new Error('Invalid news data structure received');
+    }
+    
+    return {
+      total: data.totalResults,
+      headlines: data.articles.map(article => ({
+        title: article.title,
+        description: article.description,
+        url: article.url,
+        source: article.source?.name,
+        publishedAt: article.publishedAt,
+        author: article.author,
+        urlToImage: article.urlToImage
+      }))
+    };
+  }
+};
+
+// NewsData.io /latest (last 48 hours); pubDate is UTC without a zone, e.g. "2025-10-09 08:30:00"
+const newsDataProvider = {
+  name: 'newsdata',
+  isConfigured: (env) => Boolean(env.NEWSDATA_KEY),
+  async fetchHeadlines(query, env) {
+    const response = await guardedFetch(
+      `${env.NEWSDATA_API_BASE || NEWSDATA_API_BASE}/latest?q=${encodeURIComponent(query.text)}&language=en&apikey=${env.NEWSDATA_KEY}`,
+      {
+        headers: {
+          'User-Agent': 'Crypto-Mood-Dashboard/1.0',
+          'Accept': 'application/json'
+        }
+      },
+      env
+    );
+    if (!response.ok) {
+      throw await newsApiError('NewsData', response);
+    }
+    
+    const data = await response.json();
+    if (data.status !== 'success' || !Array.isArray(data.results)) {
+      throw new Error(`NewsData error: ${data.results?.message || 'unexpected response'}`);
+    }
+    
+    return {
+      total: data.totalResults,
+      headlines: data.results.map(article => ({
+        title: article.title,
+        description: article.description,
+        url: article.link,
+        source: article.source_name || article.source_id,
+        publishedAt: article.pubDate ? `${article.pubDate.replace(' ', 'T')}Z` : null,
+        author: Array.isArray(article.creator) ? article.creator[0] : article.creator,
+        urlToImage: article.image_url
+      }))
+    };
+  }
+};
+
+// Ingested RSS/Atom feeds (see feeds.js), keeping the items tagged with the coin; free-text
+// topics outside the coin universe match the item text instead
+const rssProvider = {
+  name: 'rss',
+  isConfigured: (env) => getFeedUrls(env).length > 0,
+  async fetchHeadlines(query, env) {
+    const feeds = await ingestFeeds(env);
+    const failed = feeds.filter(feed => feed.error);
+    if (failed.length === feeds.length) {
+      throw new Error(`All feeds failed: ${failed[0]?.error || 'unknown error'}`);
+    }
+    failed.forEach(feed => log.warn(`[News] Feed ${feed.url} failed: ${feed.error}`));
+    
+    const tagged = !query.topic;
+    const namePattern = new RegExp(`\\b${escapeRegExp(query.name)}\\b`, 'i');
+    const symbolPattern = new RegExp(`\\b${escapeRegExp(query.symbol)}\\b`);
+    const mentions = (item) => {
+      if (tagged) return (item.coins || []).includes(query.coin);
+      const text = `${item.title} ${item.description}`;
+      return namePattern.test(text) || symbolPattern.test(text);
+    };
+    
+    const headlines = [];
+    for (const feed of feeds) {
+      if (feed.error) continue;
+      for (const item of feed.items) {
+        if (mentions(item)) headlines.push({ ...item, source: feed.title });
+      }
+    }
+    return { headlines };
+  }
+};
+
+const NEWS_PROVIDERS = {
+  newsapi: newsApiProvider,
+  newsdata: newsDataProvider,
+  rss: rssProvider
+};
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Configured priority order (env.NEWS_PROVIDERS, comma-separated); unknown names are ignored
+function getNewsProviderOrder(env) {
+  const names = String(env.NEWS_PROVIDERS || DEFAULT_NEWS_PROVIDERS)
+    .split(',')
+    .map(n => n.trim().toLowerCase())
+    .filter(n => NEWS_PROVIDERS[n]);
+  const unique = [...new Set(names)];
+  return unique.length > 0 ? unique : DEFAULT_NEWS_PROVIDERS.split(',');
+}
+
+// One headline in the shared shape, or null when it is unusable (removed, ads, too short)
+export function normalizeHeadline(raw, provider) {
+  const title = typeof raw?.title === 'string' ? raw.title.trim() : '';
+  if (title.length <= 10 || title.includes('[Removed]') || title.toLowerCase().includes('advertisement')) {
+    return null;
+  }
+  const publishedAt = raw.publishedAt && !Number.isNaN(Date.parse(raw.publishedAt))
+    ? new Date(raw.publishedAt).toISOString()
+    : null;
+  return {
+    title,
+    description: typeof raw.description === 'string' ? raw.description.trim() : '',
+    url: raw.url || null,
+    source: raw.source || 'Unknown',
+    publishedAt,
+    author: raw.author || null,
+    urlToImage: raw.urlToImage || null,
+    provider
+  };
+}
+
+// Normalize, drop repeats (same URL or title), newest first
+function cleanHeadlines(rawHeadlines, provider) {
+  const seen = new Set();
+  return rawHeadlines
+    .map(raw => normalizeHeadline(raw, provider))
+    .filter(h => {
+      if (!h) return false;
+      const keys = [h.url, h.title.toLowerCase()].filter(Boolean);
+      if (keys.some(k => seen.has(k))) return false;
+      keys.forEach(k => seen.add(k));
+      return true;
+    })
+    .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0));
+}
+
+function newsProvidersExhaustedError(label, attempts) {
+  const details = attempts.length > 0
+    ? attempts.map(a => `${a.provider}: ${a.error}`).join('; ')
+    : 'no news provider is configured';
+  const err = new Error(`All news providers failed for ${label}: ${details}`);
+  err.code = 'providers_exhausted';
+  err.details = details;
+  err.attempts = attempts;
+  return err;
+}
+
+// Headlines from the first configured provider that returns any relevant to the coin
+// (free-text topics only try NEWS_TOPIC_PROVIDERS). Returns { headlines, provider, total, attempts }; a provider that answers with no
+// (relevant) headlines is recorded in `attempts` and the next one is tried. Throws (code
+// providers_exhausted) only when no provider answered at all.
+export async function fetchHeadlinesWithFailover(query, env) {
+  const attempts = [];
+  const coin = { id: query.coin, name: query.name, symbol: query.symbol };
+  let emptyAnswer = null;
+  
+  const order = getNewsProviderOrder(env).filter(name => !query.topic || NEWS_TOPIC_PROVIDERS.includes(name));
+  for (const name of order) {
+    const provider = NEWS_PROVIDERS[name];
+    if (!provider.isConfigured(env)) {
+      attempts.push({ provider: name, error: 'not configured' });
+      continue;
+    }
+    try {
+      const result = await provider.fetchHeadlines(query, env);
+      const headlines = clusterHeadlines(cleanHeadlines(result.headlines, name)
+        .map(h => ({ ...h, relevance: scoreHeadlineRelevance(h, coin) })))
+        .slice(0, NEWS_POOL_MAX);
+      const answer = { headlines, provider: name, total: Math.max(result.total || 0, headlines.length) };
+      if (headlines.some(h => h.relevance >= RELEVANCE_MIN)) {
+        return { ...answer, attempts };
+      }
+      attempts.push({ provider: name, error: headlines.length > 0 ? 'no relevant headlines' : 'no headlines' });
+      emptyAnswer = emptyAnswer?.headlines.length ? emptyAnswer : answer;
+    } catch (err) {
+      attempts.push({ provider: name, error: String(err.code || err.message).substring(0, 200) });
+      log.warn(`[News] ${name} failed for ${query.coin}: ${err.code || err.message}`);
+    }
+  }
+  
+  // Off-topic headlines still beat none for /news; the sentiment summary filters them out
+  if (emptyAnswer) {
+    return { ...emptyAnswer, attempts };
+  }
+  throw newsProvidersExhaustedError(query.coin, attempts);
+}
+
+
+function newsCacheKey(coin) {
+  return `${NEWS_CACHE_PREFIX}${coin}`;
+}
+
+async function readCachedPool(key, env) {
+  try {
+    const raw = await env.RATE_LIMIT_KV.get(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    log.warn(`[News] Failed to read ${key}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * A coin's headline pool through its KV cache: served while younger than NEWS_TTL_MS,
+ * otherwise refetched through the provider chain, and served stale (up to STALE_MAX_MS)
+ * when the chain fails. Only pools with headlines are cached, and free-text topics are
+ * fetched every time (from the cached feeds). Throws the chain's error when nothing usable is cached.
+ * @returns {Promise<{ headlines, provider, total, attempts, fetchedAt: number, cacheStatus: 'fresh'|'miss'|'stale-if-error' }>}
+ */
+export async function getHeadlinePool(query, env, options = { force: false }) {
+  if (query.topic) {
+    return { ...(await fetchHeadlinesWithFailover(query, env)), fetchedAt: Date.now(), cacheStatus: 'miss' };
+  }
+  const key = newsCacheKey(query.coin);
+  const cached = await readCachedPool(key, env);
+  const now = Date.now();
+  if (cached?.data && !options.force && now - cached.timestamp < NEWS_TTL_MS) {
+    return { ...cached.data, fetchedAt: cached.timestamp, cacheStatus: 'fresh' };
+  }
+  
+  let data;
+  try {
+    data = await fetchHeadlinesWithFailover(query, env);
+  } catch (err) {
+    if (cached?.data && !options.force && now - cached.timestamp < STALE_MAX_MS) {
+      log.warn(`[News] Serving cached headlines for ${query.coin} after provider failure: ${err.message}`);
+      return { ...cached.data, fetchedAt: cached.timestamp, cacheStatus: 'stale-if-error' };
+    }
+    throw err;
+  }
+  
+  if (data.headlines.length > 0) {
+    try {
+      await env.RATE_LIMIT_KV.put(key, JSON.stringify({ data, timestamp: now }));
+    } catch (e) {
+      log.warn(`[News] Failed to cache ${key}:`, e.message);
+    }
+  }
+  return { ...data, fetchedAt: now, cacheStatus: 'miss' };
+}
+
+// Outlets of a story: its own and those of the copies folded into it
+function storySources(headline) {
+  return [headline.source, ...(headline.cluster?.members || []).map(m => m.source)].filter(Boolean);
+}
+
+// Parse the /news filters and paging into { from, to, sources, words, page, pageSize } or { error }.
+// Paging is clamped like /history's days; from/to and an empty search are rejected.
+export function parseNewsFilters(params) {
+  const from = parseHistoryTime(params.get('from'));
+  const to = parseHistoryTime(params.get('to'));
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'Invalid from/to (use epoch milliseconds, epoch seconds or an ISO date)' };
+  }
+  if (from != null && to != null && from >= to) {
+    return { error: 'from must be before to' };
+  }
+  
+  const sources = (params.get('sources') || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  const words = (params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (params.get('q') != null && words.length === 0) {
+    return { error: 'q must not be empty' };
+  }
+  
+  return {
+    from,
+    to,
+    sources,
+    words,
+    page: Math.max(parseInt(params.get('page')) || 1, 1),
+    pageSize: Math.min(Math.max(parseInt(params.get('pageSize')) || NEWS_DEFAULT_PAGE_SIZE, 1), NEWS_MAX_PAGE_SIZE)
+  };
+}
+
+// Stories matching every given filter: published within [from, to], covered by one of
+// `sources` (any outlet of the cluster) and containing all of `words` in the title or description
+export function filterHeadlines(headlines, { from = null, to = null, sources = [], words = [] }) {
+  return headlines.filter(h => {
+    if (from != null || to != null) {
+      const published = Date.parse(h.publishedAt);
+      if (Number.isNaN(published)) return false;
+      if (from != null && published < from) return false;
+      if (to != null && published > to) return false;
+    }
+    if (sources.length > 0 && !storySources(h).some(s => sources.includes(s.toLowerCase()))) {
+      return false;
+    }
+    const text = `${h.title} ${h.description || ''}`.toLowerCase();
+    return words.every(w => text.includes(w));
+  });
+}
+
+// Outlets in the pool with the number of stories each covers, most first
+function countSources(headlines) {
+  const counts = new Map();
+  for (const h of headlines) {
+    for (const source of new Set(storySources(h))) {
+      counts.set(source, (counts.get(source) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+export async function handleNews(request, env) {
+  const startTime = Date.now();
+  const url = new URL(request.url);
+  const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+  // Only an explicit force: the dashboard adds `_=<now>` to every /news call, which
+  // isForceRefresh would treat as a refresh and spend the provider budget on
+  const force = ['1', 'true'].includes(url.searchParams.get('force'));
+  const filters = parseNewsFilters(url.searchParams);
+  if (filters.error) {
+    return errorResponse(filters.error);
+  }
+  
+  try {
+    // Free-text topics are still allowed when the coin is unknown
+    const coinInfo = await resolveCoin(requestedCoin, env);
+    const topic = coinInfo ? null : normalizeNewsTopic(requestedCoin);
+    if (!coinInfo && !topic) {
+      return errorResponse(`Invalid coin or topic: ${requestedCoin.substring(0, NEWS_TOPIC_MAX_LENGTH)}`);
+    }
+    const query = newsQueryFor(coinInfo ? coinInfo.id : topic, coinInfo);
+    const pool = await getHeadlinePool(query, env, { force });
+    const matches = filterHeadlines(pool.headlines, filters);
+    const offset = (filters.page - 1) * filters.pageSize;
+    
+    const extraHeaders = {
+      'Cache-Control': 's-maxage=60, max-age=0, must-revalidate',
+      'X-Cache-Status': pool.cacheStatus,
+      'X-DO-Age': String(Math.floor((Date.now() - pool.fetchedAt) / 1000)),
+      'X-Latency-ms': String(Date.now() - startTime),
+      'X-Data-Provider': pool.provider
+    };
+    if (pool.cacheStatus === 'stale-if-error') {
+      extraHeaders['Warning'] = '110 - stale response used due to upstream error';
+    }
+    
+    return jsonResponse({
+      coin: query.coin,
+      headlines: matches.slice(offset, offset + filters.pageSize),
+      total: matches.length,
+      page: filters.page,
+      pageSize: filters.pageSize,
+      hasMore: offset + filters.pageSize < matches.length,
+      sources: countSources(pool.headlines),
+      provider: pool.provider,
+      source: pool.provider, // kept for older clients
+      ...(pool.attempts.length > 0 && { attempts: pool.attempts }),
+      query: query.text,
+      fetchedAt: new Date(pool.fetchedAt).toISOString()
+    }, 200, extraHeaders);
+  } catch (error) {
+    log.error('Error fetching news:', error);
+    return upstreamErrorResponse(error, `Failed to fetch news: ${error.message}`);
+  }
+}
+
+// Helper function to get date N days ago
+function getDateDaysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+// The newest NEWS_SUMMARY_HEADLINES headlines relevant to a coin (RELEVANCE_MIN or more)
+// from its cached pool, for the sentiment summary
+export async function fetchNewsForCoin(coinName, env, options = { force: false }) {
+  const query = newsQueryFor(coinName, await resolveCoin(coinName, env));
+  const { headlines } = await getHeadlinePool(query, env, options);
+  return headlines.filter(h => h.relevance >= RELEVANCE_MIN).slice(0, NEWS_SUMMARY_HEADLINES);
+}
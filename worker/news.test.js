@@ -0,0 +1,112 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { filterHeadlines, normalizeHeadline, normalizeNewsTopic, parseNewsFilters } from './news.js';
+
+describe('normalizeHeadline', () => {
+  it('should map a raw article to the shared headline shape', () => {
+    const headline = normalizeHeadline({
+      title: '  Bitcoin rally extends to a record high ',
+      description: ' Inflows topped expectations. ',
+      url: 'https://example.com/a',
+      source: 'CoinDesk',
+      publishedAt: '2025-10-09T08:30:00Z',
+      author: 'Staff'
+    }, 'newsapi');
+    expect(headline).toEqual({
+      title: 'Bitcoin rally extends to a record high',
+      description: 'Inflows topped expectations.',
+      url: 'https://example.com/a',
+      source: 'CoinDesk',
+      publishedAt: '2025-10-09T08:30:00.000Z',
+      author: 'Staff',
+      urlToImage: null,
+      provider: 'newsapi'
+    });
+  });
+
+  it('should fill defaults for missing fields', () => {
+    expect(normalizeHeadline({ title: 'Ether staking queue shrinks' }, 'rss')).toEqual({
+      title: 'Ether staking queue shrinks',
+      description: '',
+      url: null,
+      source: 'Unknown',
+      publishedAt: null,
+      author: null,
+      urlToImage: null,
+      provider: 'rss'
+    });
+  });
+
+  it('should drop unparseable dates rather than the headline', () => {
+    expect(normalizeHeadline({ title: 'Ether staking queue shrinks', publishedAt: 'yesterday' }, 'rss').publishedAt).toBeNull();
+  });
+
+  it('should reject removed, promotional and too-short titles', () => {
+    expect(normalizeHeadline({ title: '[Removed]' }, 'newsapi')).toBeNull();
+    expect(normalizeHeadline({ title: 'Advertisement: buy the dip with us' }, 'newsapi')).toBeNull();
+    expect(normalizeHeadline({ title: 'BTC up' }, 'newsapi')).toBeNull();
+    expect(normalizeHeadline({ title: null }, 'newsapi')).toBeNull();
+    expect(normalizeHeadline(null, 'newsapi')).toBeNull();
+  });
+});
+
+describe('normalizeNewsTopic', () => {
+  it('should lowercase, strip punctuation and cap the length', () => {
+    expect(normalizeNewsTopic('  Layer-2   Rollups?! ')).toBe('layer-2 rollups');
+    expect(normalizeNewsTopic('x'.repeat(100))).toHaveLength(40);
+    expect(normalizeNewsTopic('<>!?')).toBe('');
+  });
+});
+
+describe('parseNewsFilters', () => {
+  const parse = (query) => parseNewsFilters(new URLSearchParams(query));
+
+  it('should default and clamp paging', () => {
+    expect(parse('')).toEqual({ from: null, to: null, sources: [], words: [], page: 1, pageSize: 15 });
+    expect(parse('page=0&pageSize=500')).toMatchObject({ page: 1, pageSize: 50 });
+  });
+
+  it('should split outlets and search words case-insensitively', () => {
+    expect(parse('sources=CoinDesk, The Block,&q=ETF  Inflows')).toMatchObject({
+      sources: ['coindesk', 'the block'],
+      words: ['etf', 'inflows']
+    });
+  });
+
+  it('should reject unparseable or inverted dates and an empty search', () => {
+    expect(parse('from=soon').error).toMatch(/Invalid from\/to/);
+    expect(parse('from=2025-10-09&to=2025-10-08').error).toBe('from must be before to');
+    expect(parse('q=%20').error).toBe('q must not be empty');
+  });
+});
+
+describe('filterHeadlines', () => {
+  const headlines = [
+    {
+      title: 'Bitcoin ETF inflows hit a record',
+      description: '',
+      source: 'CoinDesk',
+      publishedAt: '2025-10-09T08:00:00.000Z',
+      cluster: { size: 2, members: [{ source: 'Yahoo Finance' }] }
+    },
+    { title: 'Miners expand capacity', description: 'Hashrate climbs.', source: 'Bloomberg', publishedAt: '2025-10-08T08:00:00.000Z', cluster: { size: 1, members: [] } },
+    { title: 'Undated exchange update', description: '', source: 'The Block', publishedAt: null, cluster: { size: 1, members: [] } }
+  ];
+  const titles = (filters) => filterHeadlines(headlines, filters).map(h => h.title);
+
+  it('should match a story through any outlet that covered it', () => {
+    expect(titles({ sources: ['yahoo finance'] })).toEqual(['Bitcoin ETF inflows hit a record']);
+  });
+
+  it('should require every search word in the title or description', () => {
+    expect(titles({ words: ['hashrate', 'miners'] })).toEqual(['Miners expand capacity']);
+    expect(titles({ words: ['bitcoin', 'hashrate'] })).toEqual([]);
+  });
+
+  it('should keep the date window inclusive and drop undated stories from it', () => {
+    const from = Date.parse('2025-10-08T08:00:00Z');
+    expect(titles({ from })).toEqual(['Bitcoin ETF inflows hit a record', 'Miners expand capacity']);
+    expect(titles({ to: from })).toEqual(['Miners expand capacity']);
+    expect(titles({})).toHaveLength(3);
+  });
+});
@@ -0,0 +1,406 @@
+// =============================================================================
+// OHLC CANDLES (bucketed from CoinCap history ticks)
+// =============================================================================
+
+import { errorResponse, jsonResponse, upstreamErrorResponse } from './http.js';
+import { log } from './log.js';
+import { withProviderFailover } from './providers.js';
+import { getCoinInfo, resolveCoin } from './coins.js';
+import { QUOTE_CURRENCIES, convertOHLCCandles, getQuoteCurrency, unsupportedQuoteResponse } from './currency.js';
+import { canonicalFormatNumber, getCanonicalPrice } from './prices.js';
+
+// Candle widths and the CoinCap tick interval bucketed into each of them
+export const OHLC_INTERVALS = {
+  h1: { ms: 60 * 60 * 1000, tick: 'm5', tickMs: 5 * 60 * 1000 },
+  h4: { ms: 4 * 60 * 60 * 1000, tick: 'm15', tickMs: 15 * 60 * 1000 },
+  h12: { ms: 12 * 60 * 60 * 1000, tick: 'h1', tickMs: 60 * 60 * 1000 },
+  d1: { ms: 24 * 60 * 60 * 1000, tick: 'h1', tickMs: 60 * 60 * 1000 }
+};
+export const OHLC_MAX_DAYS = 365;
+const OHLC_LONG_RANGE_DAYS = 90; // beyond this, d1 candles are built from h6 ticks to bound payload size
+const OHLC_MIN_TICK_RATIO = 0.5; // a candle built from < 50% of its expected ticks is flagged sparse
+const OHLC_CACHE_TTL_MS = 60 * 1000; // 60s - matches POP cache TTL
+const OHLC_MAX_TICKS = 2500; // upper bound on ticks pulled per request (CoinCap caps history responses)
+
+// Default candle width for a requested window (keeps candle count between ~24 and ~90)
+function pickOHLCInterval(days) {
+  if (days <= 2) return 'h1';
+  if (days <= 7) return 'h4';
+  if (days <= 30) return 'h12';
+  return 'd1';
+}
+
+// Resolve the CoinCap tick interval for a candle width and window
+function resolveOHLCTicks(interval, days) {
+  const config = OHLC_INTERVALS[interval];
+  if (interval === 'd1' && days > OHLC_LONG_RANGE_DAYS) {
+    return { tick: 'h6', tickMs: 6 * 60 * 60 * 1000 };
+  }
+  return { tick: config.tick, tickMs: config.tickMs };
+}
+
+// Keep sub-dollar assets readable (2dp would flatten an ADA candle or a SHIB chart into a line)
+export function roundPrice(price) {
+  return price >= 1 ? Math.round(price * 100) / 100 : Number(price.toPrecision(6));
+}
+
+// Bucket raw ticks into UTC-aligned candles. Pure: `now` is injectable for tests.
+// Every candle reports how many ticks it was built from; candles below the expected
+// tick count are flagged `sparse`, and the in-progress bucket is flagged `partial`.
+function buildOHLCFromTicks(ticks, candleMs, tickMs, now = Date.now()) {
+  const buckets = new Map();
+  
+  for (const t of ticks || []) {
+    if (!Number.isFinite(t.time) || !Number.isFinite(t.price) || t.price <= 0) continue;
+    const start = Math.floor(t.time / candleMs) * candleMs;
+    let b = buckets.get(start);
+    if (!b) {
+      b = { start, open: t.price, high: t.price, low: t.price, close: t.price, firstTime: t.time, lastTime: t.time, ticks: 0 };
+      buckets.set(start, b);
+    }
+    if (t.time < b.firstTime) {
+      b.open = t.price;
+      b.firstTime = t.time;
+    }
+    if (t.time >= b.lastTime) {
+      b.close = t.price;
+      b.lastTime = t.time;
+    }
+    b.high = Math.max(b.high, t.price);
+    b.low = Math.min(b.low, t.price);
+    b.ticks++;
+  }
+  
+  const sorted = [...buckets.values()].sort((a, b) => a.start - b.start);
+  const fullTicks = Math.max(1, Math.round(candleMs / tickMs));
+  
+  const candles = sorted.map(b => {
+    const partial = b.start + candleMs > now;
+    const expectedTicks = partial
+      ? Math.max(1, Math.min(fullTicks, Math.floor((now - b.start) / tickMs)))
+      : fullTicks;
+    return {
+      timestamp: new Date(b.start).toISOString(),
+      open: roundPrice(b.open),
+      high: roundPrice(b.high),
+      low: roundPrice(b.low),
+      close: roundPrice(b.close),
+      volume: null, // CoinCap asset history carries no per-tick volume
+      ticks: b.ticks,
+      expectedTicks,
+      sparse: b.ticks < Math.ceil(expectedTicks * OHLC_MIN_TICK_RATIO),
+      partial
+    };
+  });
+  
+  const missingBuckets = sorted.length > 0
+    ? Math.round((sorted[sorted.length - 1].start - sorted[0].start) / candleMs) + 1 - sorted.length
+    : 0;
+  
+  return {
+    candles,
+    sparseCandles: candles.filter(c => c.sparse).length,
+    missingBuckets
+  };
+}
+
+// Normalize native exchange candles to the same shape as bucketed ones
+function buildOHLCFromCandles(rows, candleMs, now = Date.now()) {
+  const candles = rows
+    .filter(r => [r.time, r.open, r.high, r.low, r.close].every(Number.isFinite) && r.close > 0)
+    .sort((a, b) => a.time - b.time)
+    .map(r => ({
+      timestamp: new Date(r.time).toISOString(),
+      open: roundPrice(r.open),
+      high: roundPrice(r.high),
+      low: roundPrice(r.low),
+      close: roundPrice(r.close),
+      volume: Number.isFinite(r.volume) ? r.volume : null,
+      ticks: null, // exchange candles are aggregated upstream from trades
+      expectedTicks: null,
+      sparse: false,
+      partial: r.time + candleMs > now
+    }));
+  
+  const missingBuckets = candles.length > 0
+    ? Math.round((Date.parse(candles[candles.length - 1].timestamp) - Date.parse(candles[0].timestamp)) / candleMs) + 1 - candles.length
+    : 0;
+  
+  return { candles, sparseCandles: 0, missingBuckets };
+}
+
+// Build candles for a window from the first provider that can serve them.
+// Providers with native candles (exchanges) are used as-is; otherwise ticks are bucketed.
+async function fetchOHLCFromHistory(coinId, days, interval, env) {
+  const candleMs = OHLC_INTERVALS[interval].ms;
+  const { tick, tickMs } = resolveOHLCTicks(interval, days);
+  const end = Date.now();
+  // Align start to a candle boundary so the first candle is not truncated
+  const start = Math.floor((end - days * 24 * 60 * 60 * 1000) / candleMs) * candleMs;
+  
+  const { value, provider } = await withProviderFailover(env, `ohlc ${coinId} ${interval}`, p => p.supports(coinId), async (p) => {
+    if (p.fetchCandles) {
+      log.debug(`[fetchOHLCFromHistory] Fetching native ${interval} candles for ${coinId} (${days} days) from ${p.name}`);
+      const rows = await p.fetchCandles(coinId, interval, start, end, env);
+      if (!rows || rows.length === 0) {
+        throw new Error(`No candles returned for ${coinId}`);
+      }
+      const built = buildOHLCFromCandles(rows, candleMs, end);
+      if (built.candles.length === 0) {
+        throw new Error(`No usable candles returned for ${coinId}`);
+      }
+      return { built, tickInterval: null, ticks: null };
+    }
+    
+    log.debug(`[fetchOHLCFromHistory] Building ${interval} candles for ${coinId} (${days} days) from ${p.name} ${tick} ticks`);
+    const ticks = await p.fetchTicks(coinId, tick, start, end, env);
+    if (!ticks || ticks.length === 0) {
+      throw new Error(`No history ticks returned for ${coinId}`);
+    }
+    // Every tick can fail the finiteness/positivity filter; an empty build must not be cached
+    const built = buildOHLCFromTicks(ticks, candleMs, tickMs, end);
+    if (built.candles.length === 0) {
+      throw new Error(`No usable history ticks returned for ${coinId}`);
+    }
+    return { built, tickInterval: tick, ticks: ticks.length };
+  });
+  
+  const { built, tickInterval, ticks } = value;
+  log.debug(`[fetchOHLCFromHistory] ${built.candles.length} candles from ${provider} (sparse=${built.sparseCandles}, missing=${built.missingBuckets})`);
+  
+  return {
+    coin: coinId,
+    ohlc: built.candles,
+    days,
+    interval,
+    tickInterval,
+    ticks,
+    sparseCandles: built.sparseCandles,
+    missingBuckets: built.missingBuckets,
+    symbol: getCoinInfo(coinId)?.symbol || coinId.toUpperCase(),
+    source: provider,
+    provider,
+    note: tickInterval
+      ? `Candles bucketed from ${provider} ${tickInterval} price ticks; volume is not available from this source`
+      : `Native ${interval} candles from ${provider}`
+  };
+}
+
+async function fetchFreshOHLCData(coinId, days, interval, env) {
+  try {
+    const ohlcData = await fetchOHLCFromHistory(coinId, days, interval, env);
+    
+    // Cache the fresh data
+    await env.RATE_LIMIT_KV.put(`ohlc_${coinId}_${days}_${interval}`, JSON.stringify({
+      data: ohlcData,
+      timestamp: Date.now()
+    }));
+    
+    log.debug(`[Fresh OHLC] Cached fresh OHLC for ${coinId}: ${ohlcData.ohlc.length} candles`);
+    return { data: ohlcData, fromCache: false, fresh: true };
+    
+  } catch (error) {
+    log.debug(`[Fresh OHLC] Failed to fetch OHLC for ${coinId}:`, error.message);
+    throw error;
+  }
+}
+
+function refreshOHLCInBackground(coinId, days, interval, env) {
+  fetchFreshOHLCData(coinId, days, interval, env).then(() => {
+    log.debug(`[Background OHLC] Refreshed OHLC for ${coinId}`);
+  }).catch(error => {
+    // Gracefully handle backoff errors
+    if (error.code === 'backoff' || error.code === 'retries_exhausted' || error.code === 'providers_exhausted') {
+      log.warn(`[Background OHLC] Suppressed upstream error for ${coinId}: ${error.message}`);
+      return;
+    }
+    log.warn(`[Background OHLC] Failed to refresh ${coinId}: ${error.message}`);
+  });
+}
+
+// OHLC caching: fresh within OHLC_CACHE_TTL_MS, otherwise serve stale and refresh in background
+export async function getCachedOHLCData(coinId, days, interval, env, options = { force: false }) {
+  const cacheKey = `ohlc_${coinId}_${days}_${interval}`;
+  
+  if (options.force) {
+    try {
+      return await fetchFreshOHLCData(coinId, days, interval, env);
+    } catch (upErr) {
+      // Stale-if-error: a forced refresh still falls back to whatever we last built
+      const raw = await env.RATE_LIMIT_KV.get(cacheKey).catch(() => null);
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        if (parsed?.data?.ohlc?.length) {
+          log.warn(`[OHLC Cache] Serving stale OHLC for ${coinId} after upstream failure`);
+          return { data: parsed.data, fromCache: true, fresh: false, staleIfError: true };
+        }
+      }
+      throw upErr;
+    }
+  }
+  
+  try {
+    const cached = await env.RATE_LIMIT_KV.get(cacheKey);
+    
+    if (cached) {
+      try {
+        const { data, timestamp } = JSON.parse(cached);
+        const age = Date.now() - timestamp;
+        
+        if (!data || !Array.isArray(data.ohlc) || data.ohlc.length === 0) {
+          log.debug(`[OHLC Cache] Invalid cached OHLC for ${coinId}, fetching fresh data`);
+          await env.RATE_LIMIT_KV.delete(cacheKey);
+          return await fetchFreshOHLCData(coinId, days, interval, env);
+        }
+        
+        if (age < OHLC_CACHE_TTL_MS) {
+          log.debug(`[OHLC Cache] Serving fresh cached OHLC for ${coinId} (${age}ms old)`);
+          return { data, fromCache: true, fresh: true };
+        }
+        
+        log.debug(`[OHLC Cache] Serving stale cached OHLC for ${coinId} (${age}ms old), refreshing in background`);
+        refreshOHLCInBackground(coinId, days, interval, env);
+        return { data, fromCache: true, fresh: false };
+      } catch (parseError) {
+        // Corrupt cache entry - delete and fetch fresh
+        log.warn(`[OHLC Cache] Failed to parse KV ${cacheKey}, deleting corrupt entry:`, parseError.message);
+        await env.RATE_LIMIT_KV.delete(cacheKey);
+        return await fetchFreshOHLCData(coinId, days, interval, env);
+      }
+    }
+    
+    log.debug(`[OHLC Cache] No valid cache for ${coinId}, fetching fresh data`);
+    return await fetchFreshOHLCData(coinId, days, interval, env);
+    
+  } catch (error) {
+    log.debug(`[OHLC Cache] Error getting cached OHLC for ${coinId}: ${error.message}`);
+    return await fetchFreshOHLCData(coinId, days, interval, env);
+  }
+}
+
+// Fold the canonical live price into the in-progress candle (the candle that contains "now")
+// Returns a shallow copy so cached candles are never mutated
+function applyCanonicalPriceToOHLC(ohlc, canonicalPrice) {
+  if (!Array.isArray(ohlc) || ohlc.length === 0 || !Number.isFinite(canonicalPrice) || canonicalPrice <= 0) {
+    return ohlc;
+  }
+  const last = ohlc[ohlc.length - 1];
+  if (!last.partial) return ohlc;
+  const price = roundPrice(canonicalPrice);
+  return [
+    ...ohlc.slice(0, -1),
+    { ...last, close: price, high: Math.max(last.high, price), low: Math.min(last.low, price) }
+  ];
+}
+
+// Get canonical OHLC data (server-authoritative)
+// Real candles from the OHLC cache, with the canonical live price folded into the open candle
+export async function getCanonicalOHLC(coinId, days, env) {
+  try {
+    const interval = pickOHLCInterval(days);
+    const result = await getCachedOHLCData(coinId, days, interval, env);
+    
+    let canonicalPrice = null;
+    try {
+      canonicalPrice = (await getCanonicalPrice(coinId, env)).price;
+    } catch (priceErr) {
+      log.warn(`[getCanonicalOHLC] Canonical price unavailable for ${coinId}, using candle closes as-is:`, priceErr.message);
+    }
+    
+    return applyCanonicalPriceToOHLC(result.data.ohlc, canonicalPrice);
+  } catch (error) {
+    log.warn(`[getCanonicalOHLC] Failed for ${coinId}:`, error.message);
+    throw error;
+  }
+}
+
+export async function handleOHLC(request, env) {
+  const start = Date.now();
+  try {
+    const url = new URL(request.url);
+    const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+    const days = Math.min(Math.max(parseInt(url.searchParams.get('days')) || 7, 1), OHLC_MAX_DAYS);
+    const interval = url.searchParams.get('interval') || pickOHLCInterval(days);
+    
+    const coinInfo = await resolveCoin(requestedCoin, env);
+    if (!coinInfo) {
+      return errorResponse(`Unsupported coin: ${requestedCoin}`);
+    }
+    const coinId = coinInfo.id;
+    const vs = getQuoteCurrency(url);
+    if (!vs) {
+      return unsupportedQuoteResponse(url);
+    }
+    
+    if (!OHLC_INTERVALS[interval]) {
+      return errorResponse(`Unsupported interval: ${interval} (use one of ${Object.keys(OHLC_INTERVALS).join(', ')})`);
+    }
+    
+    const { tickMs } = resolveOHLCTicks(interval, days);
+    const expectedTicks = Math.ceil((days * 24 * 60 * 60 * 1000) / tickMs);
+    if (expectedTicks > OHLC_MAX_TICKS) {
+      return errorResponse(`Range too large for ${interval} candles: ${days} days needs ~${expectedTicks} ticks (max ${OHLC_MAX_TICKS}); use a wider interval`);
+    }
+    
+    // `_` is the dashboard's cache-buster (TechSnapshotCard, stores.js), not a refresh request
+    const force = ['1', 'true'].includes(url.searchParams.get('force'));
+    const result = await getCachedOHLCData(coinId, days, interval, env, { force });
+    const data = result.data;
+    
+    // Fold canonical price into the in-progress candle (single source of truth for "now")
+    let canonicalPriceObj = null;
+    try {
+      canonicalPriceObj = await getCanonicalPrice(coinId, env);
+    } catch (error) {
+      log.warn(`[OHLC] Failed to get canonical price: ${error.message}, using last candle close`);
+    }
+    let ohlc = applyCanonicalPriceToOHLC(data.ohlc, canonicalPriceObj?.price);
+    
+    // Candles are cached in USD; convert on the way out
+    let fx;
+    if (vs !== 'usd') {
+      ({ ohlc, fx } = await convertOHLCCandles(ohlc, vs, days, interval, env));
+    }
+    
+    if (ohlc.length === 0) {
+      return jsonResponse({ error: `No candles available for ${coinId}`, code: 'no_candles' }, 502);
+    }
+    const lastCandle = ohlc[ohlc.length - 1];
+    const lastClosePriceNumeric = lastCandle.close;
+    const lastClosePrice = canonicalFormatNumber(lastClosePriceNumeric, QUOTE_CURRENCIES[vs].decimals);
+    const lastPointTimestamp = lastCandle.timestamp;
+    const lastPointTimestampMs = new Date(lastPointTimestamp).getTime();
+    const lastPointTimestampIso = new Date(lastPointTimestampMs).toISOString();
+    const priceSource = canonicalPriceObj?.priceSource || canonicalPriceObj?.source || 'ohlc-close';
+    
+    const xcacheStatus = result.fromCache ? (result.fresh ? 'fresh' : (result.staleIfError ? 'stale-if-error' : 'stale')) : 'miss';
+    const headers = {
+      'Cache-Control': 'public, s-maxage=60, max-age=60',
+      'X-Cache-Status': xcacheStatus,
+      'X-Cache-Source': result.fromCache ? 'cache' : 'api',
+      'X-DO-Age': String(Math.floor((Date.now() - lastPointTimestampMs) / 1000)),
+      'X-Latency-ms': String(Date.now() - start),
+      'X-Data-Provider': data.provider || data.source || 'unknown'
+    };
+    
+    log.debug(`[OHLC] Returning ${ohlc.length} ${interval} candles for ${coinId} with lastClosePrice=${lastClosePrice} ${QUOTE_CURRENCIES[vs].code} (sparse=${data.sparseCandles}, source=${priceSource})`);
+    
+    return jsonResponse({
+      ...data,
+      ohlc: ohlc,
+      candles: ohlc.length,
+      lastClosePrice: lastClosePrice, // string formatted to the quote's decimals (2, or 8 for BTC)
+      lastClosePriceNumeric: lastClosePriceNumeric, // numeric
+      lastPointTimestamp: lastPointTimestamp, // backward compatibility (ISO string)
+      lastPointTimestampIso: lastPointTimestampIso, // ISO string format
+      lastPointTimestampMs: lastPointTimestampMs, // epoch milliseconds (numeric)
+      priceSource: priceSource,
+      vs: QUOTE_CURRENCIES[vs].code,
+      ...(fx ? { fx } : {})
+    }, 200, headers);
+    
+  } catch (error) {
+    log.error('[OHLC] Error handling OHLC request:', error);
+    return upstreamErrorResponse(error, 'Failed to fetch OHLC data');
+  }
+}
@@ -0,0 +1,156 @@
+// =============================================================================
+// SCHEDULED PRE-WARMING (cron trigger)
+// =============================================================================
+//
+// Each cron run refreshes caches before visitors ask for them: canonical prices for
+// the whole pre-warm set (one batched call), the default history windows for a
+// rotating slice of coins, the news feeds that are due for revalidation, and, once an
+// hour, sentiment for one featured coin. The slices are derived from the run's
+// scheduledTime, so consecutive runs walk the whole set without a stored cursor. A step
+// is skipped when its upstream's shared budget (UpstreamGuard) would dip into the
+// reserve kept for visitors. Every run writes a report to KV.
+
+import { log } from './log.js';
+import { callUpstreamGuard } from './upstream.js';
+import { getProviderOrder } from './providers.js';
+import { SUPPORTED_COINS, getCoinUniverse } from './coins.js';
+import { fetchFreshHistoryData, historyCacheKey, toHistoryWindow } from './history.js';
+import { getCanonicalPrices } from './prices.js';
+import { buildSentimentSummary } from './sentiment.js';
+import { ingestFeeds } from './feeds.js';
+
+const PREWARM_INTERVAL_MS = 5 * 60 * 1000; // matches the cron trigger in wrangler.toml
+const PREWARM_COIN_LIMIT = 50; // top coins by market cap (featured coins are always added)
+const PREWARM_HISTORY_WINDOWS = [{ days: 7 }, { days: 1 }]; // dashboard chart and 24h view
+const PREWARM_HISTORY_COINS_PER_RUN = 10;
+const PREWARM_SENTIMENT_COINS_PER_RUN = 1;
+// Sentiment only on every 12th run (hourly): at most 24 summaries a day, each at most one
+// NewsAPI and one Cohere call, so the job stays well under NewsAPI's 100 requests/day
+// whether or not the UpstreamGuard binding is there to enforce a budget
+const PREWARM_SENTIMENT_EVERY_RUNS = 12;
+const PREWARM_BUDGET_RESERVE = 0.2; // share of each upstream's bucket left for visitors
+const PREWARM_REPORT_KEY = 'prewarm_report';
+
+// The runIndex-th slice of `items` (wraps around)
+function prewarmSlice(items, perRun, runIndex) {
+  if (items.length === 0) return [];
+  const slices = Math.ceil(items.length / perRun);
+  const start = (runIndex % slices) * perRun;
+  return items.slice(start, start + perRun);
+}
+
+// Tokens the pre-warmer may spend on `upstream`; Infinity without the guard (nothing to consult)
+async function prewarmBudget(env, upstream) {
+  const status = await callUpstreamGuard(env, upstream, 'status');
+  if (!status) return Infinity;
+  if (status.state !== 'closed') return 0;
+  return status.tokens - Math.ceil(status.capacity * PREWARM_BUDGET_RESERVE);
+}
+
+export async function runPrewarm(event, env) {
+  const startedAt = Date.now();
+  const scheduledTime = event?.scheduledTime || startedAt;
+  const runIndex = Math.floor(scheduledTime / PREWARM_INTERVAL_MS);
+  const report = {
+    cron: event?.cron || null,
+    scheduledTime: new Date(scheduledTime).toISOString(),
+    runIndex,
+    coins: 0,
+    prices: { refreshed: [], failed: {} },
+    history: { refreshed: [], failed: {} },
+    feeds: { refreshed: [], failed: {} },
+    sentiment: { refreshed: [], failed: {} }
+  };
+  
+  try {
+    const universe = await getCoinUniverse(env);
+    const coinIds = [...new Set([
+      ...universe.coins.slice(0, PREWARM_COIN_LIMIT).map(c => c.id),
+      ...Object.keys(SUPPORTED_COINS)
+    ])];
+    report.coins = coinIds.length;
+    const marketUpstream = getProviderOrder(env)[0];
+    
+    // 1. Prices: the whole set in one batched provider call
+    if (await prewarmBudget(env, marketUpstream) >= 1) {
+      const { cacheStatus, errors } = await getCanonicalPrices(coinIds, env, { force: true });
+      for (const [coinId, status] of Object.entries(cacheStatus)) {
+        if (status === 'miss') report.prices.refreshed.push(coinId);
+        else report.prices.failed[coinId] = status; // stale-if-error: kept the old entry
+      }
+      for (const [coinId, e] of Object.entries(errors)) {
+        report.prices.failed[coinId] = e.code;
+      }
+    } else {
+      report.prices.skipped = `${marketUpstream} budget`;
+    }
+    
+    // 2. History: this run's slice, one window at a time
+    const historyCoins = prewarmSlice(coinIds, PREWARM_HISTORY_COINS_PER_RUN, runIndex);
+    const historyCalls = historyCoins.length * PREWARM_HISTORY_WINDOWS.length;
+    if (await prewarmBudget(env, marketUpstream) >= historyCalls) {
+      for (const coinId of historyCoins) {
+        for (const spec of PREWARM_HISTORY_WINDOWS) {
+          const window = toHistoryWindow(spec);
+          const key = historyCacheKey(coinId, window);
+          try {
+            await fetchFreshHistoryData(coinId, window, env);
+            report.history.refreshed.push(key);
+          } catch (err) {
+            report.history.failed[key] = err.code || err.message;
+          }
+        }
+      }
+    } else {
+      report.history.skipped = `${marketUpstream} budget`;
+    }
+    
+    // 3. Feeds: conditional GETs for the feeds past their freshness window (unguarded outlets)
+    for (const feed of await ingestFeeds(env)) {
+      if (feed.error || feed.cacheStatus === 'stale') {
+        report.feeds.failed[feed.url] = feed.error || 'stale';
+      } else if (feed.cacheStatus !== 'hit') {
+        report.feeds.refreshed.push({ url: feed.url, status: feed.cacheStatus, items: feed.items.length });
+      }
+    }
+    
+    // 4. Sentiment: featured coins only, one per sentiment run (headlines from the news providers, scoring from Cohere)
+    if (runIndex % PREWARM_SENTIMENT_EVERY_RUNS !== 0) {
+      report.sentiment.skipped = `runs every ${PREWARM_SENTIMENT_EVERY_RUNS} runs`;
+    } else {
+      const sentimentCoins = prewarmSlice(Object.keys(SUPPORTED_COINS), PREWARM_SENTIMENT_COINS_PER_RUN, runIndex / PREWARM_SENTIMENT_EVERY_RUNS);
+      const [newsBudget, cohereBudget] = await Promise.all([prewarmBudget(env, 'newsapi'), prewarmBudget(env, 'cohere')]);
+      if (newsBudget >= sentimentCoins.length && cohereBudget >= sentimentCoins.length) {
+        for (const coin of sentimentCoins) {
+          try {
+            const { result } = await buildSentimentSummary(coin, env);
+            if (result.count > 0) {
+              report.sentiment.refreshed.push({ coin, source: result.source, count: result.count });
+            } else {
+              report.sentiment.failed[coin] = 'no_headlines';
+            }
+          } catch (err) {
+            report.sentiment.failed[coin] = err.code || err.message;
+          }
+        }
+      } else {
+        report.sentiment.skipped = newsBudget < sentimentCoins.length ? 'newsapi budget' : 'cohere budget';
+      }
+    }
+  } catch (err) {
+    log.error('[Prewarm] Run failed:', err);
+    report.error = err.message;
+  }
+  
+  report.durationMs = Date.now() - startedAt;
+  report.finishedAt = new Date().toISOString();
+  const failed = ['prices', 'history', 'feeds', 'sentiment'].reduce((n, step) => n + Object.keys(report[step].failed).length, 0);
+  log.info(`[Prewarm] Run ${runIndex}: prices=${report.prices.refreshed.length}, history=${report.history.refreshed.length}, feeds=${report.feeds.refreshed.length}, sentiment=${report.sentiment.refreshed.length}, failed=${failed}, ${report.durationMs}ms`);
+  
+  try {
+    await env.RATE_LIMIT_KV.put(PREWARM_REPORT_KEY, JSON.stringify({ data: report, timestamp: Date.now() }));
+  } catch (e) {
+    log.warn('[Prewarm] Failed to write run report:', e.message);
+  }
+  return report;
+}
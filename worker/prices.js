@@ -0,0 +1,417 @@
+// =============================================================================
+// PRICES (/price, /prices and the canonical live price)
+// =============================================================================
+//
+// Spot prices are cached in KV per coin (PRICE_KV_FRESH_MS) and refreshed through the
+// market providers; getCanonicalPrice is the server-authoritative price used by the AI
+// explain route and the OHLC open candle.
+
+import { AI_PRICE_FETCH_TIMEOUT_MS, PRICE_KV_FRESH_MS } from './config.js';
+import { errorResponse, isForceRefresh, jsonResponse, upstreamErrorResponse } from './http.js';
+import { log } from './log.js';
+import { fetchPricesWithFailover } from './providers.js';
+import { getCoinInfo, resolveCoin } from './coins.js';
+import { fetchAssetHistory } from './history.js';
+import { QUOTE_CURRENCIES, convertPriceData, getQuoteCurrency, getSpotQuote, unsupportedQuoteResponse } from './currency.js';
+
+// Canonical /price payload (USD) with both timestamp formats and formatted price
+function buildPricePayload(coinId, canonicalPriceObj) {
+  const canonicalPrice = Number(canonicalPriceObj.price);
+  const timestampMs = canonicalPriceObj.timestamp ? new Date(canonicalPriceObj.timestamp).getTime() : Date.now();
+  
+  // Extract change24h from canonicalPriceObj if available
+  const change24hRaw = canonicalPriceObj.change24h ?? null;
+  const change24h = (change24hRaw == null || Number.isNaN(Number(change24hRaw))) ? null : Number(change24hRaw);
+  
+  // Log warning if change24h is missing (client will compute from OHLC if possible)
+  if (change24h == null) {
+    log.warn(`[Price] missing change24h for ${coinId}; client will compute from OHLC if possible`);
+  }
+  
+  return {
+    coin: coinId,
+    price: canonicalPrice, // numeric
+    priceFmt: canonicalFormatNumber(canonicalPrice, 2), // string formatted to 2 decimals
+    timestamp: canonicalPriceObj.timestamp, // backward compatibility (ISO string)
+    timestampIso: new Date(timestampMs).toISOString(), // ISO string format
+    timestampMs: timestampMs, // epoch milliseconds (numeric)
+    source: canonicalPriceObj.priceSource || canonicalPriceObj.source || 'unknown',
+    symbol: getCoinInfo(coinId)?.symbol || coinId.toUpperCase(),
+    change24h: change24h, // numeric or null (client will compute if null)
+    changeFmt: (change24h == null) ? null : canonicalFormatNumber(change24h, 2), // string formatted to 2 decimals or null
+    provider: canonicalPriceObj.provider || 'unknown', // market data provider that answered
+    vs: 'USD'
+  };
+}
+
+export async function handlePrice(request, env) {
+  const start = Date.now();
+  try {
+    const url = new URL(request.url);
+    const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+    const origin = request.headers.get('Origin');
+    
+    const coinInfo = await resolveCoin(requestedCoin, env);
+    if (!coinInfo) {
+      return errorResponse(`Unsupported coin: ${requestedCoin}`);
+    }
+    const coinId = coinInfo.id;
+    const vs = getQuoteCurrency(url);
+    if (!vs) {
+      return unsupportedQuoteResponse(url);
+    }
+
+    log.debug(`[Price] Fetching canonical price for ${coinId} (vs=${vs}) from origin: ${origin || 'direct'}`);
+
+    // Use canonical price source (single source of truth)
+    let canonicalPriceObj;
+    try {
+      canonicalPriceObj = await getCanonicalPrice(coinId, env);
+    } catch (error) {
+      log.error(`[Price] Failed to get canonical price for ${coinId}:`, error.message);
+      return errorResponse(`Failed to fetch price: ${error.message}`, 500);
+    }
+
+    let priceData = buildPricePayload(coinId, canonicalPriceObj);
+    const { timestampMs, timestampIso } = priceData;
+    const priceSource = priceData.source;
+    
+    if (vs !== 'usd') {
+      priceData = convertPriceData(priceData, await getSpotQuote(vs, env));
+    }
+
+    // Prepare observability headers with POP caching
+    const dataTs = timestampMs;
+    const xdoage = String(Math.floor((Date.now() - dataTs) / 1000));
+    const headers = {
+      'Cache-Control': 'public, s-maxage=60, max-age=60',
+      'X-Cache-Status': canonicalPriceObj.source === 'kv-fresh' ? 'fresh' : 'miss',
+      'X-Cache-Source': canonicalPriceObj.source === 'kv-fresh' ? 'cache' : 'api',
+      'X-DO-Age': xdoage,
+      'X-Latency-ms': String(Date.now() - start),
+      'X-Price-Source': priceSource,
+      'X-Data-Provider': priceData.provider
+    };
+
+    log.debug(`[Price] Returning canonical price priceFmt=${priceData.priceFmt} ${priceData.vs} change24h=${priceData.change24h} changeFmt=${priceData.changeFmt} timestampIso=${timestampIso} timestampMs=${timestampMs} (source=${priceSource}, age=${xdoage}s), totalLatency=${Date.now()-start}ms`);
+    return jsonResponse(priceData, 200, headers);
+
+  } catch (error) {
+    // More informative error for client; include diagnostics
+    log.error('[Price] Error handling price request:', error);
+    
+    return upstreamErrorResponse(error, 'Failed to fetch price data');
+  }
+}
+
+// Canonical USD price payloads for already-resolved coin ids (shared by /prices and /stream).
+// Fresh KV entries are served as-is; everything else comes from one batched provider call
+// (per provider, in failover order) that also refreshes each coin's price_{id} KV entry.
+export async function getCanonicalPrices(coinIds, env, options = { force: false }) {
+  const force = options.force;
+  const errors = {};
+  
+  // 1. KV: fresh entries are served directly; stale ones are kept for stale-if-error
+  const cached = {};
+  await Promise.all(coinIds.map(async (coinId) => {
+    try {
+      const raw = await env.RATE_LIMIT_KV.get(`price_${coinId}`);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed?.data?.price > 0 && parsed.data.timestamp && parsed.data.source !== 'coingecko') {
+        cached[coinId] = parsed.data;
+      }
+    } catch (e) {
+      log.warn(`[Prices] KV read failed for ${coinId}:`, e.message);
+    }
+  }));
+  
+  const results = {};
+  const cacheStatus = {};
+  const toFetch = [];
+  for (const coinId of coinIds) {
+    const entry = cached[coinId];
+    const ageMs = entry ? Date.now() - new Date(entry.timestamp).getTime() : Infinity;
+    if (!force && ageMs <= PRICE_KV_FRESH_MS) {
+      results[coinId] = buildPricePayload(coinId, {
+        ...entry,
+        source: 'kv-fresh',
+        priceSource: 'kv-fresh',
+        provider: entry.provider || entry.source
+      });
+      cacheStatus[coinId] = 'fresh';
+    } else {
+      toFetch.push(coinId);
+    }
+  }
+  
+  // 2. One batched provider call for everything missing or stale
+  if (toFetch.length > 0) {
+    let live = { prices: {}, attempts: [] };
+    try {
+      live = await fetchPricesWithFailover(toFetch, env);
+    } catch (err) {
+      log.warn(`[Prices] Batch fetch failed for ${toFetch.join(',')}: ${err.code || err.message}`);
+      live.attempts = err.attempts || [{ provider: 'all', error: String(err.code || err.message).substring(0, 200) }];
+    }
+    
+    const now = Date.now();
+    await Promise.all(toFetch.map(async (coinId) => {
+      const data = live.prices[coinId];
+      if (data) {
+        try {
+          await env.RATE_LIMIT_KV.put(`price_${coinId}`, JSON.stringify({ data, timestamp: now }));
+        } catch (e) {
+          log.warn(`[Prices] Failed to cache price for ${coinId}:`, e.message);
+        }
+        results[coinId] = buildPricePayload(coinId, {
+          ...data,
+          source: `${data.provider}-live`,
+          priceSource: `${data.provider}-live`
+        });
+        cacheStatus[coinId] = 'miss';
+      } else if (cached[coinId]) {
+        results[coinId] = {
+          ...buildPricePayload(coinId, {
+            ...cached[coinId],
+            source: 'kv-stale',
+            priceSource: 'kv-stale',
+            provider: cached[coinId].provider || cached[coinId].source
+          }),
+          stale: true
+        };
+        cacheStatus[coinId] = 'stale-if-error';
+      } else {
+        errors[coinId] = {
+          error: `No market data provider returned a price for ${coinId}`,
+          code: 'providers_exhausted',
+          attempts: live.attempts
+        };
+      }
+    }));
+  }
+  
+  return { results, cacheStatus, errors, fetched: toFetch.length };
+}
+
+export const PRICES_MAX_COINS = 50; // max coins per /prices batch request
+
+// Batch canonical prices for many coins in one request.
+// Coins that cannot be priced are reported in `errors` instead of failing the whole batch.
+export async function handlePrices(request, env) {
+  const start = Date.now();
+  try {
+    const url = new URL(request.url);
+    const requested = [...new Set((url.searchParams.get('coins') || '')
+      .split(',')
+      .map(c => c.trim())
+      .filter(Boolean))];
+    
+    if (requested.length === 0) {
+      return errorResponse('Missing coins parameter (comma-separated coin ids)');
+    }
+    if (requested.length > PRICES_MAX_COINS) {
+      return errorResponse(`Too many coins: ${requested.length} (max ${PRICES_MAX_COINS})`);
+    }
+    const vs = getQuoteCurrency(url);
+    if (!vs) {
+      return unsupportedQuoteResponse(url);
+    }
+    const force = isForceRefresh(request.url);
+    
+    const errors = {};
+    const coinIds = [];
+    const resolved = await Promise.all(requested.map(c => resolveCoin(c, env)));
+    resolved.forEach((info, i) => {
+      if (!info) {
+        errors[requested[i]] = { error: `Unsupported coin: ${requested[i]}`, code: 'unsupported_coin' };
+      } else if (!coinIds.includes(info.id)) {
+        coinIds.push(info.id);
+      }
+    });
+    
+    const { results, cacheStatus, errors: priceErrors, fetched } = await getCanonicalPrices(coinIds, env, { force });
+    Object.assign(errors, priceErrors);
+    
+    // Keep request order in the response
+    let prices = Object.fromEntries(coinIds.filter(id => results[id]).map(id => [id, results[id]]));
+    if (vs !== 'usd' && Object.keys(prices).length > 0) {
+      const quote = await getSpotQuote(vs, env);
+      prices = Object.fromEntries(Object.entries(prices).map(([id, p]) => [id, convertPriceData(p, quote)]));
+    }
+    
+    const count = Object.keys(prices).length;
+    const statuses = Object.values(cacheStatus);
+    const providers = [...new Set(Object.values(prices).map(p => p.provider))];
+    const body = {
+      vs: QUOTE_CURRENCIES[vs].code,
+      count,
+      requested: requested.length,
+      prices,
+      errors,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Nothing priced: 400 if every coin was unsupported, otherwise an upstream failure
+    const status = count > 0 ? 200 : (coinIds.length === 0 ? 400 : 502);
+    const headers = {
+      'Cache-Control': Object.keys(errors).length > 0 ? 'no-store' : 'public, s-maxage=60, max-age=60',
+      'X-Cache-Status': statuses.includes('stale-if-error') ? 'stale-if-error' : (statuses.length > 0 && statuses.every(s => s === 'fresh') ? 'fresh' : 'miss'),
+      'X-Latency-ms': String(Date.now() - start),
+      'X-Data-Provider': providers.join(',') || 'none'
+    };
+    
+    log.debug(`[Prices] Returning ${count}/${requested.length} prices (fetched=${fetched}, errors=${Object.keys(errors).length}, vs=${vs}), totalLatency=${Date.now() - start}ms`);
+    return jsonResponse(body, status, headers);
+    
+  } catch (error) {
+    log.error('[Prices] Error handling batch price request:', error);
+    return upstreamErrorResponse(error, 'Failed to fetch prices');
+  }
+}
+
+// Canonical number formatting helper (matches chart display)
+export function canonicalFormatNumber(n, dp = 2) {
+  return Number(n).toFixed(dp);
+}
+
+// Get canonical live price from KV → market providers → history (server-authoritative)
+// Fast path: KV first (if fresh), then providers in failover order with 3s timeout, then history fallback
+export async function getCanonicalPrice(coinId, env) {
+  const startTime = Date.now();
+  log.debug(`[AI] ai-get-canonical-price-start: coin=${coinId}, ts=${startTime}`);
+  
+  // 1. Check KV price cache (fresh if age <= 60s)
+  const kvKey = `price_${coinId}`;
+  try {
+    const kvStart = Date.now();
+    const kvRaw = await env.RATE_LIMIT_KV.get(kvKey);
+    const kvLatency = Date.now() - kvStart;
+    
+    if (kvRaw) {
+      const parsed = JSON.parse(kvRaw);
+      if (parsed?.data?.price && parsed?.data?.timestamp) {
+        const ageMs = Date.now() - new Date(parsed.data.timestamp).getTime();
+        if (ageMs <= PRICE_KV_FRESH_MS) {
+          // Extract change24h from cached data if available
+          const change24hRaw = parsed.data.change24h ?? parsed.data.changePercent24Hr ?? null;
+          const change24h = (change24hRaw == null || Number.isNaN(Number(change24hRaw))) ? null : Number(change24hRaw);
+          log.debug(`[AI] ai-get-canonical-price-end: source=kv-fresh, price=${parsed.data.price}, change24h=${change24h}, age=${Math.floor(ageMs/1000)}s, kvLatency=${kvLatency}ms, totalLatency=${Date.now() - startTime}ms`);
+          return {
+            price: Number(parsed.data.price),
+            timestamp: parsed.data.timestamp,
+            source: 'kv-fresh',
+            priceSource: 'kv-fresh',
+            provider: parsed.data.provider || parsed.data.source || 'unknown',
+            change24h: change24h // Include change24h from cache if available
+          };
+        } else {
+          log.debug(`[AI] ai-get-canonical-price: KV cache stale (age=${Math.floor(ageMs/1000)}s), fetching live`);
+        }
+      }
+    }
+  } catch (e) {
+    log.warn(`[AI] ai-get-canonical-price: KV read failed for ${coinId}:`, e.message);
+  }
+  
+  // 2. Fetch live from market providers (failover order) with fast timeout (3s max)
+  try {
+    const liveStart = Date.now();
+    log.debug(`[AI] ai-get-canonical-price: fetching live with ${AI_PRICE_FETCH_TIMEOUT_MS}ms timeout, ts=${liveStart}`);
+    
+    // Use Promise.race to enforce fast timeout
+    // Note: the provider fetch may continue in background if it exceeds timeout, but we won't wait
+    const liveFetch = fetchPricesWithFailover([coinId], env);
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => {
+        log.debug(`[AI] ai-get-canonical-price: live fetch timeout after ${AI_PRICE_FETCH_TIMEOUT_MS}ms, falling back to history`);
+        reject(Object.assign(new Error('price-fetch-timeout'), { code: 'price-fetch-timeout' }));
+      }, AI_PRICE_FETCH_TIMEOUT_MS)
+    );
+    
+    const { prices } = await Promise.race([liveFetch, timeoutPromise]);
+    const live = prices[coinId];
+    
+    if (live) {
+      const liveLatency = Date.now() - liveStart;
+      const provider = live.provider || live.source;
+      const change24hRaw = live.change24h ?? null;
+      const change24h = (change24hRaw == null || Number.isNaN(Number(change24hRaw))) ? null : Number(change24hRaw);
+      log.debug(`[AI] ai-get-canonical-price-end: source=${provider}-live, price=${live.price}, change24h=${change24h}, liveLatency=${liveLatency}ms, totalLatency=${Date.now() - startTime}ms`);
+      
+      // Cache it (non-blocking - don't await if slow)
+      env.RATE_LIMIT_KV.put(kvKey, JSON.stringify({
+        data: live,
+        timestamp: Date.now(),
+        source: provider
+      })).catch(err => log.warn(`[AI] Failed to cache price (non-blocking):`, err.message));
+      
+      return {
+        price: Number(live.price),
+        timestamp: new Date().toISOString(),
+        source: `${provider}-live`,
+        priceSource: `${provider}-live`,
+        provider,
+        change24h: change24h // Include change24h from provider if available
+      };
+    }
+  } catch (e) {
+    log.warn(`[AI] ai-get-canonical-price: live fetch failed/timeout for ${coinId}: ${e.code || e.message}, falling back to history`);
+    // Continue to history fallback
+  }
+  
+  // 3. Fallback to last history point (fast path - use cached history if available)
+  try {
+    const historyStart = Date.now();
+    log.debug(`[AI] ai-get-canonical-price: falling back to history`);
+    
+    // Try to get cached history first (fast)
+    const historyKey = `history_${coinId}_7`;
+    try {
+      const historyRaw = await env.RATE_LIMIT_KV.get(historyKey);
+      if (historyRaw) {
+        const historyParsed = JSON.parse(historyRaw);
+        if (historyParsed?.data?.prices && historyParsed.data.prices.length > 0) {
+          const last = historyParsed.data.prices[historyParsed.data.prices.length - 1];
+          const historyLatency = Date.now() - historyStart;
+          log.debug(`[AI] ai-get-canonical-price-end: source=history-cached, price=${last.price}, historyLatency=${historyLatency}ms, totalLatency=${Date.now() - startTime}ms`);
+          return {
+            price: Number(last.price),
+            timestamp: last.timestamp,
+            source: 'history-fallback',
+            priceSource: 'history_last',
+            provider: historyParsed.data.provider || historyParsed.data.source || 'unknown'
+          };
+        }
+      }
+    } catch (historyCacheErr) {
+      // Cache read failed, try live fetch
+    }
+    
+    // Fallback to live history fetch (with timeout)
+    const history = await Promise.race([
+      fetchAssetHistory(coinId, 7, env),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(Object.assign(new Error('history-fetch-timeout'), { code: 'history-fetch-timeout' })), AI_PRICE_FETCH_TIMEOUT_MS)
+      )
+    ]);
+    
+    if (history && history.prices && history.prices.length > 0) {
+      const last = history.prices[history.prices.length - 1];
+      const historyLatency = Date.now() - historyStart;
+      log.debug(`[AI] ai-get-canonical-price-end: source=history-live, price=${last.price}, historyLatency=${historyLatency}ms, totalLatency=${Date.now() - startTime}ms`);
+      return {
+        price: Number(last.price),
+        timestamp: last.timestamp,
+        source: 'history-fallback',
+        priceSource: 'history_last',
+        provider: history.provider
+      };
+    }
+  } catch (e) {
+    log.warn(`[AI] ai-get-canonical-price: History fetch failed for ${coinId}:`, e.code || e.message);
+  }
+  
+  // 4. If all fail, throw
+  log.error(`[AI] ai-get-canonical-price-end: FAILED for ${coinId}, totalLatency=${Date.now() - startTime}ms`);
+  throw new Error(`Unable to fetch canonical price for ${coinId}`);
+}
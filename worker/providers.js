@@ -0,0 +1,467 @@
+// =============================================================================
+// MARKET DATA PROVIDERS (pluggable, with failover)
+// =============================================================================
+//
+// A provider adapts one upstream to the worker's normalized shapes. Coin ids are
+// always ours (coin universe ids, see resolveCoin); intervals use CoinCap's vocabulary
+// (m5, m15, h1, h6, d1, ...) and each adapter translates them.
+//
+//   name                                         provider id used in config and responses
+//   supports(coinId)                             whether the upstream lists this coin
+//   fetchPrices(coinIds, env)                    -> { [coinId]: normalized price object }
+//   fetchTicks(coinId, interval, start, end, env) -> [{ time, price }] sorted by time
+//   fetchCandles(coinId, interval, start, end, env) (optional) -> native OHLCV candles
+//   fetchAssetList(limit, env) (optional)        -> top assets by market cap, see fetchAssetList
+
+import { log } from './log.js';
+import { rateLimitedFetch } from './upstream.js';
+import { getCoinInfo } from './coins.js';
+import { roundPrice } from './ohlc.js';
+
+// CoinCap API configuration (API v3); env.COINCAP_API_BASE overrides it (local upstream simulator)
+const COINCAP_API_BASE = 'https://rest.coincap.io/v3';
+
+export function coinCapBase(env) {
+  return (env && env.COINCAP_API_BASE) || COINCAP_API_BASE;
+}
+
+// Helper to attach CoinCap API key for authenticated requests
+// Free tier: 200 req/min without key, 500 req/min with key
+export function coinCapAuthHeaders(env) {
+  const headers = { 
+    'Accept': 'application/json',
+    'User-Agent': 'Crypto-Mood-Dashboard/1.0 (Cloudflare Worker)'
+  };
+  if (env && env.COINCAP_API_KEY) {
+    headers['Authorization'] = `Bearer ${env.COINCAP_API_KEY}`;
+    log.debug('[coinCapAuthHeaders] Using authenticated request with API key');
+  } else {
+    log.warn('[coinCapAuthHeaders] COINCAP_API_KEY not set, using unauthenticated requests (200 req/min limit)');
+  }
+  return headers;
+}
+
+// Fetch asset data from CoinCap (batched API call for one or more coins)
+async function fetchAssetsBatch(idsCsv, env) {
+  const url = `${coinCapBase(env)}/assets?ids=${encodeURIComponent(idsCsv)}`;
+  const headers = coinCapAuthHeaders(env);
+  // Remove cacheEverything to ensure fresh requests reach CoinCap API
+  const fetchOpts = {
+    method: 'GET',
+    headers: headers
+    // Removed cf cache options to ensure requests actually reach CoinCap
+  };
+  
+  log.debug(`[fetchAssetsBatch] Calling CoinCap API: ${url}`, { authenticated: Boolean(headers['Authorization']) });
+  
+  try {
+    const raw = await rateLimitedFetch(url, fetchOpts, env, idsCsv.split(',')[0]); // use first coin for backoff tracking
+    
+    if (!raw || !raw.ok) {
+      const body = raw?.text || JSON.stringify(raw?.json || {});
+      log.error(`[fetchAssetsBatch] CoinCap API error ${raw?.status}`);
+      log.error(`[fetchAssetsBatch] Error body (first 500 chars):`, body.substring(0, 500));
+      log.error(`[fetchAssetsBatch] Full error response:`, JSON.stringify({
+        status: raw?.status,
+        ok: raw?.ok,
+        text: raw?.text?.substring(0, 200),
+        json: raw?.json
+      }, null, 2));
+      throw new Error(`CoinCap API error: ${raw?.status || 'no-response'} - ${body.substring(0, 200)}`);
+    }
+    
+    const data = raw.json || (raw.text ? JSON.parse(raw.text) : null);
+    const items = (data && data.data) || [];
+    
+    if (items.length === 0) {
+      log.error(`[fetchAssetsBatch] No data returned from CoinCap API`);
+      log.error(`[fetchAssetsBatch] Response structure:`, JSON.stringify({
+        hasData: !!data,
+        hasDataArray: !!(data && data.data),
+        dataKeys: data ? Object.keys(data) : [],
+        fullResponse: JSON.stringify(data).substring(0, 500)
+      }, null, 2));
+      throw new Error(`CoinCap API returned empty data array for: ${idsCsv}`);
+    }
+    
+    // Build normalized map
+    const resultMap = {};
+    for (const it of items) {
+      const price = Number(it.priceUsd || 0);
+      const change24h = Number(it.changePercent24Hr || 0);
+      const market_cap = Number(it.marketCapUsd || 0);
+      const volume_24h = Number(it.volumeUsd24Hr || 0);
+      
+      resultMap[it.id.toLowerCase()] = {
+        coin: it.id.toLowerCase(),
+        price: roundPrice(price),
+        change24h: Math.round(change24h * 100) / 100,
+        market_cap,
+        volume_24h,
+        symbol: it.symbol || it.id.toUpperCase(),
+        timestamp: new Date().toISOString(),
+        source: 'coincap'
+      };
+    }
+    
+    log.debug(`[fetchAssetsBatch] Successfully got ${Object.keys(resultMap).length} assets from CoinCap`);
+    log.debug(`[fetchAssetsBatch] Sample asset data:`, JSON.stringify(Object.values(resultMap)[0], null, 2));
+    return resultMap;
+  } catch (err) {
+    log.error(`[fetchAssetsBatch] Failed:`, err.message);
+    throw err;
+  }
+}
+
+// Fetch raw price ticks from CoinCap /assets/{id}/history for an explicit interval and range
+// Returns unrounded [{ time, price }] sorted by time (empty points are dropped)
+async function fetchAssetTicks(coinId, interval, start, end, env) {
+  const url = `${coinCapBase(env)}/assets/${encodeURIComponent(coinId)}/history?interval=${encodeURIComponent(interval)}&start=${start}&end=${end}`;
+  
+  const fetchOpts = {
+    method: 'GET',
+    headers: coinCapAuthHeaders(env)
+    // Removed cf cache options to ensure requests actually reach CoinCap
+  };
+  
+  log.debug(`[fetchAssetTicks] URL: ${url}`);
+  const raw = await rateLimitedFetch(url, fetchOpts, env, coinId);
+  
+  if (!raw || !raw.ok) {
+    const body = raw?.text || JSON.stringify(raw?.json || {});
+    log.error(`[fetchAssetTicks] CoinCap history API error ${raw?.status}:`, body);
+    throw new Error(`CoinCap history API error: ${raw?.status || 'no-response'} - ${body}`);
+  }
+  
+  const data = raw.json || (raw.text ? JSON.parse(raw.text) : null);
+  const ticks = ((data && data.data) || [])
+    .map(p => ({ time: Number(p.time), price: Number(p.priceUsd) }))
+    .filter(t => Number.isFinite(t.time) && Number.isFinite(t.price) && t.price > 0)
+    .sort((a, b) => a.time - b.time);
+  
+  return ticks;
+}
+
+// Fetch the top `limit` assets by market cap from CoinCap /assets (used for the coin universe)
+// Returns [{ coincap_id, name, symbol, rank, market_cap }] in rank order
+async function fetchAssetList(limit, env) {
+  const url = `${coinCapBase(env)}/assets?limit=${limit}`;
+  log.debug(`[fetchAssetList] URL: ${url}`);
+  const raw = await rateLimitedFetch(url, { method: 'GET', headers: coinCapAuthHeaders(env) }, env, 'asset_list');
+  
+  if (!raw || !raw.ok) {
+    const body = raw?.text || JSON.stringify(raw?.json || {});
+    throw new Error(`CoinCap assets API error: ${raw?.status || 'no-response'} - ${body.substring(0, 200)}`);
+  }
+  
+  const data = raw.json || (raw.text ? JSON.parse(raw.text) : null);
+  return ((data && data.data) || [])
+    .filter(it => it && it.id && it.symbol && it.name)
+    .map(it => ({
+      coincap_id: String(it.id).toLowerCase(),
+      name: it.name,
+      symbol: String(it.symbol).toUpperCase(),
+      rank: Number(it.rank) || null,
+      market_cap: Number(it.marketCapUsd) || null
+    }));
+}
+
+const DEFAULT_MARKET_PROVIDERS = 'coincap,binance';
+const PROVIDER_FAILURE_THRESHOLD = 3; // consecutive failures before a provider is benched
+const PROVIDER_COOLDOWN_MS = 2 * 60 * 1000; // benched providers are tried last for 2 minutes
+
+function coinCapIdFor(coinId) {
+  return getCoinInfo(coinId)?.coincap_id || coinId;
+}
+
+const coinCapProvider = {
+  name: 'coincap',
+  supports: () => true,
+  async fetchPrices(coinIds, env) {
+    const resultMap = await fetchAssetsBatch(coinIds.map(coinCapIdFor).join(','), env);
+    const prices = {};
+    for (const coinId of coinIds) {
+      const data = resultMap[coinCapIdFor(coinId)];
+      if (data) {
+        prices[coinId] = { ...data, coin: coinId, provider: 'coincap' };
+      }
+    }
+    return prices;
+  },
+  fetchTicks(coinId, interval, start, end, env) {
+    return fetchAssetTicks(coinCapIdFor(coinId), interval, start, end, env);
+  },
+  fetchAssetList(limit, env) {
+    return fetchAssetList(limit, env);
+  }
+};
+
+// Binance spot REST (USDT-quoted pairs, reported as USD: USDT tracks the dollar closely enough
+// for a failover). Coins not listed on Binance are simply unsupported.
+const BINANCE_API_BASE = 'https://api.binance.com';
+const BINANCE_SYMBOLS = {
+  'bitcoin': 'BTCUSDT',
+  'ethereum': 'ETHUSDT',
+  'litecoin': 'LTCUSDT',
+  'bitcoin-cash': 'BCHUSDT',
+  'cardano': 'ADAUSDT',
+  'ripple': 'XRPUSDT',
+  'dogecoin': 'DOGEUSDT',
+  'polkadot': 'DOTUSDT',
+  'chainlink': 'LINKUSDT',
+  'stellar': 'XLMUSDT',
+  'tezos': 'XTZUSDT',
+  'zcash': 'ZECUSDT',
+  'solana': 'SOLUSDT'
+  // monero, eos and dash are not listed against USDT on Binance spot
+};
+const BINANCE_INTERVALS = {
+  m1: '1m', m5: '5m', m15: '15m', m30: '30m',
+  h1: '1h', h2: '2h', h4: '4h', h6: '6h', h12: '12h',
+  d1: '1d'
+};
+const BINANCE_KLINES_LIMIT = 1000; // max rows per klines request
+const BINANCE_KLINES_MAX_PAGES = 4; // enough for the longest daily history window
+
+async function binanceGet(path, env, backoffKey) {
+  const base = env.BINANCE_API_BASE || BINANCE_API_BASE;
+  const raw = await rateLimitedFetch(`${base}${path}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': 'Crypto-Mood-Dashboard/1.0 (Cloudflare Worker)'
+    }
+  }, env, backoffKey);
+  
+  if (!raw || !raw.ok) {
+    const body = raw?.text || JSON.stringify(raw?.json || {});
+    throw new Error(`Binance API error: ${raw?.status || 'no-response'} - ${body.substring(0, 200)}`);
+  }
+  return raw.json || (raw.text ? JSON.parse(raw.text) : null);
+}
+
+// Page through /api/v3/klines (1000 rows per call) for the requested window
+async function fetchBinanceKlines(coinId, interval, start, end, env) {
+  const symbol = BINANCE_SYMBOLS[coinId];
+  const binanceInterval = BINANCE_INTERVALS[interval];
+  if (!symbol || !binanceInterval) {
+    throw new Error(`Binance does not support ${coinId} at interval ${interval}`);
+  }
+  
+  const rows = [];
+  let cursor = start;
+  for (let page = 0; page < BINANCE_KLINES_MAX_PAGES && cursor < end; page++) {
+    const path = `/api/v3/klines?symbol=${symbol}&interval=${binanceInterval}&startTime=${cursor}&endTime=${end}&limit=${BINANCE_KLINES_LIMIT}`;
+    const batch = await binanceGet(path, env, `binance_${symbol}`);
+    if (!Array.isArray(batch) || batch.length === 0) break;
+    rows.push(...batch);
+    if (batch.length < BINANCE_KLINES_LIMIT) break;
+    cursor = Number(batch[batch.length - 1][0]) + 1;
+  }
+  return rows;
+}
+
+const binanceProvider = {
+  name: 'binance',
+  supports: coinId => Boolean(BINANCE_SYMBOLS[coinId]),
+  async fetchPrices(coinIds, env) {
+    const supported = coinIds.filter(id => BINANCE_SYMBOLS[id]);
+    if (supported.length === 0) return {};
+    
+    const symbols = JSON.stringify(supported.map(id => BINANCE_SYMBOLS[id]));
+    const tickers = await binanceGet(`/api/v3/ticker/24hr?symbols=${encodeURIComponent(symbols)}`, env, `binance_${supported[0]}`);
+    const bySymbol = new Map((Array.isArray(tickers) ? tickers : []).map(t => [t.symbol, t]));
+    
+    const prices = {};
+    for (const coinId of supported) {
+      const t = bySymbol.get(BINANCE_SYMBOLS[coinId]);
+      const price = Number(t?.lastPrice);
+      if (!t || !Number.isFinite(price) || price <= 0) continue;
+      prices[coinId] = {
+        coin: coinId,
+        price: roundPrice(price),
+        change24h: Math.round(Number(t.priceChangePercent || 0) * 100) / 100,
+        market_cap: null, // exchanges do not report circulating supply
+        volume_24h: Number(t.quoteVolume || 0),
+        symbol: getCoinInfo(coinId)?.symbol || coinId.toUpperCase(),
+        timestamp: new Date().toISOString(),
+        source: 'binance',
+        provider: 'binance'
+      };
+    }
+    return prices;
+  },
+  async fetchTicks(coinId, interval, start, end, env) {
+    const rows = await fetchBinanceKlines(coinId, interval, start, end, env);
+    return rows
+      .map(r => ({ time: Number(r[0]), price: Number(r[4]) }))
+      .filter(t => Number.isFinite(t.time) && Number.isFinite(t.price) && t.price > 0);
+  },
+  async fetchCandles(coinId, interval, start, end, env) {
+    const rows = await fetchBinanceKlines(coinId, interval, start, end, env);
+    return rows.map(r => ({
+      time: Number(r[0]),
+      open: Number(r[1]),
+      high: Number(r[2]),
+      low: Number(r[3]),
+      close: Number(r[4]),
+      volume: Number(r[5])
+    }));
+  }
+};
+
+const MARKET_PROVIDERS = {
+  coincap: coinCapProvider,
+  binance: binanceProvider
+};
+
+// Configured priority order (env.MARKET_PROVIDERS, comma-separated); unknown names are ignored
+export function getProviderOrder(env) {
+  const names = String(env.MARKET_PROVIDERS || DEFAULT_MARKET_PROVIDERS)
+    .split(',')
+    .map(n => n.trim().toLowerCase())
+    .filter(n => MARKET_PROVIDERS[n]);
+  const unique = [...new Set(names)];
+  return unique.length > 0 ? unique : DEFAULT_MARKET_PROVIDERS.split(',');
+}
+
+// Per-provider health, kept per isolate and mirrored to KV so other isolates see benched providers
+const PROVIDER_HEALTH = {}; // name -> { failures, cooldownUntil, lastError, lastFailureAt, lastSuccessAt }
+
+async function getProviderHealth(env, name) {
+  if (!PROVIDER_HEALTH[name]) {
+    let stored = null;
+    try {
+      const raw = await env.RATE_LIMIT_KV.get(`provider_health_${name}`);
+      stored = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      log.warn(`[Providers] Failed to read health for ${name}:`, e.message);
+    }
+    PROVIDER_HEALTH[name] = stored || { failures: 0, cooldownUntil: 0, lastError: null, lastFailureAt: 0, lastSuccessAt: 0 };
+  }
+  return PROVIDER_HEALTH[name];
+}
+
+function persistProviderHealth(env, name) {
+  env.RATE_LIMIT_KV.put(`provider_health_${name}`, JSON.stringify(PROVIDER_HEALTH[name]))
+    .catch(e => log.warn(`[Providers] Failed to persist health for ${name}:`, e.message));
+}
+
+async function recordProviderSuccess(env, name) {
+  const health = await getProviderHealth(env, name);
+  const wasDegraded = health.failures > 0 || health.cooldownUntil > 0;
+  health.failures = 0;
+  health.cooldownUntil = 0;
+  health.lastSuccessAt = Date.now();
+  if (wasDegraded) {
+    log.debug(`[Providers] ${name} recovered`);
+    persistProviderHealth(env, name);
+  }
+}
+
+async function recordProviderFailure(env, name, err) {
+  const health = await getProviderHealth(env, name);
+  health.failures += 1;
+  health.lastError = String(err.code || err.message).substring(0, 200);
+  health.lastFailureAt = Date.now();
+  if (health.failures >= PROVIDER_FAILURE_THRESHOLD) {
+    health.cooldownUntil = Date.now() + PROVIDER_COOLDOWN_MS;
+    log.warn(`[Providers] ${name} benched for ${PROVIDER_COOLDOWN_MS / 1000}s after ${health.failures} consecutive failures`);
+  }
+  persistProviderHealth(env, name);
+}
+
+// Providers in configured order, with benched (cooling-down) providers moved to the end
+async function getRankedProviders(env) {
+  const order = getProviderOrder(env);
+  const healths = await Promise.all(order.map(name => getProviderHealth(env, name)));
+  const now = Date.now();
+  const healthy = [];
+  const benched = [];
+  order.forEach((name, i) => {
+    (healths[i].cooldownUntil > now ? benched : healthy).push(MARKET_PROVIDERS[name]);
+  });
+  return [...healthy, ...benched];
+}
+
+export function providersExhaustedError(label, attempts) {
+  const details = attempts.length > 0
+    ? attempts.map(a => `${a.provider}: ${a.error}`).join('; ')
+    : 'no provider supports this request';
+  const err = new Error(`All market data providers failed for ${label}: ${details}`);
+  err.code = 'providers_exhausted';
+  err.details = details;
+  err.attempts = attempts;
+  return err;
+}
+
+// Run `call(provider)` against providers in priority order until one succeeds.
+// Providers rejected by `canServe(provider)` are skipped; backoff errors skip a
+// provider without counting against its health.
+export async function withProviderFailover(env, label, canServe, call) {
+  const attempts = [];
+  for (const provider of await getRankedProviders(env)) {
+    if (canServe && !canServe(provider)) continue;
+    try {
+      const value = await call(provider);
+      await recordProviderSuccess(env, provider.name);
+      return { value, provider: provider.name, attempts };
+    } catch (err) {
+      attempts.push({ provider: provider.name, error: String(err.code || err.message).substring(0, 200) });
+      if (err.code !== 'backoff') {
+        await recordProviderFailure(env, provider.name, err);
+      }
+      log.warn(`[Providers] ${provider.name} failed for ${label}: ${err.code || err.message}`);
+    }
+  }
+  throw providersExhaustedError(label, attempts);
+}
+
+// Fetch normalized prices for one or more coins, filling coins a provider lacks from the next one
+// Returns { prices: { coinId: data }, providers: { coinId: providerName }, attempts }
+export async function fetchPricesWithFailover(coinIds, env) {
+  const prices = {};
+  const providers = {};
+  const attempts = [];
+  
+  for (const provider of await getRankedProviders(env)) {
+    const remaining = coinIds.filter(id => !prices[id] && provider.supports(id));
+    if (remaining.length === 0) continue;
+    try {
+      const result = await provider.fetchPrices(remaining, env);
+      for (const [coinId, data] of Object.entries(result)) {
+        prices[coinId] = data;
+        providers[coinId] = provider.name;
+      }
+      await recordProviderSuccess(env, provider.name);
+      const missing = remaining.filter(id => !result[id]);
+      if (missing.length > 0) {
+        attempts.push({ provider: provider.name, error: `missing ${missing.join(',')}` });
+      }
+    } catch (err) {
+      attempts.push({ provider: provider.name, error: String(err.code || err.message).substring(0, 200) });
+      if (err.code !== 'backoff') {
+        await recordProviderFailure(env, provider.name, err);
+      }
+      log.warn(`[Providers] ${provider.name} price fetch failed for ${remaining.join(',')}: ${err.code || err.message}`);
+    }
+    if (coinIds.every(id => prices[id])) break;
+  }
+  
+  if (Object.keys(prices).length === 0) {
+    throw providersExhaustedError(`prices ${coinIds.join(',')}`, attempts);
+  }
+  return { prices, providers, attempts };
+}
+
+// Fetch raw ticks for a coin from the first provider that can serve them
+export async function fetchTicksWithFailover(coinId, interval, start, end, env) {
+  const { value, provider } = await withProviderFailover(env, `ticks ${coinId} ${interval}`, p => p.supports(coinId), async (p) => {
+    const ticks = await p.fetchTicks(coinId, interval, start, end, env);
+    if (!ticks || ticks.length === 0) {
+      throw new Error(`No history ticks returned for ${coinId}`);
+    }
+    return ticks;
+  });
+  return { ticks: value, provider };
+}
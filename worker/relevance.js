@@ -0,0 +1,172 @@
+// =============================================================================
+// COIN RELEVANCE (how much a headline is about one coin)
+// =============================================================================
+//
+// News queries ask for "<Name> OR <SYMBOL> OR cryptocurrency OR crypto", so a
+// provider's answer mixes stories about the coin with generic market news. Every
+// headline gets a 0..1 relevance to the requested coin from the mentions of its
+// name, aliases and ticker: a mention in the title counts most, one only in the
+// description less, and a title that is about other coins as well pulls it down.
+// Tickers and names that are also ordinary words ("DOT", "LINK", "EOS", "Stellar")
+// only count as a cashtag, in parentheses or next to a crypto word. The sentiment
+// summary drops headlines under RELEVANCE_MIN and weights the rest by relevance.
+
+import { SUPPORTED_COINS } from './coins.js';
+
+export const RELEVANCE_MIN = 0.25; // a single mention in the description just makes it
+
+// Other names the press uses, lowercase; matched like the coin's own name
+const COIN_ALIASES = {
+  bitcoin: ['xbt'],
+  ethereum: ['ether'],
+  ripple: ['xrp ledger'],
+  dogecoin: ['doge'],
+  'bitcoin-cash': ['bcash'],
+  stellar: ['stellar lumens', 'lumens']
+};
+
+// Names and tickers (lowercase) that are also ordinary words
+const AMBIGUOUS_TERMS = new Set([
+  'dot', 'link', 'eos', 'dash', 'stellar', 'ripple', 'sol', 'one', 'gas', 'near',
+  'atom', 'ton', 'uni', 'sand', 'mana', 'flow', 'ether', 'lumens', 'doge', 'ada'
+]);
+
+// Words that mark a nearby ambiguous term as the coin
+const CRYPTO_CONTEXT_WORDS = new Set([
+  'crypto', 'cryptocurrency', 'token', 'tokens', 'coin', 'coins', 'altcoin', 'altcoins',
+  'blockchain', 'network', 'mainnet', 'chain', 'staking', 'stake', 'defi', 'etf', 'etfs',
+  'price', 'holders', 'whales', 'traders', 'futures', 'airdrop', 'listing', 'wallet', 'parachain'
+]);
+const CONTEXT_WINDOW = 3; // words either side of an ambiguous mention
+
+const TITLE_WEIGHT = 0.6;
+const DESCRIPTION_WEIGHT = 0.25;
+const REPEAT_BONUS = 0.05; // per extra mention, up to MAX_REPEAT_BONUS
+const MAX_REPEAT_BONUS = 0.15;
+const SHARED_TITLE_PENALTY = 0.1; // per other coin in the title, up to MAX_SHARED_TITLE_PENALTY
+const MAX_SHARED_TITLE_PENALTY = 0.2;
+const PASSING_MENTION_FACTOR = 0.5; // mentioned only in the description of a story about other coins
+
+function tokenize(text) {
+  return [...String(text || '').matchAll(/(\$|\()?([A-Za-z0-9]+(?:[.'-][A-Za-z0-9]+)*)(\))?/g)].map(m => ({
+    raw: m[2],
+    lower: m[2].toLowerCase(),
+    marked: m[1] === '$' || (m[1] === '(' && m[3] === ')') // "$DOT", "(DOT)"
+  }));
+}
+
+// Mostly capitals ("BREAKING: LINK HOLDERS ...") says nothing about which words are tickers
+function isShouting(tokens) {
+  const words = tokens.filter(t => /[a-z]/i.test(t.raw) && t.raw.length > 1);
+  return words.length >= 3 && words.filter(t => t.raw === t.raw.toUpperCase()).length / words.length > 0.6;
+}
+
+// Name/alias phrases (lowercase word arrays) and ticker for a { id, name, symbol }
+function coinTerms(coin) {
+  const names = [coin.name, ...(COIN_ALIASES[coin.id] || [])]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase().split(/\s+/));
+  return { names, symbol: String(coin.symbol || '').toUpperCase() };
+}
+
+// Whether word array `words` is longer than `prefix` and begins with it
+function startsWith(words, prefix) {
+  return words.length > prefix.length && prefix.every((w, k) => words[k] === w);
+}
+
+function phraseAt(tokens, i, words) {
+  return words.every((w, k) => tokens[i + k]?.lower === w);
+}
+
+function hasCryptoContext(tokens, start, end, otherSymbols) {
+  for (let i = Math.max(0, start - CONTEXT_WINDOW); i < Math.min(tokens.length, end + CONTEXT_WINDOW); i++) {
+    if (i >= start && i < end) continue;
+    if (CRYPTO_CONTEXT_WORDS.has(tokens[i].lower) || otherSymbols.has(tokens[i].raw)) return true;
+  }
+  return false;
+}
+
+// Mentions of a coin in tokenized text; ambiguous ones count only where the context says "coin".
+// `longerNames` are other coins' names that start with one of ours ("Bitcoin Cash" for Bitcoin).
+function countMentions(tokens, terms, context) {
+  const shouting = isShouting(tokens);
+  const candidates = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const name = terms.names.find(words => phraseAt(tokens, i, words));
+    if (name) {
+      const longer = context.longerNames.find(words => startsWith(words, name) && phraseAt(tokens, i, words));
+      if (longer) {
+        i += longer.length - 1;
+        continue;
+      }
+      const phrase = name.join(' ');
+      // an ambiguous name is only the coin when capitalised ("Stellar", not "stellar results")
+      if (!AMBIGUOUS_TERMS.has(phrase) || /^[A-Z]/.test(tokens[i].raw)) {
+        candidates.push({ start: i, end: i + name.length, ambiguous: AMBIGUOUS_TERMS.has(phrase), marked: false });
+      }
+      i += name.length - 1;
+      continue;
+    }
+    const token = tokens[i];
+    const isTicker = token.marked
+      ? token.raw.toUpperCase() === terms.symbol
+      : token.raw === terms.symbol && terms.symbol.length >= 3;
+    if (isTicker) {
+      candidates.push({ start: i, end: i + 1, ambiguous: AMBIGUOUS_TERMS.has(token.lower) || shouting, marked: token.marked });
+    }
+  }
+  // An unambiguous mention ("Polkadot") vouches for the ambiguous ones ("DOT") in the same text
+  const anchored = candidates.some(c => !c.ambiguous);
+  return candidates
+    .filter(c => !c.ambiguous || c.marked || anchored || hasCryptoContext(tokens, c.start, c.end, context.otherSymbols))
+    .length;
+}
+
+// Featured coins other than the target with an unambiguous mention in the text; `shadowed`
+// names are the start of the target's own ("Bitcoin" inside "Bitcoin Cash")
+function otherCoinsMentioned(tokens, context) {
+  return context.others.filter(coin => {
+    const byName = !AMBIGUOUS_TERMS.has(coin.name.toLowerCase()) && !context.shadowed.has(coin.id)
+      && tokens.some((_, i) => phraseAt(tokens, i, coin.name.toLowerCase().split(/\s+/)));
+    const byTicker = context.otherSymbols.has(coin.symbol) && tokens.some(t => t.raw === coin.symbol);
+    return byName || byTicker;
+  }).length;
+}
+
+/**
+ * Relevance of a headline to a coin, 0 (not about it) to 1 (clearly about it).
+ * @param {{ title: string, description?: string }} headline
+ * @param {{ id: string, name: string, symbol: string }} coin
+ * @returns {number} rounded to two decimals
+ */
+export function scoreHeadlineRelevance(headline, coin) {
+  if (!headline || !coin) return 0;
+  const terms = coinTerms(coin);
+  const others = Object.values(SUPPORTED_COINS).filter(c => c.id !== coin.id);
+  const context = {
+    others,
+    otherSymbols: new Set(others.map(c => c.symbol).filter(symbol => !AMBIGUOUS_TERMS.has(symbol.toLowerCase()))),
+    longerNames: others
+      .map(c => c.name.toLowerCase().split(/\s+/))
+      .filter(words => terms.names.some(name => startsWith(words, name))),
+    shadowed: new Set(others
+      .filter(c => terms.names.some(name => startsWith(name, c.name.toLowerCase().split(/\s+/))))
+      .map(c => c.id))
+  };
+  const titleTokens = tokenize(headline.title);
+  const descriptionTokens = tokenize(headline.description);
+  const inTitle = countMentions(titleTokens, terms, context);
+  const inDescription = countMentions(descriptionTokens, terms, context);
+  if (inTitle + inDescription === 0) return 0;
+
+  let score = (inTitle > 0 ? TITLE_WEIGHT : 0)
+    + (inDescription > 0 ? DESCRIPTION_WEIGHT : 0)
+    + Math.min(MAX_REPEAT_BONUS, REPEAT_BONUS * (inTitle + inDescription - 1));
+  const othersInTitle = otherCoinsMentioned(titleTokens, context);
+  if (othersInTitle > 0) {
+    score = inTitle > 0
+      ? score - Math.min(MAX_SHARED_TITLE_PENALTY, SHARED_TITLE_PENALTY * othersInTitle)
+      : score * PASSING_MENTION_FACTOR;
+  }
+  return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
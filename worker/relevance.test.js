@@ -0,0 +1,56 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { SUPPORTED_COINS } from './coins.js';
+import { scoreHeadlineRelevance } from './relevance.js';
+
+const score = (coinId, title, description = '') => scoreHeadlineRelevance({ title, description }, SUPPORTED_COINS[coinId]);
+
+describe('scoreHeadlineRelevance', () => {
+  it('should score title mentions above description-only mentions', () => {
+    expect(score('bitcoin', 'Bitcoin miners expand capacity')).toBe(0.6);
+    expect(score('bitcoin', 'Miners expand capacity', 'Bitcoin hashrate hit a record.')).toBe(0.25);
+    // title, description and a repeat
+    expect(score('ethereum', 'Ether staking queue shrinks', 'New ETH validators wait less than a day.')).toBe(0.9);
+  });
+
+  it('should give generic crypto news no relevance', () => {
+    expect(score('solana', 'Regulators warn of risk in leveraged crypto products', 'Volatility concerns for retail investors.')).toBe(0);
+  });
+
+  it('should pull down headlines shared with other coins', () => {
+    expect(score('solana', 'Solana DeFi volumes hit monthly high; BTC dominance eases')).toBe(0.5);
+    // a passing mention in a Bitcoin story
+    expect(score('solana', 'Bitcoin tops $70K', 'Gains spread to SOL and ETH.')).toBe(0.13);
+  });
+
+  it('should not read a longer coin name as the shorter one', () => {
+    expect(score('bitcoin', 'Bitcoin Cash hard fork anniversary')).toBe(0);
+    expect(score('bitcoin-cash', 'Bitcoin Cash hard fork anniversary')).toBe(0.6);
+  });
+
+  it('should only count ambiguous tickers in a crypto context', () => {
+    expect(score('polkadot', 'U.S. DOT fines airline over delays')).toBe(0);
+    expect(score('polkadot', 'DOT price jumps as parachain auctions resume')).toBe(0.6);
+    expect(score('polkadot', 'Polkadot (DOT) governance vote passes')).toBe(0.65);
+    expect(score('chainlink', 'Click the LINK below to register')).toBe(0);
+    expect(score('chainlink', 'Whales accumulate $LINK')).toBe(0.6);
+    expect(score('eos', 'Canon EOS R5 review')).toBe(0);
+    expect(score('eos', 'EOS network rebrands to Vaulta')).toBe(0.6);
+  });
+
+  it('should ignore lowercase tickers and uncapitalised ambiguous names', () => {
+    expect(score('chainlink', 'Share the link with your team')).toBe(0);
+    expect(score('stellar', 'Retailer posts stellar results')).toBe(0);
+    expect(score('ripple', 'The ripple effect of rate cuts on crypto')).toBe(0);
+  });
+
+  it('should not trust capitals in an all-caps headline', () => {
+    expect(score('chainlink', 'BREAKING: CLICK THIS LINK NOW')).toBe(0);
+    expect(score('bitcoin', 'BREAKING: BITCOIN HITS NEW HIGH')).toBe(0.6);
+  });
+
+  it('should score free-text topics by their name and ticker', () => {
+    expect(scoreHeadlineRelevance({ title: 'Sui network halts for two hours' }, { id: 'sui', name: 'Sui', symbol: 'SUI' })).toBe(0.6);
+    expect(scoreHeadlineRelevance(null, SUPPORTED_COINS.bitcoin)).toBe(0);
+  });
+});
@@ -0,0 +1,542 @@
+// =============================================================================
+// API ROUTES (/v1 namespace, request validation and the OpenAPI document)
+// =============================================================================
+//
+// Every public route is declared once below with its methods, query parameters and
+// JSON body (OpenAPI parameter / JSON Schema objects). /v1 requests are validated
+// against the declaration before the handler runs: bad input gets a structured 400,
+// a wrong method gets 405 with an Allow header, and HEAD is answered for GET routes.
+// /v1/openapi.json is generated from the same table. The unversioned paths remain
+// as aliases that reach the same handlers without the stricter /v1 checks.
+
+import { jsonResponse } from './http.js';
+import { recordRoute } from './log.js';
+import { handleUpstreams } from './upstream.js';
+import { COINS_DEFAULT_LIMIT, COIN_UNIVERSE_SIZE, handleCoins } from './coins.js';
+import { HISTORY_INTERVALS, HISTORY_MAX_DAYS, HISTORY_MAX_POINTS, handleHistory } from './history.js';
+import { OHLC_INTERVALS, OHLC_MAX_DAYS, handleOHLC } from './ohlc.js';
+import { QUOTE_CURRENCIES } from './currency.js';
+import { PRICES_MAX_COINS, handlePrice, handlePrices } from './prices.js';
+import { NEWS_DEFAULT_PAGE_SIZE, NEWS_MAX_PAGE_SIZE, handleNews } from './news.js';
+import { handleSentiment, handleSentimentSummary } from './sentiment.js';
+import { SENTIMENT_BUCKETS, handleSentimentHistory } from './sentiment-history.js';
+import { handleMoodIndex } from './mood.js';
+import { handleAIAnalysis, handleAIAnalysisEnhanced, handleAIExplain } from './ai.js';
+import { STREAM_MAX_COINS, handleStream } from './stream.js';
+import { handleLiveSocket } from './hub.js';
+import { authorizeClient, withClientHeaders } from './access.js';
+
+const API_VERSION = '1.0.0';
+const API_PREFIX = '/v1';
+
+const COIN_PARAM = {
+  name: 'coin',
+  required: true,
+  description: 'Coin id, symbol or name (see /v1/coins)',
+  schema: { type: 'string', minLength: 1, maxLength: 64 }
+};
+const COINS_PARAM = {
+  name: 'coins',
+  required: true,
+  description: 'Comma-separated coin ids, symbols or names',
+  schema: { type: 'string', pattern: '^[^,]+(,[^,]+)*$', maxLength: 1000 }
+};
+const VS_PARAM = {
+  name: 'vs',
+  description: 'Quote currency',
+  schema: { type: 'string', enum: Object.keys(QUOTE_CURRENCIES), default: 'usd' }
+};
+const FORCE_PARAM = {
+  name: 'force',
+  description: 'Bypass the cache and refresh from upstream',
+  schema: { type: 'boolean', default: false }
+};
+const TIME_PARAM_SCHEMA = { type: 'string', description: 'Epoch milliseconds, epoch seconds or an ISO date' };
+
+const TECHNICAL_SIGNALS_BODY = {
+  type: 'object',
+  required: ['rsi', 'smaSignal', 'bbSignal', 'priceData'],
+  properties: {
+    rsi: { type: 'number', minimum: 0, maximum: 100 },
+    smaSignal: { type: 'string', minLength: 1 },
+    bbSignal: { type: 'string', minLength: 1 },
+    priceData: { type: 'array', minItems: 1, maxItems: 1000 },
+    candlePatterns: { type: 'array', maxItems: 100 },
+    coin: { type: 'string', maxLength: 64 }
+  }
+};
+
+const API_ROUTES = [
+  {
+    path: '/coins',
+    methods: ['GET'],
+    operationId: 'listCoins',
+    summary: 'Supported coins ranked by market cap',
+    query: [
+      { name: 'limit', schema: { type: 'integer', minimum: 1, maximum: COIN_UNIVERSE_SIZE, default: COINS_DEFAULT_LIMIT } },
+      { name: 'search', description: 'Filter by id, symbol or name', schema: { type: 'string', maxLength: 64 } },
+      FORCE_PARAM
+    ],
+    handler: handleCoins
+  },
+  {
+    path: '/price',
+    methods: ['GET'],
+    operationId: 'getPrice',
+    summary: 'Canonical spot price for one coin',
+    query: [COIN_PARAM, VS_PARAM, FORCE_PARAM],
+    handler: handlePrice
+  },
+  {
+    path: '/prices',
+    methods: ['GET'],
+    operationId: 'getPrices',
+    summary: `Canonical spot prices for up to ${PRICES_MAX_COINS} coins in one call`,
+    query: [COINS_PARAM, VS_PARAM, FORCE_PARAM],
+    handler: handlePrices
+  },
+  {
+    path: '/history',
+    methods: ['GET'],
+    operationId: 'getHistory',
+    summary: 'Price history for a relative or absolute window',
+    query: [
+      COIN_PARAM,
+      VS_PARAM,
+      { name: 'days', schema: { type: 'integer', minimum: 1, maximum: HISTORY_MAX_DAYS, default: 7 } },
+      { name: 'interval', schema: { type: 'string', enum: Object.keys(HISTORY_INTERVALS) } },
+      { name: 'start', schema: TIME_PARAM_SCHEMA },
+      { name: 'end', schema: TIME_PARAM_SCHEMA },
+      { name: 'maxPoints', description: 'Downsample (LTTB) to at most this many points', schema: { type: 'integer', minimum: 3, maximum: HISTORY_MAX_POINTS } },
+      FORCE_PARAM
+    ],
+    handler: handleHistory
+  },
+  {
+    path: '/ohlc',
+    methods: ['GET'],
+    operationId: 'getOHLC',
+    summary: 'OHLC candles',
+    query: [
+      COIN_PARAM,
+      VS_PARAM,
+      { name: 'days', schema: { type: 'integer', minimum: 1, maximum: OHLC_MAX_DAYS, default: 7 } },
+      { name: 'interval', schema: { type: 'string', enum: Object.keys(OHLC_INTERVALS) } },
+      FORCE_PARAM
+    ],
+    handler: handleOHLC
+  },
+  {
+    path: '/stream',
+    methods: ['GET'],
+    head: false,
+    operationId: 'streamPrices',
+    summary: 'Server-Sent Events feed of price ticks and sentiment updates',
+    query: [
+      { ...COINS_PARAM, description: `Comma-separated coins (max ${STREAM_MAX_COINS})` },
+      VS_PARAM,
+      { name: 'sentiment', description: 'Include sentiment events', schema: { type: 'boolean', default: true } },
+      { name: 'lastEventId', description: 'Replay ticks after this event id (or send Last-Event-ID)', schema: { type: 'integer', minimum: 0 } }
+    ],
+    response: { description: 'Event stream', contentType: 'text/event-stream' },
+    handler: handleStream
+  },
+  {
+    path: '/ws',
+    methods: ['GET'],
+    head: false,
+    operationId: 'livePriceSocket',
+    summary: 'WebSocket upgrade to the shared live price hub',
+    query: [
+      { name: 'coins', description: 'Coins to subscribe to on connect', schema: { type: 'string', maxLength: 1000 } },
+      VS_PARAM
+    ],
+    response: { status: 101, description: 'Switching protocols' },
+    handler: handleLiveSocket
+  },
+  {
+    path: '/upstreams',
+    methods: ['GET'],
+    operationId: 'getUpstreams',
+    summary: 'Rate limit and circuit state per upstream',
+    handler: handleUpstreams
+  },
+  {
+    path: '/news',
+    methods: ['GET'],
+    operationId: 'getNews',
+    summary: 'Latest headlines for a coin (NewsAPI, then NewsData.io, then outlet RSS/Atom feeds), paged and filtered',
+    query: [
+      COIN_PARAM,
+      { name: 'from', schema: TIME_PARAM_SCHEMA },
+      { name: 'to', schema: TIME_PARAM_SCHEMA },
+      { name: 'sources', description: 'Comma-separated outlet names, e.g. CoinDesk,The Block', schema: { type: 'string', maxLength: 500 } },
+      { name: 'q', description: 'Words that must all appear in the title or description', schema: { type: 'string', minLength: 1, maxLength: 100 } },
+      { name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+      { name: 'pageSize', schema: { type: 'integer', minimum: 1, maximum: NEWS_MAX_PAGE_SIZE, default: NEWS_DEFAULT_PAGE_SIZE } },
+      FORCE_PARAM
+    ],
+    handler: handleNews
+  },
+  {
+    path: '/sentiment',
+    methods: ['POST'],
+    operationId: 'analyzeHeadlines',
+    summary: 'Sentiment of the given headlines',
+    body: {
+      type: 'object',
+      required: ['headlines'],
+      properties: {
+        headlines: { type: 'array', maxItems: 100, items: { type: ['string', 'object'] } }
+      }
+    },
+    handler: handleSentiment
+  },
+  {
+    path: '/sentiment-summary',
+    legacyPath: '/api/sentiment-summary',
+    methods: ['GET'],
+    operationId: 'getSentimentSummary',
+    summary: 'Current sentiment summary for a coin',
+    query: [COIN_PARAM, FORCE_PARAM],
+    handler: handleSentimentSummary
+  },
+  {
+    path: '/sentiment-history',
+    legacyPath: '/api/sentiment-history',
+    methods: ['GET'],
+    operationId: 'getSentimentHistory',
+    summary: 'Recorded sentiment series for a coin',
+    query: [
+      COIN_PARAM,
+      { name: 'from', schema: TIME_PARAM_SCHEMA },
+      { name: 'to', schema: TIME_PARAM_SCHEMA },
+      { name: 'bucket', schema: { type: 'string', enum: Object.keys(SENTIMENT_BUCKETS), default: 'h1' } }
+    ],
+    handler: handleSentimentHistory
+  },
+  {
+    path: '/mood-index',
+    legacyPath: '/api/mood-index',
+    methods: ['GET'],
+    operationId: 'getMoodIndex',
+    summary: 'Composite 0-100 market mood index with its components',
+    query: [
+      COIN_PARAM,
+      { name: 'weights', description: 'Weight overrides, e.g. sentiment:40,volume:0', schema: { type: 'string', maxLength: 200 } }
+    ],
+    handler: handleMoodIndex
+  },
+  {
+    path: '/ai-analysis',
+    methods: ['POST'],
+    operationId: 'classifyMarketMood',
+    summary: 'Market mood classification from technical signals',
+    body: TECHNICAL_SIGNALS_BODY,
+    handler: handleAIAnalysis
+  },
+  {
+    path: '/ai-analysis-enhanced',
+    methods: ['POST'],
+    operationId: 'classifyMarketMoodEnhanced',
+    summary: 'Market mood classification from technical signals and candlestick patterns',
+    body: TECHNICAL_SIGNALS_BODY,
+    handler: handleAIAnalysisEnhanced
+  },
+  {
+    path: '/ai-explain',
+    methods: ['POST'],
+    operationId: 'explainIndicators',
+    summary: 'Plain-language explanation of the current technical indicators',
+    body: {
+      type: 'object',
+      required: ['coin', 'timeframe'],
+      properties: {
+        coin: { type: 'string', minLength: 1, maxLength: 64 },
+        timeframe: { type: ['integer', 'string'], description: 'Days of history the indicators cover' },
+        rsi: { type: 'array' },
+        sma: { type: 'array' },
+        bb: { type: 'object' },
+        signals: { type: 'array' },
+        priceData: { type: 'array', maxItems: 5000 },
+        candlePatterns: { type: 'array' },
+        currentPrice: { type: ['number', 'null'] },
+        currentRSI: { type: ['number', 'null'] },
+        currentSMA: { type: ['number', 'null'] },
+        currentBBUpper: { type: ['number', 'null'] },
+        currentBBLower: { type: ['number', 'null'] }
+      }
+    },
+    handler: handleAIExplain
+  },
+  {
+    path: '/openapi.json',
+    versionedOnly: true,
+    public: true,
+    methods: ['GET'],
+    operationId: 'getOpenApiDocument',
+    summary: 'This document',
+    handler: (request) => jsonResponse(buildOpenApiDocument(new URL(request.url).origin), 200, {
+      'Cache-Control': 'public, max-age=300'
+    })
+  }
+];
+
+const API_ROUTES_BY_PATH = new Map(API_ROUTES.map(route => [route.path, route]));
+const LEGACY_ROUTES_BY_PATH = new Map(API_ROUTES
+  .filter(route => !route.versionedOnly)
+  .map(route => [route.legacyPath || route.path, route]));
+
+function apiErrorResponse(status, code, message, extra = {}, headers = {}) {
+  return jsonResponse({ error: message, code, ...extra }, status, headers);
+}
+
+function allowedMethods(route) {
+  return route.head === false || !route.methods.includes('GET') ? route.methods : [...route.methods, 'HEAD'];
+}
+
+const typeOfValue = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Validate a value against the JSON Schema subset used in the route table; returns [{ name, message }]
+function validateSchema(value, schema, name) {
+  const types = [].concat(schema.type || []);
+  const actual = typeOfValue(value);
+  if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [{ name, message: `${name} must be ${types.join(' or ')}` }];
+  }
+  
+  const errors = [];
+  const fail = (message) => errors.push({ name, message: `${name} ${message}` });
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail('must not be empty');
+    if (schema.maxLength != null && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('is malformed');
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${name}[${i}]`)));
+    }
+  }
+  if (actual === 'object') {
+    for (const prop of schema.required || []) {
+      if (value[prop] === undefined) errors.push({ name: `${name}.${prop}`, message: `${name}.${prop} is required` });
+    }
+    for (const [prop, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[prop] !== undefined) errors.push(...validateSchema(value[prop], propSchema, `${name}.${prop}`));
+    }
+  }
+  return errors;
+}
+
+// Query strings are untyped: coerce to the declared type so the schema checks apply
+function coerceQueryValue(raw, schema) {
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    case 'number':
+      return raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      if (raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+// Returns a list of { in, name, message } problems (empty when the request is valid)
+async function validateApiRequest(route, request, url) {
+  const problems = [];
+  for (const param of route.query || []) {
+    const raw = url.searchParams.get(param.name);
+    if (raw === null) {
+      if (param.required) problems.push({ in: 'query', name: param.name, message: `${param.name} is required` });
+      continue;
+    }
+    for (const problem of validateSchema(coerceQueryValue(raw, param.schema), param.schema, param.name)) {
+      problems.push({ in: 'query', ...problem });
+    }
+  }
+  
+  if (route.body) {
+    let body;
+    try {
+      body = await request.clone().json();
+    } catch (e) {
+      return [...problems, { in: 'body', name: 'body', message: 'body must be valid JSON' }];
+    }
+    for (const problem of validateSchema(body, route.body, 'body')) {
+      problems.push({ in: 'body', ...problem });
+    }
+  }
+  return problems;
+}
+
+async function handleVersionedRoute(route, request, env, ctx) {
+  const allow = allowedMethods(route);
+  if (!allow.includes(request.method)) {
+    return apiErrorResponse(405, 'method_not_allowed', `Method ${request.method} not allowed`, { allowed: allow }, { 'Allow': allow.join(', ') });
+  }
+  
+  const url = new URL(request.url);
+  const problems = await validateApiRequest(route, request, url);
+  if (problems.length > 0) {
+    return apiErrorResponse(400, 'invalid_request', 'Invalid request', { details: problems });
+  }
+  
+  // Handlers only know GET; answer HEAD with the GET response's status and headers
+  if (request.method === 'HEAD') {
+    const response = await route.handler(new Request(request.url, { method: 'GET', headers: request.headers }), env, ctx);
+    return new Response(null, { status: response.status, headers: response.headers });
+  }
+  return await route.handler(request, env, ctx);
+}
+
+// Resolve a request to its route: /v1 paths are validated, legacy aliases go straight to
+// the handler. Returns null when the path is not an API route.
+export async function routeApiRequest(request, env, ctx) {
+  const path = new URL(request.url).pathname;
+  if (path === API_PREFIX || path.startsWith(`${API_PREFIX}/`)) {
+    const route = API_ROUTES_BY_PATH.get(path.slice(API_PREFIX.length));
+    recordRoute(route ? `${API_PREFIX}${route.path}` : null);
+    if (!route) {
+      return apiErrorResponse(404, 'not_found', `No route for ${path}`);
+    }
+    return await withClientAccess(route, request, env, () => handleVersionedRoute(route, request, env, ctx));
+  }
+  
+  const legacy = LEGACY_ROUTES_BY_PATH.get(path);
+  recordRoute(legacy ? path : null);
+  return legacy ? await withClientAccess(legacy, request, env, () => legacy.handler(request, env, ctx)) : null;
+}
+
+// Run `handle` once the client is authorized and has quota left (public routes skip the check)
+async function withClientAccess(route, request, env, handle) {
+  if (route.public) {
+    return await handle();
+  }
+  const access = await authorizeClient(request, env, route);
+  if (access.response) {
+    return access.response;
+  }
+  return withClientHeaders(await handle(), access);
+}
+
+function buildOpenApiDocument(origin) {
+  const errorResponseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+  const paths = {};
+  
+  for (const route of API_ROUTES) {
+    const item = {};
+    for (const method of allowedMethods(route)) {
+      const success = route.response || {};
+      const operation = {
+        operationId: method === 'HEAD' ? `${route.operationId}Head` : route.operationId,
+        summary: route.summary,
+        parameters: (route.query || []).map(param => ({ in: 'query', required: false, ...param })),
+        responses: {
+          [success.status || 200]: {
+            description: success.description || 'Success',
+            ...(method !== 'HEAD' && success.status !== 101 && {
+              content: { [success.contentType || 'application/json']: { schema: { type: success.contentType ? 'string' : 'object' } } }
+            })
+          },
+          400: errorResponseRef('InvalidRequest'),
+          405: errorResponseRef('MethodNotAllowed'),
+          ...(!route.public && {
+            401: errorResponseRef('Unauthorized'),
+            429: errorResponseRef('TooManyRequests')
+          })
+        }
+      };
+      if (!route.public) {
+        operation.security = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }, {}];
+      }
+      if (route.body) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+      }
+      item[method.toLowerCase()] = operation;
+    }
+    paths[route.path] = item;
+  }
+  
+  const errorSchema = {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' }
+    }
+  };
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Crypto Mood Dashboard API',
+      version: API_VERSION,
+      description: 'Crypto prices, history, news sentiment and market mood. Unversioned paths are legacy aliases of these routes.'
+    },
+    servers: [{ url: `${origin}${API_PREFIX}` }],
+    paths,
+    components: {
+      schemas: {
+        Error: errorSchema,
+        ValidationError: {
+          ...errorSchema,
+          properties: {
+            ...errorSchema.properties,
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  in: { type: 'string', enum: ['query', 'body'] },
+                  name: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        InvalidRequest: {
+          description: 'The query or body failed validation',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        },
+        MethodNotAllowed: {
+          description: 'Method not supported; the Allow header lists the supported ones',
+          headers: { Allow: { schema: { type: 'string' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        Unauthorized: {
+          description: 'Missing or invalid API key (keyless requests are only accepted from allowed browser origins)',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        TooManyRequests: {
+          description: 'Per-minute rate limit or daily quota exceeded',
+          headers: { 'Retry-After': { schema: { type: 'string' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      },
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      }
+    }
+  };
+}
@@ -0,0 +1,189 @@
+// =============================================================================
+// SENTIMENT HISTORY (per-coin time series behind /api/sentiment-history)
+// =============================================================================
+//
+// Every summary computed by buildSentimentSummary is appended to a per-coin series,
+// one point per coin per 10-minute slot (a recompute within the slot replaces it).
+// Points live in D1 (binding SENTIMENT_DB, schema in worker/migrations) and fall back
+// to day-sharded KV entries when the database isn't bound, e.g. in local dev.
+
+import { DAY_MS, NEWS_TTL_MS } from './config.js';
+import { errorResponse, jsonResponse } from './http.js';
+import { log } from './log.js';
+import { resolveCoin } from './coins.js';
+import { parseHistoryTime } from './history.js';
+import { sentimentLabelForScore } from './sentiment.js';
+
+const SENTIMENT_SLOT_MS = NEWS_TTL_MS;
+const SENTIMENT_HISTORY_DEFAULT_DAYS = 7;
+const SENTIMENT_HISTORY_MAX_DAYS = 90;
+const SENTIMENT_KV_RETENTION_DAYS = 30; // the KV stand-in keeps a month of points
+export const SENTIMENT_BUCKETS = {
+  raw: 0,
+  h1: 60 * 60 * 1000,
+  h6: 6 * 60 * 60 * 1000,
+  d1: DAY_MS
+};
+
+// Short stable id for a headline (FNV-1a over its URL, or its title when there is none)
+function headlineId(headline) {
+  const text = headline.url || headline.title || '';
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function sentimentDayKey(coin, ts) {
+  return `sentiment_series_${coin}_${new Date(ts).toISOString().slice(0, 10)}`;
+}
+
+// D1 when bound, otherwise the KV stand-in; both expose append(point) and range(coin, from, to)
+export function getSentimentHistoryStore(env) {
+  if (env.SENTIMENT_DB) {
+    const db = env.SENTIMENT_DB;
+    return {
+      kind: 'd1',
+      async append(p) {
+        await db.prepare(
+          `INSERT OR REPLACE INTO sentiment_history
+             (coin, slot, ts, score, label, source, headline_count, headline_ids)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(p.coin, Math.floor(p.ts / SENTIMENT_SLOT_MS), p.ts, p.score, p.label, p.source, p.count, JSON.stringify(p.headlineIds)).run();
+      },
+      async range(coin, from, to) {
+        const { results } = await db.prepare(
+          `SELECT coin, ts, score, label, source, headline_count, headline_ids
+             FROM sentiment_history
+            WHERE coin = ? AND ts >= ? AND ts <= ?
+            ORDER BY ts`
+        ).bind(coin, from, to).all();
+        return results.map(row => ({
+          coin: row.coin,
+          ts: row.ts,
+          score: row.score,
+          label: row.label,
+          source: row.source,
+          count: row.headline_count,
+          headlineIds: JSON.parse(row.headline_ids || '[]')
+        }));
+      }
+    };
+  }
+  
+  // Read-modify-write per UTC day; concurrent appends can drop a point, which is fine for a stand-in
+  return {
+    kind: 'kv',
+    async append(p) {
+      const key = sentimentDayKey(p.coin, p.ts);
+      const points = JSON.parse(await env.RATE_LIMIT_KV.get(key) || '[]');
+      const slot = Math.floor(p.ts / SENTIMENT_SLOT_MS);
+      const kept = points.filter(q => Math.floor(q.ts / SENTIMENT_SLOT_MS) !== slot);
+      kept.push(p);
+      kept.sort((a, b) => a.ts - b.ts);
+      await env.RATE_LIMIT_KV.put(key, JSON.stringify(kept), {
+        expirationTtl: SENTIMENT_KV_RETENTION_DAYS * 24 * 60 * 60
+      });
+    },
+    async range(coin, from, to) {
+      const keys = [];
+      for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+        keys.push(sentimentDayKey(coin, day));
+      }
+      const days = await Promise.all(keys.map(key => env.RATE_LIMIT_KV.get(key)));
+      return days.flatMap(raw => JSON.parse(raw || '[]')).filter(p => p.ts >= from && p.ts <= to);
+    }
+  };
+}
+
+// Append a computed summary; summaries without headlines are placeholders, not measurements
+export async function recordSentimentPoint(result, env) {
+  if (!result.count) return;
+  try {
+    await getSentimentHistoryStore(env).append({
+      coin: result.coin,
+      ts: Date.parse(result.timestamp) || Date.now(),
+      score: result.score,
+      label: result.label,
+      source: result.source,
+      count: result.count,
+      headlineIds: result.headlines.map(headlineId)
+    });
+  } catch (e) {
+    log.warn(`[SentimentHistory] Failed to record point for ${result.coin}:`, e.message);
+  }
+}
+
+// Average the points in each bucket; headline ids are merged so a bucket lists what it was built from
+function bucketSentimentPoints(points, bucketMs) {
+  if (!bucketMs) {
+    return points.map(p => ({ timestamp: p.ts, score: p.score, label: p.label, count: p.count, samples: 1, sources: [p.source], headlineIds: p.headlineIds }));
+  }
+  const buckets = new Map();
+  for (const p of points) {
+    const start = Math.floor(p.ts / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(p);
+  }
+  return [...buckets.entries()].map(([start, group]) => {
+    const score = Math.round(group.reduce((sum, p) => sum + p.score, 0) / group.length * 100) / 100;
+    return {
+      timestamp: start,
+      score,
+      label: sentimentLabelForScore(score),
+      count: group.reduce((sum, p) => sum + p.count, 0),
+      samples: group.length,
+      sources: [...new Set(group.map(p => p.source))],
+      headlineIds: [...new Set(group.flatMap(p => p.headlineIds))]
+    };
+  });
+}
+
+export async function handleSentimentHistory(request, env) {
+  const url = new URL(request.url);
+  const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+  const coinInfo = await resolveCoin(requestedCoin, env);
+  if (!coinInfo) {
+    return errorResponse(`Unsupported coin: ${requestedCoin}`);
+  }
+  
+  const now = Date.now();
+  const fromParam = parseHistoryTime(url.searchParams.get('from'));
+  const toParam = parseHistoryTime(url.searchParams.get('to'));
+  if (Number.isNaN(fromParam) || Number.isNaN(toParam)) {
+    return errorResponse('Invalid from/to (use epoch milliseconds, epoch seconds or an ISO date)');
+  }
+  const to = Math.min(toParam ?? now, now);
+  const from = fromParam ?? to - SENTIMENT_HISTORY_DEFAULT_DAYS * DAY_MS;
+  if (from >= to) {
+    return errorResponse('from must be before to');
+  }
+  if (to - from > SENTIMENT_HISTORY_MAX_DAYS * DAY_MS) {
+    return errorResponse(`Range too large: ${Math.ceil((to - from) / DAY_MS)} days (max ${SENTIMENT_HISTORY_MAX_DAYS})`);
+  }
+  
+  const bucket = url.searchParams.get('bucket') || 'h1';
+  if (!(bucket in SENTIMENT_BUCKETS)) {
+    return errorResponse(`Unsupported bucket: ${bucket} (use one of ${Object.keys(SENTIMENT_BUCKETS).join(', ')})`);
+  }
+  
+  const store = getSentimentHistoryStore(env);
+  try {
+    const points = await store.range(coinInfo.id, from, to);
+    return jsonResponse({
+      coin: coinInfo.id,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      bucket,
+      store: store.kind,
+      points: bucketSentimentPoints(points, SENTIMENT_BUCKETS[bucket])
+    }, 200, {
+      'Cache-Control': 's-maxage=60, max-age=0, must-revalidate'
+    });
+  } catch (error) {
+    log.error(`[SentimentHistory] Range query failed for ${coinInfo.id}:`, error);
+    return errorResponse('Failed to read sentiment history', 500);
+  }
+}
@@ -0,0 +1,706 @@
+// =============================================================================
+// SENTIMENT (headline scoring behind /sentiment and /api/sentiment)
+// =============================================================================
+//
+// Headlines are scored by Cohere when a key is configured and by the keyword lexicon
+// (computeRuleBasedSentimentScore) otherwise or on failure; every summary is also
+// recorded in the sentiment history. The summary only sees headlines relevant to the
+// coin (see relevance.js), one per story however often it was syndicated (see
+// clusters.js): the lexicon weights each by its relevance and Cohere is given the most
+// relevant ones.
+
+import { COHERE_API_BASE, NEWS_TTL_MS, STALE_MAX_MS } from './config.js';
+import { errorResponse, isForceRefresh, jsonResponse } from './http.js';
+import { log } from './log.js';
+import { guardedFetch } from './upstream.js';
+import { resolveCoin } from './coins.js';
+import { fetchNewsForCoin } from './news.js';
+import { recordSentimentPoint } from './sentiment-history.js';
+
+// Marks cached summaries (`sentiment_<coin>`) in the current format; older entries are recomputed
+const SENTIMENT_CACHE_VERSION = 'sentiment_v2';
+
+// Rule-based sentiment aggregator: compute score from headlines using lexicon.
+// Headlines with a `relevance` count that much in the average (others count fully).
+export function computeRuleBasedSentimentScore(headlines) {
+  const positiveKeywords = [
+    'soar', 'surge', 'rally', 'bull', 'bullish', 'gain', 'gains', 'rise', 'rising', 
+    'up', 'high', 'moon', 'pump', 'breakthrough', 'adoption', 'institutional',
+    'investment', 'buy', 'support', 'strong', 'growth', 'increase', 'positive',
+    'optimistic', 'confidence', 'milestone', 'achievement', 'success', 'upgrade',
+    'partnership', 'expansion', 'innovation', 'record', 'all-time', 'ath',
+    'boost', 'advance', 'progress', 'breakthrough', 'approve', 'approved'
+  ];
+  
+  const negativeKeywords = [
+    'crash', 'dump', 'bear', 'bearish', 'fall', 'drop', 'down', 'low', 'dip',
+    'decline', 'plunge', 'collapse', 'sell', 'selling', 'pressure', 'fear',
+    'panic', 'concern', 'worry', 'risk', 'volatile', 'uncertainty', 'loss',
+    'losses', 'negative', 'pessimistic', 'regulation', 'ban', 'hack', 'attack',
+    'fraud', 'scam', 'bubble', 'warning', 'alert', 'crisis', 'problem',
+    'reject', 'rejected', 'struggle', 'suffer', 'plummet', 'crash'
+  ];
+  
+  if (!headlines || headlines.length === 0) {
+    return { score: 0.5, label: 'Neutral' }; // Neutral if no headlines
+  }
+  
+  let totalScore = 0;
+  let totalWeight = 0;
+  
+  headlines.forEach(headline => {
+    if (!headline) return; // skip null/empty entries
+    const weight = typeof headline.relevance === 'number' ? headline.relevance : 1;
+    if (weight <= 0) return;
+    const text = ((headline.title || headline) + ' ' + (headline.description || '')).toLowerCase();
+    const positiveMatches = positiveKeywords.filter(keyword => text.includes(keyword)).length;
+    const negativeMatches = negativeKeywords.filter(keyword => text.includes(keyword)).length;
+    
+    // Calculate headline score: -1 to +1
+    let headlineScore = 0;
+    if (positiveMatches > negativeMatches) {
+      headlineScore = Math.min(1, 0.3 + (positiveMatches - negativeMatches) * 0.2);
+    } else if (negativeMatches > positiveMatches) {
+      headlineScore = Math.max(-1, -0.3 - (negativeMatches - positiveMatches) * 0.2);
+    }
+    
+    totalScore += headlineScore * weight;
+    totalWeight += weight;
+  });
+  
+  if (totalWeight === 0) {
+    return { score: 0.5, label: 'Neutral' };
+  }
+  
+  // Weighted average score and normalize to 0..1 (map -1→0, 0→0.5, 1→1)
+  const avgScore = totalScore / totalWeight;
+  const normalizedScore = (avgScore + 1) / 2; // Map from [-1,1] to [0,1]
+  
+  // Determine label
+  let label = 'Neutral';
+  if (normalizedScore >= 0.66) {
+    label = 'Bullish';
+  } else if (normalizedScore <= 0.33) {
+    label = 'Bearish';
+  }
+  
+  return {
+    score: Math.round(normalizedScore * 100) / 100,
+    label: label
+  };
+}
+
+// Cohere Chat v2: analyze sentiment with strict prompt for mood score 0..1
+async function analyzeSentimentWithCohereV2(headlines, env) {
+  if (!env.COHERE_API_KEY) {
+    throw new Error('Cohere API key not configured');
+  }
+  
+  // Most relevant first (stable, so equally relevant ones stay newest first)
+  const textsToAnalyze = [...headlines]
+    .sort((a, b) => (b.relevance ?? 1) - (a.relevance ?? 1))
+    .map(h => h.title || h)
+    .filter(text => text && text.length > 5)
+    .slice(0, 10);
+  
+  if (textsToAnalyze.length === 0) {
+    throw new Error('No valid headlines to analyze');
+  }
+  
+  // Strict prompt: return mood score 0..1 and label
+  const prompt = `Analyze the sentiment of these cryptocurrency news headlines and determine the overall market mood.
+
+Headlines:
+${textsToAnalyze.map((text, i) => `${i + 1}. ${text}`).join('\n')}
+
+Respond with ONLY a JSON object in this exact format:
+{
+  "score": 0.75,
+  "label": "Bullish",
+  "summary": ["Point 1", "Point 2", "Point 3"]
+}
+
+Rules:
+- "score": A number between 0 and 1 where:
+  - 0.0-0.33 = Bearish (negative sentiment)
+  - 0.34-0.66 = Neutral (mixed/neutral sentiment)
+  - 0.67-1.0 = Bullish (positive sentiment)
+- "label": One of "Bullish", "Neutral", or "Bearish"
+- "summary": Exactly 3 bullet points (strings) summarizing key sentiment drivers
+- Use ONLY the provided headlines - do not make up data
+- Return ONLY the JSON object, no other text`;
+
+  const response = await guardedFetch(`${env.COHERE_API_BASE || COHERE_API_BASE}/chat`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.COHERE_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model: 'command-a-03-2025',
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+      max_tokens: 500
+    }),
+  }, env);
+  
+  if (!response.ok) {
+    let errorDetails = '';
+    try {
+      const errorBody = await response.text();
+      errorDetails = errorBody;
+    } catch (e) {
+      errorDetails = `HTTP ${response.status}`;
+    }
+    throw new Error(`Cohere API error: ${response.status} - ${errorDetails}`);
+  }
+  
+  const data = await response.json();
+  const messageContent = data.message?.content?.[0]?.text || '';
+  
+  // Extract JSON from response
+  let result;
+  try {
+    const jsonMatch = messageContent.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      result = JSON.parse(jsonMatch[0]);
+    } else {
+      throw new Error('No JSON object found in response');
+    }
+  } catch (parseError) {
+    log.debug('Failed to parse Cohere response:', parseError.message);
+    throw new Error('Invalid response format from Cohere');
+  }
+  
+  // Validate and normalize result
+  if (typeof result.score !== 'number' || result.score < 0 || result.score > 1) {
+    throw new Error('Invalid score in Cohere response');
+  }
+  
+  return {
+    score: Math.round(result.score * 100) / 100,
+    label: result.label || (result.score >= 0.66 ? 'Bullish' : result.score <= 0.33 ? 'Bearish' : 'Neutral'),
+    summary: Array.isArray(result.summary) ? result.summary : []
+  };
+}
+
+// Summary score (0 bearish .. 1 bullish) to its label
+export function sentimentLabelForScore(score) {
+  if (score >= 0.66) return 'Bullish';
+  if (score <= 0.33) return 'Bearish';
+  return 'Neutral';
+}
+
+// Canonical sentiment summary builder with KV caching
+export async function buildSentimentSummary(coin, env, options = { force: false }) {
+  const startTime = Date.now();
+  const cacheKey = `sentiment_${coin}`;
+  
+  // Step 1: Check KV cache (if not forcing)
+  if (!options.force) {
+    try {
+      const cachedRaw = await env.RATE_LIMIT_KV.get(cacheKey);
+      if (cachedRaw) {
+        const cached = JSON.parse(cachedRaw);
+        const age = Date.now() - cached.ts;
+        
+        // Use NEWS_TTL_MS for sentiment freshness (10 minutes)
+        if (age < NEWS_TTL_MS && cached.data && cached.version === SENTIMENT_CACHE_VERSION) {
+          log.debug(`[buildSentimentSummary] Returning cached sentiment for ${coin} (age: ${Math.floor(age/1000)}s, headlinesCount=${cached.data.count || 0})`);
+          return {
+            result: cached.data,
+            fromCache: true,
+            age: Math.floor(age / 1000)
+          };
+        }
+      }
+    } catch (e) {
+      log.warn(`[buildSentimentSummary] Cache read failed for ${coin}:`, e.message);
+    }
+  }
+  
+  // Step 2: Fetch latest headlines (the coin's pool is cached and shared with /news)
+  let headlines = [];
+  try {
+    headlines = await fetchNewsForCoin(coin, env, { force: options.force });
+  } catch (error) {
+    log.warn(`[buildSentimentSummary] Failed to fetch headlines for ${coin}:`, error.message);
+    // Continue with empty headlines (will return neutral)
+  }
+  
+  // Log headlines count for observability
+  const headlinesCount = headlines.length;
+  log.debug(`[buildSentimentSummary] headlinesCount=${headlinesCount} for ${coin}`);
+  
+  // Step 3: Analyze sentiment (Cohere or rule-based)
+  let sentimentResult;
+  let source = 'rule-based';
+  let confidence = 'normal';
+  
+  if (headlines.length > 0) {
+    // Check headline freshness and count
+    if (headlines.length < 3) {
+      confidence = 'low';
+      log.debug(`[SENT] Low confidence: only ${headlines.length} headlines available`);
+    }
+    
+    try {
+      if (env.COHERE_API_KEY) {
+        // Try Cohere first (with timeout)
+        const cohereTimeout = 8000; // 8s timeout for Cohere sentiment
+        try {
+          const cohereResult = await Promise.race([
+            analyzeSentimentWithCohereV2(headlines, env),
+            new Promise((_, reject) => 
+              setTimeout(() => reject(Object.assign(new Error('cohere-sentiment-timeout'), { code: 'cohere-timeout' })), cohereTimeout)
+            )
+          ]);
+          sentimentResult = {
+            score: cohereResult.score,
+            label: cohereResult.label,
+            summary: cohereResult.summary
+          };
+          source = 'cohere';
+          log.debug(`[SENT] Headlines fetched: ${headlines.length}, score=${sentimentResult.score.toFixed(2)}, label=${sentimentResult.label}, source=cohere`);
+        } catch (cohereErr) {
+          log.debug(`[SENT] Cohere timeout/failed for ${coin}, using rule-based:`, cohereErr.code || cohereErr.message);
+          throw cohereErr; // Fall through to rule-based
+        }
+      } else {
+        throw new Error('Cohere API key not available');
+      }
+    } catch (cohereErr) {
+      // Fallback to rule-based
+      const ruleResult = computeRuleBasedSentimentScore(headlines);
+      sentimentResult = {
+        score: ruleResult.score,
+        label: ruleResult.label,
+        summary: [] // Rule-based doesn't generate summary
+      };
+      source = 'rule-based';
+      log.debug(`[SENT] Headlines fetched: ${headlines.length}, score=${sentimentResult.score.toFixed(2)}, label=${sentimentResult.label}, source=rule-based`);
+    }
+    
+    // If score is exactly 0.5 and confidence is low, treat as low-confidence Neutral
+    if (sentimentResult.score === 0.5 && confidence === 'low') {
+      log.debug(`[SENT] Low confidence Neutral: score=0.50 with only ${headlines.length} headlines`);
+    }
+  } else {
+    // No headlines - return neutral with low confidence
+    sentimentResult = {
+      score: 0.5,
+      label: 'Neutral',
+      summary: []
+    };
+    source = 'rule-based';
+    confidence = 'low';
+    log.debug(`[SENT] No headlines available for ${coin}, using neutral sentiment (confidence=low)`);
+  }
+  
+  // Step 4: Build result object
+  // Round score to 2 decimal places for consistency
+  const roundedScore = Math.round(sentimentResult.score * 100) / 100;
+  
+  // Map score to label deterministically
+  const mappedLabel = sentimentLabelForScore(roundedScore);
+  
+  // Override with Cohere label if available and valid
+  const finalLabel = (sentimentResult.label && ['Bullish', 'Bearish', 'Neutral'].includes(sentimentResult.label)) 
+    ? sentimentResult.label 
+    : mappedLabel;
+  
+  const result = {
+    coin: coin,
+    score: roundedScore,
+    label: finalLabel,
+    count: headlinesCount,
+    headlines: headlines.slice(0, 10).map(h => ({
+      title: h.title,
+      url: h.url,
+      publishedAt: h.publishedAt,
+      relevance: h.relevance ?? null
+    })),
+    source: source,
+    timestamp: new Date().toISOString(),
+    confidence: confidence
+  };
+  
+  // Add summary if available (Cohere)
+  if (sentimentResult.summary && sentimentResult.summary.length > 0) {
+    result.summary = sentimentResult.summary;
+  }
+  
+  // Step 5: Store to KV with the cache version
+  try {
+    await env.RATE_LIMIT_KV.put(cacheKey, JSON.stringify({
+      ts: Date.now(),
+      version: SENTIMENT_CACHE_VERSION,
+      data: result
+    }));
+    log.debug(`[SENT] Cached sentiment for ${coin} (${SENTIMENT_CACHE_VERSION}), score=${result.score.toFixed(2)}, label=${result.label}, confidence=${confidence}`);
+  } catch (kvErr) {
+    log.warn(`[SENT] Failed to cache sentiment for ${coin}:`, kvErr.message);
+  }
+
+  // Step 6: Append to the sentiment history series (cache hits returned above, so once per recompute)
+  await recordSentimentPoint(result, env);
+  
+  const latency = Date.now() - startTime;
+  log.debug(`[SENT] buildSentimentSummary completed for ${coin} in ${latency}ms`);
+  log.debug(`[buildSentimentSummary] Built sentiment for ${coin} in ${latency}ms (source: ${source})`);
+  
+  return {
+    result: result,
+    fromCache: false,
+    age: 0,
+    latency: latency
+  };
+}
+
+// Canonical sentiment summary endpoint handler
+export async function handleSentimentSummary(request, env) {
+  const startTime = Date.now();
+  try {
+    const url = new URL(request.url);
+    const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+    const force = isForceRefresh(request.url) || url.searchParams.get('force') === 'true';
+    
+    const coinInfo = await resolveCoin(requestedCoin, env);
+    if (!coinInfo) {
+      return errorResponse(`Unsupported coin: ${requestedCoin}`);
+    }
+    const coin = coinInfo.id;
+    
+    log.debug(`[handleSentimentSummary] Request for ${coin}, force=${force}`);
+    
+    // Build sentiment summary
+    const buildResult = await buildSentimentSummary(coin, env, { force });
+    
+    const result = buildResult.result;
+    const fromCache = buildResult.fromCache;
+    const staleIfError = buildResult.staleIfError || false;
+    const age = buildResult.age || 0;
+    const latency = buildResult.latency || (Date.now() - startTime);
+    
+    // Prepare headers
+    const cacheStatus = staleIfError ? 'stale-if-error' : (fromCache ? 'fresh' : 'miss');
+    const extraHeaders = {
+      'Cache-Control': 's-maxage=60, max-age=0, must-revalidate',
+      'X-Cache-Status': cacheStatus,
+      'X-DO-Age': String(age),
+      'X-Latency-ms': String(latency)
+    };
+    
+    // Add Warning header for stale-if-error
+    if (staleIfError) {
+      extraHeaders['Warning'] = '110 - stale response used due to upstream error';
+    }
+    
+    return jsonResponse(result, 200, extraHeaders);
+    
+  } catch (error) {
+    log.error('[handleSentimentSummary] Error:', error);
+    
+    // Try to return stale cache on error (if not forcing)
+    const url = new URL(request.url);
+    const requestedCoin = url.searchParams.get('coin') || 'bitcoin';
+    const coin = (await resolveCoin(requestedCoin, env).catch(() => null))?.id || requestedCoin;
+    const force = isForceRefresh(request.url) || url.searchParams.get('force') === 'true';
+    
+    if (!force) {
+      try {
+        const cacheKey = `sentiment_${coin}`;
+        const staleRaw = await env.RATE_LIMIT_KV.get(cacheKey);
+        if (staleRaw) {
+          const stale = JSON.parse(staleRaw);
+          const staleAge = Date.now() - stale.ts;
+          
+          if (staleAge < STALE_MAX_MS && stale.data && stale.version === SENTIMENT_CACHE_VERSION) {
+            log.debug(`[handleSentimentSummary] Returning stale cache for ${coin} due to error (age: ${Math.floor(staleAge/1000)}s)`);
+            return jsonResponse(stale.data, 200, {
+              'Cache-Control': 's-maxage=60, max-age=0, must-revalidate',
+              'X-Cache-Status': 'stale-if-error',
+              'X-DO-Age': String(Math.floor(staleAge / 1000)),
+              'X-Latency-ms': String(Date.now() - startTime),
+              'Warning': '110 - stale response used due to upstream error'
+            });
+          }
+        }
+      } catch (staleErr) {
+        // Ignore stale cache errors, fall through to error response
+      }
+    }
+    
+    // No stale cache available - return error
+    return jsonResponse({
+      error: 'Failed to fetch sentiment',
+      details: error.message,
+      code: 'sentiment_fetch_failed'
+    }, 502, {
+      'X-Cache-Status': 'miss',
+      'X-Latency-ms': String(Date.now() - startTime)
+    });
+  }
+}
+
+export async function handleSentiment(request, env) {
+  try {
+    if (request.method !== 'POST') {
+      return errorResponse('Method not allowed', 405);
+    }
+    
+    const body = await request.json();
+    const headlines = body.headlines || [];
+    
+    // Validate input
+    if (!Array.isArray(headlines) || headlines.length === 0) {
+      return jsonResponse({
+        score: 0,
+        category: 'neutral',
+        confidence: 0,
+        total: 0,
+        method: 'no-data',
+        note: 'No headlines provided for analysis'
+      });
+    }
+    
+    // Try Cohere AI first, with fallback to keyword analysis
+    try {
+      return await analyzeSentimentWithCohere(headlines, env);
+    } catch (error) {
+      log.debug('Cohere API failed, using keyword fallback:', error.message);
+      return analyzeSentimentWithKeywords(headlines);
+    }
+    
+  } catch (error) {
+    log.error('Sentiment analysis error:', error);
+    return errorResponse(`Failed to analyze sentiment: ${error.message}`);
+  }
+}
+
+async function analyzeSentimentWithCohere(headlines, env) {
+  // Validate Cohere API key
+  if (!env.COHERE_API_KEY) {
+    throw new Error('Cohere API key not configured');
+  }
+  
+  // Limit to 10 headlines for better processing
+  // Most relevant first (stable, so equally relevant ones stay newest first)
+  const textsToAnalyze = [...headlines]
+    .sort((a, b) => (b.relevance ?? 1) - (a.relevance ?? 1))
+    .map(h => h.title || h)
+    .filter(text => text && text.length > 5)
+    .slice(0, 10);
+  
+  if (textsToAnalyze.length === 0) {
+    throw new Error('No valid headlines to analyze');
+  }
+  
+  log.debug('Cohere analysis for:', textsToAnalyze.length, 'headlines');
+  
+  // Create prompt for sentiment analysis using Chat API
+  const prompt = `Analyze the sentiment of these cryptocurrency news headlines and classify each as "positive", "negative", or "neutral":
+
+${textsToAnalyze.map((text, i) => `${i + 1}. ${text}`).join('\n')}
+
+Respond with ONLY a JSON array in this exact format:
+[{"text": "headline 1", "sentiment": "positive", "confidence": 0.8}, {"text": "headline 2", "sentiment": "negative", "confidence": 0.9}]
+
+Use these criteria:
+- "positive": bullish, optimistic, gains, growth, adoption, institutional investment, partnerships, upgrades
+- "negative": bearish, crashes, bans, hacks, fears, regulatory concerns, sell-offs, decline
+- "neutral": stable, mixed, updates, general news without clear sentiment
+- Include confidence (0.0-1.0) based on how certain you are about the sentiment`;
+
+  // Make request to Cohere Chat API v2
+  const response = await guardedFetch(`${env.COHERE_API_BASE || COHERE_API_BASE}/chat`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.COHERE_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+        model: 'command-a-03-2025',
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+      max_tokens: 1500
+    }),
+  }, env);
+  
+  if (!response.ok) {
+    let errorDetails = 'Unknown error';
+    try {
+      const errorBody = await response.text();
+      errorDetails = errorBody;
+    } catch (e) {
+      errorDetails = `HTTP ${response.status}`;
+    }
+    
+    if (response.status === 429) {
+      throw new Error('Rate limit exceeded');
+    }
+    throw new Error(`Cohere API error: ${response.status} - ${errorDetails}`);
+  }
+  
+  const data = await response.json();
+  
+  // Parse the response
+  let sentimentResults = [];
+  try {
+    const messageContent = data.message?.content?.[0]?.text || '';
+    
+    // Extract JSON from response
+    const jsonMatch = messageContent.match(/\[.*\]/s);
+    if (jsonMatch) {
+      sentimentResults = JSON.parse(jsonMatch[0]);
+    } else {
+      throw new Error('No JSON array found in response');
+    }
+  } catch (parseError) {
+    log.debug('Failed to parse AI response:', parseError.message);
+    throw new Error('Invalid response format from Cohere');
+  }
+  
+  // Calculate improved sentiment metrics
+  const results = calculateImprovedSentimentMetrics(sentimentResults, headlines.length);
+  
+  return jsonResponse({
+    ...results,
+    method: 'cohere-chat-api',
+    analyzed: sentimentResults.length,
+    total: headlines.length
+  });
+}
+
+function analyzeSentimentWithKeywords(headlines) {
+  const positiveKeywords = [
+    'soar', 'surge', 'rally', 'bull', 'bullish', 'gain', 'gains', 'rise', 'rising', 
+    'up', 'high', 'moon', 'pump', 'breakthrough', 'adoption', 'institutional',
+    'investment', 'buy', 'support', 'strong', 'growth', 'increase', 'positive',
+    'optimistic', 'confidence', 'milestone', 'achievement', 'success', 'upgrade',
+    'partnership', 'expansion', 'innovation', 'record', 'all-time', 'ath',
+    'boost', 'advance', 'progress', 'breakthrough', 'approve', 'approved'
+  ];
+  
+  const negativeKeywords = [
+    'crash', 'dump', 'bear', 'bearish', 'fall', 'drop', 'down', 'low', 'dip',
+    'decline', 'plunge', 'collapse', 'sell', 'selling', 'pressure', 'fear',
+    'panic', 'concern', 'worry', 'risk', 'volatile', 'uncertainty', 'loss',
+    'losses', 'negative', 'pessimistic', 'regulation', 'ban', 'hack', 'attack',
+    'fraud', 'scam', 'bubble', 'warning', 'alert', 'crisis', 'problem',
+    'reject', 'rejected', 'struggle', 'suffer', 'plummet', 'crash'
+  ];
+  
+  const sentimentResults = [];
+  
+  headlines.forEach(headline => {
+    const text = (headline.title || headline).toLowerCase();
+    const positiveMatches = positiveKeywords.filter(keyword => text.includes(keyword));
+    const negativeMatches = negativeKeywords.filter(keyword => text.includes(keyword));
+    
+    let sentiment = 'neutral';
+    let confidence = 0.5; // Default neutral confidence
+    
+    if (positiveMatches.length > negativeMatches.length) {
+      sentiment = 'positive';
+      confidence = Math.min(0.9, 0.6 + (positiveMatches.length * 0.1));
+    } else if (negativeMatches.length > positiveMatches.length) {
+      sentiment = 'negative';
+      confidence = Math.min(0.9, 0.6 + (negativeMatches.length * 0.1));
+    } else if (positiveMatches.length > 0 || negativeMatches.length > 0) {
+      confidence = 0.3; // Low confidence for mixed signals
+    }
+    
+    sentimentResults.push({
+      text: headline.title || headline,
+      sentiment: sentiment,
+      confidence: confidence,
+      matches: {
+        positive: positiveMatches,
+        negative: negativeMatches
+      }
+    });
+  });
+  
+  // Calculate improved sentiment metrics
+  const results = calculateImprovedSentimentMetrics(sentimentResults, headlines.length);
+  
+  return jsonResponse({
+    ...results,
+    method: 'keyword-analysis',
+    analyzed: sentimentResults.length,
+    total: headlines.length
+  });
+}
+
+function calculateImprovedSentimentMetrics(sentimentResults, totalHeadlines) {
+  let positiveCount = 0;
+  let negativeCount = 0;
+  let neutralCount = 0;
+  let totalConfidence = 0;
+  let weightedScore = 0;
+  
+  sentimentResults.forEach(result => {
+    const sentiment = result.sentiment?.toLowerCase();
+    const confidence = result.confidence || 0.5;
+    
+    totalConfidence += confidence;
+    
+    if (sentiment === 'positive') {
+      positiveCount++;
+      weightedScore += confidence * 2; // Positive contributes +2 weighted by confidence
+    } else if (sentiment === 'negative') {
+      negativeCount++;
+      weightedScore -= confidence * 2; // Negative contributes -2 weighted by confidence
+    } else {
+      neutralCount++;
+      // Neutral contributes 0 to weighted score
+    }
+  });
+  
+  const analyzed = sentimentResults.length;
+  const avgConfidence = analyzed > 0 ? totalConfidence / analyzed : 0;
+  
+  // Calculate score on -5 to +5 scale, weighted by confidence
+  const maxPossibleScore = analyzed * 2; // Maximum positive score
+  const score = maxPossibleScore > 0 ? (weightedScore / maxPossibleScore) * 5 : 0;
+  
+  // Determine category with improved thresholds
+  let category = 'neutral';
+  if (score >= 0.5) {
+    category = 'bullish';
+  } else if (score <= -0.5) {
+    category = 'bearish';
+  }
+  
+  // Improved confidence calculation
+  // High confidence if: strong sentiment direction + high individual confidences
+  const sentimentStrength = Math.abs(score) / 5; // 0-1 scale
+  const overallConfidence = Math.min(0.95, avgConfidence * sentimentStrength + 0.3);
+  
+  return {
+    score: Math.round(score * 100) / 100,
+    category,
+    confidence: Math.round(overallConfidence * 100) / 100,
+    breakdown: {
+      positive: positiveCount,
+      negative: negativeCount,
+      neutral: neutralCount
+    },
+    metrics: {
+      average_individual_confidence: Math.round(avgConfidence * 100) / 100,
+      sentiment_strength: Math.round(sentimentStrength * 100) / 100,
+      weighted_score: Math.round(weightedScore * 100) / 100
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { computeRuleBasedSentimentScore } from './sentiment.js';
+
+describe('computeRuleBasedSentimentScore', () => {
+  it('should be neutral for empty or missing headlines', () => {
+    expect(computeRuleBasedSentimentScore([])).toEqual({ score: 0.5, label: 'Neutral' });
+    expect(computeRuleBasedSentimentScore(null)).toEqual({ score: 0.5, label: 'Neutral' });
+    expect(computeRuleBasedSentimentScore(undefined)).toEqual({ score: 0.5, label: 'Neutral' });
+  });
+
+  it('should skip null entries and stay neutral when nothing is left', () => {
+    expect(computeRuleBasedSentimentScore([null, undefined])).toEqual({ score: 0.5, label: 'Neutral' });
+    expect(computeRuleBasedSentimentScore([null, 'Exchange hack'])).toEqual({ score: 0.25, label: 'Bearish' });
+  });
+
+  it('should score a single positive keyword as bullish', () => {
+    // one net positive match scores 0.5 on the -1..1 scale: (0.5 + 1) / 2
+    expect(computeRuleBasedSentimentScore([{ title: 'Analysts expect a rally' }])).toEqual({ score: 0.75, label: 'Bullish' });
+    // two matches ("approve" and "approved"): 0.7 -> 0.85
+    expect(computeRuleBasedSentimentScore([{ title: 'ETF approved' }])).toEqual({ score: 0.85, label: 'Bullish' });
+  });
+
+  it('should score negative keywords as bearish', () => {
+    expect(computeRuleBasedSentimentScore([{ title: 'Exchange hack' }])).toEqual({ score: 0.25, label: 'Bearish' });
+    expect(computeRuleBasedSentimentScore([{ title: 'Exchange hack sparks panic' }])).toEqual({ score: 0.15, label: 'Bearish' });
+  });
+
+  it('should treat equal positive and negative matches as neutral', () => {
+    expect(computeRuleBasedSentimentScore([{ title: 'Rally meets fear' }])).toEqual({ score: 0.5, label: 'Neutral' });
+  });
+
+  it('should include the description and accept plain string headlines', () => {
+    expect(computeRuleBasedSentimentScore([{ title: 'Bitcoin today', description: 'a massive rally' }]).score).toBe(0.75);
+    expect(computeRuleBasedSentimentScore(['Analysts expect a rally']).score).toBe(0.75);
+  });
+
+  it('should average headline scores', () => {
+    // (-0.5 + 0.7) / 2 = 0.1 -> 0.55
+    expect(computeRuleBasedSentimentScore(['Exchange hack', 'ETF approved'])).toEqual({ score: 0.55, label: 'Neutral' });
+  });
+
+  it('should weight headlines by relevance', () => {
+    // (0.5 * 1 + -0.5 * 0.25) / 1.25 = 0.3 -> 0.65
+    const headlines = [
+      { title: 'Analysts expect a rally', relevance: 1 },
+      { title: 'Exchange hack', relevance: 0.25 }
+    ];
+    expect(computeRuleBasedSentimentScore(headlines)).toEqual({ score: 0.65, label: 'Neutral' });
+    expect(computeRuleBasedSentimentScore([{ title: 'Exchange hack', relevance: 0 }])).toEqual({ score: 0.5, label: 'Neutral' });
+  });
+
+  it('should cap a headline at +1 and -1', () => {
+    const bullish = 'surge rally gains growth milestone success innovation';
+    const bearish = 'crash plunge collapse panic fraud scam crisis';
+    expect(computeRuleBasedSentimentScore([bullish])).toEqual({ score: 1, label: 'Bullish' });
+    expect(computeRuleBasedSentimentScore([bearish])).toEqual({ score: 0, label: 'Bearish' });
+  });
+
+  it('should match keywords as substrings', () => {
+    // "upgrade" matches both "up" and "upgrade"
+    expect(computeRuleBasedSentimentScore(['Network upgrade']).score).toBe(0.85);
+  });
+});
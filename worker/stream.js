@@ -0,0 +1,202 @@
+// =============================================================================
+// PRICE STREAM (Server-Sent Events behind /stream)
+// =============================================================================
+//
+// Each connection polls canonical prices (getCanonicalPrices, so KV absorbs the
+// fan-out) and pushes a `price` event whenever a coin's tick changes. Event ids
+// are the tick's timestampMs; on reconnect the browser sends Last-Event-ID and
+// missed ticks are replayed from a short in-isolate buffer. When the buffer can't
+// cover the gap (new isolate, or the client was away too long) a `resync` event
+// tells the client to refetch /history instead. Sentiment is polled less often
+// and pushed as `sentiment` events (no id, so it doesn't move the resume cursor).
+// Connections end after STREAM_MAX_DURATION_MS; EventSource reconnects on its own.
+
+import { PRICE_KV_FRESH_MS } from './config.js';
+import { errorResponse } from './http.js';
+import { log } from './log.js';
+import { resolveCoin } from './coins.js';
+import { convertPriceData, getQuoteCurrency, getSpotQuote, unsupportedQuoteResponse } from './currency.js';
+import { getCanonicalPrices } from './prices.js';
+import { buildSentimentSummary } from './sentiment.js';
+
+export const STREAM_MAX_COINS = 10;
+const STREAM_POLL_MS = 15 * 1000; // ticks still only change once per PRICE_KV_FRESH_MS
+const STREAM_SENTIMENT_POLL_MS = 5 * 60 * 1000;
+const STREAM_MAX_DURATION_MS = 10 * 60 * 1000;
+const STREAM_RETRY_MS = 3000; // reconnect delay hint sent to EventSource
+const STREAM_REPLAY_MS = 15 * 60 * 1000; // how far back Last-Event-ID can be replayed
+
+// coinId -> { since, polledAt, ticks: [USD price payload] } (per isolate)
+const STREAM_REPLAY = new Map();
+
+function rememberStreamTick(coinId, payload, now = Date.now()) {
+  let buffer = STREAM_REPLAY.get(coinId);
+  // Nobody polled this coin for longer than a price refresh, so ticks may have been missed
+  if (!buffer || now - buffer.polledAt > PRICE_KV_FRESH_MS) {
+    buffer = { since: payload.timestampMs, ticks: [] };
+    STREAM_REPLAY.set(coinId, buffer);
+  }
+  buffer.polledAt = now;
+  const last = buffer.ticks[buffer.ticks.length - 1];
+  if (!last || payload.timestampMs > last.timestampMs) {
+    buffer.ticks.push(payload);
+  }
+  while (buffer.ticks.length > 1 && buffer.ticks[0].timestampMs < now - STREAM_REPLAY_MS) {
+    buffer.ticks.shift();
+    buffer.since = buffer.ticks[0].timestampMs;
+  }
+}
+
+// Ticks newer than lastEventId, or null when this isolate can't vouch for the gap
+function getStreamReplay(coinId, lastEventId) {
+  const buffer = STREAM_REPLAY.get(coinId);
+  if (!buffer || buffer.since > lastEventId) return null;
+  return buffer.ticks.filter(t => t.timestampMs > lastEventId);
+}
+
+function formatStreamEvent(event, data, id) {
+  return `${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export async function handleStream(request, env, ctx) {
+  const url = new URL(request.url);
+  const requested = [...new Set((url.searchParams.get('coins') || url.searchParams.get('coin') || 'bitcoin')
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean))];
+  if (requested.length > STREAM_MAX_COINS) {
+    return errorResponse(`Too many coins: ${requested.length} (max ${STREAM_MAX_COINS})`);
+  }
+  const vs = getQuoteCurrency(url);
+  if (!vs) {
+    return unsupportedQuoteResponse(url);
+  }
+  
+  const resolved = await Promise.all(requested.map(c => resolveCoin(c, env)));
+  const unknown = requested.filter((c, i) => !resolved[i]);
+  if (unknown.length > 0) {
+    return errorResponse(`Unsupported coin: ${unknown.join(', ')}`);
+  }
+  const coinIds = [...new Set(resolved.map(info => info.id))];
+  
+  // EventSource sends Last-Event-ID on reconnect; the query form lets a fresh page resume too
+  const lastEventId = parseInt(request.headers.get('Last-Event-ID') || url.searchParams.get('lastEventId')) || null;
+  const sentiment = url.searchParams.get('sentiment') !== 'false';
+  
+  const { readable, writable } = new TransformStream();
+  const streaming = runPriceStream(writable.getWriter(), { coinIds, vs, sentiment, lastEventId }, env);
+  if (ctx?.waitUntil) ctx.waitUntil(streaming);
+  
+  log.debug(`[Stream] Opened for ${coinIds.join(',')} (vs=${vs}, sentiment=${sentiment}, lastEventId=${lastEventId || 'none'})`);
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store, no-transform',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
+
+async function runPriceStream(writer, { coinIds, vs, sentiment, lastEventId }, env) {
+  const encoder = new TextEncoder();
+  const send = (chunk) => writer.write(encoder.encode(chunk));
+  const openedAt = Date.now();
+  const lastTick = {};   // coinId -> timestampMs of the last tick sent
+  const lastError = {};  // coinId -> error code last reported (reported once per outage)
+  const lastSentiment = {}; // coinId -> sentiment timestamp last sent
+  let nextSentimentPoll = 0;
+  let sent = 0;
+  
+  const sendPrices = async (payloads) => {
+    let converted = payloads;
+    if (vs !== 'usd' && payloads.length > 0) {
+      try {
+        const quote = await getSpotQuote(vs, env);
+        converted = payloads.map(p => convertPriceData(p, quote));
+      } catch (err) {
+        // Leave lastTick alone so these ticks go out on the next poll
+        log.warn(`[Stream] Quote ${vs} unavailable, holding ${payloads.length} ticks:`, err.message);
+        return;
+      }
+    }
+    for (const payload of converted) {
+      await send(formatStreamEvent('price', payload, payload.timestampMs));
+      lastTick[payload.coin] = Math.max(lastTick[payload.coin] || 0, payload.timestampMs);
+      sent++;
+    }
+  };
+  
+  try {
+    await send(`retry: ${STREAM_RETRY_MS}\n\n`);
+    
+    // Resume: replay buffered ticks, or ask the client to resync its history
+    if (lastEventId) {
+      const replay = [];
+      const gaps = [];
+      for (const coinId of coinIds) {
+        const ticks = getStreamReplay(coinId, lastEventId);
+        if (ticks) {
+          replay.push(...ticks);
+          lastTick[coinId] = lastEventId;
+        } else {
+          gaps.push(coinId);
+        }
+      }
+      if (gaps.length > 0) {
+        await send(formatStreamEvent('resync', { coins: gaps, lastEventId, reason: 'replay_unavailable' }));
+      }
+      await sendPrices(replay.sort((a, b) => a.timestampMs - b.timestampMs));
+    }
+    
+    while (Date.now() - openedAt < STREAM_MAX_DURATION_MS) {
+      const sentBefore = sent;
+      const { results, errors } = await getCanonicalPrices(coinIds, env);
+      
+      const ticks = [];
+      for (const coinId of coinIds) {
+        const payload = results[coinId];
+        if (payload) {
+          rememberStreamTick(coinId, payload);
+          delete lastError[coinId];
+          if (payload.timestampMs > (lastTick[coinId] || 0)) ticks.push(payload);
+        } else if (errors[coinId] && lastError[coinId] !== errors[coinId].code) {
+          lastError[coinId] = errors[coinId].code;
+          await send(formatStreamEvent('price-error', { coin: coinId, error: errors[coinId].error, code: errors[coinId].code }));
+          sent++;
+        }
+      }
+      await sendPrices(ticks.sort((a, b) => a.timestampMs - b.timestampMs));
+      
+      if (sentiment && Date.now() >= nextSentimentPoll) {
+        nextSentimentPoll = Date.now() + STREAM_SENTIMENT_POLL_MS;
+        for (const coinId of coinIds) {
+          try {
+            const { result } = await buildSentimentSummary(coinId, env);
+            if (result && result.timestamp !== lastSentiment[coinId]) {
+              lastSentiment[coinId] = result.timestamp;
+              await send(formatStreamEvent('sentiment', { coin: coinId, ...result }));
+              sent++;
+            }
+          } catch (err) {
+            log.warn(`[Stream] Sentiment poll failed for ${coinId}:`, err.message);
+          }
+        }
+      }
+      
+      // Comment lines keep proxies from closing an idle connection
+      if (sent === sentBefore) {
+        await send(': keep-alive\n\n');
+      }
+      await new Promise(resolve => setTimeout(resolve, STREAM_POLL_MS));
+    }
+    
+    await send(formatStreamEvent('end', { reason: 'max_duration', reconnectMs: STREAM_RETRY_MS }));
+    log.debug(`[Stream] Closing after ${Math.round((Date.now() - openedAt) / 1000)}s (${sent} events)`);
+  } catch (err) {
+    // A failed write means the client went away
+    log.debug(`[Stream] Ended after ${Math.round((Date.now() - openedAt) / 1000)}s (${sent} events): ${err?.message || 'client disconnected'}`);
+  } finally {
+    await writer.close().catch(() => {});
+  }
+}
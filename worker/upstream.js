@@ -0,0 +1,529 @@
+// =============================================================================
+// UPSTREAM GUARD (shared token bucket + circuit breaker per upstream)
+// =============================================================================
+//
+// One UpstreamGuard Durable Object per upstream (idFromName('coincap'), ...). Every
+// isolate takes a token from it before calling the upstream and reports the outcome
+// afterwards, so a 429 seen by one isolate stops all of them at once (the KV backoff
+// took up to a minute to reach other isolates). Breaker: closed -> open after
+// `failureThreshold` consecutive failures, or straight away on a 429 for Retry-After;
+// once the cool-down ends it is half-open and a single probe call decides between
+// closed and open again (with the cool-down doubled). Without the UPSTREAM_GUARD
+// binding, or if the guard itself errors, calls fail open to the per-asset KV backoff.
+//
+// rateLimitedFetch (CoinCap and Binance) adds per-URL coalescing, retries with
+// backoff and a per-asset KV backoff on top of the guard.
+
+import { errorResponse, jsonResponse } from './http.js';
+import { currentRequestId, log, recordUpstreamCall, runWithLogContext } from './log.js';
+
+// Coalesce inflight upstream calls per URL (avoid duplicate fetches)
+const INFLIGHT_UPSTREAM = {}; // key: url -> Promise<{ ok, status, text, json? }>
+
+// Convert seconds-or-date Retry-After to ms
+export function parseRetryAfterHeader(h) {
+  if (!h) return undefined;
+  const n = Number(h);
+  if (!Number.isNaN(n)) return n * 1000;
+  const when = Date.parse(h);
+  if (!Number.isNaN(when)) return Math.max(0, when - Date.now());
+  return undefined;
+}
+
+function jitter(ms) {
+  return Math.floor(ms + Math.random() * (ms / 2));
+}
+
+// Write a per-asset backoff timestamp into KV (for CoinCap rate limiting)
+async function setBackoff(kv, assetId, untilMs) {
+  try {
+    await kv.put(`backoff_${assetId}`, String(untilMs));
+  } catch (e) {
+    log.warn('Failed to set backoff KV:', e.message);
+  }
+}
+
+async function getBackoff(kv, assetId) {
+  try {
+    const raw = await kv.get(`backoff_${assetId}`);
+    if (!raw) return 0;
+    const n = Number(raw);
+    return Number.isNaN(n) ? 0 : n;
+  } catch (e) {
+    log.warn('Failed to get backoff KV:', e.message);
+    return 0;
+  }
+}
+
+export const UPSTREAM_LIMITS = {
+  coincap: { capacity: 50, refillPerSec: 500 / 60, failureThreshold: 5, openMs: 30 * 1000 }, // 500 rpm (Pro key)
+  binance: { capacity: 50, refillPerSec: 10, failureThreshold: 5, openMs: 30 * 1000 },
+  newsapi: { capacity: 10, refillPerSec: 100 / 86400, failureThreshold: 3, openMs: 5 * 60 * 1000 }, // 100 requests/day
+  newsdata: { capacity: 10, refillPerSec: 200 / 86400, failureThreshold: 3, openMs: 5 * 60 * 1000 }, // 200 credits/day (free tier)
+  cohere: { capacity: 10, refillPerSec: 20 / 60, failureThreshold: 3, openMs: 60 * 1000 } // 20 calls/min (trial key)
+};
+const UPSTREAM_OPEN_MAX_MS = 10 * 60 * 1000;
+const UPSTREAM_PROBE_LEASE_MS = 15 * 1000; // a half-open probe that never reports frees the slot after this
+const UPSTREAM_USAGE_DAYS = 7; // daily call counters kept per upstream
+
+// Guarded upstream for a URL: an overridden base (`COINCAP_API_BASE`, ... pointed at the upstream
+// simulator) matches on its prefix, anything else on the hostname
+export function upstreamForUrl(url, env = {}) {
+  const names = Object.keys(UPSTREAM_LIMITS);
+  const overridden = names.find(name => {
+    const base = env[`${name.toUpperCase()}_API_BASE`];
+    return base && url.startsWith(base);
+  });
+  if (overridden) return overridden;
+  try {
+    const host = new URL(url).hostname;
+    return names.find(name => host.includes(name)) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function upstreamOutcome(status) {
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'failure';
+  return 'success'; // the upstream answered; 4xx are our problem, not its health
+}
+
+export function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Call the guard for `upstream`; null when the guard is not configured or unreachable (fail open)
+export async function callUpstreamGuard(env, upstream, action, payload) {
+  if (!env.UPSTREAM_GUARD || !upstream) return null;
+  try {
+    const stub = env.UPSTREAM_GUARD.get(env.UPSTREAM_GUARD.idFromName(upstream));
+    const resp = await stub.fetch(`https://upstream-guard/${action}?upstream=${upstream}`, {
+      method: payload ? 'POST' : 'GET',
+      headers: { 'X-Request-Id': currentRequestId() || '' },
+      body: payload ? JSON.stringify(payload) : undefined
+    });
+    return await resp.json();
+  } catch (e) {
+    log.warn(`[UpstreamGuard] ${action} failed for ${upstream}, failing open:`, e.message);
+    return null;
+  }
+}
+
+// Take a call slot; throws a `backoff` error (callers serve stale-if-error) when the guard says no.
+// Returns whether the guard is in use for this call.
+async function acquireUpstream(env, upstream) {
+  const verdict = await callUpstreamGuard(env, upstream, 'acquire', {});
+  if (verdict && !verdict.allowed) {
+    log.warn(`[UpstreamGuard] ${upstream} call denied (${verdict.reason}), retry in ${Math.ceil(verdict.retryAfterMs / 1000)}s`);
+    const err = new Error(`${upstream} ${verdict.reason}`);
+    err.code = 'backoff';
+    err.reason = verdict.reason;
+    err.until = Date.now() + verdict.retryAfterMs;
+    throw err;
+  }
+  return verdict != null;
+}
+
+async function reportUpstream(env, upstream, outcome, details = {}) {
+  await callUpstreamGuard(env, upstream, 'report', { outcome, ...details });
+}
+
+// fetch() for upstreams without rateLimitedFetch's retries (NewsAPI, Cohere): same guard, raw Response
+export async function guardedFetch(url, options, env) {
+  const upstream = upstreamForUrl(url, env);
+  const guarded = await acquireUpstream(env, upstream);
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    recordUpstreamCall(upstream || new URL(url).hostname, 'error', Date.now() - startedAt);
+    if (guarded) await reportUpstream(env, upstream, 'failure', { error: err.message });
+    throw err;
+  }
+  recordUpstreamCall(upstream || new URL(url).hostname, response.status, Date.now() - startedAt);
+  if (guarded) {
+    await reportUpstream(env, upstream, upstreamOutcome(response.status), {
+      retryAfterMs: parseRetryAfterHeader(response.headers.get('retry-after')),
+      error: response.ok ? undefined : `HTTP ${response.status}`
+    });
+  }
+  return response;
+}
+
+export class UpstreamGuard {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.guard = null; // { upstream, tokens, refilledAt, state, failures, openUntil, openMs, probeUntil, lastError, changedAt, usage }
+  }
+  
+  async fetch(request) {
+    return runWithLogContext({ requestId: request.headers.get('X-Request-Id'), env: this.env }, () => this.handle(request));
+  }
+  
+  async handle(request) {
+    const url = new URL(request.url);
+    const upstream = url.searchParams.get('upstream');
+    const limits = UPSTREAM_LIMITS[upstream];
+    if (!limits) {
+      return errorResponse(`Unknown upstream: ${upstream}`);
+    }
+    
+    const g = await this.load(upstream, limits);
+    const now = Date.now();
+    this.refill(g, limits, now);
+    if (g.state === 'open' && now >= g.openUntil) {
+      this.transition(g, 'half-open', now);
+    }
+    
+    let result;
+    const action = url.pathname.slice(1);
+    if (action === 'acquire') {
+      result = this.acquire(g, limits, now);
+      if (!result.allowed) this.count(g, 'denied', now);
+    } else if (action === 'report') {
+      const body = await request.json().catch(() => ({}));
+      this.report(g, limits, body, now);
+      result = { ok: true };
+    } else if (action !== 'status') {
+      return errorResponse(`Unknown action: ${action}`, 404);
+    }
+    
+    await this.state.storage.put('guard', g);
+    return jsonResponse({ ...result, ...this.describe(g, limits, now) });
+  }
+  
+  async load(upstream, limits) {
+    if (!this.guard) {
+      this.guard = await this.state.storage.get('guard') || {
+        upstream,
+        tokens: limits.capacity,
+        refilledAt: Date.now(),
+        state: 'closed',
+        failures: 0,
+        openUntil: 0,
+        openMs: limits.openMs,
+        probeUntil: 0,
+        lastError: null,
+        changedAt: Date.now(),
+        usage: {}
+      };
+    }
+    this.guard.usage ||= {}; // guards stored before usage metering
+    return this.guard;
+  }
+  
+  refill(g, limits, now) {
+    g.tokens = Math.min(limits.capacity, g.tokens + ((now - g.refilledAt) / 1000) * limits.refillPerSec);
+    g.refilledAt = now;
+  }
+  
+  transition(g, state, now) {
+    if (g.state !== state) {
+      log.info(`[UpstreamGuard] ${g.upstream} ${g.state} -> ${state}`);
+      g.state = state;
+      g.changedAt = now;
+    }
+  }
+  
+  open(g, ms, now) {
+    g.openUntil = now + ms;
+    g.probeUntil = 0;
+    this.transition(g, 'open', now);
+  }
+  
+  acquire(g, limits, now) {
+    if (g.state === 'open') {
+      return { allowed: false, reason: 'circuit_open', retryAfterMs: g.openUntil - now };
+    }
+    if (g.state === 'half-open') {
+      if (g.probeUntil > now) {
+        return { allowed: false, reason: 'circuit_half_open', retryAfterMs: g.probeUntil - now };
+      }
+    }
+    if (g.tokens < 1) {
+      return { allowed: false, reason: 'rate_limited', retryAfterMs: Math.ceil(((1 - g.tokens) / limits.refillPerSec) * 1000) };
+    }
+    g.tokens -= 1;
+    this.count(g, 'calls', now);
+    if (g.state === 'half-open') {
+      g.probeUntil = now + UPSTREAM_PROBE_LEASE_MS; // this caller is the probe
+    }
+    return { allowed: true };
+  }
+  
+  report(g, limits, { outcome, retryAfterMs, error }, now) {
+    if (outcome === 'success') {
+      g.failures = 0;
+      g.openMs = limits.openMs;
+      g.probeUntil = 0;
+      this.transition(g, 'closed', now);
+      return;
+    }
+    
+    g.failures += 1;
+    g.lastError = String(error || outcome).substring(0, 200);
+    this.count(g, 'failures', now);
+    if (outcome === 'rate_limited') {
+      // Everyone stops until the upstream's Retry-After (or our cool-down) has passed
+      g.tokens = 0;
+      this.open(g, Math.min(Math.max(retryAfterMs || 0, g.openMs), UPSTREAM_OPEN_MAX_MS), now);
+    } else if (g.state === 'half-open') {
+      g.openMs = Math.min(g.openMs * 2, UPSTREAM_OPEN_MAX_MS);
+      this.open(g, g.openMs, now);
+    } else if (g.failures >= limits.failureThreshold) {
+      this.open(g, g.openMs, now);
+    }
+  }
+  
+  // Daily call counters, kept for UPSTREAM_USAGE_DAYS
+  count(g, field, now) {
+    const day = g.usage[utcDay(now)] ||= { calls: 0, denied: 0, failures: 0 };
+    day[field] += 1;
+    for (const d of Object.keys(g.usage).sort().slice(0, -UPSTREAM_USAGE_DAYS)) {
+      delete g.usage[d];
+    }
+  }
+  
+  describe(g, limits, now) {
+    return {
+      upstream: g.upstream,
+      state: g.state,
+      tokens: Math.floor(g.tokens),
+      capacity: limits.capacity,
+      refillPerMinute: Math.round(limits.refillPerSec * 60 * 100) / 100,
+      failures: g.failures,
+      openUntil: g.state === 'open' ? new Date(g.openUntil).toISOString() : null,
+      lastError: g.lastError,
+      changedAt: new Date(g.changedAt).toISOString(),
+      today: g.usage[utcDay(now)] || { calls: 0, denied: 0, failures: 0 },
+      usage: g.usage
+    };
+  }
+}
+
+// Current budget and breaker state for every guarded upstream
+export async function handleUpstreams(request, env) {
+  if (!env.UPSTREAM_GUARD) {
+    return jsonResponse({ enabled: false, upstreams: {}, timestamp: new Date().toISOString() });
+  }
+  const names = Object.keys(UPSTREAM_LIMITS);
+  const statuses = await Promise.all(names.map(name => callUpstreamGuard(env, name, 'status')));
+  const upstreams = Object.fromEntries(names.map((name, i) => [name, statuses[i] || { upstream: name, state: 'unknown' }]));
+  return jsonResponse({ enabled: true, upstreams, timestamp: new Date().toISOString() });
+}
+
+// rateLimitedFetch: coalescing + retries + shared upstream guard (per-asset KV backoff as fallback)
+export async function rateLimitedFetch(url, options = {}, env, assetId) {
+  // Coalesce: if there is already an inflight fetch for this url, await it
+  if (INFLIGHT_UPSTREAM[url]) {
+    try {
+      log.debug(`[rateLimitedFetch] Coalescing request for ${url}`);
+      return await INFLIGHT_UPSTREAM[url];
+    } catch (e) {
+      // if the shared fetch failed, fall through to attempt a new one
+      log.warn(`[rateLimitedFetch] Coalesced request failed, attempting new fetch`);
+    }
+  }
+
+  // Create the promise and store it
+  const p = (async () => {
+    const maxAttempts = 2; // Reduced to 2 attempts for very fast failure (within frontend timeout)
+    let attempt = 0;
+    let lastError = null; // Track last error for diagnostics
+    const FETCH_TIMEOUT = Number(env.UPSTREAM_TIMEOUT_MS) || 5000; // 5 second timeout per fetch attempt (reduced from 8s)
+
+    const upstream = upstreamForUrl(url, env);
+    const useGuard = Boolean(env.UPSTREAM_GUARD && upstream);
+    
+    // If K/V says we must backoff, do not call upstream: return an object indicating backoff
+    const now = Date.now();
+    const backoffUntil = assetId && !useGuard ? await getBackoff(env.RATE_LIMIT_KV, assetId) : 0;
+    if (backoffUntil && backoffUntil > now) {
+      const waitMs = backoffUntil - now;
+      log.warn(`[rateLimitedFetch] Backoff in effect for ${assetId}, ${Math.ceil(waitMs/1000)}s left`);
+      // Throw a special error so callers can serve stale-if-error
+      const err = new Error('backoff-in-effect');
+      err.code = 'backoff';
+      err.until = backoffUntil;
+      throw err;
+    }
+
+    while (attempt < maxAttempts) {
+      attempt++;
+      const attemptStart = Date.now();
+      // Every attempt is an upstream call and needs its own token; a denial throws `backoff`
+      const guarded = useGuard && await acquireUpstream(env, upstream);
+      try {
+        log.debug(`[rateLimitedFetch] Attempt ${attempt}/${maxAttempts} for ${url}`);
+        
+        // Add timeout to fetch using AbortController
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        // Add POP cache hints for Cloudflare edge to cache 2xx responses for 60s
+        // Merge headers from options (includes auth headers)
+        const fetchOptions = {
+          ...options,
+          method: options.method || 'GET',
+          headers: { ...options.headers },
+          signal: controller.signal,
+          cf: { cacheTtlByStatus: { "200-299": 60 }, cacheEverything: true }
+        };
+        
+        let resp;
+        try {
+          resp = await fetch(url, fetchOptions);
+          clearTimeout(timeoutId);
+          recordUpstreamCall(upstream || new URL(url).hostname, resp.status, Date.now() - attemptStart);
+        } catch (fetchErr) {
+          clearTimeout(timeoutId);
+          recordUpstreamCall(upstream || new URL(url).hostname, fetchErr.name === 'AbortError' ? 'timeout' : 'error', Date.now() - attemptStart);
+          if (guarded) await reportUpstream(env, upstream, 'failure', { error: fetchErr.message });
+          if (fetchErr.name === 'AbortError') {
+            throw new Error(`Fetch timeout after ${FETCH_TIMEOUT}ms`);
+          }
+          throw fetchErr;
+        }
+        if (guarded) {
+          await reportUpstream(env, upstream, upstreamOutcome(resp.status), {
+            retryAfterMs: parseRetryAfterHeader(resp.headers.get('retry-after')),
+            error: resp.status >= 300 ? `HTTP ${resp.status}` : undefined
+          });
+        }
+
+        // If success, return parsed Response-like object
+        if (resp.status >= 200 && resp.status < 300) {
+          const text = await resp.text();
+          let json = null;
+          try { json = JSON.parse(text); } catch (e) { /* not json */ }
+          log.debug(`[rateLimitedFetch] Success on attempt ${attempt}, latency=${Date.now() - attemptStart}ms`);
+          return { ok: true, status: resp.status, text, json, latency: Date.now() - attemptStart };
+        }
+
+        // Auth errors: 401/403 -> fail immediately, don't retry
+        if (resp.status === 401 || resp.status === 403) {
+          const text = await resp.text().catch(() => '');
+          lastError = { 
+            status: resp.status, 
+            message: `Authentication failed: ${text.substring(0, 100)}`,
+            type: 'Auth'
+          };
+          log.error(`[rateLimitedFetch] Auth error ${resp.status}, failing immediately - API key may be invalid`);
+          break; // Exit retry loop immediately - no point retrying auth errors
+        }
+        
+        // Handle Retry/429/5xx
+        if (resp.status === 429) {
+          const ra = parseRetryAfterHeader(resp.headers.get('retry-after'));
+          // compute backoff until - reduced for faster failure
+          const baseMs = 500 * Math.pow(2, attempt - 1); // Reduced from 1000, start from attempt 1
+          const backoffMs = ra ? Math.min(ra * 1000, 5000) : jitter(Math.min(5000, baseMs)); // Reduced max from 16000 to 5000
+          const until = Date.now() + backoffMs;
+          if (assetId && env.RATE_LIMIT_KV && !useGuard) {
+            await setBackoff(env.RATE_LIMIT_KV, assetId, until);
+            log.warn(`[rateLimitedFetch] 429 received. Setting KV backoff for ${assetId} until ${new Date(until).toISOString()} (${Math.ceil(backoffMs/1000)}s)`);
+          }
+          lastError = { status: 429, message: 'Rate limited' };
+          // Wait before retrying (with the guard, the next attempt is refused until the breaker closes)
+          if (attempt < maxAttempts && !useGuard) {
+            log.debug(`[rateLimitedFetch] Waiting ${Math.ceil(backoffMs/1000)}s before retry...`);
+            await new Promise(r => setTimeout(r, backoffMs));
+          }
+          continue;
+        }
+
+        if (resp.status >= 500 && resp.status < 600) {
+          // HTTP 530 is a Cloudflare-specific error (origin timeout/DNS issues)
+          // Fail faster on 530 - don't retry as many times since it's likely a persistent issue
+          const is530 = resp.status === 530;
+          lastError = { 
+            status: resp.status, 
+            message: is530 ? `Cloudflare error 530 (origin timeout/connection issue)` : `Server error ${resp.status}`,
+            type: is530 ? 'Cloudflare/Origin' : 'HTTP'
+          };
+          
+          // For 530 errors, fail immediately on first attempt (no retry)
+          if (is530) {
+            log.error(`[rateLimitedFetch] Cloudflare error 530, failing immediately - CoinCap API unreachable`);
+            break; // Exit retry loop immediately
+          }
+          
+          // For other 5xx errors, fail after 1 retry (very fast)
+          if (attempt >= 2) {
+            log.error(`[rateLimitedFetch] 5xx error after ${attempt} attempts, failing fast`);
+            break;
+          }
+          
+          // Minimal backoff for other 5xx errors
+          const backoffMs = jitter(Math.min(1000, 300 * attempt)); // Max 1 second backoff
+          
+          log.warn(`[rateLimitedFetch] ${is530 ? 'Cloudflare' : '5xx'} error (${resp.status}), backing off ${Math.ceil(backoffMs/1000)}s`);
+          if (attempt < maxAttempts) {
+            await new Promise(r => setTimeout(r, backoffMs));
+          }
+          continue;
+        }
+
+        // Non-retryable 4xx other than 429 -> return as-is
+        const text = await resp.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) {}
+        log.warn(`[rateLimitedFetch] Non-retryable error ${resp.status}`);
+        return { ok: false, status: resp.status, text, json, latency: Date.now() - attemptStart };
+      } catch (err) {
+        // Network/DNS error - log with explicit message
+        const isDNSError = err.name === 'TypeError' || err.message?.includes('fetch') || err.message?.includes('ENOTFOUND');
+        if (isDNSError) {
+          log.error(`[rateLimitedFetch] Network/DNS error on attempt ${attempt} for ${url}: ${err.name} - ${err.message}`);
+        } else {
+          log.warn(`[rateLimitedFetch] Network error on attempt ${attempt} for ${url}: ${err.message}`);
+        }
+        
+        lastError = { 
+          name: err.name, 
+          message: err.message,
+          type: isDNSError ? 'DNS/Network' : 'Fetch'
+        };
+        
+        if (attempt < maxAttempts) {
+          // Minimal backoff for network errors - fail very fast
+          const backoffMs = jitter(Math.min(1000, 300 * attempt)); // Max 1 second backoff
+          log.debug(`[rateLimitedFetch] Waiting ${Math.ceil(backoffMs/1000)}s before retry (${maxAttempts - attempt} attempts left)...`);
+          await new Promise(r => setTimeout(r, backoffMs));
+        }
+        continue;
+      }
+    }
+
+    // exhausted retries - include last error details
+    const errorDetails = lastError 
+      ? `Last error: ${lastError.type || 'HTTP'} - ${lastError.message || lastError.status}`
+      : 'No upstream response';
+    
+    // Special handling for 530 errors
+    if (lastError && lastError.status === 530) {
+      log.error(`[rateLimitedFetch] Exhausted ${maxAttempts} retries for ${url}. CoinCap API returned 530 (Cloudflare origin error).`);
+      log.error(`[rateLimitedFetch] This typically means: 1) CoinCap API is temporarily unavailable, 2) Network connectivity issues, or 3) DNS resolution problems.`);
+    } else {
+      log.error(`[rateLimitedFetch] Exhausted ${maxAttempts} retries for ${url}. ${errorDetails}`);
+    }
+    
+    const err = new Error(`exhausted-retries: ${errorDetails}`);
+    err.code = 'retries_exhausted';
+    err.details = errorDetails;
+    err.lastError = lastError;
+    err.is530 = lastError && lastError.status === 530;
+    throw err;
+  })();
+
+  INFLIGHT_UPSTREAM[url] = p;
+  try {
+    const res = await p;
+    return res;
+  } finally {
+    delete INFLIGHT_UPSTREAM[url];
+  }
+}
@@ -0,0 +1,53 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { parseRetryAfterHeader, upstreamForUrl } from './upstream.js';
+
+describe('parseRetryAfterHeader', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should return undefined for a missing header', () => {
+    expect(parseRetryAfterHeader(null)).toBeUndefined();
+    expect(parseRetryAfterHeader(undefined)).toBeUndefined();
+    expect(parseRetryAfterHeader('')).toBeUndefined();
+  });
+
+  it('should convert delta-seconds to milliseconds', () => {
+    expect(parseRetryAfterHeader('120')).toBe(120000);
+    expect(parseRetryAfterHeader('0')).toBe(0);
+    expect(parseRetryAfterHeader('1.5')).toBe(1500);
+  });
+
+  it('should convert an HTTP date to the time left until it', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    expect(parseRetryAfterHeader('Wed, 01 Jan 2025 00:00:30 GMT')).toBe(30000);
+  });
+
+  it('should clamp dates in the past to zero', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    expect(parseRetryAfterHeader('Tue, 31 Dec 2024 23:59:00 GMT')).toBe(0);
+  });
+
+  it('should return undefined for garbage', () => {
+    expect(parseRetryAfterHeader('soon')).toBeUndefined();
+  });
+});
+
+describe('upstreamForUrl', () => {
+  it('should recognise upstreams by hostname', () => {
+    expect(upstreamForUrl('https://rest.coincap.io/v3/assets')).toBe('coincap');
+    expect(upstreamForUrl('https://api.binance.com/api/v3/ticker/24hr')).toBe('binance');
+    expect(upstreamForUrl('https://newsapi.org/v2/everything?q=bitcoin')).toBe('newsapi');
+    expect(upstreamForUrl('https://api.cohere.com/v2/chat')).toBe('cohere');
+    expect(upstreamForUrl('https://example.com/')).toBeNull();
+  });
+
+  it('should prefer configured *_API_BASE overrides', () => {
+    const env = { NEWSAPI_API_BASE: 'http://127.0.0.1:8788/newsapi' };
+    expect(upstreamForUrl('http://127.0.0.1:8788/newsapi/everything', env)).toBe('newsapi');
+    expect(upstreamForUrl('http://127.0.0.1:8788/other', env)).toBeNull();
+  });
+});